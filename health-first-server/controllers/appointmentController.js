@@ -0,0 +1,160 @@
+const AppointmentService = require('../services/appointmentService');
+const CalendarService = require('../services/calendarService');
+
+class AppointmentController {
+  constructor() {
+    this.appointmentService = new AppointmentService();
+    this.calendarService = new CalendarService();
+  }
+
+  /**
+   * Book an appointment for the authenticated patient
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async bookAppointment(req, res, next) {
+    try {
+      const { availability_id, notes } = req.body;
+
+      const result = await this.appointmentService.bookAppointment(
+        availability_id,
+        req.patient._id,
+        { notes }
+      );
+
+      res.status(201).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List appointments of the authenticated patient
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getMyAppointments(req, res, next) {
+    try {
+      const options = {
+        status: req.query.status,
+        upcomingOnly: req.query.upcoming === 'true',
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 50,
+        cursor: req.query.cursor
+      };
+
+      const result = await this.appointmentService.getPatientAppointments(req.patient._id, options);
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get appointment by booking reference
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getAppointmentByReference(req, res, next) {
+    try {
+      const { reference } = req.params;
+      const result = await this.appointmentService.getAppointmentByReference(reference, req.patient._id);
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download my appointment as an .ics file
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async downloadAppointmentCalendar(req, res, next) {
+    try {
+      const { reference } = req.params;
+      const { filename, calendar } = await this.calendarService.getAppointmentCalendar(reference, req.patient._id);
+
+      res.status(200);
+      res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(calendar);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Move my appointment to another slot, keeping its booking reference
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async rescheduleAppointment(req, res, next) {
+    try {
+      const { reference } = req.params;
+      const result = await this.appointmentService.rescheduleAppointment(
+        reference,
+        { patientId: req.patient._id },
+        { availabilityId: req.body.availability_id, reason: req.body.reason }
+      );
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Check in for my appointment
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async checkIn(req, res, next) {
+    try {
+      const { reference } = req.params;
+      const result = await this.appointmentService.changeStatus(reference, { patientId: req.patient._id }, 'checked_in');
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel appointment by booking reference
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async cancelAppointment(req, res, next) {
+    try {
+      const { reference } = req.params;
+      const result = await this.appointmentService.cancelAppointment(
+        reference,
+        { patientId: req.patient._id },
+        req.body.reason
+      );
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = AppointmentController;
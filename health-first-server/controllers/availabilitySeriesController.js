@@ -0,0 +1,66 @@
+const AvailabilitySeriesService = require('../services/availabilitySeriesService');
+
+class AvailabilitySeriesController {
+  constructor() {
+    this.availabilitySeriesService = new AvailabilitySeriesService();
+  }
+
+  /**
+   * Get a series of the authenticated provider
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getSeries(req, res, next) {
+    try {
+      const { series_id } = req.params;
+      const result = await this.availabilitySeriesService.getSeries(series_id, req.provider.id);
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a series occurrence, the following occurrences or the whole series
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async updateSeries(req, res, next) {
+    try {
+      const { series_id } = req.params;
+      const result = await this.availabilitySeriesService.updateSeries(series_id, req.provider.id, req.body);
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a series occurrence, the following occurrences or the whole series
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async deleteSeries(req, res, next) {
+    try {
+      const { series_id } = req.params;
+      const result = await this.availabilitySeriesService.deleteSeries(series_id, req.provider.id, {
+        scope: req.query.scope,
+        occurrenceDate: req.query.occurrence_date
+      });
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = AvailabilitySeriesController;
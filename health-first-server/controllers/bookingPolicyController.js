@@ -0,0 +1,43 @@
+const BookingPolicyService = require('../services/bookingPolicyService');
+
+class BookingPolicyController {
+  constructor() {
+    this.bookingPolicyService = new BookingPolicyService();
+  }
+
+  /**
+   * Get the booking policy of the authenticated provider
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getPolicy(req, res, next) {
+    try {
+      const result = await this.bookingPolicyService.getPolicy(req.provider.id);
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update the booking policy of the authenticated provider
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async updatePolicy(req, res, next) {
+    try {
+      const result = await this.bookingPolicyService.updatePolicy(req.provider.id, req.body);
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = BookingPolicyController;
@@ -0,0 +1,106 @@
+const CalendarService = require('../services/calendarService');
+
+class CalendarController {
+  constructor() {
+    this.calendarService = new CalendarService();
+  }
+
+  /**
+   * Create (or replace) the calendar feed of the authenticated provider
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async createProviderFeed(req, res, next) {
+    try {
+      const result = await this.calendarService.createFeed('provider', req.provider.id, this.getBaseUrl(req));
+
+      res.status(201).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke the calendar feed of the authenticated provider
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async revokeProviderFeed(req, res, next) {
+    try {
+      const result = await this.calendarService.revokeFeed('provider', req.provider.id);
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create (or replace) the calendar feed of the authenticated patient
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async createPatientFeed(req, res, next) {
+    try {
+      const result = await this.calendarService.createFeed('patient', req.patient._id, this.getBaseUrl(req));
+
+      res.status(201).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke the calendar feed of the authenticated patient
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async revokePatientFeed(req, res, next) {
+    try {
+      const result = await this.calendarService.revokeFeed('patient', req.patient._id);
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Serve a calendar feed; the token in the URL is the only credential
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getFeed(req, res, next) {
+    try {
+      const calendar = await this.calendarService.getFeedCalendar(req.params.token);
+
+      res.status(200);
+      res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+      res.setHeader('Cache-Control', 'private, max-age=300');
+      res.send(calendar);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Public base URL for feed links
+   * @param {Object} req - Express request object
+   * @returns {string} Base URL without trailing slash
+   */
+  getBaseUrl(req) {
+    return (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+  }
+}
+
+module.exports = CalendarController;
@@ -0,0 +1,83 @@
+const CheckoutHoldService = require('../services/checkoutHoldService');
+
+class CheckoutHoldController {
+  constructor() {
+    this.checkoutHoldService = new CheckoutHoldService();
+  }
+
+  /**
+   * Hold a seat for the authenticated patient during checkout
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async placeHold(req, res, next) {
+    try {
+      const { availability_id, minutes } = req.body;
+
+      const result = await this.checkoutHoldService.placeHold(availability_id, req.patient._id, {
+        minutes: minutes !== undefined ? parseInt(minutes) : undefined
+      });
+
+      res.status(201).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a hold of the authenticated patient
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getHold(req, res, next) {
+    try {
+      const result = await this.checkoutHoldService.getHold(req.params.id, req.patient._id);
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Confirm a hold into a booking
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async confirmHold(req, res, next) {
+    try {
+      const result = await this.checkoutHoldService.confirmHold(req.params.id, req.patient._id, {
+        notes: req.body.notes
+      });
+
+      res.status(201).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Release a hold
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async releaseHold(req, res, next) {
+    try {
+      const result = await this.checkoutHoldService.releaseHold(req.params.id, req.patient._id);
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = CheckoutHoldController;
@@ -0,0 +1,117 @@
+const HolidayCalendarService = require('../services/holidayCalendarService');
+const { sanitizeObject } = require('../middleware/sanitization');
+const { parseEvents } = require('../utils/icsUtils');
+const { ValidationError } = require('../utils/errors');
+
+class HolidayCalendarController {
+  constructor() {
+    this.holidayCalendarService = new HolidayCalendarService();
+  }
+
+  /**
+   * Create a holiday calendar
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async createCalendar(req, res, next) {
+    try {
+      const { name, owner_type, location, holidays } = req.body;
+
+      const result = await this.holidayCalendarService.createCalendar(req.provider.id, {
+        name,
+        owner_type,
+        location,
+        holidays
+      });
+
+      res.status(201).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List holiday calendars
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getCalendars(req, res, next) {
+    try {
+      const result = await this.holidayCalendarService.getCalendars();
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a holiday calendar with its holidays
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getCalendar(req, res, next) {
+    try {
+      const result = await this.holidayCalendarService.getCalendar(req.params.id);
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a holiday calendar
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async deleteCalendar(req, res, next) {
+    try {
+      const result = await this.holidayCalendarService.deleteCalendar(req.params.id, req.provider.id);
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Import holidays from an iCalendar file, sent as text/calendar or as { ics } JSON
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async importHolidays(req, res, next) {
+    try {
+      const text = typeof req.body === 'string' ? req.body : req.body?.ics;
+      let events;
+
+      try {
+        // The sanitizer only walks objects, so clean the parsed events here
+        events = sanitizeObject(parseEvents(text || ''));
+      } catch (error) {
+        const message = `Invalid iCalendar file: ${error.message}`;
+        throw new ValidationError(message, { file: [message] });
+      }
+
+      const result = await this.holidayCalendarService.importHolidays(req.params.id, req.provider.id, events, {
+        replace: req.query.replace === 'true'
+      });
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = HolidayCalendarController;
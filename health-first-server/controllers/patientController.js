@@ -65,7 +65,7 @@ class PatientController {
    */
   async getAllPatients(req, res, next) {
     try {
-      const { page = 1, limit = 50, is_active, gender } = req.query;
+      const { page = 1, limit = 50, is_active, gender, cursor } = req.query;
       
       // Build filters
       const filters = {};
@@ -78,7 +78,8 @@ class PatientController {
 
       const options = {
         page: parseInt(page),
-        limit: parseInt(limit)
+        limit: parseInt(limit),
+        cursor
       };
 
       const result = await this.patientService.getAllPatients(filters, options);
@@ -134,7 +135,7 @@ class PatientController {
    */
   async searchPatients(req, res, next) {
     try {
-      const { q, page = 1, limit = 50 } = req.query;
+      const { q, page = 1, limit = 50, cursor } = req.query;
 
       if (!q || q.trim().length === 0) {
         return res.status(400).json({
@@ -146,7 +147,8 @@ class PatientController {
 
       const options = {
         page: parseInt(page),
-        limit: parseInt(limit)
+        limit: parseInt(limit),
+        cursor
       };
 
       const result = await this.patientService.searchPatients(q.trim(), options);
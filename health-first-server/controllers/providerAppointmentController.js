@@ -0,0 +1,99 @@
+const AppointmentService = require('../services/appointmentService');
+
+class ProviderAppointmentController {
+  constructor() {
+    this.appointmentService = new AppointmentService();
+  }
+
+  /**
+   * Confirm a requested appointment on my availability
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async confirm(req, res, next) {
+    try {
+      const { reference } = req.params;
+      const result = await this.appointmentService.changeStatus(reference, { providerId: req.provider.id }, 'confirmed');
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Check the patient in for an appointment on my availability
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async checkIn(req, res, next) {
+    try {
+      const { reference } = req.params;
+      const result = await this.appointmentService.changeStatus(reference, { providerId: req.provider.id }, 'checked_in');
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Start an appointment on my availability
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async start(req, res, next) {
+    try {
+      const { reference } = req.params;
+      const result = await this.appointmentService.changeStatus(reference, { providerId: req.provider.id }, 'in_progress');
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Mark an appointment on my availability as completed
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async markCompleted(req, res, next) {
+    try {
+      const { reference } = req.params;
+      const result = await this.appointmentService.changeStatus(reference, { providerId: req.provider.id }, 'completed');
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Mark an appointment on my availability as a no-show
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async markNoShow(req, res, next) {
+    try {
+      const { reference } = req.params;
+      const result = await this.appointmentService.changeStatus(reference, { providerId: req.provider.id }, 'no_show');
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = ProviderAppointmentController;
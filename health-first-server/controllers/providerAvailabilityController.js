@@ -1,9 +1,16 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const ProviderAvailabilityService = require('../services/providerAvailabilityService');
+const AppointmentService = require('../services/appointmentService');
+const { sanitizeObject } = require('../middleware/sanitization');
+const { parseCSV } = require('../utils/csvUtils');
+const { parseNear, DEFAULT_RADIUS_KM } = require('../utils/geoUtils');
 const { ValidationError, ConflictError, NotFoundError, DatabaseError } = require('../utils/errors');
 
 class ProviderAvailabilityController {
   constructor() {
     this.providerAvailabilityService = new ProviderAvailabilityService();
+    this.appointmentService = new AppointmentService();
   }
 
   /**
@@ -17,7 +24,7 @@ class ProviderAvailabilityController {
       // Add provider ID from authenticated user
       const availabilityData = {
         ...req.body,
-        provider_id: req.provider._id
+        provider_id: req.provider.id
       };
 
       const result = await this.providerAvailabilityService.createAvailability(availabilityData);
@@ -29,6 +36,26 @@ class ProviderAvailabilityController {
     }
   }
 
+  /**
+   * Preview the slots new availability would be split into
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async previewAvailability(req, res, next) {
+    try {
+      const result = await this.providerAvailabilityService.previewAvailability({
+        ...req.body,
+        provider_id: req.provider.id
+      });
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get availability by ID
    * @param {Object} req - Express request object
@@ -86,9 +113,8 @@ class ProviderAvailabilityController {
   async updateAvailability(req, res, next) {
     try {
       const { id } = req.params;
-      const updateData = req.body;
 
-      const result = await this.providerAvailabilityService.updateAvailability(id, updateData);
+      const result = await this.providerAvailabilityService.updateAvailability(id, req.provider.id, req.body);
 
       res.status(200).json(result);
 
@@ -109,7 +135,7 @@ class ProviderAvailabilityController {
       const { delete_recurring } = req.query;
       const deleteRecurring = delete_recurring === 'true';
 
-      const result = await this.providerAvailabilityService.deleteAvailability(id, deleteRecurring);
+      const result = await this.providerAvailabilityService.deleteAvailability(id, req.provider.id, deleteRecurring);
 
       res.status(200).json(result);
 
@@ -127,16 +153,24 @@ class ProviderAvailabilityController {
   async searchAvailability(req, res, next) {
     try {
       const searchCriteria = {
+        date: req.query.date,
         startDate: req.query.start_date,
         endDate: req.query.end_date,
+        specialization: req.query.specialization,
+        location: req.query.location,
+        near: req.query.near ? parseNear(req.query.near) : undefined,
+        radiusKm: req.query.radius_km ? parseFloat(req.query.radius_km) : DEFAULT_RADIUS_KM,
         appointmentType: req.query.appointment_type,
         locationType: req.query.location_type,
-        insuranceAccepted: req.query.insurance_accepted === 'true',
+        insuranceAccepted: req.query.insurance_accepted === undefined
+          ? undefined
+          : req.query.insurance_accepted === 'true',
         maxPrice: req.query.max_price ? parseFloat(req.query.max_price) : undefined,
         timezone: req.query.timezone,
         availableOnly: req.query.available_only !== 'false',
         page: parseInt(req.query.page) || 1,
-        limit: parseInt(req.query.limit) || 50
+        limit: parseInt(req.query.limit) || 50,
+        cursor: req.query.cursor
       };
 
       const options = {
@@ -153,6 +187,39 @@ class ProviderAvailabilityController {
     }
   }
 
+  /**
+   * Find the earliest bookable slot of each matching provider
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getNextAvailable(req, res, next) {
+    try {
+      const criteria = {
+        specialization: req.query.specialization,
+        location: req.query.location,
+        near: req.query.near ? parseNear(req.query.near) : undefined,
+        radiusKm: req.query.radius_km ? parseFloat(req.query.radius_km) : DEFAULT_RADIUS_KM,
+        appointmentType: req.query.appointment_type,
+        locationType: req.query.location_type,
+        insuranceAccepted: req.query.insurance_accepted === undefined
+          ? undefined
+          : req.query.insurance_accepted === 'true',
+        maxPrice: req.query.max_price ? parseFloat(req.query.max_price) : undefined,
+        timeOfDay: req.query.time_of_day,
+        withinDays: req.query.within_days ? parseInt(req.query.within_days) : undefined,
+        limit: parseInt(req.query.limit) || 10
+      };
+
+      const result = await this.providerAvailabilityService.findNextAvailable(criteria);
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get availability statistics
    * @param {Object} req - Express request object
@@ -203,7 +270,9 @@ class ProviderAvailabilityController {
   async bookSlot(req, res, next) {
     try {
       const { id } = req.params;
-      const result = await this.providerAvailabilityService.bookSlot(id);
+      const result = await this.providerAvailabilityService.bookSlot(id, req.patient._id, {
+        notes: req.body.notes
+      });
 
       res.status(200).json(result);
 
@@ -221,7 +290,57 @@ class ProviderAvailabilityController {
   async cancelSlot(req, res, next) {
     try {
       const { id } = req.params;
-      const result = await this.providerAvailabilityService.cancelSlot(id);
+
+      // Patients cancel through the patient route, owning providers through the provider route
+      const actor = req.patient
+        ? { patientId: req.patient._id }
+        : { providerId: req.provider.id };
+
+      const result = await this.providerAvailabilityService.cancelSlot(id, actor, {
+        bookingReference: req.body.booking_reference,
+        reason: req.body.reason
+      });
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the roster of one of my slots
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getRoster(req, res, next) {
+    try {
+      const { id } = req.params;
+      const result = await this.appointmentService.getRoster(id, req.provider.id, {
+        includeCancelled: req.query.include_cancelled === 'true'
+      });
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel one attendee's booking on one of my slots
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async cancelAttendee(req, res, next) {
+    try {
+      const { id, reference } = req.params;
+      const result = await this.providerAvailabilityService.cancelSlot(id, { providerId: req.provider.id }, {
+        bookingReference: reference,
+        reason: req.body.reason
+      });
 
       res.status(200).json(result);
 
@@ -267,7 +386,7 @@ class ProviderAvailabilityController {
    */
   async getMyAvailability(req, res, next) {
     try {
-      const providerId = req.provider._id;
+      const providerId = req.provider.id;
       const options = {
         page: parseInt(req.query.page) || 1,
         limit: parseInt(req.query.limit) || 50,
@@ -286,6 +405,124 @@ class ProviderAvailabilityController {
     }
   }
 
+  /**
+   * List booking requests waiting for my approval
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getMyBookingRequests(req, res, next) {
+    try {
+      const result = await this.appointmentService.getPendingRequests(req.provider.id, {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 50,
+        cursor: req.query.cursor
+      });
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Approve a booking request on one of my slots
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async approveBookingRequest(req, res, next) {
+    try {
+      const { reference } = req.params;
+      const result = await this.appointmentService.changeStatus(reference, { providerId: req.provider.id }, 'confirmed');
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Decline a booking request on one of my slots
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async declineBookingRequest(req, res, next) {
+    try {
+      const { reference } = req.params;
+      const result = await this.appointmentService.declineRequest(reference, req.provider.id, req.body.reason);
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Import availability from CSV (text/csv body) or JSON (array or { rows } body)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async importAvailability(req, res, next) {
+    try {
+      const dryRun = req.query.dry_run === 'true' || req.body?.dry_run === true;
+      let rows;
+
+      if (typeof req.body === 'string') {
+        try {
+          // The sanitizer only walks objects, so clean the parsed records here
+          rows = sanitizeObject(parseCSV(req.body));
+        } catch (error) {
+          const message = `Invalid CSV: ${error.message}`;
+          throw new ValidationError(message, { file: [message] });
+        }
+      } else {
+        rows = Array.isArray(req.body) ? req.body : req.body?.rows;
+      }
+
+      const result = await this.providerAvailabilityService.importAvailability(req.provider.id, rows, { dryRun });
+
+      res.status(!dryRun && result.data.succeeded > 0 ? 201 : 200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Stream my availability for a date range as CSV or JSON
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async exportAvailability(req, res, next) {
+    try {
+      const { contentType, filename, chunks } = this.providerAvailabilityService.exportAvailability(req.provider.id, {
+        startDate: req.query.start_date,
+        endDate: req.query.end_date,
+        format: req.query.format || 'csv'
+      });
+
+      res.status(200);
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+      await pipeline(Readable.from(chunks), res);
+
+    } catch (error) {
+      // Once streaming has started the pipeline has already closed the response
+      if (res.headersSent) {
+        return;
+      }
+      next(error);
+    }
+  }
+
   /**
    * Get my availability statistics (for authenticated providers)
    * @param {Object} req - Express request object
@@ -294,7 +531,7 @@ class ProviderAvailabilityController {
    */
   async getMyAvailabilityStatistics(req, res, next) {
     try {
-      const providerId = req.provider._id;
+      const providerId = req.provider.id;
       const options = {
         startDate: req.query.start_date,
         endDate: req.query.end_date
@@ -48,11 +48,12 @@ class ProviderController {
    * @param {number} page - Page number
    * @param {number} limit - Items per page
    * @param {string} status - Filter by verification status
+   * @param {string} cursor - Cursor from a previous page
    * @returns {Object} Paginated providers
    */
-  async getAllProviders(page = 1, limit = 10, status = null) {
+  async getAllProviders(page = 1, limit = 10, status = null, cursor = null) {
     try {
-      const result = await this.providerRepository.findAll(page, limit, status);
+      const result = await this.providerRepository.findAll(page, limit, status, cursor);
       
       return {
         data: result.providers.map(provider => this.providerService.sanitizeProviderData(provider)),
@@ -93,6 +94,7 @@ class ProviderController {
       
       return {
         data: result.providers.map(provider => this.providerService.sanitizeProviderData(provider)),
+        facets: result.facets,
         pagination: result.pagination
       };
     } catch (error) {
@@ -135,7 +137,7 @@ class ProviderController {
     // Sanitize string fields
     const stringFields = [
       'first_name', 'last_name', 'email', 'phone_number', 
-      'specialization', 'license_number'
+      'specialization', 'license_number', 'bio'
     ];
     
     stringFields.forEach(field => {
@@ -0,0 +1,128 @@
+const TimeOffService = require('../services/timeOffService');
+
+class TimeOffController {
+  constructor() {
+    this.timeOffService = new TimeOffService();
+  }
+
+  /**
+   * Create time off for the authenticated provider
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async createTimeOff(req, res, next) {
+    try {
+      const { start_date, end_date, timezone, reason, notes } = req.body;
+
+      const result = await this.timeOffService.createTimeOff(req.provider.id, {
+        start_date,
+        end_date,
+        timezone,
+        reason,
+        notes
+      });
+
+      res.status(201).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List time off of the authenticated provider
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getMyTimeOff(req, res, next) {
+    try {
+      const result = await this.timeOffService.getProviderTimeOff(req.provider.id, {
+        from: req.query.from,
+        to: req.query.to
+      });
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get one time off period with its booked appointments
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getTimeOff(req, res, next) {
+    try {
+      const result = await this.timeOffService.getTimeOff(req.params.id, req.provider.id);
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete time off
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async deleteTimeOff(req, res, next) {
+    try {
+      const result = await this.timeOffService.deleteTimeOff(req.params.id, req.provider.id);
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel appointments booked inside time off
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async cancelAppointments(req, res, next) {
+    try {
+      const result = await this.timeOffService.cancelAppointments(req.params.id, req.provider.id, {
+        bookingReferences: req.body.booking_references,
+        reason: req.body.reason
+      });
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Move appointments booked inside time off to other slots
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async rescheduleAppointments(req, res, next) {
+    try {
+      const result = await this.timeOffService.rescheduleAppointments(req.params.id, req.provider.id, {
+        moves: req.body.moves,
+        reason: req.body.reason
+      });
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = TimeOffController;
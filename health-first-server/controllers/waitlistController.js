@@ -0,0 +1,107 @@
+const WaitlistService = require('../services/waitlistService');
+
+class WaitlistController {
+  constructor() {
+    this.waitlistService = new WaitlistService();
+  }
+
+  /**
+   * Join a waitlist as the authenticated patient
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async joinWaitlist(req, res, next) {
+    try {
+      const { availability_id, provider_id, start_date, end_date, appointment_type, notes } = req.body;
+
+      const result = await this.waitlistService.joinWaitlist(req.patient._id, {
+        availability_id,
+        provider_id,
+        start_date,
+        end_date,
+        appointment_type,
+        notes
+      });
+
+      res.status(201).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List waitlist entries of the authenticated patient
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getMyEntries(req, res, next) {
+    try {
+      const result = await this.waitlistService.getPatientEntries(req.patient._id, {
+        status: req.query.status
+      });
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Leave a waitlist
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async leaveWaitlist(req, res, next) {
+    try {
+      const result = await this.waitlistService.leaveWaitlist(req.params.id, req.patient._id);
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Accept the offer of a waitlist entry
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async acceptOffer(req, res, next) {
+    try {
+      const result = await this.waitlistService.acceptOffer(req.params.id, req.patient._id, {
+        notes: req.body.notes
+      });
+
+      res.status(201).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Decline the offer of a waitlist entry
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async declineOffer(req, res, next) {
+    try {
+      const result = await this.waitlistService.declineOffer(req.params.id, req.patient._id);
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = WaitlistController;
@@ -1,6 +1,8 @@
 const { 
   ValidationError, 
   DuplicateError, 
+  ConflictError, 
+  InvalidTransitionError,
   DatabaseError, 
   AuthenticationError, 
   AuthorizationError, 
@@ -32,6 +34,14 @@ const errorHandler = (err, req, res, next) => {
     statusCode = 409;
     message = err.message;
     errorCode = 'DUPLICATE_ERROR';
+  } else if (err instanceof ConflictError) {
+    statusCode = 409;
+    message = err.message;
+    errorCode = 'CONFLICT_ERROR';
+  } else if (err instanceof InvalidTransitionError) {
+    statusCode = 409;
+    message = err.message;
+    errorCode = 'INVALID_STATUS_TRANSITION';
   } else if (err instanceof DatabaseError) {
     statusCode = 500;
     message = 'Database operation failed';
@@ -78,6 +88,16 @@ const errorHandler = (err, req, res, next) => {
     timestamp: new Date().toISOString()
   };
 
+  // Let clients show what a request clashed with
+  if (err instanceof ConflictError && err.conflicts.length > 0) {
+    errorResponse.conflicts = err.conflicts;
+  }
+
+  // Tell clients which status changes are possible instead
+  if (err instanceof InvalidTransitionError) {
+    errorResponse.transition = err.transition;
+  }
+
   // Include stack trace only in development
   if (process.env.NODE_ENV === 'development') {
     errorResponse.stack = err.stack;
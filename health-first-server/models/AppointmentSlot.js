@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Joi = require('joi');
+const { APPOINTMENT_STATUSES, ACTOR_ROLES } = require('../utils/appointmentLifecycle');
 
 // Joi validation schema for appointment slots
 const appointmentSlotValidationSchema = Joi.object({
@@ -7,10 +8,11 @@ const appointmentSlotValidationSchema = Joi.object({
   provider_id: Joi.string().required(),
   slot_start_time: Joi.date().required(),
   slot_end_time: Joi.date().required(),
-  status: Joi.string().valid('available', 'booked', 'cancelled', 'blocked').default('available'),
+  status: Joi.string().valid(...APPOINTMENT_STATUSES).default('confirmed'),
   patient_id: Joi.string().allow(null),
   appointment_type: Joi.string().required(),
-  booking_reference: Joi.string().required()
+  booking_reference: Joi.string(),
+  notes: Joi.string().max(500)
 });
 
 // Mongoose schema for appointment slots
@@ -39,8 +41,8 @@ const appointmentSlotSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['available', 'booked', 'cancelled', 'blocked'],
-    default: 'available',
+    enum: APPOINTMENT_STATUSES,
+    default: 'confirmed',
     index: true
   },
   patient_id: {
@@ -63,6 +65,117 @@ const appointmentSlotSchema = new mongoose.Schema({
     type: String,
     maxlength: [500, 'Notes cannot exceed 500 characters']
   },
+  booked_at: {
+    type: Date,
+    default: null
+  },
+  // When the appointment entered each status of its lifecycle
+  requested_at: {
+    type: Date,
+    default: null
+  },
+  confirmed_at: {
+    type: Date,
+    default: null
+  },
+  checked_in_at: {
+    type: Date,
+    default: null
+  },
+  started_at: {
+    type: Date,
+    default: null
+  },
+  declined_at: {
+    type: Date,
+    default: null
+  },
+  expired_at: {
+    type: Date,
+    default: null
+  },
+  // Requests the provider has not answered by then expire and free their seat
+  request_expires_at: {
+    type: Date,
+    default: null
+  },
+  decline_reason: {
+    type: String,
+    maxlength: [500, 'Decline reason cannot exceed 500 characters']
+  },
+  cancelled_at: {
+    type: Date,
+    default: null
+  },
+  cancellation_reason: {
+    type: String,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
+  },
+  completed_at: {
+    type: Date,
+    default: null
+  },
+  no_show_at: {
+    type: Date,
+    default: null
+  },
+  // One entry per status change, including the initial status
+  status_history: [{
+    _id: false,
+    from: {
+      type: String,
+      enum: [...APPOINTMENT_STATUSES, null],
+      default: null
+    },
+    to: {
+      type: String,
+      enum: APPOINTMENT_STATUSES
+    },
+    by: {
+      type: String,
+      enum: ACTOR_ROLES
+    },
+    at: Date
+  }],
+  // Fee charged under the provider's cancellation policy (late cancellation or no-show)
+  applied_fee: {
+    kind: {
+      type: String,
+      enum: ['late_cancel', 'no_show']
+    },
+    amount: {
+      type: Number,
+      min: [0, 'Fee cannot be negative']
+    },
+    currency: {
+      type: String,
+      maxlength: [3, 'Currency must be 3 characters']
+    },
+    applied_at: Date
+  },
+  // One entry per move to another slot; the booking reference stays the same
+  reschedule_history: [{
+    _id: false,
+    from_availability_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProviderAvailability'
+    },
+    to_availability_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProviderAvailability'
+    },
+    from_slot_start_time: Date,
+    to_slot_start_time: Date,
+    rescheduled_at: Date,
+    rescheduled_by: {
+      type: String,
+      enum: ACTOR_ROLES
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Reschedule reason cannot exceed 500 characters']
+    }
+  }],
   created_at: {
     type: Date,
     default: Date.now
@@ -80,6 +193,7 @@ appointmentSlotSchema.index({ provider_id: 1, slot_start_time: 1 });
 appointmentSlotSchema.index({ status: 1, slot_start_time: 1 });
 appointmentSlotSchema.index({ patient_id: 1 });
 appointmentSlotSchema.index({ appointment_type: 1 });
+appointmentSlotSchema.index({ status: 1, request_expires_at: 1 });
 
 // Static method to validate
 appointmentSlotSchema.statics.validate = function(data) {
@@ -87,33 +201,19 @@ appointmentSlotSchema.statics.validate = function(data) {
 };
 
 // Instance methods
-appointmentSlotSchema.methods.isAvailable = function() {
-  return this.status === 'available';
-};
-
-appointmentSlotSchema.methods.canBeBooked = function() {
-  return this.isAvailable() && this.slot_start_time > new Date();
+appointmentSlotSchema.methods.isOwnedBy = function(patientId) {
+  return !!this.patient_id && this.patient_id.toString() === patientId.toString();
 };
 
-appointmentSlotSchema.methods.book = function(patientId) {
-  if (this.canBeBooked()) {
-    this.status = 'booked';
-    this.patient_id = patientId;
-    this.updated_at = new Date();
-    return true;
+// Pre-validate middleware (runs before the required check on booking_reference)
+appointmentSlotSchema.pre('validate', function(next) {
+  // Generate booking reference if not provided
+  if (!this.booking_reference) {
+    this.booking_reference = `APPT-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
   }
-  return false;
-};
 
-appointmentSlotSchema.methods.cancel = function() {
-  if (this.status === 'booked') {
-    this.status = 'available';
-    this.patient_id = null;
-    this.updated_at = new Date();
-    return true;
-  }
-  return false;
-};
+  next();
+});
 
 // Pre-save middleware
 appointmentSlotSchema.pre('save', function(next) {
@@ -123,11 +223,6 @@ appointmentSlotSchema.pre('save', function(next) {
     }
   }
   
-  // Generate booking reference if not provided
-  if (!this.booking_reference) {
-    this.booking_reference = `APPT-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
-  }
-  
   next();
 });
 
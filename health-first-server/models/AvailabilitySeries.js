@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+const Joi = require('joi');
+const { parseRRule } = require('../utils/recurrenceUtils');
+const { MAX_BUFFER_MINUTES } = require('../utils/schedulingRules');
+const { geoPointSchema } = require('./GeoPoint');
+
+const timePattern = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+// Fields that change when and how slots are generated; editing them regenerates occurrences
+const SCHEDULE_FIELDS = ['start_time', 'end_time', 'slot_duration', 'break_duration'];
+const RECURRENCE_FIELDS = ['recurrence_rule', 'recurrence_exdate', 'recurrence_end_date'];
+
+// Joi validation schema for series edits
+const availabilitySeriesUpdateSchema = Joi.object({
+  scope: Joi.string().valid('this', 'following', 'all').required(),
+  occurrence_date: Joi.string().pattern(datePattern).when('scope', {
+    is: Joi.valid('this', 'following'),
+    then: Joi.required()
+  }),
+  start_time: Joi.string().pattern(timePattern),
+  end_time: Joi.string().pattern(timePattern),
+  slot_duration: Joi.number().integer().min(15).max(480),
+  break_duration: Joi.number().integer().min(0).max(60),
+  max_appointments_per_slot: Joi.number().integer().min(1).max(10),
+  appointment_type: Joi.string().valid('consultation', 'follow_up', 'emergency', 'telemedicine'),
+  location: Joi.object({
+    type: Joi.string().valid('clinic', 'hospital', 'telemedicine', 'home_visit').required(),
+    address: Joi.string().max(500),
+    room_number: Joi.string().max(50)
+  }),
+  pricing: Joi.object({
+    base_fee: Joi.number().positive().required(),
+    insurance_accepted: Joi.boolean().default(false),
+    currency: Joi.string().length(3).default('USD')
+  }),
+  cancellation_policy: Joi.object({
+    window_hours: Joi.number().integer().min(0).max(720).allow(null),
+    late_cancel_fee: Joi.number().min(0).allow(null),
+    no_show_fee: Joi.number().min(0).allow(null)
+  }),
+  booking_mode: Joi.string().valid('instant', 'request').allow(null),
+  scheduling_rules: Joi.object({
+    min_notice_hours: Joi.number().integer().min(0).max(720).allow(null),
+    max_advance_days: Joi.number().integer().min(1).max(730).allow(null),
+    buffer_after_minutes: Joi.number().integer().min(0).max(MAX_BUFFER_MINUTES).allow(null)
+  }),
+  special_requirements: Joi.array().items(Joi.string().max(200)),
+  notes: Joi.string().max(500),
+  recurrence_rule: Joi.string().max(500).custom((value, helpers) => {
+    try {
+      parseRRule(value);
+    } catch (error) {
+      return helpers.message(`Invalid recurrence rule: ${error.message}`);
+    }
+    return value;
+  }),
+  recurrence_exdate: Joi.alternatives().try(
+    Joi.string().max(5000),
+    Joi.array().items(Joi.alternatives().try(Joi.string(), Joi.date())).max(366)
+  ),
+  recurrence_end_date: Joi.date()
+});
+
+// Mongoose schema
+const availabilitySeriesSchema = new mongoose.Schema({
+  provider_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Provider',
+    required: [true, 'Provider ID is required'],
+    index: true
+  },
+  // DTSTART of the series, as a local date stored at UTC midnight
+  start_date: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  start_time: {
+    type: String,
+    required: [true, 'Start time is required'],
+    match: [timePattern, 'Start time must be in HH:mm format']
+  },
+  end_time: {
+    type: String,
+    required: [true, 'End time is required'],
+    match: [timePattern, 'End time must be in HH:mm format']
+  },
+  timezone: {
+    type: String,
+    required: [true, 'Timezone is required']
+  },
+  recurrence_rule: {
+    type: String,
+    required: [true, 'Recurrence rule is required'],
+    maxlength: [500, 'Recurrence rule cannot exceed 500 characters']
+  },
+  recurrence_exdate: [{
+    type: String,
+    match: [datePattern, 'Excluded dates must be in YYYY-MM-DD format']
+  }],
+  recurrence_end_date: {
+    type: Date
+  },
+  slot_duration: {
+    type: Number,
+    default: 30
+  },
+  break_duration: {
+    type: Number,
+    default: 0
+  },
+  max_appointments_per_slot: {
+    type: Number,
+    default: 1
+  },
+  appointment_type: {
+    type: String,
+    enum: ['consultation', 'follow_up', 'emergency', 'telemedicine'],
+    default: 'consultation'
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['clinic', 'hospital', 'telemedicine', 'home_visit']
+    },
+    address: String,
+    room_number: String,
+    geo: {
+      type: geoPointSchema,
+      default: undefined
+    }
+  },
+  pricing: {
+    base_fee: Number,
+    insurance_accepted: {
+      type: Boolean,
+      default: false
+    },
+    currency: {
+      type: String,
+      default: 'USD'
+    }
+  },
+  cancellation_policy: {
+    window_hours: Number,
+    late_cancel_fee: Number,
+    no_show_fee: Number
+  },
+  booking_mode: {
+    type: String,
+    enum: ['instant', 'request'],
+    default: null
+  },
+  scheduling_rules: {
+    min_notice_hours: Number,
+    max_advance_days: Number,
+    buffer_after_minutes: Number
+  },
+  special_requirements: [String],
+  notes: String,
+  // Set when a "this and following" edit split this series off another one
+  parent_series_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AvailabilitySeries'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Instance methods
+availabilitySeriesSchema.methods.isOwnedBy = function(providerId) {
+  return this.provider_id.toString() === providerId.toString();
+};
+
+/**
+ * Availability fields shared by every slot generated from this series
+ */
+availabilitySeriesSchema.methods.toSlotTemplate = function() {
+  return {
+    provider_id: this.provider_id,
+    series_id: this._id,
+    timezone: this.timezone,
+    start_time: this.start_time,
+    end_time: this.end_time,
+    slot_duration: this.slot_duration,
+    break_duration: this.break_duration,
+    is_recurring: true,
+    recurrence_rule: this.recurrence_rule,
+    recurrence_exdate: this.recurrence_exdate,
+    recurrence_end_date: this.recurrence_end_date,
+    max_appointments_per_slot: this.max_appointments_per_slot,
+    appointment_type: this.appointment_type,
+    location: this.location,
+    pricing: this.pricing,
+    cancellation_policy: this.cancellation_policy,
+    booking_mode: this.booking_mode,
+    scheduling_rules: this.scheduling_rules,
+    special_requirements: this.special_requirements,
+    notes: this.notes
+  };
+};
+
+const AvailabilitySeries = mongoose.model('AvailabilitySeries', availabilitySeriesSchema);
+
+module.exports = {
+  AvailabilitySeries,
+  availabilitySeriesUpdateSchema,
+  SCHEDULE_FIELDS,
+  RECURRENCE_FIELDS
+};
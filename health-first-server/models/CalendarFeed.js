@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const OWNER_TYPES = ['provider', 'patient'];
+
+// Mongoose schema. Only a hash of the feed token is stored, so a leaked database
+// does not leak working feed URLs; the token itself is shown once when it is created.
+const calendarFeedSchema = new mongoose.Schema({
+  owner_type: {
+    type: String,
+    enum: OWNER_TYPES,
+    required: [true, 'Owner type is required']
+  },
+  owner_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Owner ID is required']
+  },
+  token_hash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  last_accessed_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// One feed per provider or patient; creating a new one replaces the old token
+calendarFeedSchema.index({ owner_type: 1, owner_id: 1 }, { unique: true });
+
+const CalendarFeed = mongoose.model('CalendarFeed', calendarFeedSchema);
+
+module.exports = {
+  CalendarFeed,
+  OWNER_TYPES
+};
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// GeoJSON point ([longitude, latitude]) for 2dsphere indexes. Fields using it default
+// to undefined, as a point without coordinates cannot be indexed.
+const geoPointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    required: true
+  },
+  coordinates: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: function(value) {
+        return value.length === 2 &&
+          Math.abs(value[0]) <= 180 &&
+          Math.abs(value[1]) <= 90;
+      },
+      message: 'Coordinates must be [longitude, latitude]'
+    }
+  }
+}, { _id: false });
+
+module.exports = { geoPointSchema };
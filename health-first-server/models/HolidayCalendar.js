@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const { ValidationError } = require('../utils/errors');
+
+const HOLIDAY_OWNER_TYPES = ['organization', 'location'];
+
+// Most holidays one calendar may list
+const MAX_HOLIDAYS = 1000;
+
+const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+// Mongoose schema. An organization calendar applies to every provider; a location
+// calendar applies to providers whose clinic is in its state (and city, if set).
+// Holidays are local calendar dates: slots on those dates are not generated or shown.
+const holidayCalendarSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  owner_type: {
+    type: String,
+    enum: HOLIDAY_OWNER_TYPES,
+    required: [true, 'Owner type is required']
+  },
+  location: {
+    city: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'City name cannot exceed 100 characters']
+    },
+    state: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'State name cannot exceed 50 characters']
+    }
+  },
+  holidays: {
+    type: [{
+      _id: false,
+      date: {
+        type: String,
+        required: [true, 'Holiday date is required'],
+        match: [datePattern, 'Holiday dates must be in YYYY-MM-DD format']
+      },
+      name: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Holiday name cannot exceed 200 characters']
+      }
+    }],
+    validate: {
+      validator: holidays => holidays.length <= MAX_HOLIDAYS,
+      message: `A calendar cannot list more than ${MAX_HOLIDAYS} holidays`
+    }
+  },
+  // Provider who set the calendar up; only they can change it
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Provider',
+    required: [true, 'Creator is required']
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Index for finding calendars with holidays in a date range
+holidayCalendarSchema.index({ 'holidays.date': 1 });
+
+// Pre-validate middleware
+holidayCalendarSchema.pre('validate', function(next) {
+  if (this.owner_type === 'location' && !this.location?.state) {
+    return next(new ValidationError('A location calendar needs a state'));
+  }
+
+  next();
+});
+
+// Instance methods
+holidayCalendarSchema.methods.isOwnedBy = function(providerId) {
+  return this.created_by.toString() === providerId.toString();
+};
+
+/**
+ * Whether the calendar applies to a provider, by the provider's clinic address
+ */
+holidayCalendarSchema.methods.appliesTo = function(provider) {
+  if (this.owner_type === 'organization') {
+    return true;
+  }
+
+  const address = provider.clinic_address || {};
+  const same = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+  return same(this.location.state, address.state) &&
+    (!this.location.city || same(this.location.city, address.city));
+};
+
+const HolidayCalendar = mongoose.model('HolidayCalendar', holidayCalendarSchema);
+
+module.exports = {
+  HolidayCalendar,
+  HOLIDAY_OWNER_TYPES,
+  MAX_HOLIDAYS
+};
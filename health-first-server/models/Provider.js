@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const Joi = require('joi');
+const { MAX_BUFFER_MINUTES } = require('../utils/schedulingRules');
+const { geoPointSchema } = require('./GeoPoint');
 
 // MongoDB Schema for Provider
 const providerSchema = new mongoose.Schema({
@@ -87,8 +89,18 @@ const providerSchema = new mongoose.Schema({
       required: [true, 'ZIP code is required'],
       trim: true,
       match: [/^\d{5}(-\d{4})?$/, 'ZIP code must be in valid format (e.g., 12345 or 12345-6789)']
+    },
+    // Geocoded from the address when the provider registers
+    geo: {
+      type: geoPointSchema,
+      default: undefined
     }
   },
+  bio: {
+    type: String,
+    maxlength: [2000, 'Bio cannot exceed 2000 characters'],
+    trim: true
+  },
   verification_status: {
     type: String,
     enum: ['pending', 'verified', 'rejected'],
@@ -97,6 +109,82 @@ const providerSchema = new mongoose.Schema({
   is_active: {
     type: Boolean,
     default: true
+  },
+  // Set by operators, never through registration
+  is_admin: {
+    type: Boolean,
+    default: false
+  },
+  // Rules patients must follow when changing their bookings
+  booking_policy: {
+    allow_reschedule: {
+      type: Boolean,
+      default: true
+    },
+    reschedule_notice_hours: {
+      type: Number,
+      min: [0, 'Reschedule notice cannot be negative'],
+      max: [720, 'Reschedule notice cannot exceed 720 hours'],
+      default: 24
+    },
+    // null means no limit
+    max_reschedules: {
+      type: Number,
+      min: [0, 'Maximum reschedules cannot be negative'],
+      max: [20, 'Maximum reschedules cannot exceed 20'],
+      default: null
+    },
+    // Patients cancelling less than this many hours before the start pay the late-cancel fee
+    cancellation_window_hours: {
+      type: Number,
+      min: [0, 'Cancellation window cannot be negative'],
+      max: [720, 'Cancellation window cannot exceed 720 hours'],
+      default: 0
+    },
+    late_cancel_fee: {
+      type: Number,
+      min: [0, 'Late-cancel fee cannot be negative'],
+      default: 0
+    },
+    no_show_fee: {
+      type: Number,
+      min: [0, 'No-show fee cannot be negative'],
+      default: 0
+    },
+    // 'request' bookings wait for the provider's approval
+    booking_mode: {
+      type: String,
+      enum: ['instant', 'request'],
+      default: 'instant'
+    },
+    // How long the provider has to answer a booking request
+    request_expiry_hours: {
+      type: Number,
+      min: [1, 'Request expiry must be at least 1 hour'],
+      max: [168, 'Request expiry cannot exceed 168 hours'],
+      default: 24
+    },
+    // No bookings for visits starting sooner than this
+    min_notice_hours: {
+      type: Number,
+      min: [0, 'Minimum notice cannot be negative'],
+      max: [720, 'Minimum notice cannot exceed 720 hours'],
+      default: 0
+    },
+    // No bookings for visits further out than this; null means no limit
+    max_advance_days: {
+      type: Number,
+      min: [1, 'Booking horizon must be at least 1 day'],
+      max: [730, 'Booking horizon cannot exceed 730 days'],
+      default: null
+    },
+    // Free time kept after each booked visit, per appointment type
+    buffer_minutes: {
+      consultation: { type: Number, min: 0, max: MAX_BUFFER_MINUTES, default: 0 },
+      follow_up: { type: Number, min: 0, max: MAX_BUFFER_MINUTES, default: 0 },
+      emergency: { type: Number, min: 0, max: MAX_BUFFER_MINUTES, default: 0 },
+      telemedicine: { type: Number, min: 0, max: MAX_BUFFER_MINUTES, default: 0 }
+    }
   }
 }, {
   timestamps: true, // Automatically adds createdAt and updatedAt
@@ -111,6 +199,22 @@ const providerSchema = new mongoose.Schema({
 // Create indexes for better performance (only the ones not already defined in schema)
 providerSchema.index({ verification_status: 1 });
 providerSchema.index({ createdAt: -1 });
+providerSchema.index({ 'clinic_address.geo': '2dsphere' });
+// Full-text search; a name or specialization match outranks a city, state or bio match
+providerSchema.index(
+  {
+    first_name: 'text',
+    last_name: 'text',
+    specialization: 'text',
+    'clinic_address.city': 'text',
+    'clinic_address.state': 'text',
+    bio: 'text'
+  },
+  {
+    name: 'provider_text_search',
+    weights: { first_name: 8, last_name: 10, specialization: 8, 'clinic_address.city': 4, 'clinic_address.state': 2, bio: 1 }
+  }
+);
 
 // Joi validation schema for Provider registration (for API validation)
 const providerValidationSchema = Joi.object({
@@ -256,7 +360,15 @@ const providerValidationSchema = Joi.object({
       })
   }).required().messages({
     'any.required': 'Clinic address is required'
-  })
+  }),
+
+  bio: Joi.string()
+    .max(2000)
+    .trim()
+    .allow('')
+    .messages({
+      'string.max': 'Bio cannot exceed 2000 characters'
+    })
 });
 
 // Create the Mongoose model
@@ -278,6 +390,7 @@ providerSchema.methods.getPublicProfile = function() {
     license_number: this.license_number,
     years_of_experience: this.years_of_experience,
     clinic_address: this.clinic_address,
+    bio: this.bio,
     verification_status: this.verification_status,
     is_active: this.is_active,
     created_at: this.createdAt
@@ -1,6 +1,28 @@
 const mongoose = require('mongoose');
 const Joi = require('joi');
 const { isValidTimezone } = require('../utils/timezoneUtils');
+const { parseRRule } = require('../utils/recurrenceUtils');
+const { MAX_BUFFER_MINUTES } = require('../utils/schedulingRules');
+const { geoPointSchema } = require('./GeoPoint');
+
+// Fields a provider may change on a single slot; seat counts, ownership and the
+// recurrence link are managed by the booking and series flows
+const EDITABLE_FIELDS = [
+  'date',
+  'start_time',
+  'end_time',
+  'timezone',
+  'status',
+  'max_appointments_per_slot',
+  'appointment_type',
+  'location',
+  'pricing',
+  'cancellation_policy',
+  'booking_mode',
+  'scheduling_rules',
+  'special_requirements',
+  'notes'
+];
 
 // Joi validation schema
 const providerAvailabilityValidationSchema = Joi.object({
@@ -16,6 +38,18 @@ const providerAvailabilityValidationSchema = Joi.object({
   }, 'Invalid timezone').required(),
   is_recurring: Joi.boolean().default(false),
   recurrence_pattern: Joi.string().valid('daily', 'weekly', 'monthly'),
+  recurrence_rule: Joi.string().max(500).custom((value, helpers) => {
+    try {
+      parseRRule(value);
+    } catch (error) {
+      return helpers.message(`Invalid recurrence rule: ${error.message}`);
+    }
+    return value;
+  }),
+  recurrence_exdate: Joi.alternatives().try(
+    Joi.string().max(5000),
+    Joi.array().items(Joi.alternatives().try(Joi.string(), Joi.date())).max(366)
+  ),
   recurrence_end_date: Joi.date().min('now'),
   slot_duration: Joi.number().integer().min(15).max(480).default(30),
   break_duration: Joi.number().integer().min(0).max(60).default(0),
@@ -33,6 +67,17 @@ const providerAvailabilityValidationSchema = Joi.object({
     insurance_accepted: Joi.boolean().default(false),
     currency: Joi.string().length(3).default('USD')
   }).required(),
+  cancellation_policy: Joi.object({
+    window_hours: Joi.number().integer().min(0).max(720).allow(null),
+    late_cancel_fee: Joi.number().min(0).allow(null),
+    no_show_fee: Joi.number().min(0).allow(null)
+  }),
+  booking_mode: Joi.string().valid('instant', 'request').allow(null),
+  scheduling_rules: Joi.object({
+    min_notice_hours: Joi.number().integer().min(0).max(720).allow(null),
+    max_advance_days: Joi.number().integer().min(1).max(730).allow(null),
+    buffer_after_minutes: Joi.number().integer().min(0).max(MAX_BUFFER_MINUTES).allow(null)
+  }),
   special_requirements: Joi.array().items(Joi.string().max(200)),
   notes: Joi.string().max(500)
 });
@@ -88,10 +133,25 @@ const providerAvailabilitySchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Series this slot was generated from, when recurring
+  series_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AvailabilitySeries'
+  },
   recurrence_pattern: {
     type: String,
     enum: ['daily', 'weekly', 'monthly']
   },
+  // RFC 5545 RRULE value the slot was expanded from (shorthand patterns are stored as rules too)
+  recurrence_rule: {
+    type: String,
+    maxlength: [500, 'Recurrence rule cannot exceed 500 characters']
+  },
+  // Excluded dates (YYYY-MM-DD) of the recurrence
+  recurrence_exdate: [{
+    type: String,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Excluded dates must be in YYYY-MM-DD format']
+  }],
   recurrence_end_date: {
     type: Date
   },
@@ -123,6 +183,12 @@ const providerAvailabilitySchema = new mongoose.Schema({
     min: 0,
     default: 0
   },
+  // Seats reserved by active holds (e.g. waitlist offers); they count against max_appointments_per_slot
+  held_appointments: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   appointment_type: {
     type: String,
     enum: ['consultation', 'follow_up', 'emergency', 'telemedicine'],
@@ -141,6 +207,11 @@ const providerAvailabilitySchema = new mongoose.Schema({
     room_number: {
       type: String,
       maxlength: [50, 'Room number cannot exceed 50 characters']
+    },
+    // Geocoded from the address; telemedicine and unknown addresses have none
+    geo: {
+      type: geoPointSchema,
+      default: undefined
     }
   },
   pricing: {
@@ -159,6 +230,52 @@ const providerAvailabilitySchema = new mongoose.Schema({
       default: 'USD'
     }
   },
+  // Overrides the provider's booking policy for this slot; null falls back to it
+  cancellation_policy: {
+    window_hours: {
+      type: Number,
+      min: [0, 'Cancellation window cannot be negative'],
+      max: [720, 'Cancellation window cannot exceed 720 hours'],
+      default: null
+    },
+    late_cancel_fee: {
+      type: Number,
+      min: [0, 'Late-cancel fee cannot be negative'],
+      default: null
+    },
+    no_show_fee: {
+      type: Number,
+      min: [0, 'No-show fee cannot be negative'],
+      default: null
+    }
+  },
+  // Overrides the provider's booking mode for this slot; null falls back to it
+  booking_mode: {
+    type: String,
+    enum: ['instant', 'request'],
+    default: null
+  },
+  // Overrides the provider's scheduling rules for this slot; null falls back to them
+  scheduling_rules: {
+    min_notice_hours: {
+      type: Number,
+      min: [0, 'Minimum notice cannot be negative'],
+      max: [720, 'Minimum notice cannot exceed 720 hours'],
+      default: null
+    },
+    max_advance_days: {
+      type: Number,
+      min: [1, 'Booking horizon must be at least 1 day'],
+      max: [730, 'Booking horizon cannot exceed 730 days'],
+      default: null
+    },
+    buffer_after_minutes: {
+      type: Number,
+      min: [0, 'Buffer cannot be negative'],
+      max: [MAX_BUFFER_MINUTES, `Buffer cannot exceed ${MAX_BUFFER_MINUTES} minutes`],
+      default: null
+    }
+  },
   special_requirements: [{
     type: String,
     maxlength: [200, 'Special requirement cannot exceed 200 characters']
@@ -174,11 +291,15 @@ const providerAvailabilitySchema = new mongoose.Schema({
 // Indexes
 providerAvailabilitySchema.index({ provider_id: 1, date: 1 });
 providerAvailabilitySchema.index({ date: 1, status: 1 });
+// Search: open slots in a date range, in date and start time order
+providerAvailabilitySchema.index({ status: 1, date: 1, start_time: 1 });
 providerAvailabilitySchema.index({ appointment_type: 1 });
 providerAvailabilitySchema.index({ 'location.type': 1 });
+providerAvailabilitySchema.index({ 'location.geo': '2dsphere' });
 providerAvailabilitySchema.index({ 'pricing.insurance_accepted': 1 });
 providerAvailabilitySchema.index({ utc_start_time: 1, utc_end_time: 1 });
 providerAvailabilitySchema.index({ provider_id: 1, utc_start_time: 1, utc_end_time: 1 });
+providerAvailabilitySchema.index({ series_id: 1, date: 1 });
 
 // Static method to validate
 providerAvailabilitySchema.statics.validate = function(data) {
@@ -188,11 +309,17 @@ providerAvailabilitySchema.statics.validate = function(data) {
 // Instance methods
 providerAvailabilitySchema.methods.isAvailable = function() {
   return this.status === 'available' && 
-         this.current_appointments < this.max_appointments_per_slot;
+         this.current_appointments + (this.held_appointments || 0) < this.max_appointments_per_slot;
 };
 
+// The provider's scheduling rules (notice, horizon, buffers) are checked by BookingPolicyService
 providerAvailabilitySchema.methods.canBeBooked = function() {
-  return this.isAvailable() && this.date >= new Date();
+  return this.isAvailable() && (this.utc_start_time || this.date) >= new Date();
+};
+
+// Seats still open to new bookings; seats held during another patient's checkout are taken
+providerAvailabilitySchema.methods.getAvailableSeats = function() {
+  return Math.max(this.max_appointments_per_slot - this.current_appointments - (this.held_appointments || 0), 0);
 };
 
 providerAvailabilitySchema.methods.incrementAppointments = function() {
@@ -283,5 +410,6 @@ const ProviderAvailability = mongoose.model('ProviderAvailability', providerAvai
 
 module.exports = {
   ProviderAvailability,
-  providerAvailabilityValidationSchema
+  providerAvailabilityValidationSchema,
+  EDITABLE_FIELDS
 }; 
\ No newline at end of file
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const HOLD_SOURCES = ['waitlist', 'checkout'];
+const HOLD_STATUSES = ['active', 'confirmed', 'expired', 'released'];
+
+// Mongoose schema. A hold reserves one seat on an availability (counted in its
+// held_appointments) for one patient until it is confirmed into a booking,
+// released, or runs past expires_at.
+const slotHoldSchema = new mongoose.Schema({
+  availability_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProviderAvailability',
+    required: [true, 'Availability ID is required'],
+    index: true
+  },
+  provider_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Provider',
+    required: [true, 'Provider ID is required']
+  },
+  patient_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Patient ID is required'],
+    index: true
+  },
+  source: {
+    type: String,
+    enum: HOLD_SOURCES,
+    required: [true, 'Hold source is required']
+  },
+  waitlist_entry_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WaitlistEntry',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: HOLD_STATUSES,
+    default: 'active'
+  },
+  expires_at: {
+    type: Date,
+    required: [true, 'Expiry time is required']
+  },
+  ended_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Expiry sweeps look for active holds past their expiry time
+slotHoldSchema.index({ status: 1, expires_at: 1 });
+
+// Instance methods
+slotHoldSchema.methods.isActive = function() {
+  return this.status === 'active' && this.expires_at > new Date();
+};
+
+const SlotHold = mongoose.model('SlotHold', slotHoldSchema);
+
+module.exports = {
+  SlotHold,
+  HOLD_SOURCES,
+  HOLD_STATUSES
+};
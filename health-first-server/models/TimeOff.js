@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { isValidTimezone, localToUTC } = require('../utils/timezoneUtils');
+const { ValidationError } = require('../utils/errors');
+
+const TIME_OFF_REASONS = ['vacation', 'sick_leave', 'conference', 'personal', 'other'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Mongoose schema. A time off period covers whole local days from start_date through
+// end_date in the provider's timezone; starts_at and ends_at hold the same range as
+// UTC instants so it can be compared with availability slots.
+const timeOffSchema = new mongoose.Schema({
+  provider_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Provider',
+    required: [true, 'Provider ID is required']
+  },
+  start_date: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  end_date: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  timezone: {
+    type: String,
+    required: [true, 'Timezone is required'],
+    validate: {
+      validator: function(value) {
+        return isValidTimezone(value);
+      },
+      message: 'Invalid timezone'
+    }
+  },
+  starts_at: {
+    type: Date,
+    required: [true, 'UTC start is required']
+  },
+  ends_at: {
+    type: Date,
+    required: [true, 'UTC end is required']
+  },
+  reason: {
+    type: String,
+    enum: TIME_OFF_REASONS,
+    default: 'other'
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Index for finding the time off of providers overlapping an interval
+timeOffSchema.index({ provider_id: 1, starts_at: 1, ends_at: 1 });
+
+// Pre-validate middleware
+timeOffSchema.pre('validate', function(next) {
+  if (!this.start_date || !this.end_date || !this.timezone) {
+    return next();
+  }
+
+  if (this.end_date < this.start_date) {
+    return next(new ValidationError('End date must be on or after start date'));
+  }
+
+  try {
+    // From midnight of the first day to midnight after the last day, local time
+    const dayAfterEnd = new Date(this.end_date.getTime() + DAY_MS);
+    this.starts_at = localToUTC('00:00', this.start_date.toISOString().split('T')[0], this.timezone);
+    this.ends_at = localToUTC('00:00', dayAfterEnd.toISOString().split('T')[0], this.timezone);
+  } catch (error) {
+    return next(new ValidationError(`Timezone conversion failed: ${error.message}`));
+  }
+
+  next();
+});
+
+// Instance methods
+timeOffSchema.methods.isOwnedBy = function(providerId) {
+  return this.provider_id.toString() === providerId.toString();
+};
+
+const TimeOff = mongoose.model('TimeOff', timeOffSchema);
+
+module.exports = {
+  TimeOff,
+  TIME_OFF_REASONS
+};
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const WAITLIST_STATUSES = ['waiting', 'offered', 'booked', 'cancelled', 'expired'];
+
+// Entries that still take part in the queue
+const ACTIVE_WAITLIST_STATUSES = ['waiting', 'offered'];
+
+// Mongoose schema. An entry waits either for one availability slot, or for any slot
+// of a provider dated within [start_date, end_date]. Entries are served first come,
+// first served; an offered entry holds a seat until its offer expires.
+const waitlistEntrySchema = new mongoose.Schema({
+  patient_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Patient ID is required'],
+    index: true
+  },
+  provider_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Provider',
+    required: [true, 'Provider ID is required']
+  },
+  availability_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProviderAvailability',
+    default: null
+  },
+  start_date: {
+    type: Date,
+    default: null
+  },
+  end_date: {
+    type: Date,
+    default: null
+  },
+  appointment_type: {
+    type: String,
+    enum: ['consultation', 'follow_up', 'emergency', 'telemedicine', null],
+    default: null
+  },
+  status: {
+    type: String,
+    enum: WAITLIST_STATUSES,
+    default: 'waiting'
+  },
+  offer: {
+    hold_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SlotHold'
+    },
+    availability_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProviderAvailability'
+    },
+    expires_at: Date
+  },
+  // Slots the patient turned down; range entries are not offered them again
+  declined_availability_ids: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProviderAvailability'
+  }],
+  booking_reference: {
+    type: String,
+    default: null
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Indexes for finding the next entry to serve
+waitlistEntrySchema.index({ status: 1, availability_id: 1, created_at: 1 });
+waitlistEntrySchema.index({ status: 1, provider_id: 1, created_at: 1 });
+
+// Pre-validate middleware
+waitlistEntrySchema.pre('validate', function(next) {
+  if (!this.availability_id) {
+    if (!this.start_date || !this.end_date) {
+      return next(new Error('Either an availability or a date range is required'));
+    }
+    if (this.end_date < this.start_date) {
+      return next(new Error('End date must be on or after start date'));
+    }
+  }
+
+  next();
+});
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+module.exports = {
+  WaitlistEntry,
+  WAITLIST_STATUSES,
+  ACTIVE_WAITLIST_STATUSES
+};
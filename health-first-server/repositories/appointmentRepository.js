@@ -0,0 +1,292 @@
+const { AppointmentSlot } = require('../models/AppointmentSlot');
+const { ACTIVE_APPOINTMENT_STATUSES, RESCHEDULABLE_STATUSES } = require('../utils/appointmentLifecycle');
+const { DatabaseError, ValidationError } = require('../utils/errors');
+const { cursorQuery, cursorPage, paginationDetails } = require('../utils/cursorPagination');
+
+// Sort of appointment lists, soonest visit first
+const BY_SLOT_START = { slot_start_time: 1, _id: 1 };
+
+class AppointmentRepository {
+  constructor() {
+    this.model = AppointmentSlot;
+  }
+
+  /**
+   * Create new appointment
+   * @param {Object} appointmentData - Appointment data
+   * @returns {Promise<Object>} Created appointment
+   */
+  async create(appointmentData) {
+    try {
+      const appointment = new this.model(appointmentData);
+      const savedAppointment = await appointment.save();
+      return savedAppointment;
+    } catch (error) {
+      throw new DatabaseError(`Failed to create appointment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find appointment by booking reference
+   * @param {string} bookingReference - Booking reference
+   * @returns {Promise<Object|null>} Appointment object or null
+   */
+  async findByReference(bookingReference) {
+    try {
+      const appointment = await this.model.findOne({ booking_reference: bookingReference })
+        .populate('provider_id', 'first_name last_name email specialization')
+        .populate('availability_id', 'date start_time end_time timezone location pricing cancellation_policy');
+      return appointment;
+    } catch (error) {
+      throw new DatabaseError(`Failed to find appointment by reference: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find appointments by patient ID
+   * @param {string} patientId - Patient ID
+   * @param {Object} options - Query options; a cursor from a previous page replaces page
+   * @returns {Promise<Object>} Appointments with pagination
+   */
+  async findByPatientId(patientId, options = {}) {
+    try {
+      const { status, upcomingOnly = false, page = 1, limit = 50, cursor } = options;
+
+      const query = { patient_id: patientId };
+
+      if (status) {
+        query.status = status;
+      }
+
+      if (upcomingOnly) {
+        query.slot_start_time = { $gte: new Date() };
+      }
+
+      const result = await this.findPage(query, { page, limit, cursor }, found =>
+        found.populate('provider_id', 'first_name last_name email specialization')
+      );
+
+      return {
+        appointments: result.items,
+        pagination: result.pagination
+      };
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to find appointments by patient ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find booking requests waiting for a provider's answer, soonest visit first
+   * @param {string} providerId - Provider ID
+   * @param {Object} options - { page, limit } or { cursor, limit }
+   * @returns {Promise<Object>} Requests with pagination
+   */
+  async findPendingRequests(providerId, options = {}) {
+    try {
+      const { page = 1, limit = 50, cursor } = options;
+      const query = { provider_id: providerId, status: 'requested' };
+
+      const result = await this.findPage(query, { page, limit, cursor }, found =>
+        found.populate('availability_id', 'date start_time end_time timezone location')
+      );
+
+      return {
+        requests: result.items,
+        pagination: result.pagination
+      };
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to find booking requests: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a page of appointments, soonest visit first, by page number or cursor
+   * @param {Object} query - Filter
+   * @param {Object} options - { page, limit, cursor }
+   * @param {Function} populate - Adds populates to the find query
+   * @returns {Promise<Object>} { items, pagination }
+   */
+  async findPage(query, { page, limit, cursor }, populate) {
+    const plan = cursorQuery(BY_SLOT_START, cursor);
+
+    const found = await populate(this.model.find(plan.condition ? { $and: [query, plan.condition] } : query))
+      .sort(plan.sort)
+      .skip(cursor ? 0 : (page - 1) * limit)
+      .limit(limit + 1);
+
+    const total = await this.model.countDocuments(query);
+    const result = cursorPage(found, BY_SLOT_START, { limit, backwards: plan.backwards, hasPrevious: Boolean(cursor) || page > 1 });
+
+    return {
+      items: result.items,
+      pagination: paginationDetails({ cursor, page, limit, total }, result)
+    };
+  }
+
+  /**
+   * Find booking requests that ran past their expiry time, oldest first
+   * @param {number} limit - Maximum number of requests
+   * @returns {Promise<Array>} Expired requests
+   */
+  async findExpiredRequests(limit = 100) {
+    try {
+      return await this.model.find({ status: 'requested', request_expires_at: { $lte: new Date() } })
+        .sort({ request_expires_at: 1 })
+        .limit(limit);
+    } catch (error) {
+      throw new DatabaseError(`Failed to find expired booking requests: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find appointments starting in a time range, for calendar feeds
+   * @param {Object} filter - { provider_id } or { patient_id }
+   * @param {Object} range - { from, to } as Dates
+   * @returns {Promise<Array>} Appointments with provider and availability populated
+   */
+  async findInRange(filter, range) {
+    try {
+      const appointments = await this.model.find({
+        ...filter,
+        slot_start_time: { $gte: range.from, $lte: range.to }
+      })
+        .populate('provider_id', 'first_name last_name specialization')
+        .populate('availability_id', 'timezone location')
+        .sort({ slot_start_time: 1 });
+      return appointments;
+    } catch (error) {
+      throw new DatabaseError(`Failed to find appointments in range: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a provider's requested or confirmed appointments whose visit overlaps a
+   * UTC interval, soonest first
+   * @param {string} providerId - Provider ID
+   * @param {Date} from - Interval start (UTC)
+   * @param {Date} to - Interval end (UTC)
+   * @returns {Promise<Array>} Appointments with patient populated
+   */
+  async findScheduledOverlapping(providerId, from, to) {
+    try {
+      const appointments = await this.model.find({
+        provider_id: providerId,
+        status: { $in: RESCHEDULABLE_STATUSES },
+        slot_start_time: { $lt: to },
+        slot_end_time: { $gt: from }
+      })
+        .populate('patient_id', 'first_name last_name email phone_number')
+        .sort({ slot_start_time: 1 });
+      return appointments;
+    } catch (error) {
+      throw new DatabaseError(`Failed to find appointments in time off: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a patient's upcoming appointment on an availability slot
+   * @param {string} availabilityId - Availability ID
+   * @param {string} patientId - Patient ID
+   * @returns {Promise<Object|null>} Appointment object or null
+   */
+  async findActiveByAvailabilityAndPatient(availabilityId, patientId) {
+    try {
+      const appointment = await this.model.findOne({
+        availability_id: availabilityId,
+        patient_id: patientId,
+        status: { $in: ACTIVE_APPOINTMENT_STATUSES }
+      }).sort({ booked_at: -1 });
+      return appointment;
+    } catch (error) {
+      throw new DatabaseError(`Failed to find appointment for availability: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the appointments on an availability slot with their patients, in booking order
+   * @param {string} availabilityId - Availability ID
+   * @param {Array<string>} statuses - Appointment statuses to include
+   * @returns {Promise<Array>} Appointments with patient populated
+   */
+  async findByAvailability(availabilityId, statuses) {
+    try {
+      const appointments = await this.model.find({
+        availability_id: availabilityId,
+        status: { $in: statuses }
+      })
+        .populate('patient_id', 'first_name last_name email phone_number')
+        .sort({ booked_at: 1 });
+      return appointments;
+    } catch (error) {
+      throw new DatabaseError(`Failed to find appointments for availability: ${error.message}`);
+    }
+  }
+
+  /**
+   * Atomically update an appointment that is still in the given status. Two
+   * concurrent status changes of the same appointment cannot both succeed.
+   * @param {string} id - Appointment ID
+   * @param {string} fromStatus - Status the appointment must still have
+   * @param {Object} update - MongoDB update
+   * @returns {Promise<Object|null>} Updated appointment, or null if its status changed
+   */
+  async updateIfStatus(id, fromStatus, update) {
+    try {
+      const appointment = await this.model.findOneAndUpdate(
+        { _id: id, status: fromStatus },
+        update,
+        { new: true, runValidators: true }
+      ).populate('provider_id', 'first_name last_name email specialization');
+      return appointment;
+    } catch (error) {
+      throw new DatabaseError(`Failed to update appointment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Atomically move an upcoming appointment to another availability slot and record the
+   * move. The update only applies while the appointment can still be rescheduled and is
+   * on the slot it is moved from, so a concurrent cancel or reschedule makes it a no-op.
+   * @param {string} id - Appointment ID
+   * @param {string} fromAvailabilityId - Availability the appointment is booked on
+   * @param {Object} target - { availability_id, slot_start_time, slot_end_time }
+   * @param {Object} historyEntry - Reschedule history entry
+   * @returns {Promise<Object|null>} Moved appointment, or null if it changed in the meantime
+   */
+  async moveIfScheduled(id, fromAvailabilityId, target, historyEntry) {
+    try {
+      const appointment = await this.model.findOneAndUpdate(
+        { _id: id, status: { $in: RESCHEDULABLE_STATUSES }, availability_id: fromAvailabilityId },
+        {
+          $set: target,
+          $push: { reschedule_history: historyEntry }
+        },
+        { new: true, runValidators: true }
+      ).populate('provider_id', 'first_name last_name email specialization');
+      return appointment;
+    } catch (error) {
+      throw new DatabaseError(`Failed to reschedule appointment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save changes made to an appointment document
+   * @param {Object} appointment - Appointment document
+   * @returns {Promise<Object>} Saved appointment
+   */
+  async save(appointment) {
+    try {
+      return await appointment.save();
+    } catch (error) {
+      throw new DatabaseError(`Failed to save appointment: ${error.message}`);
+    }
+  }
+}
+
+module.exports = AppointmentRepository;
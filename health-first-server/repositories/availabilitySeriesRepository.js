@@ -0,0 +1,66 @@
+const { AvailabilitySeries } = require('../models/AvailabilitySeries');
+const { DatabaseError } = require('../utils/errors');
+
+class AvailabilitySeriesRepository {
+  constructor() {
+    this.model = AvailabilitySeries;
+  }
+
+  /**
+   * Create new series
+   * @param {Object} seriesData - Series data
+   * @returns {Promise<Object>} Created series
+   */
+  async create(seriesData) {
+    try {
+      const series = new this.model(seriesData);
+      const savedSeries = await series.save();
+      return savedSeries;
+    } catch (error) {
+      throw new DatabaseError(`Failed to create availability series: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find series by ID
+   * @param {string} id - Series ID
+   * @returns {Promise<Object|null>} Series object or null
+   */
+  async findById(id) {
+    try {
+      const series = await this.model.findById(id);
+      return series;
+    } catch (error) {
+      throw new DatabaseError(`Failed to find availability series by ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save changes made to a series document
+   * @param {Object} series - Series document
+   * @returns {Promise<Object>} Saved series
+   */
+  async save(series) {
+    try {
+      return await series.save();
+    } catch (error) {
+      throw new DatabaseError(`Failed to save availability series: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete series by ID
+   * @param {string} id - Series ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteById(id) {
+    try {
+      const result = await this.model.findByIdAndDelete(id);
+      return !!result;
+    } catch (error) {
+      throw new DatabaseError(`Failed to delete availability series: ${error.message}`);
+    }
+  }
+}
+
+module.exports = AvailabilitySeriesRepository;
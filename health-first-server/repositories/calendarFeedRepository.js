@@ -0,0 +1,63 @@
+const { CalendarFeed } = require('../models/CalendarFeed');
+const { DatabaseError } = require('../utils/errors');
+
+class CalendarFeedRepository {
+  constructor() {
+    this.model = CalendarFeed;
+  }
+
+  /**
+   * Create the feed of an owner, or replace its token if it already has one
+   * @param {string} ownerType - 'provider' or 'patient'
+   * @param {string} ownerId - Provider or patient ID
+   * @param {string} tokenHash - Hash of the new feed token
+   * @returns {Promise<Object>} Feed
+   */
+  async upsertForOwner(ownerType, ownerId, tokenHash) {
+    try {
+      const feed = await this.model.findOneAndUpdate(
+        { owner_type: ownerType, owner_id: ownerId },
+        { token_hash: tokenHash, last_accessed_at: null },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+      return feed;
+    } catch (error) {
+      throw new DatabaseError(`Failed to save calendar feed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a feed by token hash and record the access
+   * @param {string} tokenHash - Hash of the feed token
+   * @returns {Promise<Object|null>} Feed or null
+   */
+  async findByTokenHash(tokenHash) {
+    try {
+      const feed = await this.model.findOneAndUpdate(
+        { token_hash: tokenHash },
+        { last_accessed_at: new Date() },
+        { new: true }
+      );
+      return feed;
+    } catch (error) {
+      throw new DatabaseError(`Failed to find calendar feed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete the feed of an owner
+   * @param {string} ownerType - 'provider' or 'patient'
+   * @param {string} ownerId - Provider or patient ID
+   * @returns {Promise<boolean>} True if a feed was deleted
+   */
+  async deleteForOwner(ownerType, ownerId) {
+    try {
+      const result = await this.model.deleteOne({ owner_type: ownerType, owner_id: ownerId });
+      return result.deletedCount > 0;
+    } catch (error) {
+      throw new DatabaseError(`Failed to delete calendar feed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = CalendarFeedRepository;
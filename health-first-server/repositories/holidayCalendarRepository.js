@@ -0,0 +1,105 @@
+const { HolidayCalendar } = require('../models/HolidayCalendar');
+const { DatabaseError, ValidationError, toValidationError } = require('../utils/errors');
+
+class HolidayCalendarRepository {
+  constructor() {
+    this.model = HolidayCalendar;
+  }
+
+  /**
+   * Create a holiday calendar
+   * @param {Object} calendarData - Calendar data
+   * @returns {Promise<Object>} Created calendar
+   */
+  async create(calendarData) {
+    try {
+      const calendar = new this.model(calendarData);
+      return await calendar.save();
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      if (error.name === 'ValidationError') {
+        throw toValidationError(error);
+      }
+      throw new DatabaseError(`Failed to create holiday calendar: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a holiday calendar by ID
+   * @param {string} id - Calendar ID
+   * @returns {Promise<Object|null>} Calendar or null
+   */
+  async findById(id) {
+    try {
+      return await this.model.findById(id);
+    } catch (error) {
+      throw new DatabaseError(`Failed to find holiday calendar: ${error.message}`);
+    }
+  }
+
+  /**
+   * List all holiday calendars by name
+   * @returns {Promise<Array>} Calendars
+   */
+  async findAll() {
+    try {
+      return await this.model.find().sort({ name: 1 });
+    } catch (error) {
+      throw new DatabaseError(`Failed to find holiday calendars: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find calendars with at least one holiday in a date range
+   * @param {string} from - First date (YYYY-MM-DD)
+   * @param {string} to - Last date (YYYY-MM-DD)
+   * @returns {Promise<Array>} Calendars
+   */
+  async findWithHolidaysBetween(from, to) {
+    try {
+      return await this.model.find({
+        holidays: { $elemMatch: { date: { $gte: from, $lte: to } } }
+      });
+    } catch (error) {
+      throw new DatabaseError(`Failed to find holiday calendars: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace the holidays of a calendar
+   * @param {string} id - Calendar ID
+   * @param {Array<Object>} holidays - Holidays: { date, name }
+   * @returns {Promise<Object|null>} Updated calendar
+   */
+  async replaceHolidays(id, holidays) {
+    try {
+      return await this.model.findByIdAndUpdate(
+        id,
+        { $set: { holidays } },
+        { new: true, runValidators: true }
+      );
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        throw toValidationError(error);
+      }
+      throw new DatabaseError(`Failed to update holiday calendar: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a holiday calendar
+   * @param {string} id - Calendar ID
+   * @returns {Promise<Object|null>} Deleted calendar
+   */
+  async deleteById(id) {
+    try {
+      return await this.model.findByIdAndDelete(id);
+    } catch (error) {
+      throw new DatabaseError(`Failed to delete holiday calendar: ${error.message}`);
+    }
+  }
+}
+
+module.exports = HolidayCalendarRepository;
@@ -188,12 +188,12 @@ class PatientRepository {
   /**
    * Search patients by various criteria
    * @param {string} searchTerm - Search term
-   * @param {Object} options - Search options
+   * @param {Object} options - Search options (limit, skip, sort, and a condition results must also meet)
    * @returns {Promise<Array>} Array of matching patients
    */
   async search(searchTerm, options = {}) {
     try {
-      const { limit = 50, skip = 0 } = options;
+      const { limit = 50, skip = 0, sort = { created_at: -1 }, condition = null } = options;
       
       const searchQuery = {
         $or: [
@@ -205,10 +205,10 @@ class PatientRepository {
         is_active: true
       };
       
-      const patients = await this.model.find(searchQuery)
+      const patients = await this.model.find(condition ? { $and: [searchQuery, condition] } : searchQuery)
         .limit(limit)
         .skip(skip)
-        .sort({ created_at: -1 })
+        .sort(sort)
         .select('-password_hash');
       
       return patients;
@@ -1,6 +1,82 @@
 const { ProviderAvailability } = require('../models/ProviderAvailability');
-const { DatabaseError, NotFoundError, ConflictError } = require('../utils/errors');
-const { generateTimeSlots } = require('../utils/timezoneUtils');
+const { Provider } = require('../models/Provider');
+const { TimeOff } = require('../models/TimeOff');
+const { DatabaseError, NotFoundError, ConflictError, ValidationError } = require('../utils/errors');
+const { generateTimeSlots, localToUTC } = require('../utils/timezoneUtils');
+const { toGeoPoint, withinRadius, metersToKm } = require('../utils/geoUtils');
+const { escapeRegex } = require('../utils/textSearch');
+const { cursorQuery, cursorPage, paginationDetails } = require('../utils/cursorPagination');
+const {
+  MAX_BUFFER_MINUTES,
+  resolveSchedulingRules,
+  getBookingWindowError,
+  isWithinBuffer
+} = require('../utils/schedulingRules');
+
+// Seats taken by bookings plus seats reserved by holds
+const SEATS_TAKEN = { $add: ['$current_appointments', { $ifNull: ['$held_appointments', 0] }] };
+
+// Slots without bookings or held seats, which series edits may change or remove
+const UNCLAIMED_SLOT = { current_appointments: 0, held_appointments: { $not: { $gt: 0 } } };
+
+const BOOKED_TIME_CHANGE_MESSAGE = 'Cannot change the time of availability with existing appointments';
+
+// Provider fields search results are populated with
+const SEARCH_PROVIDER_FIELDS = 'first_name last_name email specialization years_of_experience rating booking_policy clinic_address';
+
+// Minutes after midnight of a slot's local start time ("HH:mm")
+const LOCAL_START_MINUTES = {
+  $let: {
+    vars: { parts: { $split: ['$start_time', ':'] } },
+    in: {
+      $add: [
+        { $multiply: [{ $toInt: { $arrayElemAt: ['$$parts', 0] } }, 60] },
+        { $toInt: { $arrayElemAt: ['$$parts', 1] } }
+      ]
+    }
+  }
+};
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const APPOINTMENT_TYPES = ['consultation', 'follow_up', 'emergency', 'telemedicine'];
+
+/**
+ * Buffer after a slot, as an aggregation expression: the slot's own rule, else its
+ * provider's buffer for its appointment type (see resolveSchedulingRules)
+ * @param {string} rules - Path of the slot's scheduling_rules
+ * @param {string} appointmentType - Path of the slot's appointment_type
+ * @param {string} policyBuffers - Path of the provider's booking_policy.buffer_minutes
+ * @returns {Object} Expression for the buffer in minutes
+ */
+const bufferAfterMinutes = (rules, appointmentType, policyBuffers) => ({
+  $ifNull: [
+    `${rules}.buffer_after_minutes`,
+    {
+      $ifNull: [
+        {
+          $switch: {
+            branches: APPOINTMENT_TYPES.map(type => ({ case: { $eq: [appointmentType, type] }, then: `${policyBuffers}.${type}` })),
+            default: null
+          }
+        },
+        0
+      ]
+    }
+  ]
+});
+
+/**
+ * Match text anywhere in a field, ignoring case, as a literal string
+ * @param {string} text - Text to look for
+ * @returns {Object} $regex condition
+ */
+const containsText = (text) => ({
+  $regex: escapeRegex(text),
+  $options: 'i'
+});
 
 class ProviderAvailabilityRepository {
   constructor() {
@@ -15,15 +91,11 @@ class ProviderAvailabilityRepository {
   async create(availabilityData) {
     try {
       // Check for conflicts
-      const hasConflict = await this.checkForConflicts(
-        availabilityData.provider_id,
-        availabilityData.date,
-        availabilityData.start_time,
-        availabilityData.end_time
-      );
+      const { utcStartTime, utcEndTime } = this.getUTCInterval(availabilityData);
+      const conflicts = await this.checkForConflicts(availabilityData.provider_id, utcStartTime, utcEndTime);
 
-      if (hasConflict) {
-        throw new ConflictError('Time slot conflicts with existing availability');
+      if (conflicts.length > 0) {
+        throw new ConflictError('Time slot conflicts with existing availability', this.formatConflicts(conflicts));
       }
 
       const availability = new this.model(availabilityData);
@@ -85,6 +157,27 @@ class ProviderAvailabilityRepository {
     }
   }
 
+  /**
+   * Open a cursor over a provider's availability in a date range, so large
+   * ranges can be streamed without loading every slot into memory
+   * @param {string} providerId - Provider ID
+   * @param {Object} range - { startDate, endDate }
+   * @returns {Object} Mongoose query cursor of plain availability objects
+   */
+  streamByProviderId(providerId, range) {
+    try {
+      return this.model.find({
+        provider_id: providerId,
+        date: { $gte: new Date(range.startDate), $lte: new Date(range.endDate) }
+      })
+        .sort({ date: 1, start_time: 1 })
+        .lean()
+        .cursor();
+    } catch (error) {
+      throw new DatabaseError(`Failed to stream availability: ${error.message}`);
+    }
+  }
+
   /**
    * Update availability by ID
    * @param {string} id - Availability ID
@@ -93,40 +186,82 @@ class ProviderAvailabilityRepository {
    */
   async updateById(id, updateData) {
     try {
+      const filter = { _id: id };
+
       // Check for conflicts if time is being updated
-      if (updateData.start_time || updateData.end_time || updateData.date) {
+      const timeChanged = Boolean(updateData.start_time || updateData.end_time || updateData.date || updateData.timezone);
+      if (timeChanged) {
         const existing = await this.findById(id);
         if (!existing) {
           throw new NotFoundError('Availability not found');
         }
 
-        const startTime = updateData.start_time || existing.start_time;
-        const endTime = updateData.end_time || existing.end_time;
-        const date = updateData.date || existing.date;
+        // Appointments keep a copy of the slot times, so a slot with booked or held
+        // seats keeps its time
+        if (existing.current_appointments > 0) {
+          throw new ConflictError(BOOKED_TIME_CHANGE_MESSAGE);
+        }
+        if (existing.held_appointments > 0) {
+          throw new ConflictError('Cannot change the time of availability while a seat is held');
+        }
+        Object.assign(filter, UNCLAIMED_SLOT);
+
+        const { utcStartTime, utcEndTime } = this.getUTCInterval({
+          date: updateData.date || existing.date,
+          start_time: updateData.start_time || existing.start_time,
+          end_time: updateData.end_time || existing.end_time,
+          timezone: updateData.timezone || existing.timezone
+        });
 
-        const hasConflict = await this.checkForConflicts(
-          existing.provider_id,
-          date,
-          startTime,
-          endTime,
+        const conflicts = await this.checkForConflicts(
+          existing.provider_id._id || existing.provider_id,
+          utcStartTime,
+          utcEndTime,
           id // Exclude current availability from conflict check
         );
 
-        if (hasConflict) {
-          throw new ConflictError('Time slot conflicts with existing availability');
+        if (conflicts.length > 0) {
+          throw new ConflictError('Time slot conflicts with existing availability', this.formatConflicts(conflicts));
         }
+
+        // findOneAndUpdate skips save hooks, so keep the stored UTC times in step
+        updateData = { ...updateData, utc_start_time: utcStartTime, utc_end_time: utcEndTime };
+      }
+
+      const capacityChanged = updateData.max_appointments_per_slot !== undefined;
+      if (capacityChanged) {
+        // Capacity can never drop below the seats already booked or held
+        filter.$expr = { $lte: [SEATS_TAKEN, parseInt(updateData.max_appointments_per_slot)] };
       }
 
-      const availability = await this.model.findByIdAndUpdate(
-        id,
+      const availability = await this.model.findOneAndUpdate(
+        filter,
         updateData,
         { new: true, runValidators: true }
       ).populate('provider_id', 'first_name last_name email specialization years_of_experience rating');
 
       if (!availability) {
+        if ((timeChanged || capacityChanged) && await this.model.exists({ _id: id })) {
+          // Booked or held since the checks above
+          throw new ConflictError(timeChanged
+            ? BOOKED_TIME_CHANGE_MESSAGE
+            : 'Max appointments per slot cannot be lower than the seats already taken');
+        }
         throw new NotFoundError('Availability not found');
       }
 
+      // Booked and available follow the seat count: a slot is booked only once its
+      // last seat is taken
+      if (capacityChanged || ['available', 'booked'].includes(updateData.status)) {
+        const synced = await this.updateCapacity(
+          { _id: id, status: { $in: ['available', 'booked'] } },
+          {}
+        );
+        if (synced) {
+          availability.status = synced.status;
+        }
+      }
+
       return availability;
     } catch (error) {
       if (error instanceof NotFoundError || error instanceof ConflictError) {
@@ -139,10 +274,9 @@ class ProviderAvailabilityRepository {
   /**
    * Delete availability by ID
    * @param {string} id - Availability ID
-   * @param {boolean} deleteRecurring - Whether to delete recurring slots
    * @returns {Promise<boolean>} Success status
    */
-  async deleteById(id, deleteRecurring = false) {
+  async deleteById(id) {
     try {
       const availability = await this.findById(id);
       
@@ -155,21 +289,12 @@ class ProviderAvailabilityRepository {
         throw new ConflictError('Cannot delete availability with existing appointments');
       }
 
-      if (deleteRecurring && availability.is_recurring) {
-        // Delete all recurring slots
-        const result = await this.model.deleteMany({
-          provider_id: availability.provider_id,
-          is_recurring: true,
-          recurrence_pattern: availability.recurrence_pattern,
-          start_time: availability.start_time,
-          end_time: availability.end_time
-        });
-        return result.deletedCount > 0;
-      } else {
-        // Delete single slot
-        const result = await this.model.findByIdAndDelete(id);
-        return !!result;
+      if (availability.held_appointments > 0) {
+        throw new ConflictError('Cannot delete availability while a seat is held');
       }
+
+      const result = await this.model.findByIdAndDelete(id);
+      return !!result;
     } catch (error) {
       if (error instanceof NotFoundError || error instanceof ConflictError) {
         throw error;
@@ -179,7 +304,533 @@ class ProviderAvailabilityRepository {
   }
 
   /**
-   * Search availability slots
+   * Build the query for slots of a series, optionally limited to dates
+   * @param {string} seriesId - Series ID
+   * @param {Object} range - { fromDate, dates }
+   * @returns {Object} MongoDB query
+   */
+  buildSeriesQuery(seriesId, range = {}) {
+    const query = { series_id: seriesId };
+
+    if (range.dates) {
+      query.date = { $in: range.dates.map(date => new Date(date)) };
+    } else if (range.fromDate) {
+      query.date = { $gte: new Date(range.fromDate) };
+    }
+
+    return query;
+  }
+
+  /**
+   * Count slots of a series, and how many of them hold appointments or held seats
+   * @param {string} seriesId - Series ID
+   * @param {Object} range - { fromDate, dates }
+   * @returns {Promise<Object>} { total, booked }
+   */
+  async countBySeries(seriesId, range = {}) {
+    try {
+      const query = this.buildSeriesQuery(seriesId, range);
+
+      const [total, booked] = await Promise.all([
+        this.model.countDocuments(query),
+        this.model.countDocuments({
+          ...query,
+          $or: [{ current_appointments: { $gt: 0 } }, { held_appointments: { $gt: 0 } }]
+        })
+      ]);
+
+      return { total, booked };
+    } catch (error) {
+      throw new DatabaseError(`Failed to count series slots: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the distinct local dates a series has slots on
+   * @param {string} seriesId - Series ID
+   * @returns {Promise<Array<string>>} Dates as YYYY-MM-DD
+   */
+  async findSeriesDates(seriesId) {
+    try {
+      const dates = await this.model.distinct('date', { series_id: seriesId });
+      return dates
+        .map(date => date.toISOString().split('T')[0])
+        .sort();
+    } catch (error) {
+      throw new DatabaseError(`Failed to find series dates: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update slots of a series that hold no appointments or held seats. The booked check is part
+   * of the update filter, so a slot booked concurrently is left untouched.
+   * @param {string} seriesId - Series ID
+   * @param {Object} range - { fromDate, dates }
+   * @param {Object} updateData - Fields to set
+   * @returns {Promise<number>} Number of updated slots
+   */
+  async updateUnbookedInSeries(seriesId, range, updateData) {
+    try {
+      const result = await this.model.updateMany(
+        { ...this.buildSeriesQuery(seriesId, range), ...UNCLAIMED_SLOT },
+        { $set: updateData },
+        { runValidators: true }
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      throw new DatabaseError(`Failed to update series slots: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete slots of a series that hold no appointments or held seats
+   * @param {string} seriesId - Series ID
+   * @param {Object} range - { fromDate, dates }
+   * @returns {Promise<number>} Number of deleted slots
+   */
+  async deleteUnbookedInSeries(seriesId, range = {}) {
+    try {
+      const result = await this.model.deleteMany({
+        ...this.buildSeriesQuery(seriesId, range),
+        ...UNCLAIMED_SLOT
+      });
+      return result.deletedCount;
+    } catch (error) {
+      throw new DatabaseError(`Failed to delete series slots: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move slots from one series to another, booked ones included
+   * @param {string} fromSeriesId - Current series ID
+   * @param {string} toSeriesId - New series ID
+   * @param {Object} range - { fromDate, dates }
+   * @param {Object} updateData - Extra fields to set on the moved slots
+   * @returns {Promise<number>} Number of moved slots
+   */
+  async reassignSeries(fromSeriesId, toSeriesId, range, updateData = {}) {
+    try {
+      const result = await this.model.updateMany(
+        this.buildSeriesQuery(fromSeriesId, range),
+        { $set: { ...updateData, series_id: toSeriesId } }
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      throw new DatabaseError(`Failed to move series slots: ${error.message}`);
+    }
+  }
+
+  /**
+   * Atomically take one seat on an availability. The capacity check and the
+   * increment happen in a single conditional update, so concurrent bookings
+   * can never push booked plus held seats past max_appointments_per_slot.
+   * @param {string} id - Availability ID
+   * @returns {Promise<Object|null>} Updated availability, or null if no seat was free
+   */
+  async reserveCapacity(id) {
+    try {
+      return await this.updateCapacity(
+        { _id: id, status: 'available', $expr: { $lt: [SEATS_TAKEN, '$max_appointments_per_slot'] } },
+        { booked: 1 }
+      );
+    } catch (error) {
+      throw new DatabaseError(`Failed to reserve availability capacity: ${error.message}`);
+    }
+  }
+
+  /**
+   * Atomically give one seat back on an availability
+   * @param {string} id - Availability ID
+   * @returns {Promise<Object|null>} Updated availability, or null if nothing was booked
+   */
+  async releaseCapacity(id) {
+    try {
+      return await this.updateCapacity(
+        { _id: id, current_appointments: { $gt: 0 } },
+        { booked: -1 }
+      );
+    } catch (error) {
+      throw new DatabaseError(`Failed to release availability capacity: ${error.message}`);
+    }
+  }
+
+  /**
+   * Atomically reserve one free seat for a hold
+   * @param {string} id - Availability ID
+   * @returns {Promise<Object|null>} Updated availability, or null if no seat was free
+   */
+  async holdCapacity(id) {
+    try {
+      return await this.updateCapacity(
+        { _id: id, status: 'available', $expr: { $lt: [SEATS_TAKEN, '$max_appointments_per_slot'] } },
+        { held: 1 }
+      );
+    } catch (error) {
+      throw new DatabaseError(`Failed to hold availability capacity: ${error.message}`);
+    }
+  }
+
+  /**
+   * Atomically give a held seat back
+   * @param {string} id - Availability ID
+   * @returns {Promise<Object|null>} Updated availability, or null if no seat was held
+   */
+  async releaseHeldCapacity(id) {
+    try {
+      return await this.updateCapacity(
+        { _id: id, held_appointments: { $gt: 0 } },
+        { held: -1 }
+      );
+    } catch (error) {
+      throw new DatabaseError(`Failed to release held capacity: ${error.message}`);
+    }
+  }
+
+  /**
+   * Atomically turn a held seat into a booked one
+   * @param {string} id - Availability ID
+   * @returns {Promise<Object|null>} Updated availability, or null if no seat was held
+   */
+  async confirmHeldCapacity(id) {
+    try {
+      return await this.updateCapacity(
+        { _id: id, held_appointments: { $gt: 0 } },
+        { held: -1, booked: 1 }
+      );
+    } catch (error) {
+      throw new DatabaseError(`Failed to confirm held capacity: ${error.message}`);
+    }
+  }
+
+  /**
+   * Atomically turn a booked seat into a held one, so a cancelled seat can be
+   * passed to the next waitlisted patient without anyone else taking it first
+   * @param {string} id - Availability ID
+   * @returns {Promise<Object|null>} Updated availability, or null if nothing was booked
+   */
+  async convertBookingToHold(id) {
+    try {
+      return await this.updateCapacity(
+        { _id: id, current_appointments: { $gt: 0 } },
+        { booked: -1, held: 1 }
+      );
+    } catch (error) {
+      throw new DatabaseError(`Failed to convert booked capacity to a hold: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apply seat changes to an availability matching a filter, and keep the status in
+   * step: a full slot becomes `booked`, and a `booked` slot with a free seat becomes
+   * `available` again
+   * @param {Object} filter - Conditions the availability must meet
+   * @param {Object} changes - { booked, held } seat deltas
+   * @returns {Promise<Object|null>} Updated availability, or null if the filter did not match
+   */
+  async updateCapacity(filter, changes) {
+    const { booked = 0, held = 0 } = changes;
+
+    return this.model.findOneAndUpdate(
+      filter,
+      [
+        {
+          $set: {
+            current_appointments: { $add: ['$current_appointments', booked] },
+            held_appointments: { $add: [{ $ifNull: ['$held_appointments', 0] }, held] }
+          }
+        },
+        {
+          $set: {
+            status: {
+              $switch: {
+                branches: [
+                  {
+                    case: { $and: [{ $eq: ['$status', 'available'] }, { $gte: [SEATS_TAKEN, '$max_appointments_per_slot'] }] },
+                    then: 'booked'
+                  },
+                  {
+                    case: { $and: [{ $eq: ['$status', 'booked'] }, { $lt: [SEATS_TAKEN, '$max_appointments_per_slot'] }] },
+                    then: 'available'
+                  }
+                ],
+                default: '$status'
+              }
+            }
+          }
+        }
+      ],
+      { new: true }
+    );
+  }
+
+  /**
+   * Query for the slot filters shared by the availability searches
+   * @param {Object} criteria - appointmentType, locationType, location, insuranceAccepted, maxPrice, timezone
+   * @returns {Object} Query
+   */
+  buildSearchQuery(criteria) {
+    const { appointmentType, locationType, location, insuranceAccepted, maxPrice, timezone } = criteria;
+    const query = {};
+
+    if (appointmentType) {
+      query.appointment_type = appointmentType;
+    }
+
+    if (locationType) {
+      query['location.type'] = locationType;
+    }
+
+    if (location) {
+      query['location.address'] = containsText(location);
+    }
+
+    if (insuranceAccepted !== undefined) {
+      query['pricing.insurance_accepted'] = insuranceAccepted;
+    }
+
+    if (maxPrice) {
+      query['pricing.base_fee'] = { $lte: maxPrice };
+    }
+
+    if (timezone) {
+      query.timezone = timezone;
+    }
+
+    return query;
+  }
+
+  /**
+   * Aggregation stages keeping slots whose provider's specialization matches; only the
+   * provider's ID is carried along
+   * @param {string} specialization - Specialization text, or nothing to keep every slot
+   * @returns {Array} Pipeline stages
+   */
+  matchingProviderStages(specialization) {
+    if (!specialization) {
+      return [];
+    }
+
+    return [
+      {
+        $lookup: {
+          from: Provider.collection.name,
+          let: { providerId: '$provider_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$_id', '$$providerId'] }, specialization: containsText(specialization) } },
+            { $project: { _id: 1 } }
+          ],
+          as: 'matching_provider'
+        }
+      },
+      { $match: { 'matching_provider.0': { $exists: true } } }
+    ];
+  }
+
+  /**
+   * Aggregation stages adding the fields of each slot's provider that search filters
+   * need as `slot_provider`
+   * @param {Object} projection - Provider fields to add
+   * @returns {Array} Pipeline stages
+   */
+  slotProviderStages(projection) {
+    return [
+      {
+        $lookup: {
+          from: Provider.collection.name,
+          let: { providerId: '$provider_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$_id', '$$providerId'] } } },
+            { $project: projection }
+          ],
+          as: 'slot_provider'
+        }
+      },
+      { $addFields: { slot_provider: { $arrayElemAt: ['$slot_provider', 0] } } }
+    ];
+  }
+
+  /**
+   * Aggregation stages leaving out slots that overlap time off of their provider
+   * @returns {Array} Pipeline stages
+   */
+  timeOffStages() {
+    return [
+      {
+        $lookup: {
+          from: TimeOff.collection.name,
+          let: { providerId: '$provider_id', start: '$utc_start_time', end: '$utc_end_time' },
+          pipeline: [
+            {
+              $match: {
+                $expr: {
+                  $and: [
+                    { $eq: ['$provider_id', '$$providerId'] },
+                    { $lt: ['$starts_at', '$$end'] },
+                    { $gt: ['$ends_at', '$$start'] }
+                  ]
+                }
+              }
+            },
+            { $limit: 1 },
+            { $project: { _id: 1 } }
+          ],
+          as: 'time_off'
+        }
+      },
+      { $match: { 'time_off.0': { $exists: false } } }
+    ];
+  }
+
+  /**
+   * Aggregation stages leaving out slots on a holiday of their provider. Location
+   * holidays apply to providers whose clinic is in the calendar's state (and city, if
+   * set). Needs slot_provider with its clinic_address.
+   * @param {Array<Object>} holidays - Holiday dates by calendar (see HolidayCalendarService#getHolidayDates)
+   * @returns {Array} Pipeline stages
+   */
+  holidayStages(holidays = []) {
+    if (holidays.length === 0) {
+      return [];
+    }
+
+    const normalized = path => ({ $toLower: { $trim: { input: { $ifNull: [path, ''] } } } });
+    const sameText = (path, text) => ({ $eq: [normalized(path), text.trim().toLowerCase()] });
+
+    return [
+      {
+        $match: {
+          $expr: {
+            $not: [{
+              $or: holidays.map(({ location, dates }) => {
+                // Slot dates are local calendar dates stored at midnight UTC
+                const onHoliday = { $in: ['$date', dates.map(date => new Date(`${date}T00:00:00.000Z`))] };
+
+                if (!location) {
+                  return onHoliday;
+                }
+
+                return {
+                  $and: [
+                    sameText('$slot_provider.clinic_address.state', location.state),
+                    ...(location.city ? [sameText('$slot_provider.clinic_address.city', location.city)] : []),
+                    onHoliday
+                  ]
+                };
+              })
+            }]
+          }
+        }
+      }
+    ];
+  }
+
+  /**
+   * Aggregation stages keeping the slots their scheduling rules let patients book now:
+   * outside the minimum notice, within the booking horizon, and clear of the buffers
+   * around other booked slots of the provider. Same rules as getBookingWindowError and
+   * isWithinBuffer, applied before pagination. Needs slot_provider with its booking_policy.
+   * @param {Date} now - Current time
+   * @returns {Array} Pipeline stages
+   */
+  schedulingRuleStages(now) {
+    const policy = '$slot_provider.booking_policy';
+
+    return [
+      {
+        $addFields: {
+          slot_rules: {
+            min_notice_hours: { $ifNull: ['$scheduling_rules.min_notice_hours', { $ifNull: [`${policy}.min_notice_hours`, 0] }] },
+            max_advance_days: { $ifNull: ['$scheduling_rules.max_advance_days', { $ifNull: [`${policy}.max_advance_days`, null] }] },
+            buffer_minutes: bufferAfterMinutes('$scheduling_rules', '$appointment_type', `${policy}.buffer_minutes`)
+          }
+        }
+      },
+      {
+        $match: {
+          $expr: {
+            $and: [
+              {
+                $or: [
+                  { $lte: ['$slot_rules.min_notice_hours', 0] },
+                  { $gte: ['$utc_start_time', { $add: [now, { $multiply: ['$slot_rules.min_notice_hours', HOUR_MS] }] }] }
+                ]
+              },
+              {
+                $or: [
+                  { $not: ['$slot_rules.max_advance_days'] },
+                  { $lte: ['$utc_start_time', { $add: [now, { $multiply: ['$slot_rules.max_advance_days', DAY_MS] }] }] }
+                ]
+              }
+            ]
+          }
+        }
+      },
+      {
+        // A booked slot of the provider that this slot, or that slot, runs into with
+        // the buffer after it (see isWithinBuffer)
+        $lookup: {
+          from: this.model.collection.name,
+          let: {
+            providerId: '$provider_id',
+            slotId: '$_id',
+            start: '$utc_start_time',
+            bufferedEnd: { $add: ['$utc_end_time', { $multiply: ['$slot_rules.buffer_minutes', MINUTE_MS] }] },
+            policyBuffers: `${policy}.buffer_minutes`
+          },
+          pipeline: [
+            {
+              $match: {
+                status: { $in: ['available', 'booked'] },
+                current_appointments: { $gt: 0 },
+                $expr: {
+                  $and: [
+                    { $eq: ['$provider_id', '$$providerId'] },
+                    { $ne: ['$_id', '$$slotId'] },
+                    { $lt: ['$utc_start_time', '$$bufferedEnd'] },
+                    {
+                      $lt: ['$$start', {
+                        $add: ['$utc_end_time', {
+                          $multiply: [bufferAfterMinutes('$scheduling_rules', '$appointment_type', '$$policyBuffers'), MINUTE_MS]
+                        }]
+                      }]
+                    }
+                  ]
+                }
+              }
+            },
+            { $limit: 1 },
+            { $project: { _id: 1 } }
+          ],
+          as: 'buffer_clash'
+        }
+      },
+      { $match: { 'buffer_clash.0': { $exists: false } } }
+    ];
+  }
+
+  /**
+   * Load search results with their provider, in the order of their IDs
+   * @param {Array} ids - Slot IDs
+   * @returns {Promise<Array>} Slots with provider_id populated
+   */
+  async loadSearchSlots(ids) {
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const order = new Map(ids.map((id, index) => [id.toString(), index]));
+    const slots = await this.model.find({ _id: { $in: ids } }).populate('provider_id', SEARCH_PROVIDER_FIELDS);
+
+    return slots.sort((a, b) => order.get(a._id.toString()) - order.get(b._id.toString()));
+  }
+
+  /**
+   * Search availability slots. Every filter, including the provider's specialization,
+   * time off, the holidays given in searchCriteria and, for open slots, the scheduling
+   * rules, runs in one aggregation before the page is cut, so pages are full and the
+   * total counts every match. The slots of the page are then loaded with their provider.
+   * With `near`, only slots within radiusKm of it are kept, nearest first, and each
+   * carries its distance_km. A `cursor` from a previous page replaces `page`.
    * @param {Object} searchCriteria - Search criteria
    * @param {Object} options - Query options
    * @returns {Promise<Object>} Search results with pagination
@@ -191,18 +842,16 @@ class ProviderAvailabilityRepository {
         startDate,
         endDate,
         specialization,
-        location,
-        appointmentType,
-        insuranceAccepted,
-        maxPrice,
-        timezone,
+        near,
+        radiusKm,
         availableOnly = true,
+        holidays = [],
         page = 1,
-        limit = 50
+        limit = 50,
+        cursor
       } = searchCriteria;
 
-      // Build query
-      const query = {};
+      const query = this.buildSearchQuery(searchCriteria);
 
       // Date filtering
       if (date) {
@@ -214,115 +863,312 @@ class ProviderAvailabilityRepository {
         query.date = { $gte: new Date(startDate), $lte: new Date(endDate) };
       }
 
-      if (appointmentType) {
-        query.appointment_type = appointmentType;
+      if (availableOnly) {
+        query.status = 'available';
+        query.$expr = {
+          $lt: [SEATS_TAKEN, '$max_appointments_per_slot']
+        };
       }
 
-      if (insuranceAccepted !== undefined) {
-        query['pricing.insurance_accepted'] = insuranceAccepted;
-      }
+      // $geoNear must come first; it filters by the query and adds each slot's distance
+      const pipeline = near
+        ? [{
+          $geoNear: {
+            near: toGeoPoint(near),
+            key: 'location.geo',
+            distanceField: 'distance_meters',
+            maxDistance: radiusKm * 1000,
+            spherical: true,
+            query
+          }
+        }]
+        : [{ $match: query }];
 
-      if (maxPrice) {
-        query['pricing.base_fee'] = { $lte: maxPrice };
-      }
+      pipeline.push(
+        ...this.matchingProviderStages(specialization),
+        ...this.timeOffStages()
+      );
 
-      if (timezone) {
-        query.timezone = timezone;
+      if (availableOnly || holidays.length > 0) {
+        pipeline.push(...this.slotProviderStages({ booking_policy: 1, clinic_address: 1 }));
       }
 
+      pipeline.push(...this.holidayStages(holidays));
+
+      // Leave out slots the scheduling rules do not let anyone book right now
       if (availableOnly) {
-        query.status = 'available';
-        // Fix: Use proper MongoDB aggregation for this comparison
-        query.$expr = {
-          $lt: ['$current_appointments', '$max_appointments_per_slot']
-        };
+        pipeline.push(...this.schedulingRuleStages(new Date()));
       }
 
-      // Execute query with pagination
-      const skip = (page - 1) * limit;
-      
-      let availability = await this.model.find(query)
-        .populate('provider_id', 'first_name last_name email specialization years_of_experience rating')
-        .sort({ date: 1, start_time: 1 })
-        .skip(skip)
-        .limit(limit);
-
-      // Filter by specialization if provided
-      if (specialization) {
-        availability = availability.filter(avail => 
-          avail.provider_id.specialization && 
-          avail.provider_id.specialization.toLowerCase().includes(specialization.toLowerCase())
-        );
-      }
+      // Execute query with pagination; a cursor continues after the slot it was made from
+      const sort = { ...(near && { distance_meters: 1 }), date: 1, start_time: 1, _id: 1 };
+      const plan = cursorQuery(sort, cursor);
+      const skip = cursor ? 0 : (page - 1) * limit;
 
-      // Filter by location if provided
-      if (location) {
-        availability = availability.filter(avail => 
-          avail.location.address && 
-          avail.location.address.toLowerCase().includes(location.toLowerCase())
-        );
-      }
+      pipeline.push(
+        { $sort: plan.sort },
+        {
+          $facet: {
+            page: [
+              ...(plan.condition ? [{ $match: plan.condition }] : []),
+              { $skip: skip },
+              { $limit: limit + 1 },
+              { $project: { _id: 1, distance_meters: 1, date: 1, start_time: 1 } }
+            ],
+            total: [{ $count: 'count' }]
+          }
+        }
+      );
+
+      const [{ page: fetched, total: [counted] }] = await this.model.aggregate(pipeline).allowDiskUse(true);
+      const total = counted ? counted.count : 0;
+      const { items: pageSlots, ...cursors } = cursorPage(fetched, sort, {
+        limit,
+        backwards: plan.backwards,
+        hasPrevious: Boolean(cursor) || page > 1
+      });
+
+      const availability = await this.loadSearchSlots(pageSlots.map(slot => slot._id));
 
-      const total = await this.model.countDocuments(query);
+      if (near) {
+        const distances = new Map(pageSlots.map(slot => [slot._id.toString(), slot.distance_meters]));
+        availability.forEach(avail => {
+          avail.distance_km = metersToKm(distances.get(avail._id.toString()));
+        });
+      }
 
       return {
         availability,
-        pagination: {
-          page,
-          limit,
-          total,
-          pages: Math.ceil(total / limit)
-        }
+        pagination: paginationDetails({ cursor, page, limit, total }, cursors)
       };
     } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
       throw new DatabaseError(`Failed to search availability: ${error.message}`);
     }
   }
 
   /**
-   * Check for time conflicts
+   * Query for open slots starting in a time range, for next available searches
+   * @param {Object} criteria - Slot filters (see buildSearchQuery) with from and until (Date),
+   *   and optionally near and radiusKm, and timeWindow ({ startMinutes, endMinutes } of
+   *   the slot's local start time)
+   * @returns {Object} Query
+   */
+  buildOpenSlotQuery(criteria) {
+    const { from, until, near, radiusKm, timeWindow } = criteria;
+    const query = this.buildSearchQuery(criteria);
+
+    query.status = 'available';
+    query.utc_start_time = { $gte: from, $lte: until };
+
+    const conditions = [{ $lt: [SEATS_TAKEN, '$max_appointments_per_slot'] }];
+    if (timeWindow) {
+      conditions.push(
+        { $gte: [LOCAL_START_MINUTES, timeWindow.startMinutes] },
+        { $lt: [LOCAL_START_MINUTES, timeWindow.endMinutes] }
+      );
+    }
+    query.$expr = conditions.length === 1 ? conditions[0] : { $and: conditions };
+
+    if (near) {
+      query['location.geo'] = withinRadius(near, radiusKm);
+    }
+
+    return query;
+  }
+
+  /**
+   * Find the providers with open slots, ordered by their earliest open slot, each with
+   * its first few open slots
+   * @param {Object} criteria - See buildOpenSlotQuery, plus specialization
+   * @param {Object} options - skip and limit (providers), perProvider (slots)
+   * @returns {Promise<Array>} [{ providerId, firstStart, slots }], slots in start order
+   *   with provider_id populated
+   */
+  async findEarliestByProvider(criteria, { skip = 0, limit = 10, perProvider = 10 } = {}) {
+    try {
+      const groups = await this.model.aggregate([
+        { $match: this.buildOpenSlotQuery(criteria) },
+        ...this.matchingProviderStages(criteria.specialization),
+        { $sort: { utc_start_time: 1, _id: 1 } },
+        {
+          $group: {
+            _id: '$provider_id',
+            first_start: { $first: '$utc_start_time' },
+            slot_ids: { $push: '$_id' }
+          }
+        },
+        { $project: { first_start: 1, slot_ids: { $slice: ['$slot_ids', perProvider] } } },
+        { $sort: { first_start: 1, _id: 1 } },
+        { $skip: skip },
+        { $limit: limit }
+      ]).allowDiskUse(true);
+
+      const slots = await this.loadSearchSlots(groups.flatMap(group => group.slot_ids));
+      const byId = new Map(slots.map(slot => [slot._id.toString(), slot]));
+
+      return groups.map(group => ({
+        providerId: group._id,
+        firstStart: group.first_start,
+        slots: group.slot_ids.map(id => byId.get(id.toString())).filter(Boolean)
+      }));
+    } catch (error) {
+      throw new DatabaseError(`Failed to find next available slots: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a provider's next open slots after a start time
+   * @param {Object} criteria - See buildOpenSlotQuery
+   * @param {string} providerId - Provider ID
+   * @param {Date} after - Only slots starting after this time
+   * @param {number} limit - Maximum number of slots
+   * @returns {Promise<Array>} Slots in start order with provider_id populated
+   */
+  async findOpenSlotsAfter(criteria, providerId, after, limit) {
+    try {
+      const query = this.buildOpenSlotQuery(criteria);
+      query.provider_id = providerId;
+      query.utc_start_time = { $gt: after, $lte: criteria.until };
+
+      return await this.model.find(query)
+        .sort({ utc_start_time: 1, _id: 1 })
+        .limit(limit)
+        .populate('provider_id', SEARCH_PROVIDER_FIELDS);
+    } catch (error) {
+      throw new DatabaseError(`Failed to find next available slots: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drop loaded slots that are inside their minimum notice, past their booking
+   * horizon or too close to another booked slot of the same provider
+   * @param {Array} availability - Slots with provider_id populated with its booking policy
+   * @returns {Promise<Array>} Slots that can be booked
+   */
+  async filterBySchedulingRules(availability) {
+    const rulesOf = avail => resolveSchedulingRules(avail, avail.provider_id?.booking_policy);
+    const open = availability.filter(avail => !getBookingWindowError(avail.utc_start_time, rulesOf(avail)));
+
+    if (open.length === 0) {
+      return open;
+    }
+
+    // One query for the booked slots near every result, matched up per provider below
+    const providerIdOf = avail => (avail.provider_id._id || avail.provider_id).toString();
+    const bufferMs = MAX_BUFFER_MINUTES * 60 * 1000;
+    const booked = await this.findBookedBetween(
+      [...new Set(open.map(providerIdOf))],
+      new Date(Math.min(...open.map(avail => avail.utc_start_time.getTime())) - bufferMs),
+      new Date(Math.max(...open.map(avail => avail.utc_end_time.getTime())) + bufferMs)
+    );
+
+    return open.filter(avail => {
+      const policy = avail.provider_id?.booking_policy;
+      const bufferMinutes = rulesOf(avail).bufferMinutes;
+
+      return !booked.some(neighbour =>
+        neighbour.provider_id.toString() === providerIdOf(avail) &&
+        !neighbour._id.equals(avail._id) &&
+        isWithinBuffer(avail, bufferMinutes, neighbour, resolveSchedulingRules(neighbour, policy).bufferMinutes)
+      );
+    });
+  }
+
+  /**
+   * Find slots with bookings of some providers that overlap a UTC interval, to
+   * check the buffers kept around booked visits
+   * @param {Array<string>} providerIds - Provider IDs
+   * @param {Date} from - Interval start (UTC)
+   * @param {Date} to - Interval end (UTC)
+   * @param {Array<string>} excludeIds - Availability IDs to leave out
+   * @returns {Promise<Array>} Booked slots
+   */
+  async findBookedBetween(providerIds, from, to, excludeIds = []) {
+    try {
+      return await this.model.find({
+        _id: { $nin: excludeIds },
+        provider_id: { $in: providerIds },
+        status: { $in: ['available', 'booked'] },
+        current_appointments: { $gt: 0 },
+        utc_start_time: { $lt: to },
+        utc_end_time: { $gt: from }
+      })
+        .select('provider_id appointment_type utc_start_time utc_end_time scheduling_rules')
+        .lean();
+    } catch (error) {
+      throw new DatabaseError(`Failed to find booked availability: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find availability of a provider overlapping a UTC interval. Comparing UTC
+   * instants catches overlaps between slots published in different timezones
+   * and blocks that cross midnight. Intervals are half-open, so back-to-back
+   * slots do not conflict.
    * @param {string} providerId - Provider ID
-   * @param {Date} date - Date
-   * @param {string} startTime - Start time
-   * @param {string} endTime - End time
-   * @param {string} excludeId - ID to exclude from check
-   * @returns {Promise<boolean>} True if conflict exists
+   * @param {Date} utcStartTime - Interval start (UTC)
+   * @param {Date} utcEndTime - Interval end (UTC)
+   * @param {string} excludeId - Availability ID to exclude
+   * @returns {Promise<Array>} Conflicting availability slots
    */
-  async checkForConflicts(providerId, date, startTime, endTime, excludeId = null) {
+  async checkForConflicts(providerId, utcStartTime, utcEndTime, excludeId = null) {
     try {
       const query = {
         provider_id: providerId,
-        date: date,
-        $or: [
-          // New slot starts during existing slot
-          {
-            start_time: { $lte: startTime },
-            end_time: { $gt: startTime }
-          },
-          // New slot ends during existing slot
-          {
-            start_time: { $lt: endTime },
-            end_time: { $gte: endTime }
-          },
-          // New slot completely contains existing slot
-          {
-            start_time: { $gte: startTime },
-            end_time: { $lte: endTime }
-          }
-        ]
+        utc_start_time: { $lt: utcEndTime },
+        utc_end_time: { $gt: utcStartTime }
       };
 
       if (excludeId) {
         query._id = { $ne: excludeId };
       }
 
-      const conflicts = await this.model.find(query);
-      return conflicts.length > 0;
+      const conflicts = await this.model.find(query)
+        .select('date start_time end_time timezone utc_start_time utc_end_time status')
+        .sort({ utc_start_time: 1 })
+        .lean();
+      return conflicts;
     } catch (error) {
       throw new DatabaseError(`Failed to check for conflicts: ${error.message}`);
     }
   }
 
+  /**
+   * Resolve the UTC interval of availability given in local time
+   * @param {Object} availabilityData - { date, start_time, end_time, timezone }
+   * @returns {Object} { utcStartTime, utcEndTime }
+   */
+  getUTCInterval(availabilityData) {
+    const localDate = new Date(availabilityData.date).toISOString().split('T')[0];
+
+    return {
+      utcStartTime: localToUTC(availabilityData.start_time, localDate, availabilityData.timezone),
+      utcEndTime: localToUTC(availabilityData.end_time, localDate, availabilityData.timezone)
+    };
+  }
+
+  /**
+   * Format conflicting slots for error responses
+   * @param {Array} conflicts - Conflicting availability slots
+   * @returns {Array} Conflict summaries
+   */
+  formatConflicts(conflicts) {
+    return conflicts.map(conflict => ({
+      availability_id: conflict._id,
+      date: conflict.date.toISOString().split('T')[0],
+      start_time: conflict.start_time,
+      end_time: conflict.end_time,
+      timezone: conflict.timezone,
+      utc_start_time: conflict.utc_start_time,
+      utc_end_time: conflict.utc_end_time,
+      status: conflict.status
+    }));
+  }
+
+
   /**
    * Get availability statistics
    * @param {string} providerId - Provider ID
@@ -350,7 +1196,7 @@ class ProviderAvailabilityRepository {
                 $cond: [
                   { $and: [
                     { $eq: ['$status', 'available'] },
-                    { $lt: ['$current_appointments', '$max_appointments_per_slot'] }
+                    { $lt: [SEATS_TAKEN, '$max_appointments_per_slot'] }
                   ]},
                   1,
                   0
@@ -385,69 +1231,114 @@ class ProviderAvailabilityRepository {
   }
 
   /**
-   * Generate recurring slots
+   * Work out the slots a block of availability splits into on some dates, without
+   * saving anything. Each date gets the slots generateTimeSlots cuts from the block;
+   * slots on a holiday, inside time off or clashing with existing availability are
+   * set aside with the reason.
    * @param {Object} availabilityData - Base availability data
-   * @returns {Promise<Array>} Array of generated slots
+   * @param {Array<string>} occurrenceDates - Local dates (YYYY-MM-DD) to create slots on
+   * @param {Object} exclusions - What to leave free: { timeOff } periods of the provider
+   *   ({ starts_at, ends_at }) and { holidays } dates (YYYY-MM-DD)
+   * @returns {Promise<Object>} { slots, skipped, conflicts }: slots to create, slots set
+   *   aside (each with a `reason` of holiday, time_off or conflict) and the existing
+   *   availability they clash with
    */
-  async generateRecurringSlots(availabilityData) {
+  async planSlots(availabilityData, occurrenceDates, exclusions = {}) {
     try {
-      const slots = [];
-      const { date, recurrence_pattern, recurrence_end_date, slot_duration, break_duration } = availabilityData;
+      const { timeOff = [], holidays = [] } = exclusions;
+      const candidates = [];
+      const { slot_duration, break_duration, timezone } = availabilityData;
       
-      let currentDate = new Date(date);
-      const endDate = new Date(recurrence_end_date);
-      
-      while (currentDate <= endDate) {
-        // Generate time slots for the current date
-        const timeSlots = generateTimeSlots(
-          availabilityData.start_time,
-          availabilityData.end_time,
-          slot_duration,
-          break_duration
-        );
+      // Generate time slots once; every occurrence uses the same local times
+      const timeSlots = generateTimeSlots(
+        availabilityData.start_time,
+        availabilityData.end_time,
+        slot_duration,
+        break_duration
+      );
 
+      for (const occurrenceDate of occurrenceDates) {
         // Create availability for each time slot
         for (const timeSlot of timeSlots) {
-          const slotData = {
+          candidates.push({
             ...availabilityData,
-            date: new Date(currentDate),
+            date: new Date(occurrenceDate),
             start_time: timeSlot.start_time,
-            end_time: timeSlot.end_time
-          };
-
-          // Check for conflicts
-          const hasConflict = await this.checkForConflicts(
-            slotData.provider_id,
-            slotData.date,
-            slotData.start_time,
-            slotData.end_time
-          );
-
-          if (!hasConflict) {
-            slots.push(slotData);
-          }
+            end_time: timeSlot.end_time,
+            // insertMany skips save hooks, so resolve UTC times here
+            utc_start_time: localToUTC(timeSlot.start_time, occurrenceDate, timezone),
+            utc_end_time: localToUTC(timeSlot.end_time, occurrenceDate, timezone)
+          });
         }
+      }
 
-        // Move to next date based on pattern
-        switch (recurrence_pattern) {
-          case 'daily':
-            currentDate.setDate(currentDate.getDate() + 1);
-            break;
-          case 'weekly':
-            currentDate.setDate(currentDate.getDate() + 7);
-            break;
-          case 'monthly':
-            currentDate.setMonth(currentDate.getMonth() + 1);
-            break;
-        }
+      if (candidates.length === 0) {
+        return { slots: [], skipped: [], conflicts: [] };
       }
 
-      // Bulk insert all slots
-      if (slots.length > 0) {
-        await this.model.insertMany(slots);
+      // Load the provider's slots over the whole range once, then set aside candidates that overlap any of them
+      const existing = await this.checkForConflicts(
+        availabilityData.provider_id,
+        new Date(Math.min(...candidates.map(slot => slot.utc_start_time.getTime()))),
+        new Date(Math.max(...candidates.map(slot => slot.utc_end_time.getTime())))
+      );
+
+      const overlaps = (period, slot) => period.starts < slot.utc_end_time && period.ends > slot.utc_start_time;
+      const slots = [];
+      const skipped = [];
+      const conflicts = new Set();
+
+      for (const slot of candidates) {
+        const clashes = existing.filter(conflict =>
+          overlaps({ starts: conflict.utc_start_time, ends: conflict.utc_end_time }, slot)
+        );
+        clashes.forEach(conflict => conflicts.add(conflict));
+
+        // Holidays close the whole day
+        if (holidays.includes(slot.date.toISOString().split('T')[0])) {
+          skipped.push({ ...slot, reason: 'holiday' });
+        } else if (timeOff.some(period => overlaps({ starts: period.starts_at, ends: period.ends_at }, slot))) {
+          skipped.push({ ...slot, reason: 'time_off' });
+        } else if (clashes.length > 0) {
+          skipped.push({ ...slot, reason: 'conflict' });
+        } else {
+          slots.push(slot);
+        }
       }
 
-      return slots;
+      return { slots, skipped, conflicts: existing.filter(conflict => conflicts.has(conflict)) };
+    } catch (error) {
+      throw new DatabaseError(`Failed to plan slots: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save planned slots
+   * @param {Array<Object>} slots - Slots from planSlots
+   * @returns {Promise<Array>} Created slots
+   */
+  async insertSlots(slots) {
+    try {
+      return slots.length > 0 ? await this.model.insertMany(slots) : [];
+    } catch (error) {
+      throw new DatabaseError(`Failed to create slots: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate recurring slots, skipping those planSlots sets aside
+   * @param {Object} availabilityData - Base availability data
+   * @param {Array<string>} occurrenceDates - Local dates (YYYY-MM-DD) to create slots on
+   * @param {Object} exclusions - What to leave free: { timeOff, holidays }, as for planSlots
+   * @returns {Promise<Object>} { slots, skipped, conflicts }: the generated slots, and the
+   *   slots and clashing availability planSlots set aside
+   */
+  async generateRecurringSlots(availabilityData, occurrenceDates, exclusions = {}) {
+    try {
+      const { slots, skipped, conflicts } = await this.planSlots(availabilityData, occurrenceDates, exclusions);
+
+      // Bulk insert all slots
+      return { slots: await this.insertSlots(slots), skipped, conflicts };
     } catch (error) {
       throw new DatabaseError(`Failed to generate recurring slots: ${error.message}`);
     }
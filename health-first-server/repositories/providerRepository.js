@@ -1,5 +1,19 @@
 const { Provider } = require('../models/Provider');
-const { DatabaseError } = require('../utils/errors');
+const { ProviderAvailability } = require('../models/ProviderAvailability');
+const { DatabaseError, ValidationError } = require('../utils/errors');
+const { toGeoPoint, withinRadius, distanceKm, metersToKm } = require('../utils/geoUtils');
+const { escapeRegex, tokenize, expandQuery } = require('../utils/textSearch');
+const { cursorQuery, cursorPage, paginationDetails } = require('../utils/cursorPagination');
+
+// Lower bounds of the price bands providers are counted in, by their lowest open slot fee
+const PRICE_BANDS = [0, 100, 200, 300];
+
+// Provider fields whose words typos in search text are matched against
+const VOCABULARY_FIELDS = ['first_name', 'last_name', 'specialization', 'clinic_address.city', 'clinic_address.state'];
+const VOCABULARY_TTL_MS = 5 * 60 * 1000;
+
+// Search vocabulary shared by every repository instance
+let vocabularyCache = null;
 
 class ProviderRepository {
   constructor() {
@@ -15,6 +29,7 @@ class ProviderRepository {
     try {
       const provider = new Provider(providerData);
       const savedProvider = await provider.save();
+      vocabularyCache = null;
       return savedProvider;
     } catch (error) {
       console.error('Create provider error:', error);
@@ -117,11 +132,14 @@ class ProviderRepository {
    * @param {number} page - Page number (1-based)
    * @param {number} limit - Items per page
    * @param {string} status - Filter by verification status
+   * @param {string} cursor - Cursor from a previous page, used instead of page
    * @returns {Object} Paginated providers
    */
-  async findAll(page = 1, limit = 10, status = null) {
+  async findAll(page = 1, limit = 10, status = null, cursor = null) {
     try {
-      const skip = (page - 1) * limit;
+      const sort = { createdAt: -1, _id: -1 };
+      const plan = cursorQuery(sort, cursor);
+      const skip = cursor ? 0 : (page - 1) * limit;
       
       // Build query
       const query = {};
@@ -129,25 +147,29 @@ class ProviderRepository {
         query.verification_status = status;
       }
 
-      // Get providers with pagination
-      const providers = await Provider.find(query)
-        .sort({ createdAt: -1 })
+      // Get providers with pagination, plus one to tell whether more follow
+      const fetched = await Provider.find(plan.condition ? { $and: [query, plan.condition] } : query)
+        .sort(plan.sort)
         .skip(skip)
-        .limit(limit);
+        .limit(limit + 1);
 
       // Get total count
       const total = await Provider.countDocuments(query);
 
+      const { items: providers, ...cursors } = cursorPage(fetched, sort, {
+        limit,
+        backwards: plan.backwards,
+        hasPrevious: Boolean(cursor) || page > 1
+      });
+
       return {
         providers,
-        pagination: {
-          page,
-          limit,
-          total,
-          pages: Math.ceil(total / limit)
-        }
+        pagination: paginationDetails({ cursor, page, limit, total }, cursors)
       };
     } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
       console.error('Find all providers error:', error);
       throw new DatabaseError('Failed to retrieve providers');
     }
@@ -181,6 +203,7 @@ class ProviderRepository {
         { ...updateData, updatedAt: new Date() },
         { new: true, runValidators: true }
       );
+      vocabularyCache = null;
       return updatedProvider;
     } catch (error) {
       console.error('Update provider error:', error);
@@ -196,57 +219,272 @@ class ProviderRepository {
   }
 
   /**
-   * Search providers by criteria
+   * Search providers by criteria, with facet counts for filter sidebars. `q` is matched
+   * against the text index, with typo tolerance, and ranks results by relevance. With
+   * `near`, only providers whose clinic is within radiusKm of it are returned, each with
+   * its distance_km, nearest first unless `q` ranks them. Each facet counts the
+   * providers matching every filter except its own.
    * @param {Object} searchCriteria - Search criteria
    * @param {number} page - Page number
    * @param {number} limit - Items per page
-   * @returns {Object} Search results with pagination
+   * @returns {Object} Search results with facets and pagination
    */
   async search(searchCriteria, page = 1, limit = 10) {
     try {
-      const skip = (page - 1) * limit;
-      
+      const { q, near, radiusKm, cursor } = searchCriteria;
+      const skip = cursor ? 0 : (page - 1) * limit;
+
       // Build search query
       const query = {};
-      
+
       if (searchCriteria.name) {
         query.$or = [
           { first_name: { $regex: searchCriteria.name, $options: 'i' } },
           { last_name: { $regex: searchCriteria.name, $options: 'i' } }
         ];
       }
-      
-      if (searchCriteria.specialization) {
-        query.specialization = { $regex: searchCriteria.specialization, $options: 'i' };
-      }
-      
+
       if (searchCriteria.verification_status) {
         query.verification_status = searchCriteria.verification_status;
       }
 
-      // Get providers with pagination
-      const providers = await Provider.find(query)
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit);
+      const terms = q ? expandQuery(q, await this.getVocabulary()) : [];
+      if (terms.length > 0) {
+        query.$text = { $search: terms.join(' ') };
+      }
 
-      // Get total count
-      const total = await Provider.countDocuments(query);
+      // $geoNear must come first, and so must a $text match, so a text search keeps
+      // clinics in the radius with $geoWithin instead and measures distances afterwards
+      const pipeline = [];
+      if (near && !query.$text) {
+        pipeline.push({
+          $geoNear: {
+            near: toGeoPoint(near),
+            key: 'clinic_address.geo',
+            distanceField: 'distance_meters',
+            maxDistance: radiusKm * 1000,
+            spherical: true,
+            query
+          }
+        });
+      } else {
+        if (near) {
+          query['clinic_address.geo'] = withinRadius(near, radiusKm);
+        }
+        pipeline.push({ $match: query });
+      }
 
-      return {
-        providers,
-        pagination: {
-          page,
-          limit,
-          total,
-          pages: Math.ceil(total / limit)
+      let sort = { createdAt: -1, _id: 1 };
+      if (query.$text) {
+        pipeline.push({ $addFields: { relevance: { $meta: 'textScore' } } });
+        sort = { relevance: -1, _id: 1 };
+      } else if (near) {
+        sort = { distance_meters: 1, _id: 1 };
+      }
+
+      const filters = this.buildFacetFilters(searchCriteria);
+      const matchAllBut = facet => ({
+        $match: Object.assign({}, ...Object.entries(filters).filter(([name]) => name !== facet).map(([, filter]) => filter))
+      });
+      const countBy = field => ({ $group: { _id: field, count: { $sum: 1 } } });
+      const plan = cursorQuery(sort, cursor);
+
+      pipeline.push(
+        { $project: { password_hash: 0 } },
+        ...this.offeringStages(new Date()),
+        { $sort: plan.sort },
+        {
+          $facet: {
+            providers: [
+              matchAllBut(null),
+              ...(plan.condition ? [{ $match: plan.condition }] : []),
+              { $skip: skip },
+              { $limit: limit + 1 }
+            ],
+            total: [matchAllBut(null), { $count: 'count' }],
+            specialization: [matchAllBut('specialization'), countBy('$specialization')],
+            city: [matchAllBut('city'), countBy({ city: '$clinic_address.city', state: '$clinic_address.state' })],
+            appointment_type: [
+              matchAllBut('appointment_type'),
+              { $unwind: '$offerings.appointment_types' },
+              countBy('$offerings.appointment_types')
+            ],
+            insurance_accepted: [
+              matchAllBut('insurance_accepted'),
+              { $unwind: '$offerings.insurance_accepted' },
+              countBy('$offerings.insurance_accepted')
+            ],
+            price: [
+              matchAllBut('price'),
+              { $match: { 'offerings.min_fee': { $type: 'number' } } },
+              {
+                $bucket: {
+                  groupBy: '$offerings.min_fee',
+                  boundaries: PRICE_BANDS,
+                  default: 'top',
+                  output: { count: { $sum: 1 } }
+                }
+              }
+            ]
+          }
         }
+      );
+
+      const [result] = await Provider.aggregate(pipeline).allowDiskUse(true);
+      const total = result.total.length > 0 ? result.total[0].count : 0;
+      const { items, ...cursors } = cursorPage(result.providers, sort, {
+        limit,
+        backwards: plan.backwards,
+        hasPrevious: Boolean(cursor) || page > 1
+      });
+
+      return {
+        providers: items.map(({ distance_meters: distanceMeters, relevance, ...provider }) => ({
+          ...provider,
+          ...(relevance !== undefined && { relevance: Math.round(relevance * 100) / 100 }),
+          ...(near && {
+            distance_km: distanceMeters !== undefined
+              ? metersToKm(distanceMeters)
+              : distanceKm(near, provider.clinic_address.geo)
+          })
+        })),
+        facets: this.formatFacets(result),
+        pagination: paginationDetails({ cursor, page, limit, total }, cursors)
       };
     } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
       console.error('Search providers error:', error);
       throw new DatabaseError('Failed to search providers');
     }
   }
+
+  /**
+   * Conditions of the search filters facets are counted by, keyed by facet
+   * @param {Object} searchCriteria - Search criteria
+   * @returns {Object} { facet: condition } for the filters that are set
+   */
+  buildFacetFilters(searchCriteria) {
+    const { specialization, city, appointmentType, insuranceAccepted, minPrice, maxPrice } = searchCriteria;
+    const filters = {};
+
+    if (specialization) {
+      filters.specialization = { specialization: { $regex: `^${escapeRegex(specialization)}`, $options: 'i' } };
+    }
+
+    if (city) {
+      filters.city = { 'clinic_address.city': { $regex: `^${escapeRegex(city)}$`, $options: 'i' } };
+    }
+
+    if (appointmentType) {
+      filters.appointment_type = { 'offerings.appointment_types': appointmentType };
+    }
+
+    if (insuranceAccepted !== undefined) {
+      filters.insurance_accepted = { 'offerings.insurance_accepted': insuranceAccepted };
+    }
+
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      filters.price = {
+        'offerings.min_fee': {
+          ...(minPrice !== undefined && { $gte: minPrice }),
+          ...(maxPrice !== undefined && { $lte: maxPrice })
+        }
+      };
+    }
+
+    return filters;
+  }
+
+  /**
+   * Aggregation stages adding what each provider offers in its open upcoming slots:
+   * offerings.appointment_types, offerings.insurance_accepted (the values found) and
+   * offerings.min_fee (null without open slots)
+   * @param {Date} now - Slots starting from this time count
+   * @returns {Array} Pipeline stages
+   */
+  offeringStages(now) {
+    return [
+      {
+        $lookup: {
+          from: ProviderAvailability.collection.name,
+          let: { providerId: '$_id' },
+          pipeline: [
+            {
+              $match: {
+                $expr: { $eq: ['$provider_id', '$$providerId'] },
+                status: 'available',
+                utc_start_time: { $gte: now }
+              }
+            },
+            {
+              $group: {
+                _id: null,
+                appointment_types: { $addToSet: '$appointment_type' },
+                insurance_accepted: { $addToSet: '$pricing.insurance_accepted' },
+                min_fee: { $min: '$pricing.base_fee' }
+              }
+            },
+            { $project: { _id: 0 } }
+          ],
+          as: 'offerings'
+        }
+      },
+      {
+        $addFields: {
+          offerings: {
+            $ifNull: [
+              { $arrayElemAt: ['$offerings', 0] },
+              { appointment_types: [], insurance_accepted: [], min_fee: null }
+            ]
+          }
+        }
+      }
+    ];
+  }
+
+  /**
+   * Format facet counts, most common first; price bands stay in order and include
+   * empty ones
+   * @param {Object} result - $facet output
+   * @returns {Object} Facets
+   */
+  formatFacets(result) {
+    const byCount = (a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value));
+    const values = groups => groups
+      .filter(group => group._id !== null)
+      .map(group => ({ value: group._id, count: group.count }))
+      .sort(byCount);
+    const priceCounts = new Map(result.price.map(band => [band._id, band.count]));
+
+    return {
+      specialization: values(result.specialization),
+      city: result.city
+        .map(group => ({ value: group._id.city, state: group._id.state, count: group.count }))
+        .sort(byCount),
+      appointment_type: values(result.appointment_type),
+      insurance_accepted: values(result.insurance_accepted),
+      price: PRICE_BANDS.map((min, index) => {
+        const top = index === PRICE_BANDS.length - 1;
+        return { min, max: top ? null : PRICE_BANDS[index + 1], count: priceCounts.get(top ? 'top' : min) || 0 };
+      })
+    };
+  }
+
+  /**
+   * Terms providers can be found by, for typo tolerance. Read from the database at most
+   * every few minutes, and again once providers are added or changed.
+   * @returns {Promise<Set<string>>} Lowercase terms
+   */
+  async getVocabulary() {
+    if (!vocabularyCache || Date.now() - vocabularyCache.loadedAt > VOCABULARY_TTL_MS) {
+      const values = await Promise.all(VOCABULARY_FIELDS.map(field => Provider.distinct(field)));
+      vocabularyCache = { terms: new Set(values.flat().flatMap(tokenize)), loadedAt: Date.now() };
+    }
+
+    return vocabularyCache.terms;
+  }
 }
 
 module.exports = ProviderRepository; 
\ No newline at end of file
@@ -0,0 +1,121 @@
+const { SlotHold } = require('../models/SlotHold');
+const { DatabaseError } = require('../utils/errors');
+
+class SlotHoldRepository {
+  constructor() {
+    this.model = SlotHold;
+  }
+
+  /**
+   * Create a hold
+   * @param {Object} holdData - Hold data
+   * @returns {Promise<Object>} Created hold
+   */
+  async create(holdData) {
+    try {
+      const hold = new this.model(holdData);
+      return await hold.save();
+    } catch (error) {
+      throw new DatabaseError(`Failed to create hold: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a hold by ID
+   * @param {string} id - Hold ID
+   * @returns {Promise<Object|null>} Hold or null
+   */
+  async findById(id) {
+    try {
+      return await this.model.findById(id);
+    } catch (error) {
+      throw new DatabaseError(`Failed to find hold: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find an active, unexpired hold matching a filter
+   * @param {Object} filter - e.g. { availability_id, patient_id }
+   * @returns {Promise<Object|null>} Hold or null
+   */
+  async findActive(filter) {
+    try {
+      return await this.model.findOne({ ...filter, status: 'active', expires_at: { $gt: new Date() } });
+    } catch (error) {
+      throw new DatabaseError(`Failed to find hold: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count active, unexpired holds matching a filter
+   * @param {Object} filter - e.g. { patient_id, source }
+   * @returns {Promise<number>} Number of holds
+   */
+  async countActive(filter) {
+    try {
+      return await this.model.countDocuments({ ...filter, status: 'active', expires_at: { $gt: new Date() } });
+    } catch (error) {
+      throw new DatabaseError(`Failed to count holds: ${error.message}`);
+    }
+  }
+
+  /**
+   * Atomically end a hold that is still active. Only one of a concurrent
+   * confirmation, release or expiry of the same hold can succeed.
+   * @param {string} id - Hold ID
+   * @param {string} status - 'confirmed', 'released' or 'expired'
+   * @param {Object} options - { unexpiredOnly }
+   * @returns {Promise<Object|null>} Ended hold, or null if it was no longer active
+   */
+  async endIfActive(id, status, options = {}) {
+    try {
+      const query = { _id: id, status: 'active' };
+
+      if (options.unexpiredOnly) {
+        query.expires_at = { $gt: new Date() };
+      }
+
+      return await this.model.findOneAndUpdate(
+        query,
+        { $set: { status, ended_at: new Date() } },
+        { new: true }
+      );
+    } catch (error) {
+      throw new DatabaseError(`Failed to end hold: ${error.message}`);
+    }
+  }
+
+  /**
+   * Put a confirmed hold back to active, when its booking could not be written
+   * @param {string} id - Hold ID
+   * @returns {Promise<Object|null>} Restored hold
+   */
+  async restoreActive(id) {
+    try {
+      return await this.model.findOneAndUpdate(
+        { _id: id, status: 'confirmed' },
+        { $set: { status: 'active', ended_at: null } },
+        { new: true }
+      );
+    } catch (error) {
+      throw new DatabaseError(`Failed to restore hold: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find active holds that ran past their expiry time, oldest first
+   * @param {number} limit - Maximum number of holds
+   * @returns {Promise<Array>} Expired holds
+   */
+  async findExpired(limit = 100) {
+    try {
+      return await this.model.find({ status: 'active', expires_at: { $lte: new Date() } })
+        .sort({ expires_at: 1 })
+        .limit(limit);
+    } catch (error) {
+      throw new DatabaseError(`Failed to find expired holds: ${error.message}`);
+    }
+  }
+}
+
+module.exports = SlotHoldRepository;
@@ -0,0 +1,109 @@
+const { TimeOff } = require('../models/TimeOff');
+const { DatabaseError, ValidationError, toValidationError } = require('../utils/errors');
+
+class TimeOffRepository {
+  constructor() {
+    this.model = TimeOff;
+  }
+
+  /**
+   * Create a time off period
+   * @param {Object} timeOffData - Time off data
+   * @returns {Promise<Object>} Created time off
+   */
+  async create(timeOffData) {
+    try {
+      const timeOff = new this.model(timeOffData);
+      return await timeOff.save();
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      if (error.name === 'ValidationError') {
+        throw toValidationError(error);
+      }
+      throw new DatabaseError(`Failed to create time off: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a time off period by ID
+   * @param {string} id - Time off ID
+   * @returns {Promise<Object|null>} Time off or null
+   */
+  async findById(id) {
+    try {
+      return await this.model.findById(id);
+    } catch (error) {
+      throw new DatabaseError(`Failed to find time off: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the time off of a provider, soonest first
+   * @param {string} providerId - Provider ID
+   * @param {Object} range - { from, to } as Dates; either end may be left open
+   * @returns {Promise<Array>} Time off periods
+   */
+  async findByProviderId(providerId, range = {}) {
+    try {
+      const query = { provider_id: providerId };
+
+      if (range.from) {
+        query.ends_at = { $gt: range.from };
+      }
+
+      if (range.to) {
+        query.starts_at = { $lt: range.to };
+      }
+
+      return await this.model.find(query).sort({ starts_at: 1 });
+    } catch (error) {
+      throw new DatabaseError(`Failed to find time off: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find time off of some providers that overlaps a UTC interval
+   * @param {Array<string>} providerIds - Provider IDs
+   * @param {Date} from - Interval start (UTC)
+   * @param {Date} to - Interval end (UTC)
+   * @param {string} excludeId - Time off ID to leave out
+   * @returns {Promise<Array>} Overlapping time off periods
+   */
+  async findOverlapping(providerIds, from, to, excludeId = null) {
+    try {
+      const query = {
+        provider_id: { $in: providerIds },
+        starts_at: { $lt: to },
+        ends_at: { $gt: from }
+      };
+
+      if (excludeId) {
+        query._id = { $ne: excludeId };
+      }
+
+      return await this.model.find(query)
+        .select('provider_id start_date end_date timezone starts_at ends_at reason')
+        .sort({ starts_at: 1 })
+        .lean();
+    } catch (error) {
+      throw new DatabaseError(`Failed to find overlapping time off: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a time off period
+   * @param {string} id - Time off ID
+   * @returns {Promise<Object|null>} Deleted time off
+   */
+  async deleteById(id) {
+    try {
+      return await this.model.findByIdAndDelete(id);
+    } catch (error) {
+      throw new DatabaseError(`Failed to delete time off: ${error.message}`);
+    }
+  }
+}
+
+module.exports = TimeOffRepository;
@@ -0,0 +1,146 @@
+const { WaitlistEntry, ACTIVE_WAITLIST_STATUSES } = require('../models/WaitlistEntry');
+const { DatabaseError } = require('../utils/errors');
+
+class WaitlistRepository {
+  constructor() {
+    this.model = WaitlistEntry;
+  }
+
+  /**
+   * Create a waitlist entry
+   * @param {Object} entryData - Entry data
+   * @returns {Promise<Object>} Created entry
+   */
+  async create(entryData) {
+    try {
+      const entry = new this.model(entryData);
+      return await entry.save();
+    } catch (error) {
+      throw new DatabaseError(`Failed to create waitlist entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a waitlist entry by ID
+   * @param {string} id - Entry ID
+   * @returns {Promise<Object|null>} Entry or null
+   */
+  async findById(id) {
+    try {
+      return await this.model.findById(id);
+    } catch (error) {
+      throw new DatabaseError(`Failed to find waitlist entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the waitlist entries of a patient, newest first
+   * @param {string} patientId - Patient ID
+   * @param {Object} options - { status }
+   * @returns {Promise<Array>} Entries with provider and availability populated
+   */
+  async findByPatientId(patientId, options = {}) {
+    try {
+      const query = { patient_id: patientId };
+
+      if (options.status) {
+        query.status = options.status;
+      }
+
+      return await this.model.find(query)
+        .populate('provider_id', 'first_name last_name specialization')
+        .populate('availability_id', 'date start_time end_time timezone appointment_type')
+        .sort({ created_at: -1 });
+    } catch (error) {
+      throw new DatabaseError(`Failed to find waitlist entries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find an active entry of a patient with the same target
+   * @param {Object} target - { patient_id, availability_id } or { patient_id, provider_id, start_date, end_date, appointment_type }
+   * @returns {Promise<Object|null>} Entry or null
+   */
+  async findActiveDuplicate(target) {
+    try {
+      return await this.model.findOne({ ...target, status: { $in: ACTIVE_WAITLIST_STATUSES } });
+    } catch (error) {
+      throw new DatabaseError(`Failed to find waitlist entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the query for waiting entries that a slot can be offered to: entries for
+   * the slot itself, and range entries of its provider covering its date
+   * @param {Object} availability - Availability slot
+   * @returns {Object} MongoDB query
+   */
+  buildEligibleQuery(availability) {
+    return {
+      status: 'waiting',
+      provider_id: availability.provider_id._id || availability.provider_id,
+      declined_availability_ids: { $ne: availability._id },
+      $or: [
+        { availability_id: availability._id },
+        {
+          availability_id: null,
+          start_date: { $lte: availability.date },
+          end_date: { $gte: availability.date },
+          appointment_type: { $in: [null, availability.appointment_type] }
+        }
+      ]
+    };
+  }
+
+  /**
+   * Check whether anyone is waiting for a slot
+   * @param {Object} availability - Availability slot
+   * @returns {Promise<boolean>} True if an entry is waiting
+   */
+  async hasWaiting(availability) {
+    try {
+      const entry = await this.model.exists(this.buildEligibleQuery(availability));
+      return !!entry;
+    } catch (error) {
+      throw new DatabaseError(`Failed to check waitlist: ${error.message}`);
+    }
+  }
+
+  /**
+   * Atomically claim the longest-waiting entry a slot can be offered to
+   * @param {Object} availability - Availability slot
+   * @returns {Promise<Object|null>} Claimed entry (status 'offered'), or null if nobody is waiting
+   */
+  async claimNext(availability) {
+    try {
+      return await this.model.findOneAndUpdate(
+        this.buildEligibleQuery(availability),
+        { $set: { status: 'offered' } },
+        { sort: { created_at: 1 }, new: true }
+      );
+    } catch (error) {
+      throw new DatabaseError(`Failed to claim waitlist entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update an entry only while it has one of the given statuses
+   * @param {string} id - Entry ID
+   * @param {Array<string>} fromStatuses - Statuses the entry may have
+   * @param {Object} update - MongoDB update
+   * @returns {Promise<Object|null>} Updated entry, or null if its status did not match
+   */
+  async updateIfStatus(id, fromStatuses, update) {
+    try {
+      return await this.model.findOneAndUpdate(
+        { _id: id, status: { $in: fromStatuses } },
+        update,
+        { new: true, runValidators: true }
+      );
+    } catch (error) {
+      throw new DatabaseError(`Failed to update waitlist entry: ${error.message}`);
+    }
+  }
+}
+
+module.exports = WaitlistRepository;
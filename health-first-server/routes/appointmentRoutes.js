@@ -0,0 +1,176 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const AppointmentController = require('../controllers/appointmentController');
+const PatientAuthMiddleware = require('../middleware/patientAuthMiddleware');
+const { sanitizeInput } = require('../middleware/sanitization');
+const { ValidationError } = require('../utils/errors');
+const { APPOINTMENT_STATUSES } = require('../utils/appointmentLifecycle');
+
+const router = express.Router();
+const appointmentController = new AppointmentController();
+const patientAuthMiddleware = new PatientAuthMiddleware();
+
+// Validation middleware for booking
+const validateBooking = [
+  body('availability_id')
+    .isMongoId()
+    .withMessage('A valid availability ID is required'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+// Validation middleware for cancellation
+const validateCancellation = [
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Cancellation reason cannot exceed 500 characters')
+];
+
+// Validation middleware for rescheduling
+const validateReschedule = [
+  body('availability_id')
+    .isMongoId()
+    .withMessage('A valid availability ID is required'),
+
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reschedule reason cannot exceed 500 characters')
+];
+
+// Validation middleware for listing
+const validateListQuery = [
+  query('status')
+    .optional()
+    .isIn(APPOINTMENT_STATUSES)
+    .withMessage('Invalid status'),
+
+  query('upcoming')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Upcoming must be true or false'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('cursor')
+    .optional()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Cursor must be between 1 and 1000 characters')
+];
+
+// Error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => error.msg);
+    throw new ValidationError(errorMessages.join(', '));
+  }
+  next();
+};
+
+// Routes
+
+/**
+ * @route   POST /api/v1/appointments
+ * @desc    Book an appointment (Patient only)
+ * @access  Private
+ */
+router.post('/',
+  patientAuthMiddleware.authenticate.bind(patientAuthMiddleware),
+  patientAuthMiddleware.authorize.bind(patientAuthMiddleware),
+  validateBooking,
+  handleValidationErrors,
+  sanitizeInput,
+  appointmentController.bookAppointment.bind(appointmentController)
+);
+
+/**
+ * @route   GET /api/v1/appointments
+ * @desc    List my appointments (Patient only)
+ * @access  Private
+ */
+router.get('/',
+  patientAuthMiddleware.authenticate.bind(patientAuthMiddleware),
+  patientAuthMiddleware.authorize.bind(patientAuthMiddleware),
+  validateListQuery,
+  handleValidationErrors,
+  sanitizeInput,
+  appointmentController.getMyAppointments.bind(appointmentController)
+);
+
+/**
+ * @route   GET /api/v1/appointments/:reference
+ * @desc    Get my appointment by booking reference (Patient only)
+ * @access  Private
+ */
+router.get('/:reference',
+  patientAuthMiddleware.authenticate.bind(patientAuthMiddleware),
+  patientAuthMiddleware.authorize.bind(patientAuthMiddleware),
+  sanitizeInput,
+  appointmentController.getAppointmentByReference.bind(appointmentController)
+);
+
+/**
+ * @route   GET /api/v1/appointments/:reference/ics
+ * @desc    Download my appointment as an .ics file (Patient only)
+ * @access  Private
+ */
+router.get('/:reference/ics',
+  patientAuthMiddleware.authenticate.bind(patientAuthMiddleware),
+  patientAuthMiddleware.authorize.bind(patientAuthMiddleware),
+  sanitizeInput,
+  appointmentController.downloadAppointmentCalendar.bind(appointmentController)
+);
+
+/**
+ * @route   POST /api/v1/appointments/:reference/reschedule
+ * @desc    Move my appointment to another slot of the same provider (Patient only)
+ * @access  Private
+ */
+router.post('/:reference/reschedule',
+  patientAuthMiddleware.authenticate.bind(patientAuthMiddleware),
+  patientAuthMiddleware.authorize.bind(patientAuthMiddleware),
+  validateReschedule,
+  handleValidationErrors,
+  sanitizeInput,
+  appointmentController.rescheduleAppointment.bind(appointmentController)
+);
+
+/**
+ * @route   POST /api/v1/appointments/:reference/check-in
+ * @desc    Check in for my confirmed appointment (Patient only)
+ * @access  Private
+ */
+router.post('/:reference/check-in',
+  patientAuthMiddleware.authenticate.bind(patientAuthMiddleware),
+  patientAuthMiddleware.authorize.bind(patientAuthMiddleware),
+  appointmentController.checkIn.bind(appointmentController)
+);
+
+/**
+ * @route   POST /api/v1/appointments/:reference/cancel
+ * @desc    Cancel my appointment by booking reference (Patient only)
+ * @access  Private
+ */
+router.post('/:reference/cancel',
+  patientAuthMiddleware.authenticate.bind(patientAuthMiddleware),
+  patientAuthMiddleware.authorize.bind(patientAuthMiddleware),
+  validateCancellation,
+  handleValidationErrors,
+  sanitizeInput,
+  appointmentController.cancelAppointment.bind(appointmentController)
+);
+
+module.exports = router;
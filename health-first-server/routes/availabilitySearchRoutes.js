@@ -1,28 +1,17 @@
 const express = require('express');
-const { query } = require('express-validator');
+const { query, validationResult } = require('express-validator');
 const ProviderAvailabilityController = require('../controllers/providerAvailabilityController');
+const PatientAuthMiddleware = require('../middleware/patientAuthMiddleware');
 const { sanitizeInput } = require('../middleware/sanitization');
+const { ValidationError } = require('../utils/errors');
+const { parseNear, MAX_RADIUS_KM } = require('../utils/geoUtils');
 
 const router = express.Router();
 const providerAvailabilityController = new ProviderAvailabilityController();
+const patientAuthMiddleware = new PatientAuthMiddleware();
 
-// Validation middleware for search queries
-const validateSearchQuery = [
-  query('date')
-    .optional()
-    .isISO8601()
-    .withMessage('Date must be a valid ISO date'),
-
-  query('start_date')
-    .optional()
-    .isISO8601()
-    .withMessage('Start date must be a valid ISO date'),
-
-  query('end_date')
-    .optional()
-    .isISO8601()
-    .withMessage('End date must be a valid ISO date'),
-
+// Validation for the slot filters both searches take
+const validateSlotFilters = [
   query('specialization')
     .optional()
     .isLength({ min: 1, max: 100 })
@@ -38,6 +27,30 @@ const validateSearchQuery = [
     .isIn(['consultation', 'follow_up', 'emergency', 'telemedicine'])
     .withMessage('Invalid appointment type'),
 
+  query('location_type')
+    .optional()
+    .isIn(['clinic', 'hospital', 'telemedicine', 'home_visit'])
+    .withMessage('Invalid location type'),
+
+  query('near')
+    .optional()
+    .custom((value) => {
+      parseNear(value);
+      return true;
+    }),
+
+  query('radius_km')
+    .optional()
+    .isFloat({ gt: 0, max: MAX_RADIUS_KM })
+    .withMessage(`Radius must be more than 0 and at most ${MAX_RADIUS_KM} km`)
+    .bail()
+    .custom((value, { req }) => {
+      if (!req.query.near) {
+        throw new Error('radius_km needs near');
+      }
+      return true;
+    }),
+
   query('insurance_accepted')
     .optional()
     .isIn(['true', 'false'])
@@ -46,7 +59,27 @@ const validateSearchQuery = [
   query('max_price')
     .optional()
     .isFloat({ min: 0 })
-    .withMessage('Max price must be a positive number'),
+    .withMessage('Max price must be a positive number')
+];
+
+// Validation middleware for search queries
+const validateSearchQuery = [
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid ISO date'),
+
+  query('start_date')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO date'),
+
+  query('end_date')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid ISO date'),
+
+  ...validateSlotFilters,
 
   query('timezone')
     .optional()
@@ -66,9 +99,44 @@ const validateSearchQuery = [
   query('limit')
     .optional()
     .isInt({ min: 1, max: 100 })
-    .withMessage('Limit must be between 1 and 100')
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('cursor')
+    .optional()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Cursor must be between 1 and 1000 characters')
 ];
 
+// Validation middleware for next available queries
+const validateNextAvailableQuery = [
+  ...validateSlotFilters,
+
+  query('time_of_day')
+    .optional()
+    .isIn(['morning', 'afternoon', 'evening'])
+    .withMessage('Time of day must be morning, afternoon or evening'),
+
+  query('within_days')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Within days must be between 1 and 365'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
+// Error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => error.msg);
+    throw new ValidationError(errorMessages.join(', '));
+  }
+  next();
+};
+
 // Routes
 
 /**
@@ -78,10 +146,23 @@ const validateSearchQuery = [
  */
 router.get('/search',
   validateSearchQuery,
+  handleValidationErrors,
   sanitizeInput,
   providerAvailabilityController.searchAvailability.bind(providerAvailabilityController)
 );
 
+/**
+ * @route   GET /api/v1/availability/next-available
+ * @desc    Earliest bookable slot of each matching provider, soonest first (Public endpoint for patients)
+ * @access  Public
+ */
+router.get('/next-available',
+  validateNextAvailableQuery,
+  handleValidationErrors,
+  sanitizeInput,
+  providerAvailabilityController.getNextAvailable.bind(providerAvailabilityController)
+);
+
 /**
  * @route   GET /api/v1/availability/:id
  * @desc    Get availability by ID (Public endpoint)
@@ -104,20 +185,24 @@ router.get('/:id/check',
 
 /**
  * @route   POST /api/v1/availability/:id/book
- * @desc    Book appointment slot (Public endpoint)
- * @access  Public
+ * @desc    Book appointment slot for the authenticated patient
+ * @access  Private (Patient)
  */
 router.post('/:id/book',
+  patientAuthMiddleware.authenticate.bind(patientAuthMiddleware),
+  patientAuthMiddleware.authorize.bind(patientAuthMiddleware),
   sanitizeInput,
   providerAvailabilityController.bookSlot.bind(providerAvailabilityController)
 );
 
 /**
  * @route   POST /api/v1/availability/:id/cancel
- * @desc    Cancel appointment slot (Public endpoint)
- * @access  Public
+ * @desc    Cancel the authenticated patient's booking on a slot
+ * @access  Private (Patient who made the booking)
  */
 router.post('/:id/cancel',
+  patientAuthMiddleware.authenticate.bind(patientAuthMiddleware),
+  patientAuthMiddleware.authorize.bind(patientAuthMiddleware),
   sanitizeInput,
   providerAvailabilityController.cancelSlot.bind(providerAvailabilityController)
 );
@@ -0,0 +1,124 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const AvailabilitySeriesController = require('../controllers/availabilitySeriesController');
+const AuthMiddleware = require('../middleware/authMiddleware');
+const { sanitizeInput } = require('../middleware/sanitization');
+const { ValidationError } = require('../utils/errors');
+
+const router = express.Router();
+const availabilitySeriesController = new AvailabilitySeriesController();
+const authMiddleware = new AuthMiddleware();
+
+const SCOPES = ['this', 'following', 'all'];
+
+// Validation middleware for the series ID
+const validateSeriesId = [
+  param('series_id')
+    .isMongoId()
+    .withMessage('A valid series ID is required')
+];
+
+// Validation middleware for series updates
+const validateSeriesUpdate = [
+  body('scope')
+    .isIn(SCOPES)
+    .withMessage(`Scope must be one of: ${SCOPES.join(', ')}`),
+
+  body('occurrence_date')
+    .if(body('scope').isIn(['this', 'following']))
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('occurrence_date (YYYY-MM-DD) is required for this scope')
+    .bail()
+    .isISO8601({ strict: true })
+    .withMessage('occurrence_date must be a valid date'),
+
+  body('start_time')
+    .optional()
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Start time must be in HH:mm format'),
+
+  body('end_time')
+    .optional()
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('End time must be in HH:mm format'),
+
+  body('recurrence_rule')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Recurrence rule must be an RRULE string of at most 500 characters')
+];
+
+// Validation middleware for series deletion
+const validateSeriesDeletion = [
+  query('scope')
+    .optional()
+    .isIn(SCOPES)
+    .withMessage(`Scope must be one of: ${SCOPES.join(', ')}`),
+
+  query('occurrence_date')
+    .if(query('scope').isIn(['this', 'following']))
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('occurrence_date (YYYY-MM-DD) is required for this scope')
+    .bail()
+    .isISO8601({ strict: true })
+    .withMessage('occurrence_date must be a valid date')
+];
+
+// Error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => error.msg);
+    throw new ValidationError(errorMessages.join(', '));
+  }
+  next();
+};
+
+// Routes
+
+/**
+ * @route   GET /api/v1/provider/availability/series/:series_id
+ * @desc    Get an availability series (Provider only)
+ * @access  Private
+ */
+router.get('/:series_id',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  validateSeriesId,
+  handleValidationErrors,
+  sanitizeInput,
+  availabilitySeriesController.getSeries.bind(availabilitySeriesController)
+);
+
+/**
+ * @route   PUT /api/v1/provider/availability/series/:series_id
+ * @desc    Update this occurrence, this and following, or all occurrences (Provider only)
+ * @access  Private
+ */
+router.put('/:series_id',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  validateSeriesId,
+  validateSeriesUpdate,
+  handleValidationErrors,
+  sanitizeInput,
+  availabilitySeriesController.updateSeries.bind(availabilitySeriesController)
+);
+
+/**
+ * @route   DELETE /api/v1/provider/availability/series/:series_id
+ * @desc    Delete this occurrence, this and following, or all occurrences (Provider only)
+ * @access  Private
+ */
+router.delete('/:series_id',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  validateSeriesId,
+  validateSeriesDeletion,
+  handleValidationErrors,
+  sanitizeInput,
+  availabilitySeriesController.deleteSeries.bind(availabilitySeriesController)
+);
+
+module.exports = router;
@@ -0,0 +1,125 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const BookingPolicyController = require('../controllers/bookingPolicyController');
+const AuthMiddleware = require('../middleware/authMiddleware');
+const { ValidationError } = require('../utils/errors');
+const { MAX_BUFFER_MINUTES } = require('../utils/schedulingRules');
+
+// Appointment types a buffer can be set for
+const APPOINTMENT_TYPES = ['consultation', 'follow_up', 'emergency', 'telemedicine'];
+
+const router = express.Router();
+const bookingPolicyController = new BookingPolicyController();
+const authMiddleware = new AuthMiddleware();
+
+// Validation middleware for policy updates
+const validatePolicyUpdate = [
+  body('allow_reschedule')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('allow_reschedule must be true or false'),
+
+  body('reschedule_notice_hours')
+    .optional()
+    .isInt({ min: 0, max: 720 })
+    .withMessage('Reschedule notice must be between 0 and 720 hours')
+    .toInt(),
+
+  body('max_reschedules')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 20 })
+    .withMessage('Maximum reschedules must be between 0 and 20, or null for no limit')
+    .toInt(),
+
+  body('cancellation_window_hours')
+    .optional()
+    .isInt({ min: 0, max: 720 })
+    .withMessage('Cancellation window must be between 0 and 720 hours')
+    .toInt(),
+
+  body('late_cancel_fee')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Late-cancel fee must be a positive number')
+    .toFloat(),
+
+  body('no_show_fee')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('No-show fee must be a positive number')
+    .toFloat(),
+
+  body('booking_mode')
+    .optional()
+    .isIn(['instant', 'request'])
+    .withMessage('Booking mode must be instant or request'),
+
+  body('request_expiry_hours')
+    .optional()
+    .isInt({ min: 1, max: 168 })
+    .withMessage('Request expiry must be between 1 and 168 hours')
+    .toInt(),
+
+  body('min_notice_hours')
+    .optional()
+    .isInt({ min: 0, max: 720 })
+    .withMessage('Minimum notice must be between 0 and 720 hours')
+    .toInt(),
+
+  body('max_advance_days')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 730 })
+    .withMessage('Booking horizon must be between 1 and 730 days, or null for no limit')
+    .toInt(),
+
+  body('buffer_minutes')
+    .optional()
+    .isObject()
+    .withMessage('Buffer minutes must be an object keyed by appointment type')
+    .bail()
+    .custom(value => Object.keys(value).every(type => APPOINTMENT_TYPES.includes(type)))
+    .withMessage(`Buffer minutes can only be set for ${APPOINTMENT_TYPES.join(', ')}`),
+
+  body('buffer_minutes.*')
+    .isInt({ min: 0, max: MAX_BUFFER_MINUTES })
+    .withMessage(`Buffer must be between 0 and ${MAX_BUFFER_MINUTES} minutes`)
+    .toInt()
+];
+
+// Error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => error.msg);
+    throw new ValidationError(errorMessages.join(', '));
+  }
+  next();
+};
+
+// Routes
+
+/**
+ * @route   GET /api/v1/provider/booking-policy
+ * @desc    Get my booking policy (Provider only)
+ * @access  Private
+ */
+router.get('/',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  bookingPolicyController.getPolicy.bind(bookingPolicyController)
+);
+
+/**
+ * @route   PUT /api/v1/provider/booking-policy
+ * @desc    Update my booking policy (Provider only)
+ * @access  Private
+ */
+router.put('/',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  validatePolicyUpdate,
+  handleValidationErrors,
+  bookingPolicyController.updatePolicy.bind(bookingPolicyController)
+);
+
+module.exports = router;
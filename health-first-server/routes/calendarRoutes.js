@@ -0,0 +1,87 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const CalendarController = require('../controllers/calendarController');
+const AuthMiddleware = require('../middleware/authMiddleware');
+const PatientAuthMiddleware = require('../middleware/patientAuthMiddleware');
+const { ValidationError } = require('../utils/errors');
+
+const router = express.Router();
+const calendarController = new CalendarController();
+const authMiddleware = new AuthMiddleware();
+const patientAuthMiddleware = new PatientAuthMiddleware();
+
+// Validation middleware for feed tokens
+const validateFeedToken = [
+  param('token')
+    .matches(/^[A-Za-z0-9_-]{20,100}$/)
+    .withMessage('Invalid calendar feed token')
+];
+
+// Error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => error.msg);
+    throw new ValidationError(errorMessages.join(', '));
+  }
+  next();
+};
+
+// Routes
+
+/**
+ * @route   POST /api/v1/calendar/provider/feed
+ * @desc    Create or replace my calendar feed URL (Provider only)
+ * @access  Private
+ */
+router.post('/provider/feed',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  calendarController.createProviderFeed.bind(calendarController)
+);
+
+/**
+ * @route   DELETE /api/v1/calendar/provider/feed
+ * @desc    Revoke my calendar feed URL (Provider only)
+ * @access  Private
+ */
+router.delete('/provider/feed',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  calendarController.revokeProviderFeed.bind(calendarController)
+);
+
+/**
+ * @route   POST /api/v1/calendar/patient/feed
+ * @desc    Create or replace my calendar feed URL (Patient only)
+ * @access  Private
+ */
+router.post('/patient/feed',
+  patientAuthMiddleware.authenticate.bind(patientAuthMiddleware),
+  patientAuthMiddleware.authorize.bind(patientAuthMiddleware),
+  calendarController.createPatientFeed.bind(calendarController)
+);
+
+/**
+ * @route   DELETE /api/v1/calendar/patient/feed
+ * @desc    Revoke my calendar feed URL (Patient only)
+ * @access  Private
+ */
+router.delete('/patient/feed',
+  patientAuthMiddleware.authenticate.bind(patientAuthMiddleware),
+  patientAuthMiddleware.authorize.bind(patientAuthMiddleware),
+  calendarController.revokePatientFeed.bind(calendarController)
+);
+
+/**
+ * @route   GET /api/v1/calendar/feeds/:token.ics
+ * @desc    Read-only iCalendar feed for calendar apps
+ * @access  Public (the token is the credential)
+ */
+router.get('/feeds/:token.ics',
+  validateFeedToken,
+  handleValidationErrors,
+  calendarController.getFeed.bind(calendarController)
+);
+
+module.exports = router;
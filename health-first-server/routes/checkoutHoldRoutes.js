@@ -0,0 +1,106 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const CheckoutHoldController = require('../controllers/checkoutHoldController');
+const PatientAuthMiddleware = require('../middleware/patientAuthMiddleware');
+const { sanitizeInput } = require('../middleware/sanitization');
+const { ValidationError } = require('../utils/errors');
+
+const router = express.Router();
+const checkoutHoldController = new CheckoutHoldController();
+const patientAuthMiddleware = new PatientAuthMiddleware();
+
+// Validation middleware for placing a hold
+const validateHold = [
+  body('availability_id')
+    .isMongoId()
+    .withMessage('A valid availability ID is required'),
+
+  body('minutes')
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage('Minutes must be between 1 and 30')
+];
+
+// Validation middleware for hold IDs
+const validateHoldId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid hold ID')
+];
+
+// Validation middleware for confirming a hold
+const validateConfirmation = [
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+// Error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => error.msg);
+    throw new ValidationError(errorMessages.join(', '));
+  }
+  next();
+};
+
+// Routes
+
+/**
+ * @route   POST /api/v1/holds
+ * @desc    Hold a seat on a slot during checkout (Patient only)
+ * @access  Private
+ */
+router.post('/',
+  patientAuthMiddleware.authenticate.bind(patientAuthMiddleware),
+  patientAuthMiddleware.authorize.bind(patientAuthMiddleware),
+  validateHold,
+  handleValidationErrors,
+  sanitizeInput,
+  checkoutHoldController.placeHold.bind(checkoutHoldController)
+);
+
+/**
+ * @route   GET /api/v1/holds/:id
+ * @desc    Get my hold (Patient only)
+ * @access  Private
+ */
+router.get('/:id',
+  patientAuthMiddleware.authenticate.bind(patientAuthMiddleware),
+  patientAuthMiddleware.authorize.bind(patientAuthMiddleware),
+  validateHoldId,
+  handleValidationErrors,
+  checkoutHoldController.getHold.bind(checkoutHoldController)
+);
+
+/**
+ * @route   POST /api/v1/holds/:id/confirm
+ * @desc    Confirm my hold into a booking (Patient only)
+ * @access  Private
+ */
+router.post('/:id/confirm',
+  patientAuthMiddleware.authenticate.bind(patientAuthMiddleware),
+  patientAuthMiddleware.authorize.bind(patientAuthMiddleware),
+  validateHoldId,
+  validateConfirmation,
+  handleValidationErrors,
+  sanitizeInput,
+  checkoutHoldController.confirmHold.bind(checkoutHoldController)
+);
+
+/**
+ * @route   DELETE /api/v1/holds/:id
+ * @desc    Release my hold (Patient only)
+ * @access  Private
+ */
+router.delete('/:id',
+  patientAuthMiddleware.authenticate.bind(patientAuthMiddleware),
+  patientAuthMiddleware.authorize.bind(patientAuthMiddleware),
+  validateHoldId,
+  handleValidationErrors,
+  checkoutHoldController.releaseHold.bind(checkoutHoldController)
+);
+
+module.exports = router;
@@ -0,0 +1,150 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const HolidayCalendarController = require('../controllers/holidayCalendarController');
+const AuthMiddleware = require('../middleware/authMiddleware');
+const { sanitizeInput } = require('../middleware/sanitization');
+const { ValidationError } = require('../utils/errors');
+const { HOLIDAY_OWNER_TYPES, MAX_HOLIDAYS } = require('../models/HolidayCalendar');
+
+const router = express.Router();
+const holidayCalendarController = new HolidayCalendarController();
+const authMiddleware = new AuthMiddleware();
+
+const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validation middleware for creating holiday calendars
+const validateCalendar = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required and cannot exceed 100 characters'),
+
+  body('owner_type')
+    .isIn(HOLIDAY_OWNER_TYPES)
+    .withMessage(`Owner type must be one of: ${HOLIDAY_OWNER_TYPES.join(', ')}`),
+
+  body('location.state')
+    .if(body('owner_type').equals('location'))
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('A location calendar needs a state'),
+
+  body('location.city')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('City name cannot exceed 100 characters'),
+
+  body('holidays')
+    .optional()
+    .isArray({ max: MAX_HOLIDAYS })
+    .withMessage(`Holidays must be an array of at most ${MAX_HOLIDAYS} entries`),
+
+  body('holidays.*.date')
+    .matches(datePattern)
+    .withMessage('Each holiday needs a date (YYYY-MM-DD)'),
+
+  body('holidays.*.name')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Holiday names cannot exceed 200 characters')
+];
+
+// Validation middleware for holiday calendar IDs
+const validateCalendarId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid holiday calendar ID')
+];
+
+// Validation middleware for importing holidays
+const validateImportQuery = [
+  query('replace')
+    .optional()
+    .isBoolean()
+    .withMessage('replace must be true or false')
+];
+
+// Error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => error.msg);
+    throw new ValidationError(errorMessages.join(', '));
+  }
+  next();
+};
+
+// iCalendar files are sent as raw text; JSON bodies are parsed by the app
+const parseICSBody = express.text({ type: ['text/calendar'], limit: '2mb' });
+
+// Routes
+
+/**
+ * @route   POST /api/v1/holiday-calendars
+ * @desc    Create an organization or location holiday calendar (Provider only)
+ * @access  Private
+ */
+router.post('/',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  validateCalendar,
+  handleValidationErrors,
+  sanitizeInput,
+  holidayCalendarController.createCalendar.bind(holidayCalendarController)
+);
+
+/**
+ * @route   GET /api/v1/holiday-calendars
+ * @desc    List holiday calendars (Provider only)
+ * @access  Private
+ */
+router.get('/',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  holidayCalendarController.getCalendars.bind(holidayCalendarController)
+);
+
+/**
+ * @route   GET /api/v1/holiday-calendars/:id
+ * @desc    Get a holiday calendar with its holidays (Provider only)
+ * @access  Private
+ */
+router.get('/:id',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  validateCalendarId,
+  handleValidationErrors,
+  holidayCalendarController.getCalendar.bind(holidayCalendarController)
+);
+
+/**
+ * @route   DELETE /api/v1/holiday-calendars/:id
+ * @desc    Delete a holiday calendar I created (Provider only)
+ * @access  Private
+ */
+router.delete('/:id',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  validateCalendarId,
+  handleValidationErrors,
+  holidayCalendarController.deleteCalendar.bind(holidayCalendarController)
+);
+
+/**
+ * @route   POST /api/v1/holiday-calendars/:id/import
+ * @desc    Import holidays from an iCalendar (.ics) file; ?replace=true drops the current ones (Provider only)
+ * @access  Private
+ */
+router.post('/:id/import',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  parseICSBody,
+  validateCalendarId,
+  validateImportQuery,
+  handleValidationErrors,
+  sanitizeInput,
+  holidayCalendarController.importHolidays.bind(holidayCalendarController)
+);
+
+module.exports = router;
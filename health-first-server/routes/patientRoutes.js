@@ -164,7 +164,12 @@ const validateQueryParams = [
     .optional()
     .trim()
     .isLength({ min: 1 })
-    .withMessage('Search term cannot be empty')
+    .withMessage('Search term cannot be empty'),
+
+  query('cursor')
+    .optional()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Cursor must be between 1 and 1000 characters')
 ];
 
 // Validation middleware for verification status update
@@ -0,0 +1,66 @@
+const express = require('express');
+const ProviderAppointmentController = require('../controllers/providerAppointmentController');
+const AuthMiddleware = require('../middleware/authMiddleware');
+
+const router = express.Router();
+const providerAppointmentController = new ProviderAppointmentController();
+const authMiddleware = new AuthMiddleware();
+
+// Routes
+
+/**
+ * @route   POST /api/v1/provider/appointments/:reference/confirm
+ * @desc    Confirm a requested appointment (Provider only)
+ * @access  Private
+ */
+router.post('/:reference/confirm',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  providerAppointmentController.confirm.bind(providerAppointmentController)
+);
+
+/**
+ * @route   POST /api/v1/provider/appointments/:reference/check-in
+ * @desc    Check the patient in (Provider only)
+ * @access  Private
+ */
+router.post('/:reference/check-in',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  providerAppointmentController.checkIn.bind(providerAppointmentController)
+);
+
+/**
+ * @route   POST /api/v1/provider/appointments/:reference/start
+ * @desc    Start the visit after check-in (Provider only)
+ * @access  Private
+ */
+router.post('/:reference/start',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  providerAppointmentController.start.bind(providerAppointmentController)
+);
+
+/**
+ * @route   POST /api/v1/provider/appointments/:reference/complete
+ * @desc    Mark an appointment as completed after it starts (Provider only)
+ * @access  Private
+ */
+router.post('/:reference/complete',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  providerAppointmentController.markCompleted.bind(providerAppointmentController)
+);
+
+/**
+ * @route   POST /api/v1/provider/appointments/:reference/no-show
+ * @desc    Mark an appointment as a no-show after it starts (Provider only)
+ * @access  Private
+ */
+router.post('/:reference/no-show',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  providerAppointmentController.markNoShow.bind(providerAppointmentController)
+);
+
+module.exports = router;
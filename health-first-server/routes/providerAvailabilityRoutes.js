@@ -1,12 +1,58 @@
 const express = require('express');
-const { body, query } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const ProviderAvailabilityController = require('../controllers/providerAvailabilityController');
 const AuthMiddleware = require('../middleware/authMiddleware');
+const PatientAuthMiddleware = require('../middleware/patientAuthMiddleware');
 const { sanitizeInput } = require('../middleware/sanitization');
+const { ValidationError } = require('../utils/errors');
+const { MAX_BUFFER_MINUTES } = require('../utils/schedulingRules');
 
 const router = express.Router();
 const providerAvailabilityController = new ProviderAvailabilityController();
 const authMiddleware = new AuthMiddleware();
+const patientAuthMiddleware = new PatientAuthMiddleware();
+
+// Optional per-slot overrides of the provider's cancellation policy
+const validateCancellationPolicy = [
+  body('cancellation_policy.window_hours')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 720 })
+    .withMessage('Cancellation window must be between 0 and 720 hours')
+    .toInt(),
+
+  body('cancellation_policy.late_cancel_fee')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Late-cancel fee must be a positive number')
+    .toFloat(),
+
+  body('cancellation_policy.no_show_fee')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('No-show fee must be a positive number')
+    .toFloat()
+];
+
+// Optional per-slot overrides of the provider's scheduling rules
+const validateSchedulingRules = [
+  body('scheduling_rules.min_notice_hours')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 720 })
+    .withMessage('Minimum notice must be between 0 and 720 hours')
+    .toInt(),
+
+  body('scheduling_rules.max_advance_days')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 730 })
+    .withMessage('Booking horizon must be between 1 and 730 days')
+    .toInt(),
+
+  body('scheduling_rules.buffer_after_minutes')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: MAX_BUFFER_MINUTES })
+    .withMessage(`Buffer must be between 0 and ${MAX_BUFFER_MINUTES} minutes`)
+    .toInt()
+];
 
 // Validation middleware for availability creation
 const validateAvailabilityCreation = [
@@ -40,6 +86,21 @@ const validateAvailabilityCreation = [
     .notEmpty()
     .withMessage('Timezone is required'),
 
+  body('recurrence_rule')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Recurrence rule must be an RRULE string of at most 500 characters'),
+
+  body('recurrence_exdate')
+    .optional()
+    .custom((value) => {
+      if (typeof value !== 'string' && !Array.isArray(value)) {
+        throw new Error('Recurrence exdate must be an EXDATE string or an array of dates');
+      }
+      return true;
+    }),
+
   body('slot_duration')
     .optional()
     .isInt({ min: 15, max: 480 })
@@ -88,6 +149,15 @@ const validateAvailabilityCreation = [
     .isLength({ min: 3, max: 3 })
     .withMessage('Currency must be 3 characters'),
 
+  ...validateCancellationPolicy,
+
+  ...validateSchedulingRules,
+
+  body('booking_mode')
+    .optional({ values: 'null' })
+    .isIn(['instant', 'request'])
+    .withMessage('Booking mode must be instant or request'),
+
   body('special_requirements')
     .optional()
     .isArray()
@@ -132,7 +202,16 @@ const validateAvailabilityUpdate = [
   body('status')
     .optional()
     .isIn(['available', 'booked', 'cancelled', 'blocked', 'maintenance'])
-    .withMessage('Invalid status')
+    .withMessage('Invalid status'),
+
+  ...validateCancellationPolicy,
+
+  ...validateSchedulingRules,
+
+  body('booking_mode')
+    .optional({ values: 'null' })
+    .isIn(['instant', 'request'])
+    .withMessage('Booking mode must be instant or request')
 ];
 
 // Validation middleware for search queries
@@ -173,6 +252,85 @@ const validateSearchQuery = [
     .withMessage('Limit must be between 1 and 100')
 ];
 
+// Validation middleware for availability export
+const validateExportQuery = [
+  query('start_date')
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO date'),
+
+  query('end_date')
+    .isISO8601()
+    .withMessage('End date must be a valid ISO date'),
+
+  query('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('Format must be csv or json')
+];
+
+// Validation middleware for availability import
+const validateImportQuery = [
+  query('dry_run')
+    .optional()
+    .isBoolean()
+    .withMessage('dry_run must be true or false')
+];
+
+// Validation middleware for booking request listing
+const validateRequestListQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('cursor')
+    .optional()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Cursor must be between 1 and 1000 characters')
+];
+
+// Validation middleware for declining a booking request
+const validateRequestDecline = [
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Decline reason cannot exceed 500 characters')
+];
+
+// Validation middleware for slot rosters
+const validateRosterQuery = [
+  query('include_cancelled')
+    .optional()
+    .isBoolean()
+    .withMessage('include_cancelled must be true or false')
+];
+
+// Validation middleware for cancelling one attendee of a slot
+const validateAttendeeCancel = [
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Cancellation reason cannot exceed 500 characters')
+];
+
+// Error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => error.msg);
+    throw new ValidationError(errorMessages.join(', '));
+  }
+  next();
+};
+
+// CSV imports arrive as plain text; JSON bodies are parsed by the app-wide parser
+const parseCSVBody = express.text({ type: ['text/csv', 'application/csv'], limit: '10mb' });
+
 // Routes
 
 /**
@@ -181,8 +339,8 @@ const validateSearchQuery = [
  * @access  Private
  */
 router.post('/',
-  authMiddleware.authenticate.bind(authMiddleware),
-  authMiddleware.authorizeProvider.bind(authMiddleware),
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
   validateAvailabilityCreation,
   sanitizeInput,
   providerAvailabilityController.createAvailability.bind(providerAvailabilityController)
@@ -205,8 +363,8 @@ router.get('/provider/:provider_id',
  * @access  Private
  */
 router.get('/me',
-  authMiddleware.authenticate.bind(authMiddleware),
-  authMiddleware.authorizeProvider.bind(authMiddleware),
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
   validateSearchQuery,
   sanitizeInput,
   providerAvailabilityController.getMyAvailability.bind(providerAvailabilityController)
@@ -218,12 +376,92 @@ router.get('/me',
  * @access  Private
  */
 router.get('/me/statistics',
-  authMiddleware.authenticate.bind(authMiddleware),
-  authMiddleware.authorizeProvider.bind(authMiddleware),
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
   sanitizeInput,
   providerAvailabilityController.getMyAvailabilityStatistics.bind(providerAvailabilityController)
 );
 
+/**
+ * @route   GET /api/v1/provider/availability/me/requests
+ * @desc    List booking requests waiting for my approval (Provider only)
+ * @access  Private
+ */
+router.get('/me/requests',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  validateRequestListQuery,
+  handleValidationErrors,
+  providerAvailabilityController.getMyBookingRequests.bind(providerAvailabilityController)
+);
+
+/**
+ * @route   POST /api/v1/provider/availability/me/requests/:reference/approve
+ * @desc    Approve a booking request (Provider only)
+ * @access  Private
+ */
+router.post('/me/requests/:reference/approve',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  providerAvailabilityController.approveBookingRequest.bind(providerAvailabilityController)
+);
+
+/**
+ * @route   POST /api/v1/provider/availability/me/requests/:reference/decline
+ * @desc    Decline a booking request and free its seat (Provider only)
+ * @access  Private
+ */
+router.post('/me/requests/:reference/decline',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  validateRequestDecline,
+  handleValidationErrors,
+  sanitizeInput,
+  providerAvailabilityController.declineBookingRequest.bind(providerAvailabilityController)
+);
+
+/**
+ * @route   POST /api/v1/provider/availability/import
+ * @desc    Import availability rows from CSV or JSON, with a per-row report (?dry_run=true to only check)
+ * @access  Private
+ */
+router.post('/import',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  parseCSVBody,
+  validateImportQuery,
+  handleValidationErrors,
+  sanitizeInput,
+  providerAvailabilityController.importAvailability.bind(providerAvailabilityController)
+);
+
+/**
+ * @route   POST /api/v1/provider/availability/preview
+ * @desc    Show the slots new availability would be split into, in local time and UTC, without saving (Provider only)
+ * @access  Private
+ */
+router.post('/preview',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  validateAvailabilityCreation,
+  sanitizeInput,
+  providerAvailabilityController.previewAvailability.bind(providerAvailabilityController)
+);
+
+/**
+ * @route   GET /api/v1/provider/availability/export
+ * @desc    Stream my availability for a date range as CSV or JSON (Provider only)
+ * @access  Private
+ */
+router.get('/export',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  validateExportQuery,
+  handleValidationErrors,
+  sanitizeInput,
+  providerAvailabilityController.exportAvailability.bind(providerAvailabilityController)
+);
+
 /**
  * @route   GET /api/v1/provider/availability/:id
  * @desc    Get availability by ID
@@ -240,8 +478,8 @@ router.get('/:id',
  * @access  Private
  */
 router.put('/:id',
-  authMiddleware.authenticate.bind(authMiddleware),
-  authMiddleware.authorizeProvider.bind(authMiddleware),
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
   validateAvailabilityUpdate,
   sanitizeInput,
   providerAvailabilityController.updateAvailability.bind(providerAvailabilityController)
@@ -253,8 +491,8 @@ router.put('/:id',
  * @access  Private
  */
 router.delete('/:id',
-  authMiddleware.authenticate.bind(authMiddleware),
-  authMiddleware.authorizeProvider.bind(authMiddleware),
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
   sanitizeInput,
   providerAvailabilityController.deleteAvailability.bind(providerAvailabilityController)
 );
@@ -281,24 +519,55 @@ router.get('/:id/check',
 
 /**
  * @route   POST /api/v1/provider/availability/:id/book
- * @desc    Book appointment slot
- * @access  Public
+ * @desc    Book appointment slot for the authenticated patient
+ * @access  Private (Patient)
  */
 router.post('/:id/book',
+  patientAuthMiddleware.authenticate.bind(patientAuthMiddleware),
+  patientAuthMiddleware.authorize.bind(patientAuthMiddleware),
   sanitizeInput,
   providerAvailabilityController.bookSlot.bind(providerAvailabilityController)
 );
 
 /**
  * @route   POST /api/v1/provider/availability/:id/cancel
- * @desc    Cancel appointment slot
- * @access  Public
+ * @desc    Cancel a booking on one of my slots (body: booking_reference, reason)
+ * @access  Private (Owning provider)
  */
 router.post('/:id/cancel',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
   sanitizeInput,
   providerAvailabilityController.cancelSlot.bind(providerAvailabilityController)
 );
 
+/**
+ * @route   GET /api/v1/provider/availability/:id/roster
+ * @desc    List the attendees of one of my slots with its seat counts (?include_cancelled=true for everyone who booked)
+ * @access  Private (Owning provider)
+ */
+router.get('/:id/roster',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  validateRosterQuery,
+  handleValidationErrors,
+  providerAvailabilityController.getRoster.bind(providerAvailabilityController)
+);
+
+/**
+ * @route   POST /api/v1/provider/availability/:id/roster/:reference/cancel
+ * @desc    Cancel one attendee's booking on one of my slots (body: reason)
+ * @access  Private (Owning provider)
+ */
+router.post('/:id/roster/:reference/cancel',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  validateAttendeeCancel,
+  handleValidationErrors,
+  sanitizeInput,
+  providerAvailabilityController.cancelAttendee.bind(providerAvailabilityController)
+);
+
 /**
  * @route   POST /api/v1/provider/availability/validate
  * @desc    Validate availability data
@@ -1,7 +1,8 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const ProviderController = require('../controllers/providerController');
 const { ValidationError, DatabaseError } = require('../utils/errors');
+const { parseNear, DEFAULT_RADIUS_KM, MAX_RADIUS_KM } = require('../utils/geoUtils');
 
 const router = express.Router();
 
@@ -84,13 +85,83 @@ const validateProviderRegistration = [
 
   body('clinic_address.zip')
     .matches(/^\d{5}(-\d{4})?$/)
-    .withMessage('ZIP code must be in valid format (e.g., 12345 or 12345-6789)')
+    .withMessage('ZIP code must be in valid format (e.g., 12345 or 12345-6789)'),
+
+  body('bio')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Bio cannot exceed 2000 characters')
+];
+
+// Validation middleware for provider search
+const validateProviderSearch = [
+  query('q')
+    .optional()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search text must be between 1 and 200 characters'),
+
+  query('city')
+    .optional()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('City must be between 1 and 100 characters'),
+
+  query('appointment_type')
+    .optional()
+    .isIn(['consultation', 'follow_up', 'emergency', 'telemedicine'])
+    .withMessage('Invalid appointment type'),
+
+  query('insurance_accepted')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Insurance accepted must be true or false'),
+
+  query('min_price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Min price must be a positive number'),
+
+  query('max_price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Max price must be a positive number'),
+
+  query('near')
+    .optional()
+    .custom((value) => {
+      parseNear(value);
+      return true;
+    }),
+
+  query('radius_km')
+    .optional()
+    .isFloat({ gt: 0, max: MAX_RADIUS_KM })
+    .withMessage(`Radius must be more than 0 and at most ${MAX_RADIUS_KM} km`)
+    .bail()
+    .custom((value, { req }) => {
+      if (!req.query.near) {
+        throw new Error('radius_km needs near');
+      }
+      return true;
+    }),
+
+  query('cursor')
+    .optional()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Cursor must be between 1 and 1000 characters')
+];
+
+// Validation middleware for the provider list
+const validateProviderList = [
+  query('cursor')
+    .optional()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Cursor must be between 1 and 1000 characters')
 ];
 
 // Sanitization middleware
 const sanitizeInput = (req, res, next) => {
   // Sanitize string inputs
-  const stringFields = ['first_name', 'last_name', 'email', 'phone_number', 'specialization', 'license_number'];
+  const stringFields = ['first_name', 'last_name', 'email', 'phone_number', 'specialization', 'license_number', 'bio'];
   stringFields.forEach(field => {
     if (req.body[field]) {
       req.body[field] = req.body[field].toString().trim();
@@ -148,44 +219,63 @@ router.post('/register',
 
 /**
  * @route   GET /api/v1/provider/search
- * @desc    Search providers
+ * @desc    Search providers with facet counts; q ranks by relevance, near=lat,lng (and radius_km) keeps only clinics nearby
  * @access  Public
  */
-router.get('/search', async (req, res, next) => {
-  try {
-    const searchCriteria = {
-      name: req.query.name,
-      specialization: req.query.specialization,
-      verification_status: req.query.verification_status
-    };
-
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-
-    const result = await providerController.searchProviders(searchCriteria, page, limit);
-    res.json(result);
-  } catch (error) {
-    next(error);
+router.get('/search',
+  validateProviderSearch,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const searchCriteria = {
+        q: req.query.q,
+        name: req.query.name,
+        specialization: req.query.specialization,
+        verification_status: req.query.verification_status,
+        city: req.query.city,
+        appointmentType: req.query.appointment_type,
+        insuranceAccepted: req.query.insurance_accepted === undefined
+          ? undefined
+          : req.query.insurance_accepted === 'true',
+        minPrice: req.query.min_price ? parseFloat(req.query.min_price) : undefined,
+        maxPrice: req.query.max_price ? parseFloat(req.query.max_price) : undefined,
+        near: req.query.near ? parseNear(req.query.near) : undefined,
+        radiusKm: req.query.radius_km ? parseFloat(req.query.radius_km) : DEFAULT_RADIUS_KM,
+        cursor: req.query.cursor
+      };
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+
+      const result = await providerController.searchProviders(searchCriteria, page, limit);
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 /**
  * @route   GET /api/v1/provider
- * @desc    Get all providers with pagination
+ * @desc    Get all providers, by page or by cursor (next_cursor/prev_cursor of a previous page)
  * @access  Public
  */
-router.get('/', async (req, res, next) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const status = req.query.status || null;
+router.get('/',
+  validateProviderList,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const status = req.query.status || null;
 
-    const result = await providerController.getAllProviders(page, limit, status);
-    res.json(result);
-  } catch (error) {
-    next(error);
+      const result = await providerController.getAllProviders(page, limit, status, req.query.cursor || null);
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 /**
  * @route   PUT /api/v1/provider/:id/verify
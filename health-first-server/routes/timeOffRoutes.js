@@ -0,0 +1,214 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const TimeOffController = require('../controllers/timeOffController');
+const AuthMiddleware = require('../middleware/authMiddleware');
+const { sanitizeInput } = require('../middleware/sanitization');
+const { ValidationError } = require('../utils/errors');
+const { isValidTimezone } = require('../utils/timezoneUtils');
+const { TIME_OFF_REASONS } = require('../models/TimeOff');
+
+const router = express.Router();
+const timeOffController = new TimeOffController();
+const authMiddleware = new AuthMiddleware();
+
+const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+// Longest time off period, in days
+const MAX_TIME_OFF_DAYS = 366;
+
+// Validation middleware for creating time off
+const validateTimeOff = [
+  body('start_date')
+    .matches(datePattern)
+    .withMessage('Start date (YYYY-MM-DD) is required')
+    .bail()
+    .isISO8601({ strict: true })
+    .withMessage('Start date must be a real calendar date'),
+
+  body('end_date')
+    .matches(datePattern)
+    .withMessage('End date (YYYY-MM-DD) is required')
+    .bail()
+    .isISO8601({ strict: true })
+    .withMessage('End date must be a real calendar date')
+    .custom((value, { req }) => value >= req.body.start_date)
+    .withMessage('End date must be on or after start date')
+    .custom((value, { req }) =>
+      (new Date(value) - new Date(req.body.start_date)) / (24 * 60 * 60 * 1000) < MAX_TIME_OFF_DAYS
+    )
+    .withMessage(`Time off cannot be longer than ${MAX_TIME_OFF_DAYS} days`),
+
+  body('timezone')
+    .custom(value => isValidTimezone(value))
+    .withMessage('A valid timezone is required'),
+
+  body('reason')
+    .optional()
+    .isIn(TIME_OFF_REASONS)
+    .withMessage(`Reason must be one of: ${TIME_OFF_REASONS.join(', ')}`),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+// Validation middleware for listing time off
+const validateListQuery = [
+  query('from')
+    .optional()
+    .matches(datePattern)
+    .withMessage('From must be a date (YYYY-MM-DD)')
+    .bail()
+    .isISO8601({ strict: true })
+    .withMessage('From must be a real calendar date'),
+
+  query('to')
+    .optional()
+    .matches(datePattern)
+    .withMessage('To must be a date (YYYY-MM-DD)')
+    .bail()
+    .isISO8601({ strict: true })
+    .withMessage('To must be a real calendar date')
+];
+
+// Validation middleware for time off IDs
+const validateTimeOffId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid time off ID')
+];
+
+// Validation middleware for cancelling appointments inside time off
+const validateBulkCancel = [
+  body('booking_references')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Booking references must be a non-empty array'),
+
+  body('booking_references.*')
+    .isString()
+    .withMessage('Booking references must be strings'),
+
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+// Validation middleware for moving appointments out of time off
+const validateBulkReschedule = [
+  body('moves')
+    .isArray({ min: 1 })
+    .withMessage('Moves must be a non-empty array'),
+
+  body('moves.*.booking_reference')
+    .isString()
+    .withMessage('Each move needs a booking reference'),
+
+  body('moves.*.availability_id')
+    .isMongoId()
+    .withMessage('Each move needs a valid availability ID'),
+
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+// Error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => error.msg);
+    throw new ValidationError(errorMessages.join(', '));
+  }
+  next();
+};
+
+// Routes
+
+/**
+ * @route   POST /api/v1/provider/time-off
+ * @desc    Block out a date range; lists appointments already booked inside it (Provider only)
+ * @access  Private
+ */
+router.post('/',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  validateTimeOff,
+  handleValidationErrors,
+  sanitizeInput,
+  timeOffController.createTimeOff.bind(timeOffController)
+);
+
+/**
+ * @route   GET /api/v1/provider/time-off
+ * @desc    List my current and upcoming time off (Provider only)
+ * @access  Private
+ */
+router.get('/',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  validateListQuery,
+  handleValidationErrors,
+  timeOffController.getMyTimeOff.bind(timeOffController)
+);
+
+/**
+ * @route   GET /api/v1/provider/time-off/:id
+ * @desc    Get time off with the appointments still booked inside it (Provider only)
+ * @access  Private
+ */
+router.get('/:id',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  validateTimeOffId,
+  handleValidationErrors,
+  timeOffController.getTimeOff.bind(timeOffController)
+);
+
+/**
+ * @route   DELETE /api/v1/provider/time-off/:id
+ * @desc    Delete time off (Provider only)
+ * @access  Private
+ */
+router.delete('/:id',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  validateTimeOffId,
+  handleValidationErrors,
+  timeOffController.deleteTimeOff.bind(timeOffController)
+);
+
+/**
+ * @route   POST /api/v1/provider/time-off/:id/appointments/cancel
+ * @desc    Cancel all, or the listed, appointments booked inside time off (Provider only)
+ * @access  Private
+ */
+router.post('/:id/appointments/cancel',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  validateTimeOffId,
+  validateBulkCancel,
+  handleValidationErrors,
+  sanitizeInput,
+  timeOffController.cancelAppointments.bind(timeOffController)
+);
+
+/**
+ * @route   POST /api/v1/provider/time-off/:id/appointments/reschedule
+ * @desc    Move appointments booked inside time off to other slots (Provider only)
+ * @access  Private
+ */
+router.post('/:id/appointments/reschedule',
+  authMiddleware.authenticate(),
+  authMiddleware.authorizeProvider(),
+  validateTimeOffId,
+  validateBulkReschedule,
+  handleValidationErrors,
+  sanitizeInput,
+  timeOffController.rescheduleAppointments.bind(timeOffController)
+);
+
+module.exports = router;
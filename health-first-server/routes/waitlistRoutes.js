@@ -0,0 +1,153 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const WaitlistController = require('../controllers/waitlistController');
+const PatientAuthMiddleware = require('../middleware/patientAuthMiddleware');
+const { sanitizeInput } = require('../middleware/sanitization');
+const { ValidationError } = require('../utils/errors');
+const { WAITLIST_STATUSES } = require('../models/WaitlistEntry');
+
+const router = express.Router();
+const waitlistController = new WaitlistController();
+const patientAuthMiddleware = new PatientAuthMiddleware();
+
+// Validation middleware for joining a waitlist
+const validateJoin = [
+  body()
+    .custom(value => value.availability_id || (value.provider_id && value.start_date && value.end_date))
+    .withMessage('Either availability_id, or provider_id with start_date and end_date, is required'),
+
+  body('availability_id')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid availability ID'),
+
+  body('provider_id')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid provider ID'),
+
+  body('start_date')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+
+  body('end_date')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+
+  body('appointment_type')
+    .optional()
+    .isIn(['consultation', 'follow_up', 'emergency', 'telemedicine'])
+    .withMessage('Invalid appointment type'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+// Validation middleware for listing
+const validateListQuery = [
+  query('status')
+    .optional()
+    .isIn(WAITLIST_STATUSES)
+    .withMessage('Invalid status')
+];
+
+// Validation middleware for entry IDs
+const validateEntryId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid waitlist entry ID')
+];
+
+// Validation middleware for accepting an offer
+const validateAccept = [
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+// Error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => error.msg);
+    throw new ValidationError(errorMessages.join(', '));
+  }
+  next();
+};
+
+// Routes
+
+/**
+ * @route   POST /api/v1/waitlist
+ * @desc    Join the waitlist of a fully booked slot, or of a provider for a date range (Patient only)
+ * @access  Private
+ */
+router.post('/',
+  patientAuthMiddleware.authenticate.bind(patientAuthMiddleware),
+  patientAuthMiddleware.authorize.bind(patientAuthMiddleware),
+  validateJoin,
+  handleValidationErrors,
+  sanitizeInput,
+  waitlistController.joinWaitlist.bind(waitlistController)
+);
+
+/**
+ * @route   GET /api/v1/waitlist
+ * @desc    List my waitlist entries and open offers (Patient only)
+ * @access  Private
+ */
+router.get('/',
+  patientAuthMiddleware.authenticate.bind(patientAuthMiddleware),
+  patientAuthMiddleware.authorize.bind(patientAuthMiddleware),
+  validateListQuery,
+  handleValidationErrors,
+  waitlistController.getMyEntries.bind(waitlistController)
+);
+
+/**
+ * @route   DELETE /api/v1/waitlist/:id
+ * @desc    Leave a waitlist (Patient only)
+ * @access  Private
+ */
+router.delete('/:id',
+  patientAuthMiddleware.authenticate.bind(patientAuthMiddleware),
+  patientAuthMiddleware.authorize.bind(patientAuthMiddleware),
+  validateEntryId,
+  handleValidationErrors,
+  waitlistController.leaveWaitlist.bind(waitlistController)
+);
+
+/**
+ * @route   POST /api/v1/waitlist/:id/accept
+ * @desc    Accept a waitlist offer and book the held seat (Patient only)
+ * @access  Private
+ */
+router.post('/:id/accept',
+  patientAuthMiddleware.authenticate.bind(patientAuthMiddleware),
+  patientAuthMiddleware.authorize.bind(patientAuthMiddleware),
+  validateEntryId,
+  validateAccept,
+  handleValidationErrors,
+  sanitizeInput,
+  waitlistController.acceptOffer.bind(waitlistController)
+);
+
+/**
+ * @route   POST /api/v1/waitlist/:id/decline
+ * @desc    Decline a waitlist offer (Patient only)
+ * @access  Private
+ */
+router.post('/:id/decline',
+  patientAuthMiddleware.authenticate.bind(patientAuthMiddleware),
+  patientAuthMiddleware.authorize.bind(patientAuthMiddleware),
+  validateEntryId,
+  handleValidationErrors,
+  waitlistController.declineOffer.bind(waitlistController)
+);
+
+module.exports = router;
@@ -0,0 +1,92 @@
+/**
+ * Geocode provider clinics, availability slots and availability series saved before
+ * coordinates were stored, so they show up in distance searches. Places that already
+ * have coordinates are left alone, so the script can be run again safely.
+ *
+ * Usage: npm run geocode:backfill
+ * Connects to MONGODB_URI, like the server.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { ProviderAvailability } = require('../models/ProviderAvailability');
+const { AvailabilitySeries } = require('../models/AvailabilitySeries');
+const { Provider } = require('../models/Provider');
+const { geocodeAddress, formatClinicAddress } = require('../utils/geocoder');
+
+const DEFAULT_URI = 'mongodb://localhost:27017/health_first';
+
+/**
+ * Geocode the clinics of providers without coordinates
+ * @returns {Promise<Object>} { geocoded, not_found }
+ */
+const backfillProviders = async () => {
+  const counts = { geocoded: 0, not_found: 0 };
+  const cursor = Provider.find({ 'clinic_address.geo': { $exists: false } })
+    .select('clinic_address')
+    .lean()
+    .cursor();
+
+  for await (const provider of cursor) {
+    const geo = await geocodeAddress(formatClinicAddress(provider.clinic_address));
+    if (geo) {
+      await Provider.updateOne({ _id: provider._id }, { $set: { 'clinic_address.geo': geo } });
+      counts.geocoded++;
+    } else {
+      counts.not_found++;
+    }
+  }
+
+  return counts;
+};
+
+/**
+ * Geocode the locations of a model's documents without coordinates. Slots share a
+ * handful of addresses, so each address is geocoded once and updated in one go.
+ * @param {Object} model - ProviderAvailability or AvailabilitySeries
+ * @returns {Promise<Object>} { geocoded, not_found } in documents
+ */
+const backfillLocations = async (model) => {
+  const counts = { geocoded: 0, not_found: 0 };
+  const missing = {
+    'location.geo': { $exists: false },
+    'location.type': { $ne: 'telemedicine' },
+    'location.address': { $nin: [null, ''] }
+  };
+
+  const addresses = await model.distinct('location.address', missing);
+
+  for (const address of addresses) {
+    const geo = await geocodeAddress(address);
+    if (geo) {
+      const result = await model.updateMany(
+        { ...missing, 'location.address': address },
+        { $set: { 'location.geo': geo } }
+      );
+      counts.geocoded += result.modifiedCount;
+    } else {
+      counts.not_found += await model.countDocuments({ ...missing, 'location.address': address });
+    }
+  }
+
+  return counts;
+};
+
+const main = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || DEFAULT_URI, { serverSelectionTimeoutMS: 5000 });
+
+  // The 2dsphere indexes are needed for distance searches
+  await Promise.all([Provider.createIndexes(), ProviderAvailability.createIndexes(), AvailabilitySeries.createIndexes()]);
+
+  console.table({
+    providers: await backfillProviders(),
+    availability: await backfillLocations(ProviderAvailability),
+    series: await backfillLocations(AvailabilitySeries)
+  });
+};
+
+main()
+  .catch(error => {
+    console.error('Geocoding backfill failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
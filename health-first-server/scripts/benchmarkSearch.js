@@ -0,0 +1,288 @@
+/**
+ * Benchmark availability search on a seeded dataset.
+ *
+ * Seeds providers and availability slots into a separate database (100k slots by
+ * default), then runs ProviderAvailabilityRepository.search for a few filter mixes and
+ * reports timings. Each run is also checked against a count made with plain queries,
+ * so a fast but wrong search does not pass unnoticed.
+ *
+ * Usage: npm run benchmark:search -- [--slots=100000] [--providers=500] [--runs=20] [--reseed]
+ * The database is BENCHMARK_MONGODB_URI (default mongodb://localhost:27017/health_first_benchmark).
+ * Its providers and availability are replaced when seeding.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { ProviderAvailability } = require('../models/ProviderAvailability');
+const { Provider } = require('../models/Provider');
+const ProviderAvailabilityRepository = require('../repositories/providerAvailabilityRepository');
+const { localToUTC } = require('../utils/timezoneUtils');
+
+const DEFAULT_URI = 'mongodb://localhost:27017/health_first_benchmark';
+const SEED_BATCH_SIZE = 5000;
+const SEED_DAYS = 60;
+const TIMEZONE = 'America/New_York';
+
+const SPECIALIZATIONS = [
+  'Cardiology', 'Dermatology', 'Pediatrics', 'Orthopedics',
+  'Neurology', 'Psychiatry', 'Oncology', 'Family Medicine'
+];
+const CITIES = [
+  { city: 'New York', state: 'NY' },
+  { city: 'Boston', state: 'MA' },
+  { city: 'Chicago', state: 'IL' },
+  { city: 'Austin', state: 'TX' },
+  { city: 'Denver', state: 'CO' },
+  { city: 'Seattle', state: 'WA' }
+];
+
+/**
+ * Read --name=value options
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} { slots, providers, runs, reseed }
+ */
+const parseArgs = (args) => {
+  const options = Object.fromEntries(args
+    .filter(arg => arg.startsWith('--'))
+    .map(arg => {
+      const [name, value = 'true'] = arg.slice(2).split('=');
+      return [name, value];
+    }));
+
+  return {
+    slots: parseInt(options.slots, 10) || 100000,
+    providers: parseInt(options.providers, 10) || 500,
+    runs: parseInt(options.runs, 10) || 20,
+    reseed: options.reseed === 'true'
+  };
+};
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Spell a number with letters (0 is A, 26 is BA), as provider names cannot hold digits
+ * @param {number} value - Number
+ * @returns {string} Letters
+ */
+const toLetters = (value) => value.toString(26).split('')
+  .map(digit => String.fromCharCode(65 + parseInt(digit, 26)))
+  .join('');
+
+/**
+ * Add days to today's date
+ * @param {number} days - Days to add
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+const daysFromToday = (days) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateString(date);
+};
+
+/**
+ * Replace the benchmark providers and slots. Slots are spread over the providers
+ * and the next SEED_DAYS days, 30 minutes each from 08:00, so no two slots of a
+ * provider overlap.
+ * @param {Object} options - { slots, providers }
+ */
+const seed = async ({ slots, providers }) => {
+  await Promise.all([Provider.deleteMany({}), ProviderAvailability.deleteMany({})]);
+
+  const providerDocs = Array.from({ length: providers }, (_, index) => ({
+    first_name: 'Bench',
+    last_name: `Provider ${toLetters(index)}`,
+    email: `bench.provider.${index}@example.com`,
+    phone_number: `+1555${String(index).padStart(7, '0')}`,
+    password_hash: 'not-a-real-hash',
+    specialization: SPECIALIZATIONS[index % SPECIALIZATIONS.length],
+    license_number: `BENCH${String(index).padStart(6, '0')}`,
+    years_of_experience: index % 30,
+    clinic_address: {
+      street: `${index + 1} Benchmark Ave`,
+      ...CITIES[index % CITIES.length],
+      zip: '10001'
+    },
+    verification_status: 'verified'
+  }));
+  const savedProviders = await Provider.insertMany(providerDocs);
+
+  // UTC times only depend on the date and start time, so work them out once each
+  const utcCache = new Map();
+  const toUTC = (time, date) => {
+    const key = `${date} ${time}`;
+    if (!utcCache.has(key)) {
+      utcCache.set(key, localToUTC(time, date, TIMEZONE));
+    }
+    return utcCache.get(key);
+  };
+
+  const dates = Array.from({ length: SEED_DAYS }, (_, day) => daysFromToday(day + 1));
+  const minutes = value => `${String(Math.floor(value / 60)).padStart(2, '0')}:${String(value % 60).padStart(2, '0')}`;
+  const now = new Date();
+
+  for (let start = 0; start < slots; start += SEED_BATCH_SIZE) {
+    const batch = [];
+
+    for (let index = start; index < Math.min(start + SEED_BATCH_SIZE, slots); index++) {
+      const providerIndex = index % providers;
+      const date = dates[Math.floor(index / providers) % SEED_DAYS];
+      const startMinutes = 8 * 60 + 30 * Math.floor(index / (providers * SEED_DAYS));
+      const startTime = minutes(startMinutes);
+      const endTime = minutes(startMinutes + 30);
+      const clinic = providerDocs[providerIndex].clinic_address;
+
+      batch.push({
+        provider_id: savedProviders[providerIndex]._id,
+        date: new Date(date),
+        start_time: startTime,
+        end_time: endTime,
+        timezone: TIMEZONE,
+        utc_start_time: toUTC(startTime, date),
+        utc_end_time: toUTC(endTime, date),
+        slot_duration: 30,
+        break_duration: 0,
+        status: 'available',
+        max_appointments_per_slot: 1,
+        current_appointments: 0,
+        held_appointments: 0,
+        appointment_type: index % 4 === 0 ? 'telemedicine' : 'consultation',
+        location: {
+          type: index % 4 === 0 ? 'telemedicine' : 'clinic',
+          address: `${clinic.street}, ${clinic.city}, ${clinic.state} ${clinic.zip}`
+        },
+        pricing: {
+          base_fee: 50 + (index % 20) * 10,
+          insurance_accepted: index % 2 === 0,
+          currency: 'USD'
+        },
+        created_at: now,
+        updated_at: now
+      });
+    }
+
+    // Raw inserts: the documents are complete, and validating 100k of them adds minutes
+    await ProviderAvailability.collection.insertMany(batch, { ordered: false });
+    process.stdout.write(`\rSeeded ${Math.min(start + SEED_BATCH_SIZE, slots)} of ${slots} slots`);
+  }
+
+  process.stdout.write('\n');
+};
+
+/**
+ * Count the matches of a search with plain queries: providers first, then slots. The
+ * seeded data has no time off, holidays or scheduling rules, so those leave every slot in.
+ * @param {Object} criteria - Search criteria
+ * @returns {Promise<number>} Matching slots
+ */
+const referenceCount = async (criteria) => {
+  const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const query = {
+    date: { $gte: new Date(criteria.startDate), $lte: new Date(criteria.endDate) },
+    status: 'available',
+    $expr: { $lt: [{ $add: ['$current_appointments', { $ifNull: ['$held_appointments', 0] }] }, '$max_appointments_per_slot'] }
+  };
+
+  if (criteria.specialization) {
+    const providers = await Provider.find({
+      specialization: { $regex: escape(criteria.specialization), $options: 'i' }
+    }).select('_id').lean();
+    query.provider_id = { $in: providers.map(provider => provider._id) };
+  }
+
+  if (criteria.location) {
+    query['location.address'] = { $regex: escape(criteria.location), $options: 'i' };
+  }
+
+  if (criteria.locationType) {
+    query['location.type'] = criteria.locationType;
+  }
+
+  return ProviderAvailability.countDocuments(query);
+};
+
+/**
+ * Time a search over several runs and check its page and total
+ * @param {Object} repository - ProviderAvailabilityRepository
+ * @param {Object} scenario - { name, criteria }
+ * @param {number} runs - Runs to time
+ * @returns {Promise<Object>} Timings (ms) and the outcome of the checks
+ */
+const runScenario = async (repository, scenario, runs) => {
+  const expectedTotal = await referenceCount(scenario.criteria);
+  const { page, limit } = scenario.criteria;
+  const expectedPageSize = Math.max(0, Math.min(limit, expectedTotal - (page - 1) * limit));
+
+  // Warm up caches and the plan cache before timing
+  await repository.search(scenario.criteria);
+
+  const timings = [];
+  let result;
+  for (let run = 0; run < runs; run++) {
+    const started = process.hrtime.bigint();
+    result = await repository.search(scenario.criteria);
+    timings.push(Number(process.hrtime.bigint() - started) / 1e6);
+  }
+
+  timings.sort((a, b) => a - b);
+  const percentile = share => timings[Math.min(timings.length - 1, Math.floor(timings.length * share))];
+
+  return {
+    scenario: scenario.name,
+    total: result.pagination.total,
+    page_size: result.availability.length,
+    correct: result.pagination.total === expectedTotal && result.availability.length === expectedPageSize,
+    p50_ms: percentile(0.5).toFixed(1),
+    p95_ms: percentile(0.95).toFixed(1),
+    max_ms: timings[timings.length - 1].toFixed(1)
+  };
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const uri = process.env.BENCHMARK_MONGODB_URI || DEFAULT_URI;
+
+  await mongoose.connect(uri, { serverSelectionTimeoutMS: 5000 });
+  console.log(`Connected to ${mongoose.connection.name}`);
+
+  await ProviderAvailability.createIndexes();
+
+  const seeded = await ProviderAvailability.estimatedDocumentCount();
+  if (options.reseed || seeded !== options.slots) {
+    await seed(options);
+  } else {
+    console.log(`Reusing ${seeded} seeded slots (--reseed to start over)`);
+  }
+
+  const range = { startDate: daysFromToday(1), endDate: daysFromToday(SEED_DAYS) };
+  const scenarios = [
+    { name: 'date range', criteria: { ...range, page: 1, limit: 50 } },
+    { name: 'specialization', criteria: { ...range, specialization: 'cardio', page: 1, limit: 50 } },
+    { name: 'location', criteria: { ...range, location: 'boston', page: 1, limit: 50 } },
+    { name: 'specialization + location', criteria: { ...range, specialization: 'pediatrics', location: 'chicago', page: 1, limit: 50 } },
+    { name: 'deep page', criteria: { ...range, specialization: 'neuro', page: 40, limit: 50 } },
+    { name: 'no match', criteria: { ...range, specialization: 'cardio', location: 'boston', page: 1, limit: 50 } }
+  ];
+
+  const repository = new ProviderAvailabilityRepository();
+  const results = [];
+  for (const scenario of scenarios) {
+    results.push(await runScenario(repository, scenario, options.runs));
+  }
+
+  console.table(results);
+
+  if (results.some(result => !result.correct)) {
+    process.exitCode = 1;
+  }
+};
+
+main()
+  .catch(error => {
+    console.error('Benchmark failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
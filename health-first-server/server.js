@@ -11,7 +11,18 @@ const authRoutes = require('./routes/authRoutes');
 const patientRoutes = require('./routes/patientRoutes');
 const patientAuthRoutes = require('./routes/patientAuthRoutes');
 const providerAvailabilityRoutes = require('./routes/providerAvailabilityRoutes');
+const availabilitySeriesRoutes = require('./routes/availabilitySeriesRoutes');
 const availabilitySearchRoutes = require('./routes/availabilitySearchRoutes');
+const appointmentRoutes = require('./routes/appointmentRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const waitlistRoutes = require('./routes/waitlistRoutes');
+const checkoutHoldRoutes = require('./routes/checkoutHoldRoutes');
+const bookingPolicyRoutes = require('./routes/bookingPolicyRoutes');
+const providerAppointmentRoutes = require('./routes/providerAppointmentRoutes');
+const timeOffRoutes = require('./routes/timeOffRoutes');
+const holidayCalendarRoutes = require('./routes/holidayCalendarRoutes');
+const WaitlistService = require('./services/waitlistService');
+const AppointmentService = require('./services/appointmentService');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -19,6 +30,9 @@ const errorHandler = require('./middleware/errorHandler');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// How often expired holds and unanswered booking requests are passed on or freed
+const EXPIRY_SWEEP_INTERVAL_MS = 60 * 1000;
+
 // Initialize database
 const database = new Database();
 
@@ -81,8 +95,17 @@ app.get('/health', async (req, res) => {
 });
 
 // API routes - Mount availability routes BEFORE provider routes to prevent conflicts
+app.use('/api/v1/provider/availability/series', availabilitySeriesRoutes);
 app.use('/api/v1/provider/availability', providerAvailabilityRoutes);
+app.use('/api/v1/provider/booking-policy', bookingPolicyRoutes);
+app.use('/api/v1/provider/appointments', providerAppointmentRoutes);
+app.use('/api/v1/provider/time-off', timeOffRoutes);
+app.use('/api/v1/holiday-calendars', holidayCalendarRoutes);
 app.use('/api/v1/availability', availabilitySearchRoutes);
+app.use('/api/v1/appointments', appointmentRoutes);
+app.use('/api/v1/calendar', calendarRoutes);
+app.use('/api/v1/waitlist', waitlistRoutes);
+app.use('/api/v1/holds', checkoutHoldRoutes);
 app.use('/api/v1/provider', providerRoutes);
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/patient', patientRoutes);
@@ -127,12 +150,33 @@ async function startServer() {
       console.log(`🔗 Health check: http://localhost:${PORT}/health`);
       console.log(`📋 API Documentation:`);
       console.log(`   - Provider Availability: http://localhost:${PORT}/api/v1/provider/availability`);
+      console.log(`   - Availability Series: http://localhost:${PORT}/api/v1/provider/availability/series`);
       console.log(`   - Patient Search: http://localhost:${PORT}/api/v1/availability/search`);
+      console.log(`   - Appointments: http://localhost:${PORT}/api/v1/appointments`);
+      console.log(`   - Calendar Feeds: http://localhost:${PORT}/api/v1/calendar`);
+      console.log(`   - Waitlist: http://localhost:${PORT}/api/v1/waitlist`);
+      console.log(`   - Checkout Holds: http://localhost:${PORT}/api/v1/holds`);
     });
+
+    // Tests drive hold and request expiry themselves
+    if (process.env.NODE_ENV !== 'test') {
+      const waitlistService = new WaitlistService();
+      const appointmentService = new AppointmentService();
+      setInterval(() => {
+        waitlistService.sweepExpiredHolds().catch(error => {
+          console.error('❌ Failed to sweep expired holds:', error.message);
+        });
+        appointmentService.sweepExpiredRequests().catch(error => {
+          console.error('❌ Failed to sweep expired booking requests:', error.message);
+        });
+      }, EXPIRY_SWEEP_INTERVAL_MS).unref();
+    }
   } catch (error) {
     console.error('❌ Failed to start server:', error);
     process.exit(1);
   }
 }
 
-startServer(); 
\ No newline at end of file
+startServer();
+
+module.exports = app;
@@ -0,0 +1,885 @@
+const AppointmentRepository = require('../repositories/appointmentRepository');
+const ProviderAvailabilityRepository = require('../repositories/providerAvailabilityRepository');
+const ProviderRepository = require('../repositories/providerRepository');
+const WaitlistService = require('./waitlistService');
+const BookingPolicyService = require('./bookingPolicyService');
+const {
+  APPOINTMENT_STATUSES,
+  SEAT_HOLDING_STATUSES,
+  RESCHEDULABLE_STATUSES,
+  assertTransition,
+  buildStatusChange
+} = require('../utils/appointmentLifecycle');
+const {
+  ValidationError,
+  ConflictError,
+  InvalidTransitionError,
+  NotFoundError,
+  AuthorizationError,
+  DatabaseError
+} = require('../utils/errors');
+
+// Expired booking requests handled per sweep run
+const SWEEP_BATCH_SIZE = 100;
+
+// Response messages for status changes made through changeStatus
+const STATUS_CHANGE_MESSAGES = {
+  confirmed: 'Appointment confirmed',
+  checked_in: 'Patient checked in',
+  in_progress: 'Appointment started',
+  completed: 'Appointment marked as completed',
+  no_show: 'Appointment marked as no-show'
+};
+
+class AppointmentService {
+  constructor() {
+    this.appointmentRepository = new AppointmentRepository();
+    this.providerAvailabilityRepository = new ProviderAvailabilityRepository();
+    this.providerRepository = new ProviderRepository();
+    this.waitlistService = new WaitlistService();
+    this.bookingPolicyService = new BookingPolicyService();
+  }
+
+  /**
+   * Book an appointment on an availability slot for a patient
+   * @param {string} availabilityId - Availability ID
+   * @param {string} patientId - Authenticated patient ID
+   * @param {Object} bookingData - Optional booking details (notes)
+   * @returns {Promise<Object>} Booking result with booking reference
+   */
+  async bookAppointment(availabilityId, patientId, bookingData = {}) {
+    try {
+      const availability = await this.providerAvailabilityRepository.findById(availabilityId);
+
+      if (!availability) {
+        throw new NotFoundError('Availability not found');
+      }
+
+      if (!availability.canBeBooked()) {
+        throw new ConflictError('Slot is not available for booking');
+      }
+      await this.bookingPolicyService.assertSchedulingRules(availability);
+
+      // In request mode the booking waits for the provider but already takes its seat
+      const initial = await this.bookingPolicyService.getInitialBookingStatus(availability);
+
+      // The seat is taken with a conditional update; losing a race ends up here
+      const reserved = await this.providerAvailabilityRepository.reserveCapacity(availabilityId);
+      if (!reserved) {
+        throw new ConflictError('Slot is already fully booked');
+      }
+
+      let appointment;
+      try {
+        const { fields, historyEntry } = buildStatusChange(null, initial.status, 'patient');
+        appointment = await this.appointmentRepository.create({
+          availability_id: reserved._id,
+          provider_id: reserved.provider_id,
+          patient_id: patientId,
+          slot_start_time: reserved.utc_start_time,
+          slot_end_time: reserved.utc_end_time,
+          appointment_type: reserved.appointment_type,
+          ...fields,
+          status_history: [historyEntry],
+          request_expires_at: initial.requestExpiresAt,
+          booked_at: new Date(),
+          notes: bookingData.notes
+        });
+      } catch (error) {
+        // Give the seat back if the appointment record could not be written
+        await this.providerAvailabilityRepository.releaseCapacity(availabilityId);
+        throw error;
+      }
+
+      return {
+        success: true,
+        message: initial.status === 'requested'
+          ? 'Booking request sent to the provider for approval'
+          : 'Appointment booked successfully',
+        data: {
+          booking_reference: appointment.booking_reference,
+          appointment: this.formatAppointment(appointment),
+          availability: this.formatCapacity(reserved)
+        }
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ConflictError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to book appointment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get appointments booked by a patient
+   * @param {string} patientId - Patient ID
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Appointments with pagination
+   */
+  async getPatientAppointments(patientId, options = {}) {
+    try {
+      const result = await this.appointmentRepository.findByPatientId(patientId, options);
+
+      return {
+        success: true,
+        data: {
+          appointments: result.appointments.map(appointment => this.formatAppointment(appointment)),
+          pagination: result.pagination
+        }
+      };
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to get patient appointments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a patient's appointment by booking reference
+   * @param {string} bookingReference - Booking reference
+   * @param {string} patientId - Patient ID requesting the appointment
+   * @returns {Promise<Object>} Appointment data
+   */
+  async getAppointmentByReference(bookingReference, patientId) {
+    try {
+      const appointment = await this.findOwnedAppointment(bookingReference, patientId);
+
+      return {
+        success: true,
+        data: this.formatAppointment(appointment)
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof AuthorizationError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to get appointment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancel an appointment by booking reference
+   * @param {string} bookingReference - Booking reference
+   * @param {Object} actor - Who cancels: { patientId } or { providerId }
+   * @param {string} reason - Optional cancellation reason
+   * @returns {Promise<Object>} Cancellation result
+   */
+  async cancelAppointment(bookingReference, actor, reason) {
+    try {
+      const appointment = await this.appointmentRepository.findByReference(bookingReference);
+
+      if (!appointment) {
+        throw new NotFoundError('Appointment not found');
+      }
+
+      return await this.cancel(appointment, actor, reason);
+    } catch (error) {
+      if (error instanceof NotFoundError ||
+          error instanceof AuthorizationError ||
+          error instanceof ConflictError ||
+          error instanceof InvalidTransitionError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to cancel appointment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move a booking to another slot of the same provider. The new seat is taken before
+   * the appointment moves and the old seat is only freed afterwards, so the patient
+   * never ends up without a slot; the booking reference stays the same. The provider's
+   * reschedule policy limits patients only; a provider may move their own bookings.
+   * @param {string} bookingReference - Booking reference
+   * @param {Object} actor - Who reschedules: { patientId } or { providerId }
+   * @param {Object} options - { availabilityId, reason }
+   * @returns {Promise<Object>} Rescheduled appointment
+   */
+  async rescheduleAppointment(bookingReference, actor, options) {
+    try {
+      const { availabilityId, reason } = options;
+      const appointment = await this.appointmentRepository.findByReference(bookingReference);
+
+      if (!appointment) {
+        throw new NotFoundError('Appointment not found');
+      }
+
+      if (!this.canManage(appointment, actor)) {
+        throw new AuthorizationError('You can only reschedule your own appointments');
+      }
+
+      const fromAvailabilityId = appointment.availability_id._id || appointment.availability_id;
+
+      if (!RESCHEDULABLE_STATUSES.includes(appointment.status)) {
+        throw new ConflictError('Only requested or confirmed appointments can be rescheduled');
+      }
+
+      if (fromAvailabilityId.toString() === availabilityId.toString()) {
+        throw new ValidationError('Appointment is already booked on this slot');
+      }
+
+      const target = await this.providerAvailabilityRepository.findById(availabilityId);
+      if (!target) {
+        throw new NotFoundError('Availability not found');
+      }
+
+      const providerId = appointment.provider_id._id || appointment.provider_id;
+      const targetProviderId = target.provider_id._id || target.provider_id;
+      if (targetProviderId.toString() !== providerId.toString()) {
+        throw new ValidationError('Appointments can only be moved to a slot of the same provider');
+      }
+
+      if (target.appointment_type !== appointment.appointment_type) {
+        throw new ValidationError('Appointments can only be moved to a slot of the same appointment type');
+      }
+
+      if (actor.patientId) {
+        const provider = await this.providerRepository.findById(providerId);
+        this.checkReschedulePolicy(appointment, provider?.booking_policy);
+      }
+
+      if (!target.canBeBooked()) {
+        throw new ConflictError('Slot is not available for booking');
+      }
+      // The appointment's current slot frees up with the move, so its buffer does not count
+      await this.bookingPolicyService.assertSchedulingRules(target, {
+        ignoreAvailabilityIds: [fromAvailabilityId]
+      });
+
+      const reserved = await this.providerAvailabilityRepository.reserveCapacity(availabilityId);
+      if (!reserved) {
+        throw new ConflictError('Slot is already fully booked');
+      }
+
+      let moved;
+      try {
+        moved = await this.appointmentRepository.moveIfScheduled(
+          appointment._id,
+          fromAvailabilityId,
+          {
+            availability_id: reserved._id,
+            slot_start_time: reserved.utc_start_time,
+            slot_end_time: reserved.utc_end_time
+          },
+          {
+            from_availability_id: fromAvailabilityId,
+            to_availability_id: reserved._id,
+            from_slot_start_time: appointment.slot_start_time,
+            to_slot_start_time: reserved.utc_start_time,
+            rescheduled_at: new Date(),
+            rescheduled_by: this.getRole(actor),
+            reason
+          }
+        );
+      } catch (error) {
+        await this.providerAvailabilityRepository.releaseCapacity(availabilityId);
+        throw error;
+      }
+
+      // A concurrent cancel or reschedule won; give the new seat back
+      if (!moved) {
+        await this.providerAvailabilityRepository.releaseCapacity(availabilityId);
+        throw new ConflictError('Appointment changed while it was being rescheduled');
+      }
+
+      const previous = await this.waitlistService.offerFreedSeat(fromAvailabilityId);
+
+      return {
+        success: true,
+        message: 'Appointment rescheduled successfully',
+        data: {
+          booking_reference: moved.booking_reference,
+          appointment: this.formatAppointment(moved),
+          availability: this.formatCapacity(reserved),
+          previous_availability: previous ? this.formatCapacity(previous) : null
+        }
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError ||
+          error instanceof AuthorizationError ||
+          error instanceof ConflictError ||
+          error instanceof ValidationError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to reschedule appointment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check a reschedule against the provider's booking policy
+   * @param {Object} appointment - Appointment document
+   * @param {Object} policy - Provider booking policy (defaults apply when missing)
+   */
+  checkReschedulePolicy(appointment, policy = {}) {
+    const {
+      allow_reschedule: allowed = true,
+      reschedule_notice_hours: noticeHours = 24,
+      max_reschedules: maxReschedules = null
+    } = policy || {};
+
+    if (!allowed) {
+      throw new ConflictError('This provider does not allow rescheduling; cancel and book again instead');
+    }
+
+    const hoursUntilStart = (appointment.slot_start_time.getTime() - Date.now()) / (60 * 60 * 1000);
+    if (hoursUntilStart < noticeHours) {
+      throw new ConflictError(`Appointments cannot be rescheduled less than ${noticeHours} hours before they start`);
+    }
+
+    const count = (appointment.reschedule_history || []).length;
+    if (maxReschedules !== null && count >= maxReschedules) {
+      throw new ConflictError(`This appointment has reached the limit of ${maxReschedules} reschedules`);
+    }
+  }
+
+  /**
+   * Cancel a booking on an availability slot. Patients cancel their own active
+   * booking on the slot; providers must name the booking reference.
+   * @param {string} availabilityId - Availability ID
+   * @param {Object} actor - Who cancels: { patientId } or { providerId }
+   * @param {Object} options - { bookingReference, reason }
+   * @returns {Promise<Object>} Cancellation result
+   */
+  async cancelAvailabilityBooking(availabilityId, actor, options = {}) {
+    try {
+      const { bookingReference, reason } = options;
+      let appointment;
+
+      if (bookingReference) {
+        appointment = await this.appointmentRepository.findByReference(bookingReference);
+        const appointmentAvailabilityId = appointment?.availability_id?._id || appointment?.availability_id;
+
+        if (appointment && appointmentAvailabilityId.toString() !== availabilityId.toString()) {
+          appointment = null;
+        }
+      } else if (actor.patientId) {
+        appointment = await this.appointmentRepository.findActiveByAvailabilityAndPatient(
+          availabilityId,
+          actor.patientId
+        );
+      } else {
+        throw new ValidationError('booking_reference is required');
+      }
+
+      if (!appointment) {
+        throw new NotFoundError('Appointment not found');
+      }
+
+      return await this.cancel(appointment, actor, reason);
+    } catch (error) {
+      if (error instanceof NotFoundError ||
+          error instanceof AuthorizationError ||
+          error instanceof ConflictError ||
+          error instanceof InvalidTransitionError ||
+          error instanceof ValidationError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to cancel appointment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancel an appointment after checking the actor may do so. Patients cancelling
+   * inside the cancellation window are charged the late-cancel fee. The seat is
+   * offered to the waitlist first and freed for anyone to book otherwise.
+   * @param {Object} appointment - Appointment document
+   * @param {Object} actor - Who cancels: { patientId } or { providerId }
+   * @param {string} reason - Optional cancellation reason
+   * @returns {Promise<Object>} Cancellation result
+   */
+  async cancel(appointment, actor, reason) {
+    if (!this.canManage(appointment, actor)) {
+      throw new AuthorizationError('Only the patient who booked or the owning provider can cancel this appointment');
+    }
+
+    assertTransition(appointment.status, 'cancelled', this.getRole(actor));
+
+    // Only patients pay for cancelling a confirmed visit late; a provider cancelling
+    // never charges the patient
+    const fee = actor.patientId && appointment.status === 'confirmed'
+      ? await this.getLateCancelFee(appointment)
+      : null;
+
+    const fields = { cancellation_reason: reason };
+    if (fee) {
+      fields.applied_fee = fee;
+    }
+
+    const cancelled = await this.transition(appointment, 'cancelled', actor, fields);
+    const availability = await this.freeSeat(appointment);
+
+    return {
+      success: true,
+      message: 'Appointment cancelled successfully',
+      data: {
+        appointment: this.formatAppointment(cancelled),
+        availability: availability ? this.formatCapacity(availability) : null
+      }
+    };
+  }
+
+  /**
+   * Move an appointment along its lifecycle: confirm a request, check the patient
+   * in, start, complete or mark a no-show. Cancellations and declined requests free
+   * the seat and go through cancelAppointment and declineRequest.
+   * @param {string} bookingReference - Booking reference
+   * @param {Object} actor - Who changes it: { patientId } or { providerId }
+   * @param {string} toStatus - New status
+   * @returns {Promise<Object>} Updated appointment
+   */
+  async changeStatus(bookingReference, actor, toStatus) {
+    try {
+      const appointment = await this.appointmentRepository.findByReference(bookingReference);
+
+      if (!appointment) {
+        throw new NotFoundError('Appointment not found');
+      }
+
+      if (!this.canManage(appointment, actor)) {
+        throw new AuthorizationError('You can only manage your own appointments');
+      }
+
+      await this.expireIfStale(appointment);
+      assertTransition(appointment.status, toStatus, this.getRole(actor));
+
+      // Whether the patient came is only known once the visit was due
+      if (['completed', 'no_show'].includes(toStatus) && appointment.slot_start_time > new Date()) {
+        const label = toStatus === 'completed' ? 'completed' : 'no-show';
+        throw new ConflictError(`Appointments can only be marked as ${label} after they start`);
+      }
+
+      const fields = {};
+      if (toStatus === 'no_show') {
+        const policy = await this.getCancellationPolicy(appointment);
+        const fee = this.buildFee('no_show', policy.no_show_fee, policy.currency);
+        if (fee) {
+          fields.applied_fee = fee;
+        }
+      }
+
+      const updated = await this.transition(appointment, toStatus, actor, fields);
+
+      return {
+        success: true,
+        message: STATUS_CHANGE_MESSAGES[toStatus],
+        data: this.formatAppointment(updated)
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError ||
+          error instanceof AuthorizationError ||
+          error instanceof ConflictError ||
+          error instanceof InvalidTransitionError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to update appointment status: ${error.message}`);
+    }
+  }
+
+  /**
+   * List the booking requests waiting for a provider's answer
+   * @param {string} providerId - Provider ID
+   * @param {Object} options - { page, limit } or { cursor, limit }
+   * @returns {Promise<Object>} Requests with pagination
+   */
+  async getPendingRequests(providerId, options = {}) {
+    try {
+      const result = await this.appointmentRepository.findPendingRequests(providerId, options);
+
+      return {
+        success: true,
+        data: {
+          requests: result.requests.map(request => this.formatAppointment(request)),
+          pagination: result.pagination
+        }
+      };
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to get booking requests: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the roster of one of a provider's slots: who holds a seat and how many
+   * seats are left
+   * @param {string} availabilityId - Availability ID
+   * @param {string} providerId - Authenticated provider ID
+   * @param {Object} options - { includeCancelled } to also list attendees who gave their seat back
+   * @returns {Promise<Object>} Slot capacity and attendees
+   */
+  async getRoster(availabilityId, providerId, options = {}) {
+    try {
+      const availability = await this.providerAvailabilityRepository.findById(availabilityId);
+
+      if (!availability) {
+        throw new NotFoundError('Availability not found');
+      }
+
+      const ownerId = availability.provider_id?._id || availability.provider_id;
+      if (ownerId.toString() !== providerId.toString()) {
+        throw new AuthorizationError('You can only view the roster of your own availability');
+      }
+
+      const appointments = await this.appointmentRepository.findByAvailability(
+        availabilityId,
+        options.includeCancelled ? APPOINTMENT_STATUSES : SEAT_HOLDING_STATUSES
+      );
+
+      return {
+        success: true,
+        data: {
+          availability: {
+            ...this.formatCapacity(availability),
+            date: availability.date.toISOString().split('T')[0],
+            start_time: availability.start_time,
+            end_time: availability.end_time,
+            timezone: availability.timezone,
+            appointment_type: availability.appointment_type,
+            available_spots: availability.getAvailableSeats()
+          },
+          attendees: appointments.map(appointment => this.formatAttendee(appointment))
+        }
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof AuthorizationError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to get roster: ${error.message}`);
+    }
+  }
+
+  /**
+   * Decline a booking request. Its seat is offered to the waitlist first and freed
+   * for anyone to book otherwise.
+   * @param {string} bookingReference - Booking reference
+   * @param {string} providerId - Authenticated provider ID
+   * @param {string} reason - Optional reason shown to the patient
+   * @returns {Promise<Object>} Declined request
+   */
+  async declineRequest(bookingReference, providerId, reason) {
+    try {
+      const appointment = await this.appointmentRepository.findByReference(bookingReference);
+
+      if (!appointment) {
+        throw new NotFoundError('Appointment not found');
+      }
+
+      if (!this.canManage(appointment, { providerId })) {
+        throw new AuthorizationError('You can only manage your own appointments');
+      }
+
+      await this.expireIfStale(appointment);
+      const declined = await this.transition(appointment, 'declined', { providerId }, { decline_reason: reason });
+      const availability = await this.freeSeat(appointment);
+
+      return {
+        success: true,
+        message: 'Booking request declined',
+        data: {
+          appointment: this.formatAppointment(declined),
+          availability: availability ? this.formatCapacity(availability) : null
+        }
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError ||
+          error instanceof AuthorizationError ||
+          error instanceof ConflictError ||
+          error instanceof InvalidTransitionError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to decline booking request: ${error.message}`);
+    }
+  }
+
+  /**
+   * Expire a request that ran past its expiry time before anyone acts on it, so the
+   * provider cannot approve it after the deadline the sweep has not caught up with
+   * @param {Object} appointment - Appointment document
+   * @throws {ConflictError} If the request has expired
+   */
+  async expireIfStale(appointment) {
+    if (appointment.status === 'requested' && appointment.request_expires_at <= new Date()) {
+      await this.expireRequest(appointment);
+      throw new ConflictError('Booking request has expired');
+    }
+  }
+
+  /**
+   * Expire a booking request the provider did not answer in time and free its seat
+   * @param {Object} appointment - Appointment document
+   * @returns {Promise<boolean>} True if this call expired it
+   */
+  async expireRequest(appointment) {
+    try {
+      await this.transition(appointment, 'expired', { system: true });
+    } catch (error) {
+      // Answered or cancelled in the meantime
+      if (error instanceof ConflictError) {
+        return false;
+      }
+      throw error;
+    }
+
+    await this.freeSeat(appointment);
+    return true;
+  }
+
+  /**
+   * Expire all booking requests that ran past their expiry time. Run periodically.
+   * @returns {Promise<number>} Number of requests expired
+   */
+  async sweepExpiredRequests() {
+    try {
+      const requests = await this.appointmentRepository.findExpiredRequests(SWEEP_BATCH_SIZE);
+      let expired = 0;
+
+      for (const request of requests) {
+        if (await this.expireRequest(request)) {
+          expired += 1;
+        }
+      }
+
+      return expired;
+    } catch (error) {
+      throw new DatabaseError(`Failed to sweep expired booking requests: ${error.message}`);
+    }
+  }
+
+  /**
+   * Give up the seat of an appointment that will not take place: offer it to the
+   * waitlist first and free it for anyone to book otherwise
+   * @param {Object} appointment - Appointment document
+   * @returns {Promise<Object|null>} Availability after the seat moved
+   */
+  async freeSeat(appointment) {
+    return this.waitlistService.offerFreedSeat(
+      appointment.availability_id._id || appointment.availability_id
+    );
+  }
+
+  /**
+   * Apply a status change after checking it against the lifecycle. The change is
+   * conditional on the status the appointment was loaded with, so of two concurrent
+   * changes only the first one wins.
+   * @param {Object} appointment - Appointment document
+   * @param {string} toStatus - New status
+   * @param {Object} actor - { patientId }, { providerId } or { system: true }
+   * @param {Object} fields - Other fields to set along with the status
+   * @returns {Promise<Object>} Updated appointment
+   */
+  async transition(appointment, toStatus, actor, fields = {}) {
+    const role = this.getRole(actor);
+    assertTransition(appointment.status, toStatus, role);
+
+    const change = buildStatusChange(appointment.status, toStatus, role);
+    const updated = await this.appointmentRepository.updateIfStatus(appointment._id, appointment.status, {
+      $set: { ...fields, ...change.fields },
+      $push: { status_history: change.historyEntry }
+    });
+
+    if (!updated) {
+      throw new ConflictError('Appointment changed while it was being updated');
+    }
+
+    return updated;
+  }
+
+  /**
+   * Get the lifecycle role of an actor
+   * @param {Object} actor - { patientId }, { providerId } or { system: true }
+   * @returns {string} 'patient', 'provider' or 'system'
+   */
+  getRole(actor) {
+    if (actor.system) {
+      return 'system';
+    }
+    return actor.patientId ? 'patient' : 'provider';
+  }
+
+  /**
+   * Work out the late-cancel fee for a patient cancelling now, if any
+   * @param {Object} appointment - Appointment document
+   * @returns {Promise<Object|null>} Fee to record, or null when cancelling in time
+   */
+  async getLateCancelFee(appointment) {
+    const policy = await this.getCancellationPolicy(appointment);
+    const hoursUntilStart = (appointment.slot_start_time.getTime() - Date.now()) / (60 * 60 * 1000);
+
+    if (policy.window_hours === 0 || hoursUntilStart >= policy.window_hours) {
+      return null;
+    }
+
+    return this.buildFee('late_cancel', policy.late_cancel_fee, policy.currency);
+  }
+
+  /**
+   * Resolve the cancellation policy of an appointment. Fields set on its
+   * availability slot win over the provider's booking policy.
+   * @param {Object} appointment - Appointment document
+   * @returns {Promise<Object>} { window_hours, late_cancel_fee, no_show_fee, currency }
+   */
+  async getCancellationPolicy(appointment) {
+    // findByReference populates the slot; other lookups only carry its ID
+    const availability = appointment.availability_id?.pricing !== undefined
+      ? appointment.availability_id
+      : await this.providerAvailabilityRepository.findById(appointment.availability_id);
+    const provider = await this.providerRepository.findById(
+      appointment.provider_id._id || appointment.provider_id
+    );
+
+    const slotPolicy = availability?.cancellation_policy || {};
+    const providerPolicy = provider?.booking_policy || {};
+
+    return {
+      window_hours: slotPolicy.window_hours ?? providerPolicy.cancellation_window_hours ?? 0,
+      late_cancel_fee: slotPolicy.late_cancel_fee ?? providerPolicy.late_cancel_fee ?? 0,
+      no_show_fee: slotPolicy.no_show_fee ?? providerPolicy.no_show_fee ?? 0,
+      currency: availability?.pricing?.currency || 'USD'
+    };
+  }
+
+  /**
+   * Build the fee record stored on an appointment
+   * @param {string} kind - 'late_cancel' or 'no_show'
+   * @param {number} amount - Fee amount
+   * @param {string} currency - Currency code
+   * @returns {Object|null} Fee, or null when there is nothing to charge
+   */
+  buildFee(kind, amount, currency) {
+    if (!amount) {
+      return null;
+    }
+
+    return {
+      kind,
+      amount,
+      currency,
+      applied_at: new Date()
+    };
+  }
+
+  /**
+   * Check whether an actor may act on an appointment: its patient or its provider
+   * @param {Object} appointment - Appointment document
+   * @param {Object} actor - { patientId } or { providerId }
+   * @returns {boolean} True if allowed
+   */
+  canManage(appointment, actor) {
+    if (actor.patientId) {
+      return appointment.isOwnedBy(actor.patientId);
+    }
+
+    if (actor.providerId) {
+      const providerId = appointment.provider_id._id || appointment.provider_id;
+      return providerId.toString() === actor.providerId.toString();
+    }
+
+    return false;
+  }
+
+  /**
+   * Load an appointment and make sure it belongs to the given patient
+   * @param {string} bookingReference - Booking reference
+   * @param {string} patientId - Patient ID
+   * @returns {Promise<Object>} Appointment document
+   */
+  async findOwnedAppointment(bookingReference, patientId) {
+    const appointment = await this.appointmentRepository.findByReference(bookingReference);
+
+    if (!appointment) {
+      throw new NotFoundError('Appointment not found');
+    }
+
+    if (!appointment.isOwnedBy(patientId)) {
+      throw new AuthorizationError('You can only access your own appointments');
+    }
+
+    return appointment;
+  }
+
+  /**
+   * Format the capacity of an availability for API responses
+   * @param {Object} availability - Availability document
+   * @returns {Object} Capacity summary
+   */
+  formatCapacity(availability) {
+    return {
+      availability_id: availability._id,
+      current_appointments: availability.current_appointments,
+      held_appointments: availability.held_appointments || 0,
+      max_appointments: availability.max_appointments_per_slot,
+      status: availability.status
+    };
+  }
+
+  /**
+   * Format an appointment as a roster entry, with the patient's contact details
+   * @param {Object} appointment - Appointment document with patient populated
+   * @returns {Object} Formatted attendee
+   */
+  formatAttendee(appointment) {
+    const patient = appointment.patient_id;
+
+    return {
+      booking_reference: appointment.booking_reference,
+      status: appointment.status,
+      patient: patient && patient.first_name !== undefined
+        ? {
+          id: patient._id,
+          name: `${patient.first_name} ${patient.last_name}`.trim(),
+          email: patient.email,
+          phone_number: patient.phone_number
+        }
+        : { id: patient },
+      notes: appointment.notes,
+      booked_at: appointment.booked_at,
+      checked_in_at: appointment.checked_in_at,
+      cancelled_at: appointment.cancelled_at
+    };
+  }
+
+  /**
+   * Format appointment for API responses
+   * @param {Object} appointment - Appointment document
+   * @returns {Object} Formatted appointment
+   */
+  formatAppointment(appointment) {
+    const provider = appointment.provider_id && appointment.provider_id.first_name !== undefined
+      ? {
+        id: appointment.provider_id._id,
+        name: `${appointment.provider_id.first_name} ${appointment.provider_id.last_name}`.trim(),
+        specialization: appointment.provider_id.specialization
+      }
+      : { id: appointment.provider_id };
+
+    return {
+      booking_reference: appointment.booking_reference,
+      status: appointment.status,
+      availability_id: appointment.availability_id?._id || appointment.availability_id,
+      provider,
+      patient_id: appointment.patient_id,
+      appointment_type: appointment.appointment_type,
+      slot_start_time: appointment.slot_start_time,
+      slot_end_time: appointment.slot_end_time,
+      notes: appointment.notes,
+      booked_at: appointment.booked_at,
+      requested_at: appointment.requested_at,
+      confirmed_at: appointment.confirmed_at,
+      checked_in_at: appointment.checked_in_at,
+      started_at: appointment.started_at,
+      request_expires_at: appointment.request_expires_at,
+      declined_at: appointment.declined_at,
+      decline_reason: appointment.decline_reason,
+      expired_at: appointment.expired_at,
+      completed_at: appointment.completed_at,
+      cancelled_at: appointment.cancelled_at,
+      cancellation_reason: appointment.cancellation_reason,
+      no_show_at: appointment.no_show_at,
+      status_history: appointment.status_history || [],
+      applied_fee: appointment.applied_fee?.kind ? appointment.applied_fee : null,
+      reschedule_history: appointment.reschedule_history || []
+    };
+  }
+}
+
+module.exports = AppointmentService;
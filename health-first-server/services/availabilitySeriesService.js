@@ -0,0 +1,531 @@
+const AvailabilitySeriesRepository = require('../repositories/availabilitySeriesRepository');
+const ProviderAvailabilityRepository = require('../repositories/providerAvailabilityRepository');
+const TimeOffRepository = require('../repositories/timeOffRepository');
+const HolidayCalendarService = require('./holidayCalendarService');
+const {
+  ValidationError,
+  ConflictError,
+  NotFoundError,
+  AuthorizationError,
+  DatabaseError
+} = require('../utils/errors');
+const {
+  availabilitySeriesUpdateSchema,
+  SCHEDULE_FIELDS,
+  RECURRENCE_FIELDS
+} = require('../models/AvailabilitySeries');
+const { parseRRule, formatRRule, parseExDates, expandRRule, splitRRule } = require('../utils/recurrenceUtils');
+const { timeToMinutes } = require('../utils/timezoneUtils');
+const { geocodeLocation } = require('../utils/geocoder');
+
+const SCOPES = ['this', 'following', 'all'];
+
+class AvailabilitySeriesService {
+  constructor() {
+    this.availabilitySeriesRepository = new AvailabilitySeriesRepository();
+    this.providerAvailabilityRepository = new ProviderAvailabilityRepository();
+    this.timeOffRepository = new TimeOffRepository();
+    this.holidayCalendarService = new HolidayCalendarService();
+  }
+
+  /**
+   * Create a series and generate its slots
+   * @param {Object} availabilityData - Validated availability data
+   * @param {Object} recurrence - { rule, exdates, dates } as expanded from the request
+   * @returns {Promise<Object>} { series, slots, skipped, conflicts }, as generateRecurringSlots
+   */
+  async createSeries(availabilityData, recurrence) {
+    const series = await this.availabilitySeriesRepository.create({
+      provider_id: availabilityData.provider_id,
+      start_date: availabilityData.date,
+      start_time: availabilityData.start_time,
+      end_time: availabilityData.end_time,
+      timezone: availabilityData.timezone,
+      recurrence_rule: recurrence.rule,
+      recurrence_exdate: recurrence.exdates,
+      recurrence_end_date: availabilityData.recurrence_end_date,
+      slot_duration: availabilityData.slot_duration,
+      break_duration: availabilityData.break_duration,
+      max_appointments_per_slot: availabilityData.max_appointments_per_slot,
+      appointment_type: availabilityData.appointment_type,
+      location: availabilityData.location,
+      pricing: availabilityData.pricing,
+      cancellation_policy: availabilityData.cancellation_policy,
+      booking_mode: availabilityData.booking_mode,
+      scheduling_rules: availabilityData.scheduling_rules,
+      special_requirements: availabilityData.special_requirements,
+      notes: availabilityData.notes
+    });
+
+    try {
+      const generated = await this.providerAvailabilityRepository.generateRecurringSlots(
+        series.toSlotTemplate(),
+        recurrence.dates,
+        await this.findExclusions(series.provider_id, recurrence.dates)
+      );
+      return { series, ...generated };
+    } catch (error) {
+      await this.availabilitySeriesRepository.deleteById(series._id);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a series with a summary of its slots
+   * @param {string} seriesId - Series ID
+   * @param {string} providerId - Authenticated provider ID
+   * @returns {Promise<Object>} Series data
+   */
+  async getSeries(seriesId, providerId) {
+    try {
+      const series = await this.findOwnedSeries(seriesId, providerId);
+
+      const [occurrenceDates, counts] = await Promise.all([
+        this.providerAvailabilityRepository.findSeriesDates(series._id),
+        this.providerAvailabilityRepository.countBySeries(series._id)
+      ]);
+
+      return {
+        success: true,
+        data: {
+          series,
+          occurrence_dates: occurrenceDates,
+          slots_total: counts.total,
+          slots_booked: counts.booked
+        }
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof AuthorizationError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to get availability series: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update one occurrence, an occurrence and all following ones, or the whole series.
+   * Slots holding appointments are never changed, and occurrences from today
+   * backwards are left as they are.
+   * @param {string} seriesId - Series ID
+   * @param {string} providerId - Authenticated provider ID
+   * @param {Object} updateData - { scope, occurrence_date, ...changes }
+   * @returns {Promise<Object>} Update result
+   */
+  async updateSeries(seriesId, providerId, updateData) {
+    try {
+      const { error, value } = availabilitySeriesUpdateSchema.validate(updateData, {
+        abortEarly: false,
+        stripUnknown: true
+      });
+
+      if (error) {
+        const errors = {};
+        error.details.forEach(detail => {
+          const field = detail.path.join('.');
+          if (!errors[field]) {
+            errors[field] = [];
+          }
+          errors[field].push(detail.message);
+        });
+        throw new ValidationError('Validation failed', errors);
+      }
+
+      const series = await this.findOwnedSeries(seriesId, providerId);
+      if (series.status === 'cancelled') {
+        throw new ConflictError('Availability series has been cancelled');
+      }
+
+      const { scope, occurrence_date: occurrenceDate, ...changes } = this.normalizeChanges(value);
+      if (changes.location) {
+        changes.location = await geocodeLocation(changes.location);
+      }
+      const changedFields = Object.keys(changes);
+      if (changedFields.length === 0) {
+        throw new ValidationError('No changes to apply');
+      }
+
+      const regenerate = changedFields.some(field =>
+        SCHEDULE_FIELDS.includes(field) || RECURRENCE_FIELDS.includes(field)
+      );
+
+      const startTime = changes.start_time || series.start_time;
+      const endTime = changes.end_time || series.end_time;
+      if (timeToMinutes(endTime) <= timeToMinutes(startTime)) {
+        throw new ValidationError('End time must be after start time');
+      }
+
+      let target = series;
+      let range;
+
+      if (scope === 'this') {
+        if (changedFields.some(field => RECURRENCE_FIELDS.includes(field))) {
+          throw new ValidationError('Recurrence can only be changed for following or all occurrences');
+        }
+        this.assertEditable(occurrenceDate);
+        if (!this.expandSeries(series).includes(occurrenceDate)) {
+          throw new NotFoundError('Occurrence not found in series');
+        }
+        range = { dates: [occurrenceDate] };
+      } else {
+        const split = scope === 'following'
+          ? await this.splitSeries(series, occurrenceDate, changes)
+          : null;
+
+        if (split) {
+          target = split;
+          range = { fromDate: occurrenceDate };
+        } else {
+          // Nothing precedes the occurrence, so "this and following" is the whole series
+          Object.assign(target, changes);
+          this.expandSeries(target);
+          await this.availabilitySeriesRepository.save(target);
+          range = {};
+        }
+      }
+
+      const result = await this.applyChanges(target, changes, range, regenerate);
+
+      return {
+        success: true,
+        message: 'Availability series updated successfully',
+        data: {
+          series: target,
+          scope,
+          ...result
+        }
+      };
+    } catch (error) {
+      if (error instanceof ValidationError ||
+          error instanceof NotFoundError ||
+          error instanceof AuthorizationError ||
+          error instanceof ConflictError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to update availability series: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete one occurrence, an occurrence and all following ones, or the whole series.
+   * Slots holding appointments are kept.
+   * @param {string} seriesId - Series ID
+   * @param {string} providerId - Authenticated provider ID
+   * @param {Object} options - { scope, occurrenceDate }
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteSeries(seriesId, providerId, options = {}) {
+    try {
+      const { scope = 'all', occurrenceDate } = options;
+
+      if (!SCOPES.includes(scope)) {
+        throw new ValidationError(`Scope must be one of: ${SCOPES.join(', ')}`);
+      }
+      if (scope !== 'all' && !occurrenceDate) {
+        throw new ValidationError('occurrence_date is required for this scope');
+      }
+
+      const series = await this.findOwnedSeries(seriesId, providerId);
+      let range;
+      let endSeries = false;
+
+      if (scope !== 'all') {
+        this.assertEditable(occurrenceDate);
+      }
+
+      const split = scope === 'following'
+        ? splitRRule(series.recurrence_rule, series.start_date, occurrenceDate, {
+          until: series.recurrence_end_date
+        })
+        : null;
+
+      if (scope === 'this') {
+        // Excluding the date keeps later regenerations from bringing it back
+        range = { dates: [occurrenceDate] };
+        series.recurrence_exdate = parseExDates([...series.recurrence_exdate, occurrenceDate]);
+      } else if (split && split.before) {
+        range = { fromDate: occurrenceDate };
+        series.recurrence_rule = split.before.rule;
+        series.recurrence_exdate = series.recurrence_exdate.filter(date => date < occurrenceDate);
+      } else {
+        // Deleting from the first occurrence on ends the whole series
+        range = { fromDate: this.firstEditableDate() };
+        endSeries = true;
+      }
+
+      const slotsDeleted = await this.providerAvailabilityRepository.deleteUnbookedInSeries(series._id, range);
+      const counts = await this.providerAvailabilityRepository.countBySeries(series._id, range);
+
+      const remaining = endSeries
+        ? await this.providerAvailabilityRepository.countBySeries(series._id)
+        : null;
+
+      if (remaining && remaining.total === 0) {
+        await this.availabilitySeriesRepository.deleteById(series._id);
+      } else {
+        if (endSeries) {
+          // Booked or past slots still point at the series, so keep it as cancelled
+          series.status = 'cancelled';
+        }
+        await this.availabilitySeriesRepository.save(series);
+      }
+
+      return {
+        success: true,
+        message: 'Availability series deleted successfully',
+        data: {
+          series_id: series._id,
+          scope,
+          slots_deleted: slotsDeleted,
+          booked_slots_kept: counts.booked
+        }
+      };
+    } catch (error) {
+      if (error instanceof ValidationError ||
+          error instanceof NotFoundError ||
+          error instanceof AuthorizationError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to delete availability series: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apply changes to the unbooked slots of a series within a range. Schedule or
+   * recurrence changes regenerate the slots; other changes update them in place.
+   * @param {Object} series - Series document the slots belong to
+   * @param {Object} changes - Changed fields
+   * @param {Object} range - { fromDate, dates }
+   * @param {boolean} regenerate - Whether slots must be regenerated
+   * @returns {Promise<Object>} Slot counts
+   */
+  async applyChanges(series, changes, range, regenerate) {
+    const editableRange = this.clampRange(range);
+
+    if (!regenerate) {
+      const slotsUpdated = await this.providerAvailabilityRepository.updateUnbookedInSeries(
+        series._id,
+        editableRange,
+        changes
+      );
+      const counts = await this.providerAvailabilityRepository.countBySeries(series._id, editableRange);
+
+      return {
+        slots_updated: slotsUpdated,
+        booked_slots_kept: counts.booked
+      };
+    }
+
+    const slotsRemoved = await this.providerAvailabilityRepository.deleteUnbookedInSeries(series._id, editableRange);
+
+    const dates = (editableRange.dates || this.expandSeries(series))
+      .filter(date => !editableRange.fromDate || date >= editableRange.fromDate);
+
+    // The series already carries recurrence changes; single-occurrence edits only override the template
+    const slotChanges = Object.fromEntries(
+      Object.entries(changes).filter(([field]) => !RECURRENCE_FIELDS.includes(field))
+    );
+
+    // Booked slots that remain make overlapping new slots conflict, so those are skipped,
+    // as are slots during the provider's time off and on holidays
+    const { slots, skipped, conflicts } = await this.providerAvailabilityRepository.generateRecurringSlots(
+      { ...series.toSlotTemplate(), ...slotChanges },
+      dates,
+      await this.findExclusions(series.provider_id, dates)
+    );
+    const counts = await this.providerAvailabilityRepository.countBySeries(series._id, editableRange);
+
+    return {
+      slots_removed: slotsRemoved,
+      slots_created: slots.length,
+      slots_skipped: skipped.length,
+      conflicts: this.providerAvailabilityRepository.formatConflicts(conflicts),
+      booked_slots_kept: counts.booked
+    };
+  }
+
+  /**
+   * Split a series for a "this and following" edit. Occurrences from the split
+   * date move to a new series carrying the changes; the original ends the day before.
+   * @param {Object} series - Series document
+   * @param {string} splitDate - First date of the new series (YYYY-MM-DD)
+   * @param {Object} changes - Changed fields
+   * @returns {Promise<Object|null>} New series, or null when nothing precedes the split
+   */
+  async splitSeries(series, splitDate, changes) {
+    const { before, after } = splitRRule(series.recurrence_rule, series.start_date, splitDate, {
+      until: series.recurrence_end_date
+    });
+
+    if (!before) {
+      return null;
+    }
+
+    const ruleChanged = Boolean(changes.recurrence_rule);
+    if (!ruleChanged && !after) {
+      throw new NotFoundError('Series has no occurrences on or after occurrence_date');
+    }
+
+    const {
+      _id,
+      created_at: createdAt,
+      updated_at: updatedAt,
+      __v: version,
+      ...seriesData
+    } = series.toObject();
+
+    const exdates = changes.recurrence_exdate || series.recurrence_exdate;
+
+    const newSeries = await this.availabilitySeriesRepository.create({
+      ...seriesData,
+      ...changes,
+      start_date: ruleChanged ? splitDate : after.startDate,
+      recurrence_rule: ruleChanged ? changes.recurrence_rule : after.rule,
+      recurrence_exdate: exdates.filter(date => date >= splitDate),
+      parent_series_id: series._id
+    });
+
+    try {
+      this.expandSeries(newSeries);
+    } catch (error) {
+      await this.availabilitySeriesRepository.deleteById(newSeries._id);
+      throw error;
+    }
+
+    await this.providerAvailabilityRepository.reassignSeries(series._id, newSeries._id, { fromDate: splitDate }, {
+      recurrence_rule: newSeries.recurrence_rule
+    });
+
+    series.recurrence_rule = before.rule;
+    series.recurrence_exdate = series.recurrence_exdate.filter(date => date < splitDate);
+    await this.availabilitySeriesRepository.save(series);
+
+    return newSeries;
+  }
+
+  /**
+   * Expand the occurrence dates of a series
+   * @param {Object} series - Series document
+   * @returns {Array<string>} Dates as YYYY-MM-DD
+   */
+  expandSeries(series) {
+    try {
+      return expandRRule(series.recurrence_rule, series.start_date, {
+        until: series.recurrence_end_date,
+        exdates: series.recurrence_exdate
+      });
+    } catch (error) {
+      throw new ValidationError('Validation failed', {
+        recurrence_rule: [error.message]
+      });
+    }
+  }
+
+  /**
+   * Normalize recurrence fields of an update to their stored form
+   * @param {Object} value - Validated update data
+   * @returns {Object} Normalized update data
+   */
+  normalizeChanges(value) {
+    const normalized = { ...value };
+
+    try {
+      if (normalized.recurrence_rule) {
+        normalized.recurrence_rule = formatRRule(parseRRule(normalized.recurrence_rule));
+      }
+      if (normalized.recurrence_exdate) {
+        normalized.recurrence_exdate = parseExDates(normalized.recurrence_exdate);
+      }
+    } catch (error) {
+      throw new ValidationError('Validation failed', {
+        recurrence_exdate: [error.message]
+      });
+    }
+
+    return normalized;
+  }
+
+  /**
+   * First date whose slots may still be changed. Slots are dated at UTC
+   * midnight, so this is the first date still entirely in the future.
+   * @returns {string} Date as YYYY-MM-DD
+   */
+  firstEditableDate() {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+      .toISOString()
+      .split('T')[0];
+  }
+
+  /**
+   * Make sure an occurrence date can still be changed
+   * @param {string} date - Date as YYYY-MM-DD
+   */
+  assertEditable(date) {
+    if (date < this.firstEditableDate()) {
+      throw new ValidationError('Only future occurrences can be changed');
+    }
+  }
+
+  /**
+   * Limit a range to dates that may still be changed
+   * @param {Object} range - { fromDate, dates }
+   * @returns {Object} Clamped range
+   */
+  clampRange(range) {
+    const floor = this.firstEditableDate();
+
+    if (range.dates) {
+      return { dates: range.dates.filter(date => date >= floor) };
+    }
+
+    return { fromDate: range.fromDate && range.fromDate > floor ? range.fromDate : floor };
+  }
+
+  /**
+   * Find a provider's time off and holidays around some occurrence dates, so no
+   * slots are generated on them
+   * @param {string} providerId - Provider ID
+   * @param {Array<string>} dates - Local occurrence dates (YYYY-MM-DD), in order
+   * @returns {Promise<Object>} { timeOff, holidays } for generateRecurringSlots
+   */
+  async findExclusions(providerId, dates) {
+    if (dates.length === 0) {
+      return {};
+    }
+
+    // Local dates can be up to a day either side of the same UTC date
+    const dayMs = 24 * 60 * 60 * 1000;
+    const [timeOff, holidays] = await Promise.all([
+      this.timeOffRepository.findOverlapping(
+        [providerId],
+        new Date(new Date(dates[0]).getTime() - dayMs),
+        new Date(new Date(dates[dates.length - 1]).getTime() + 2 * dayMs)
+      ),
+      this.holidayCalendarService.getProviderHolidays(providerId, dates[0], dates[dates.length - 1])
+    ]);
+
+    return { timeOff, holidays: [...holidays.keys()] };
+  }
+
+  /**
+   * Load a series and make sure it belongs to the given provider
+   * @param {string} seriesId - Series ID
+   * @param {string} providerId - Provider ID
+   * @returns {Promise<Object>} Series document
+   */
+  async findOwnedSeries(seriesId, providerId) {
+    const series = await this.availabilitySeriesRepository.findById(seriesId);
+
+    if (!series) {
+      throw new NotFoundError('Availability series not found');
+    }
+
+    if (!series.isOwnedBy(providerId)) {
+      throw new AuthorizationError('You can only manage your own availability series');
+    }
+
+    return series;
+  }
+}
+
+module.exports = AvailabilitySeriesService;
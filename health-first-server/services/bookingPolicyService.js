@@ -0,0 +1,218 @@
+const ProviderRepository = require('../repositories/providerRepository');
+const ProviderAvailabilityRepository = require('../repositories/providerAvailabilityRepository');
+const TimeOffRepository = require('../repositories/timeOffRepository');
+const HolidayCalendarService = require('./holidayCalendarService');
+const {
+  MAX_BUFFER_MINUTES,
+  resolveSchedulingRules,
+  getBookingWindowError,
+  getBufferedEnd,
+  isWithinBuffer
+} = require('../utils/schedulingRules');
+const { NotFoundError, ConflictError, DatabaseError } = require('../utils/errors');
+
+// Policy fields a provider can change
+const BOOKING_POLICY_FIELDS = [
+  'allow_reschedule',
+  'reschedule_notice_hours',
+  'max_reschedules',
+  'cancellation_window_hours',
+  'late_cancel_fee',
+  'no_show_fee',
+  'booking_mode',
+  'request_expiry_hours',
+  'min_notice_hours',
+  'max_advance_days',
+  'buffer_minutes'
+];
+
+class BookingPolicyService {
+  constructor() {
+    this.providerRepository = new ProviderRepository();
+    this.providerAvailabilityRepository = new ProviderAvailabilityRepository();
+    this.timeOffRepository = new TimeOffRepository();
+    this.holidayCalendarService = new HolidayCalendarService();
+  }
+
+  /**
+   * Get the booking policy of a provider
+   * @param {string} providerId - Provider ID
+   * @returns {Promise<Object>} Booking policy
+   */
+  async getPolicy(providerId) {
+    try {
+      const provider = await this.providerRepository.findById(providerId);
+
+      if (!provider) {
+        throw new NotFoundError('Provider not found');
+      }
+
+      return {
+        success: true,
+        data: this.formatPolicy(provider.booking_policy)
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to get booking policy: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update some fields of a provider's booking policy
+   * @param {string} providerId - Provider ID
+   * @param {Object} data - Policy fields to change
+   * @returns {Promise<Object>} Updated booking policy
+   */
+  async updatePolicy(providerId, data) {
+    try {
+      const update = {};
+      BOOKING_POLICY_FIELDS
+        .filter(field => data[field] !== undefined)
+        .forEach(field => {
+          if (field === 'buffer_minutes') {
+            // Buffers are set per appointment type; types left out keep their buffer
+            Object.entries(data.buffer_minutes).forEach(([type, minutes]) => {
+              update[`booking_policy.buffer_minutes.${type}`] = minutes;
+            });
+          } else {
+            update[`booking_policy.${field}`] = data[field];
+          }
+        });
+
+      const provider = await this.providerRepository.updateById(providerId, update);
+
+      if (!provider) {
+        throw new NotFoundError('Provider not found');
+      }
+
+      return {
+        success: true,
+        message: 'Booking policy updated successfully',
+        data: this.formatPolicy(provider.booking_policy)
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to update booking policy: ${error.message}`);
+    }
+  }
+
+  /**
+   * Work out how a new booking on a slot starts: confirmed straight away, or as a
+   * request the provider has to answer before it expires. The slot's booking mode
+   * wins over the provider's.
+   * @param {Object} availability - Availability document
+   * @returns {Promise<Object>} { status, requestExpiresAt }
+   */
+  async getInitialBookingStatus(availability) {
+    const provider = await this.providerRepository.findById(
+      availability.provider_id._id || availability.provider_id
+    );
+    const policy = provider?.booking_policy || {};
+    const mode = availability.booking_mode || policy.booking_mode || 'instant';
+
+    if (mode !== 'request') {
+      return { status: 'confirmed', requestExpiresAt: null };
+    }
+
+    // A request cannot stay open past the start of the visit
+    const hours = policy.request_expiry_hours || 24;
+    const expiresAt = Math.min(Date.now() + hours * 60 * 60 * 1000, availability.utc_start_time.getTime());
+
+    return { status: 'requested', requestExpiresAt: new Date(expiresAt) };
+  }
+
+  /**
+   * Get the scheduling rules of a slot, from its own rules and its provider's policy
+   * @param {Object} availability - Availability document
+   * @returns {Promise<Object>} { minNoticeHours, maxAdvanceDays, bufferMinutes }
+   */
+  async getSchedulingRules(availability) {
+    const provider = await this.providerRepository.findById(
+      availability.provider_id._id || availability.provider_id
+    );
+    return resolveSchedulingRules(availability, provider?.booking_policy);
+  }
+
+  /**
+   * Check a slot against its scheduling rules: the minimum notice, the booking
+   * horizon, the provider's time off and holidays, and the buffers between it and
+   * the provider's booked slots
+   * @param {Object} availability - Availability document
+   * @param {Object} options - { ignoreAvailabilityIds } booked slots to leave out of the buffer check
+   * @returns {Promise<string|null>} Why the slot cannot be booked, or null if it can
+   */
+  async getSchedulingError(availability, options = {}) {
+    const providerId = availability.provider_id._id || availability.provider_id;
+    const provider = await this.providerRepository.findById(providerId);
+    const policy = provider?.booking_policy;
+    const rules = resolveSchedulingRules(availability, policy);
+
+    const windowError = getBookingWindowError(availability.utc_start_time, rules);
+    if (windowError) {
+      return windowError;
+    }
+
+    const timeOff = await this.timeOffRepository.findOverlapping(
+      [providerId],
+      availability.utc_start_time,
+      availability.utc_end_time
+    );
+    if (timeOff.length > 0) {
+      return 'Provider is on time off during this slot';
+    }
+
+    const holiday = await this.holidayCalendarService.findHoliday(providerId, availability.date);
+    if (holiday) {
+      return `Clinic is closed on ${holiday.date} for ${holiday.name}`;
+    }
+
+    // A booked slot before this one may keep up to the largest buffer free after it
+    const neighbours = await this.providerAvailabilityRepository.findBookedBetween(
+      [providerId],
+      new Date(availability.utc_start_time.getTime() - MAX_BUFFER_MINUTES * 60 * 1000),
+      getBufferedEnd(availability, rules.bufferMinutes),
+      [availability._id, ...(options.ignoreAvailabilityIds || [])]
+    );
+
+    const tooClose = neighbours.some(neighbour =>
+      isWithinBuffer(availability, rules.bufferMinutes, neighbour, resolveSchedulingRules(neighbour, policy).bufferMinutes)
+    );
+    if (tooClose) {
+      return 'Slot is too close to another booked appointment of this provider';
+    }
+
+    return null;
+  }
+
+  /**
+   * Make sure a slot can be booked under its scheduling rules
+   * @param {Object} availability - Availability document
+   * @param {Object} options - { ignoreAvailabilityIds } booked slots to leave out of the buffer check
+   * @throws {ConflictError} If a rule does not allow the booking
+   */
+  async assertSchedulingRules(availability, options = {}) {
+    const error = await this.getSchedulingError(availability, options);
+    if (error) {
+      throw new ConflictError(error);
+    }
+  }
+
+  /**
+   * Format a booking policy for API responses
+   * @param {Object} policy - Provider booking policy
+   * @returns {Object} Formatted policy
+   */
+  formatPolicy(policy = {}) {
+    const formatted = {};
+    BOOKING_POLICY_FIELDS.forEach(field => {
+      formatted[field] = policy?.[field] ?? null;
+    });
+    return formatted;
+  }
+}
+
+module.exports = BookingPolicyService;
@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+const CalendarFeedRepository = require('../repositories/calendarFeedRepository');
+const ProviderAvailabilityRepository = require('../repositories/providerAvailabilityRepository');
+const AppointmentRepository = require('../repositories/appointmentRepository');
+const AppointmentService = require('./appointmentService');
+const { OWNER_TYPES } = require('../models/CalendarFeed');
+const { NotFoundError, AuthorizationError, ValidationError, DatabaseError } = require('../utils/errors');
+const { buildCalendar } = require('../utils/icsUtils');
+const { localToUTC } = require('../utils/timezoneUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Feeds cover a month back (so recent visits stay visible) and a year ahead
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 365;
+
+const APPOINTMENT_TYPE_LABELS = {
+  consultation: 'Consultation',
+  follow_up: 'Follow-up',
+  emergency: 'Emergency',
+  telemedicine: 'Telemedicine'
+};
+
+// iCalendar STATUS per appointment status; requests the provider has not answered are
+// only tentative, and visits that will not take place are cancelled
+const APPOINTMENT_EVENT_STATUSES = {
+  requested: 'TENTATIVE',
+  cancelled: 'CANCELLED',
+  declined: 'CANCELLED',
+  expired: 'CANCELLED'
+};
+
+class CalendarService {
+  constructor() {
+    this.calendarFeedRepository = new CalendarFeedRepository();
+    this.providerAvailabilityRepository = new ProviderAvailabilityRepository();
+    this.appointmentRepository = new AppointmentRepository();
+    this.appointmentService = new AppointmentService();
+  }
+
+  /**
+   * Create a feed for a provider or patient, replacing any previous feed URL
+   * @param {string} ownerType - 'provider' or 'patient'
+   * @param {string} ownerId - Provider or patient ID
+   * @param {string} baseUrl - Public base URL of the API (e.g. https://api.example.com)
+   * @returns {Promise<Object>} Feed URLs; the token cannot be retrieved again later
+   */
+  async createFeed(ownerType, ownerId, baseUrl) {
+    if (!OWNER_TYPES.includes(ownerType)) {
+      throw new ValidationError(`Owner type must be one of: ${OWNER_TYPES.join(', ')}`);
+    }
+
+    try {
+      const token = crypto.randomBytes(32).toString('base64url');
+      const feed = await this.calendarFeedRepository.upsertForOwner(ownerType, ownerId, this.hashToken(token));
+      const feedUrl = `${baseUrl}/api/v1/calendar/feeds/${token}.ics`;
+
+      return {
+        success: true,
+        message: 'Calendar feed created successfully',
+        data: {
+          feed_url: feedUrl,
+          webcal_url: feedUrl.replace(/^https?:/, 'webcal:'),
+          created_at: feed.updated_at
+        }
+      };
+    } catch (error) {
+      throw new DatabaseError(`Failed to create calendar feed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke the feed of a provider or patient
+   * @param {string} ownerType - 'provider' or 'patient'
+   * @param {string} ownerId - Provider or patient ID
+   * @returns {Promise<Object>} Revocation result
+   */
+  async revokeFeed(ownerType, ownerId) {
+    try {
+      const deleted = await this.calendarFeedRepository.deleteForOwner(ownerType, ownerId);
+
+      if (!deleted) {
+        throw new NotFoundError('Calendar feed not found');
+      }
+
+      return {
+        success: true,
+        message: 'Calendar feed revoked successfully'
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to revoke calendar feed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Render the calendar behind a feed token
+   * @param {string} token - Feed token from the URL
+   * @returns {Promise<string>} iCalendar text
+   */
+  async getFeedCalendar(token) {
+    try {
+      const feed = await this.calendarFeedRepository.findByTokenHash(this.hashToken(token));
+
+      if (!feed) {
+        throw new NotFoundError('Calendar feed not found');
+      }
+
+      return feed.owner_type === 'provider'
+        ? await this.buildProviderCalendar(feed.owner_id)
+        : await this.buildPatientCalendar(feed.owner_id);
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to build calendar feed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Render a single appointment of a patient as an .ics file
+   * @param {string} bookingReference - Booking reference
+   * @param {string} patientId - Patient ID requesting the file
+   * @returns {Promise<Object>} { filename, calendar }
+   */
+  async getAppointmentCalendar(bookingReference, patientId) {
+    try {
+      const appointment = await this.appointmentService.findOwnedAppointment(bookingReference, patientId);
+
+      return {
+        filename: `${appointment.booking_reference}.ics`,
+        calendar: buildCalendar({
+          events: [this.appointmentToEvent(appointment, 'patient')]
+        })
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof AuthorizationError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to build appointment calendar: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build a provider's feed: open availability plus booked and cancelled appointments.
+   * Fully booked slots show up through their appointments only.
+   * @param {string} providerId - Provider ID
+   * @returns {Promise<string>} iCalendar text
+   */
+  async buildProviderCalendar(providerId) {
+    const { from, to } = this.getFeedRange();
+
+    const availability = await this.providerAvailabilityRepository.findByProviderId(providerId, {
+      startDate: from,
+      endDate: to
+    });
+    const appointments = await this.appointmentRepository.findInRange({ provider_id: providerId }, { from, to });
+
+    const events = [
+      ...availability
+        .filter(slot => ['available', 'blocked', 'maintenance'].includes(slot.status) &&
+          (slot.status !== 'available' || slot.isAvailable()))
+        .map(slot => this.availabilityToEvent(slot)),
+      ...appointments.map(appointment => this.appointmentToEvent(appointment, 'provider'))
+    ];
+
+    return buildCalendar({ name: 'Health First schedule', events });
+  }
+
+  /**
+   * Build a patient's feed of booked and cancelled appointments
+   * @param {string} patientId - Patient ID
+   * @returns {Promise<string>} iCalendar text
+   */
+  async buildPatientCalendar(patientId) {
+    const appointments = await this.appointmentRepository.findInRange({ patient_id: patientId }, this.getFeedRange());
+
+    return buildCalendar({
+      name: 'Health First appointments',
+      events: appointments.map(appointment => this.appointmentToEvent(appointment, 'patient'))
+    });
+  }
+
+  /**
+   * Turn an availability slot into a calendar event
+   * @param {Object} slot - Availability slot
+   * @returns {Object} Event
+   */
+  availabilityToEvent(slot) {
+    const localDate = slot.date.toISOString().split('T')[0];
+    const typeLabel = APPOINTMENT_TYPE_LABELS[slot.appointment_type] || 'Appointment';
+    const isOpen = slot.status === 'available';
+
+    return {
+      uid: `availability-${slot._id}`,
+      start: slot.utc_start_time || localToUTC(slot.start_time, localDate, slot.timezone),
+      end: slot.utc_end_time || localToUTC(slot.end_time, localDate, slot.timezone),
+      timezone: slot.timezone,
+      summary: isOpen ? `Available: ${typeLabel}` : `Unavailable (${slot.status})`,
+      description: isOpen
+        ? `${slot.current_appointments} of ${slot.max_appointments_per_slot} booked`
+        : slot.notes,
+      location: this.formatLocation(slot.location),
+      status: isOpen ? 'TENTATIVE' : 'CONFIRMED',
+      // Open slots do not make the provider look busy to other calendars
+      transparent: isOpen,
+      lastModified: slot.updated_at
+    };
+  }
+
+  /**
+   * Turn an appointment into a calendar event. Provider feeds leave out patient
+   * details, since they end up in third-party calendar services.
+   * @param {Object} appointment - Appointment with provider and availability populated
+   * @param {string} audience - 'provider' or 'patient'
+   * @returns {Object} Event
+   */
+  appointmentToEvent(appointment, audience) {
+    const availability = appointment.availability_id && appointment.availability_id.timezone
+      ? appointment.availability_id
+      : null;
+    const provider = appointment.provider_id && appointment.provider_id.first_name !== undefined
+      ? appointment.provider_id
+      : null;
+    const typeLabel = APPOINTMENT_TYPE_LABELS[appointment.appointment_type] || 'Appointment';
+
+    const summary = audience === 'patient' && provider
+      ? `${typeLabel} with Dr. ${provider.first_name} ${provider.last_name}`
+      : `${typeLabel} appointment`;
+
+    const description = [
+      audience === 'patient' && provider?.specialization ? provider.specialization : null,
+      `Booking reference: ${appointment.booking_reference}`,
+      appointment.status === 'cancelled' && appointment.cancellation_reason
+        ? `Cancelled: ${appointment.cancellation_reason}`
+        : null
+    ].filter(Boolean).join('\n');
+
+    return {
+      uid: `appointment-${appointment.booking_reference}`,
+      start: appointment.slot_start_time,
+      end: appointment.slot_end_time,
+      // Without the slot's timezone the event is written in UTC
+      timezone: availability ? availability.timezone : null,
+      summary,
+      description,
+      location: availability ? this.formatLocation(availability.location) : null,
+      status: APPOINTMENT_EVENT_STATUSES[appointment.status] || 'CONFIRMED',
+      transparent: APPOINTMENT_EVENT_STATUSES[appointment.status] === 'CANCELLED',
+      lastModified: appointment.updated_at
+    };
+  }
+
+  /**
+   * Format an availability location for the LOCATION property
+   * @param {Object} location - { type, address, room_number }
+   * @returns {string|null} Location text
+   */
+  formatLocation(location) {
+    if (!location) {
+      return null;
+    }
+
+    if (location.type === 'telemedicine') {
+      return 'Telemedicine';
+    }
+
+    return [location.address, location.room_number ? `Room ${location.room_number}` : null]
+      .filter(Boolean)
+      .join(', ') || null;
+  }
+
+  /**
+   * Time range covered by feeds
+   * @returns {Object} { from, to } as Dates
+   */
+  getFeedRange() {
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+
+    return {
+      from: new Date(today.getTime() - FEED_PAST_DAYS * DAY_MS),
+      to: new Date(today.getTime() + FEED_FUTURE_DAYS * DAY_MS)
+    };
+  }
+
+  /**
+   * Hash a feed token for storage and lookup
+   * @param {string} token - Feed token
+   * @returns {string} SHA-256 hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+}
+
+module.exports = CalendarService;
@@ -0,0 +1,224 @@
+const SlotHoldRepository = require('../repositories/slotHoldRepository');
+const ProviderAvailabilityRepository = require('../repositories/providerAvailabilityRepository');
+const SlotHoldService = require('./slotHoldService');
+const WaitlistService = require('./waitlistService');
+const AppointmentService = require('./appointmentService');
+const BookingPolicyService = require('./bookingPolicyService');
+const {
+  ConflictError,
+  NotFoundError,
+  AuthorizationError,
+  DatabaseError
+} = require('../utils/errors');
+
+// How long a seat is held while the patient checks out, unless they ask for less or more
+const CHECKOUT_HOLD_MINUTES = parseInt(process.env.CHECKOUT_HOLD_MINUTES) || 10;
+const MAX_CHECKOUT_HOLD_MINUTES = 30;
+
+// Seats one patient may hold at the same time, so nobody can sit on a provider's day
+const MAX_ACTIVE_CHECKOUT_HOLDS = 3;
+
+class CheckoutHoldService {
+  constructor() {
+    this.slotHoldRepository = new SlotHoldRepository();
+    this.providerAvailabilityRepository = new ProviderAvailabilityRepository();
+    this.slotHoldService = new SlotHoldService();
+    this.waitlistService = new WaitlistService();
+    this.appointmentService = new AppointmentService();
+    this.bookingPolicyService = new BookingPolicyService();
+  }
+
+  /**
+   * Hold a seat on an availability while the patient completes checkout
+   * @param {string} availabilityId - Availability ID
+   * @param {string} patientId - Patient ID
+   * @param {Object} options - { minutes }
+   * @returns {Promise<Object>} Hold and availability capacity
+   */
+  async placeHold(availabilityId, patientId, options = {}) {
+    try {
+      const availability = await this.providerAvailabilityRepository.findById(availabilityId);
+
+      if (!availability) {
+        throw new NotFoundError('Availability not found');
+      }
+
+      if (!availability.canBeBooked()) {
+        throw new ConflictError('Slot is not available for booking');
+      }
+      await this.bookingPolicyService.assertSchedulingRules(availability);
+
+      const existing = await this.slotHoldRepository.findActive({
+        availability_id: availabilityId,
+        patient_id: patientId
+      });
+      if (existing) {
+        throw new ConflictError('You already hold a seat on this slot');
+      }
+
+      const activeHolds = await this.slotHoldRepository.countActive({ patient_id: patientId, source: 'checkout' });
+      if (activeHolds >= MAX_ACTIVE_CHECKOUT_HOLDS) {
+        throw new ConflictError(`You cannot hold more than ${MAX_ACTIVE_CHECKOUT_HOLDS} slots at a time`);
+      }
+
+      const placed = await this.slotHoldService.placeHold(availabilityId, patientId, {
+        source: 'checkout',
+        minutes: Math.min(options.minutes || CHECKOUT_HOLD_MINUTES, MAX_CHECKOUT_HOLD_MINUTES)
+      });
+      if (!placed) {
+        throw new ConflictError('Slot is already fully booked');
+      }
+
+      return {
+        success: true,
+        message: 'Slot held successfully',
+        data: {
+          hold: this.formatHold(placed.hold),
+          availability: this.appointmentService.formatCapacity(placed.availability)
+        }
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ConflictError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to hold slot: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a hold of the patient
+   * @param {string} holdId - Hold ID
+   * @param {string} patientId - Patient ID
+   * @returns {Promise<Object>} Hold data
+   */
+  async getHold(holdId, patientId) {
+    try {
+      const hold = await this.findOwnedHold(holdId, patientId);
+
+      return {
+        success: true,
+        data: this.formatHold(hold)
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof AuthorizationError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to get hold: ${error.message}`);
+    }
+  }
+
+  /**
+   * Confirm a hold into a booking
+   * @param {string} holdId - Hold ID
+   * @param {string} patientId - Patient ID
+   * @param {Object} bookingData - Optional booking details (notes)
+   * @returns {Promise<Object>} Booking result with booking reference
+   */
+  async confirmHold(holdId, patientId, bookingData = {}) {
+    try {
+      const hold = await this.findOwnedHold(holdId, patientId);
+
+      if (!hold.isActive()) {
+        // Do not wait for the sweep to pass the seat on
+        if (hold.status === 'active') {
+          await this.waitlistService.expireHold(hold);
+        }
+        throw new ConflictError('Hold has expired or is no longer active');
+      }
+
+      const { appointment, availability } = await this.slotHoldService.confirmHold(hold, bookingData);
+
+      return {
+        success: true,
+        message: appointment.status === 'requested'
+          ? 'Booking request sent to the provider for approval'
+          : 'Appointment booked successfully',
+        data: {
+          booking_reference: appointment.booking_reference,
+          appointment: this.appointmentService.formatAppointment(appointment),
+          availability: this.appointmentService.formatCapacity(availability)
+        }
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError ||
+          error instanceof AuthorizationError ||
+          error instanceof ConflictError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to confirm hold: ${error.message}`);
+    }
+  }
+
+  /**
+   * Release a hold before it expires; the seat goes to the waitlist or is freed
+   * @param {string} holdId - Hold ID
+   * @param {string} patientId - Patient ID
+   * @returns {Promise<Object>} Release result
+   */
+  async releaseHold(holdId, patientId) {
+    try {
+      const hold = await this.findOwnedHold(holdId, patientId);
+
+      const released = await this.slotHoldService.endHold(hold._id, 'released');
+      if (!released) {
+        throw new ConflictError('Hold is no longer active');
+      }
+
+      const availability = await this.waitlistService.passHeldSeat(released.availability_id);
+
+      return {
+        success: true,
+        message: 'Hold released successfully',
+        data: {
+          hold: this.formatHold(released),
+          availability: availability ? this.appointmentService.formatCapacity(availability) : null
+        }
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError ||
+          error instanceof AuthorizationError ||
+          error instanceof ConflictError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to release hold: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load a checkout hold and make sure it belongs to the given patient. Waitlist
+   * holds are handled through their waitlist entry.
+   * @param {string} holdId - Hold ID
+   * @param {string} patientId - Patient ID
+   * @returns {Promise<Object>} Hold document
+   */
+  async findOwnedHold(holdId, patientId) {
+    const hold = await this.slotHoldRepository.findById(holdId);
+
+    if (!hold || hold.source !== 'checkout') {
+      throw new NotFoundError('Hold not found');
+    }
+
+    if (hold.patient_id.toString() !== patientId.toString()) {
+      throw new AuthorizationError('You can only access your own holds');
+    }
+
+    return hold;
+  }
+
+  /**
+   * Format a hold for API responses
+   * @param {Object} hold - Hold document
+   * @returns {Object} Formatted hold
+   */
+  formatHold(hold) {
+    return {
+      id: hold._id,
+      availability_id: hold.availability_id,
+      status: hold.isActive() ? 'active' : (hold.status === 'active' ? 'expired' : hold.status),
+      expires_at: hold.expires_at,
+      created_at: hold.created_at
+    };
+  }
+}
+
+module.exports = CheckoutHoldService;
@@ -0,0 +1,321 @@
+const HolidayCalendarRepository = require('../repositories/holidayCalendarRepository');
+const ProviderRepository = require('../repositories/providerRepository');
+const {
+  ValidationError,
+  NotFoundError,
+  AuthorizationError,
+  DatabaseError
+} = require('../utils/errors');
+const { MAX_HOLIDAYS } = require('../models/HolidayCalendar');
+const { expandHolidayEvent, mergeHolidays } = require('../utils/holidayUtils');
+
+// How far ahead yearly holidays from an import are listed
+const HOLIDAY_HORIZON_YEARS = 5;
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {string|Date} value - Date
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+const toDateString = (value) => new Date(value).toISOString().split('T')[0];
+
+class HolidayCalendarService {
+  constructor() {
+    this.holidayCalendarRepository = new HolidayCalendarRepository();
+    this.providerRepository = new ProviderRepository();
+  }
+
+  /**
+   * Create a holiday calendar for an organization or a location. Organization
+   * calendars are for admins only.
+   * @param {string} providerId - Provider setting the calendar up
+   * @param {Object} data - { name, owner_type, location: { city, state }, holidays: [{ date, name }] }
+   * @returns {Promise<Object>} Created calendar
+   */
+  async createCalendar(providerId, data) {
+    try {
+      if (data.owner_type === 'organization') {
+        // An organization calendar closes every provider's clinic, so only admins set one up
+        const provider = await this.providerRepository.findById(providerId);
+        if (!provider || !provider.is_admin) {
+          throw new AuthorizationError('Only admins can create organization holiday calendars');
+        }
+      }
+
+      const calendar = await this.holidayCalendarRepository.create({
+        name: data.name,
+        owner_type: data.owner_type,
+        location: data.owner_type === 'location' ? data.location : undefined,
+        holidays: mergeHolidays([], data.holidays || []),
+        created_by: providerId
+      });
+
+      return {
+        success: true,
+        message: 'Holiday calendar created successfully',
+        data: this.formatCalendar(calendar)
+      };
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof AuthorizationError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to create holiday calendar: ${error.message}`);
+    }
+  }
+
+  /**
+   * List all holiday calendars, without their holidays
+   * @returns {Promise<Object>} Calendars
+   */
+  async getCalendars() {
+    try {
+      const calendars = await this.holidayCalendarRepository.findAll();
+
+      return {
+        success: true,
+        data: {
+          calendars: calendars.map(calendar => this.formatCalendar(calendar, { withHolidays: false })),
+          total: calendars.length
+        }
+      };
+    } catch (error) {
+      throw new DatabaseError(`Failed to get holiday calendars: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a holiday calendar with its holidays
+   * @param {string} calendarId - Calendar ID
+   * @returns {Promise<Object>} Calendar
+   */
+  async getCalendar(calendarId) {
+    try {
+      const calendar = await this.holidayCalendarRepository.findById(calendarId);
+
+      if (!calendar) {
+        throw new NotFoundError('Holiday calendar not found');
+      }
+
+      return {
+        success: true,
+        data: this.formatCalendar(calendar)
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to get holiday calendar: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a holiday calendar
+   * @param {string} calendarId - Calendar ID
+   * @param {string} providerId - Authenticated provider ID
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteCalendar(calendarId, providerId) {
+    try {
+      await this.findOwnedCalendar(calendarId, providerId);
+      await this.holidayCalendarRepository.deleteById(calendarId);
+
+      return {
+        success: true,
+        message: 'Holiday calendar deleted successfully'
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof AuthorizationError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to delete holiday calendar: ${error.message}`);
+    }
+  }
+
+  /**
+   * Import holidays from the events of an iCalendar file. Events become holidays on
+   * each day they cover; yearly events are listed for the next few years. Events that
+   * cannot be read as holidays are skipped and reported.
+   * @param {string} calendarId - Calendar ID
+   * @param {string} providerId - Authenticated provider ID
+   * @param {Array<Object>} events - Parsed events: { uid, summary, start, end, rrule }
+   * @param {Object} options - { replace } to drop the calendar's current holidays first
+   * @returns {Promise<Object>} Import report
+   */
+  async importHolidays(calendarId, providerId, events, options = {}) {
+    try {
+      const calendar = await this.findOwnedCalendar(calendarId, providerId);
+
+      const today = new Date();
+      const horizon = new Date(today);
+      horizon.setUTCFullYear(horizon.getUTCFullYear() + HOLIDAY_HORIZON_YEARS);
+      const window = { from: toDateString(today), to: toDateString(horizon) };
+
+      const imported = [];
+      const skipped = [];
+      for (const event of events) {
+        try {
+          imported.push(...expandHolidayEvent(event, window));
+        } catch (error) {
+          skipped.push({ uid: event.uid, summary: event.summary, reason: error.message });
+        }
+      }
+
+      const current = options.replace ? [] : calendar.holidays.map(holiday => holiday.toObject());
+      const holidays = mergeHolidays(current, imported);
+
+      if (holidays.length > MAX_HOLIDAYS) {
+        const message = `A calendar cannot list more than ${MAX_HOLIDAYS} holidays`;
+        throw new ValidationError(message, { file: [message] });
+      }
+
+      const updated = await this.holidayCalendarRepository.replaceHolidays(calendar._id, holidays);
+
+      return {
+        success: true,
+        message: 'Holidays imported',
+        data: {
+          events: events.length,
+          holidays_added: holidays.length - current.length,
+          skipped,
+          calendar: this.formatCalendar(updated)
+        }
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError ||
+          error instanceof AuthorizationError ||
+          error instanceof ValidationError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to import holidays: ${error.message}`);
+    }
+  }
+
+  /**
+   * Collect the holidays of some providers in a date range
+   * @param {Array<Object>} providers - Providers with their clinic address
+   * @param {string|Date} from - First date
+   * @param {string|Date} to - Last date
+   * @returns {Promise<Map>} Provider ID => Map of date (YYYY-MM-DD) => holiday name
+   */
+  async getHolidaysByProvider(providers, from, to) {
+    const first = toDateString(from);
+    const last = toDateString(to);
+    const calendars = await this.holidayCalendarRepository.findWithHolidaysBetween(first, last);
+    const byProvider = new Map();
+
+    for (const provider of providers) {
+      const holidays = new Map();
+
+      for (const calendar of calendars.filter(candidate => candidate.appliesTo(provider))) {
+        calendar.holidays
+          .filter(holiday => holiday.date >= first && holiday.date <= last && !holidays.has(holiday.date))
+          .forEach(holiday => holidays.set(holiday.date, holiday.name));
+      }
+
+      byProvider.set(provider._id.toString(), holidays);
+    }
+
+    return byProvider;
+  }
+
+  /**
+   * Collect the holiday dates of every calendar in a date range, for leaving them out
+   * of searches. Location calendars keep their location so they can be matched to
+   * each provider's clinic address, like HolidayCalendar#appliesTo.
+   * @param {string|Date} [from] - First date; no lower bound if not given
+   * @param {string|Date} [to] - Last date; no upper bound if not given
+   * @returns {Promise<Array<Object>>} { location: { state, city } or null for organization calendars, dates }
+   */
+  async getHolidayDates(from = null, to = null) {
+    const first = from ? toDateString(from) : '0000-01-01';
+    const last = to ? toDateString(to) : '9999-12-31';
+    const calendars = await this.holidayCalendarRepository.findWithHolidaysBetween(first, last);
+
+    return calendars.map(calendar => ({
+      location: calendar.owner_type === 'location'
+        ? { state: calendar.location.state, city: calendar.location.city || null }
+        : null,
+      dates: calendar.holidays
+        .map(holiday => holiday.date)
+        .filter(date => date >= first && date <= last)
+    }));
+  }
+
+  /**
+   * Collect the holidays of one provider in a date range
+   * @param {string} providerId - Provider ID
+   * @param {string|Date} from - First date
+   * @param {string|Date} to - Last date
+   * @returns {Promise<Map>} Date (YYYY-MM-DD) => holiday name
+   */
+  async getProviderHolidays(providerId, from, to) {
+    const provider = await this.providerRepository.findById(providerId);
+
+    if (!provider) {
+      return new Map();
+    }
+
+    const byProvider = await this.getHolidaysByProvider([provider], from, to);
+    return byProvider.get(provider._id.toString());
+  }
+
+  /**
+   * Find the holiday of a provider on a date
+   * @param {string} providerId - Provider ID
+   * @param {string|Date} date - Local date
+   * @returns {Promise<Object|null>} { date, name }, or null on a working day
+   */
+  async findHoliday(providerId, date) {
+    const holidays = await this.getProviderHolidays(providerId, date, date);
+    const [holiday] = holidays.entries();
+
+    return holiday ? { date: holiday[0], name: holiday[1] } : null;
+  }
+
+  /**
+   * Load a holiday calendar and make sure the given provider set it up
+   * @param {string} calendarId - Calendar ID
+   * @param {string} providerId - Provider ID
+   * @returns {Promise<Object>} Calendar document
+   */
+  async findOwnedCalendar(calendarId, providerId) {
+    const calendar = await this.holidayCalendarRepository.findById(calendarId);
+
+    if (!calendar) {
+      throw new NotFoundError('Holiday calendar not found');
+    }
+
+    if (!calendar.isOwnedBy(providerId)) {
+      throw new AuthorizationError('You can only manage holiday calendars you created');
+    }
+
+    return calendar;
+  }
+
+  /**
+   * Format a holiday calendar for API responses
+   * @param {Object} calendar - Calendar document
+   * @param {Object} options - { withHolidays } to list the holidays (default true)
+   * @returns {Object} Formatted calendar
+   */
+  formatCalendar(calendar, options = {}) {
+    const { withHolidays = true } = options;
+
+    return {
+      id: calendar._id,
+      name: calendar.name,
+      owner_type: calendar.owner_type,
+      location: calendar.owner_type === 'location'
+        ? { city: calendar.location.city || null, state: calendar.location.state }
+        : null,
+      holiday_count: calendar.holidays.length,
+      ...(withHolidays && {
+        holidays: calendar.holidays.map(holiday => ({ date: holiday.date, name: holiday.name }))
+      }),
+      created_by: calendar.created_by,
+      created_at: calendar.created_at
+    };
+  }
+}
+
+module.exports = HolidayCalendarService;
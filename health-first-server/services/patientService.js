@@ -3,6 +3,10 @@ const bcrypt = require('bcryptjs');
 const PatientRepository = require('../repositories/patientRepository');
 const { ValidationError, DuplicateError, DatabaseError } = require('../utils/errors');
 const { patientValidationSchema } = require('../models/Patient');
+const { cursorQuery, cursorPage, paginationDetails } = require('../utils/cursorPagination');
+
+// Newest patients first; _id keeps patients created together in a fixed order
+const NEWEST_FIRST = { created_at: -1, _id: -1 };
 
 class PatientService {
   constructor() {
@@ -122,30 +126,37 @@ class PatientService {
    */
   async getAllPatients(filters = {}, options = {}) {
     try {
-      const { page = 1, limit = 50 } = options;
-      const skip = (page - 1) * limit;
+      const { page = 1, limit = 50, cursor } = options;
+      const plan = cursorQuery(NEWEST_FIRST, cursor);
+      const skip = cursor ? 0 : (page - 1) * limit;
+
+      const fetched = await this.patientRepository.findAll(
+        plan.condition ? { $and: [filters, plan.condition] } : filters,
+        {
+          limit: limit + 1,
+          skip,
+          sort: plan.sort
+        }
+      );
 
-      const patients = await this.patientRepository.findAll(filters, {
+      const total = await this.patientRepository.count(filters);
+      const { items: patients, ...cursors } = cursorPage(fetched, NEWEST_FIRST, {
         limit,
-        skip,
-        sort: { created_at: -1 }
+        backwards: plan.backwards,
+        hasPrevious: Boolean(cursor) || page > 1
       });
 
-      const total = await this.patientRepository.count(filters);
-
       return {
         success: true,
         data: {
           patients: patients.map(patient => patient.getPublicProfile()),
-          pagination: {
-            page,
-            limit,
-            total,
-            pages: Math.ceil(total / limit)
-          }
+          pagination: paginationDetails({ cursor, page, limit, total }, cursors)
         }
       };
     } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
       throw new DatabaseError(`Failed to get patients: ${error.message}`);
     }
   }
@@ -181,12 +192,21 @@ class PatientService {
    */
   async searchPatients(searchTerm, options = {}) {
     try {
-      const { page = 1, limit = 50 } = options;
-      const skip = (page - 1) * limit;
+      const { page = 1, limit = 50, cursor } = options;
+      const plan = cursorQuery(NEWEST_FIRST, cursor);
+      const skip = cursor ? 0 : (page - 1) * limit;
 
-      const patients = await this.patientRepository.search(searchTerm, {
+      const fetched = await this.patientRepository.search(searchTerm, {
+        limit: limit + 1,
+        skip,
+        sort: plan.sort,
+        condition: plan.condition
+      });
+
+      const { items: patients, next_cursor, prev_cursor } = cursorPage(fetched, NEWEST_FIRST, {
         limit,
-        skip
+        backwards: plan.backwards,
+        hasPrevious: Boolean(cursor) || page > 1
       });
 
       return {
@@ -194,10 +214,15 @@ class PatientService {
         data: {
           patients: patients.map(patient => patient.getPublicProfile()),
           search_term: searchTerm,
-          total: patients.length
+          total: patients.length,
+          next_cursor,
+          prev_cursor
         }
       };
     } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
       throw new DatabaseError(`Failed to search patients: ${error.message}`);
     }
   }
@@ -1,17 +1,65 @@
 const ProviderAvailabilityRepository = require('../repositories/providerAvailabilityRepository');
-const { ValidationError, ConflictError, NotFoundError, DatabaseError } = require('../utils/errors');
-const { providerAvailabilityValidationSchema } = require('../models/ProviderAvailability');
-const { generateTimeSlots } = require('../utils/timezoneUtils');
+const AppointmentService = require('./appointmentService');
+const AvailabilitySeriesService = require('./availabilitySeriesService');
+const BookingPolicyService = require('./bookingPolicyService');
+const TimeOffRepository = require('../repositories/timeOffRepository');
+const HolidayCalendarService = require('./holidayCalendarService');
+const {
+  ValidationError,
+  ConflictError,
+  InvalidTransitionError,
+  NotFoundError,
+  AuthorizationError,
+  DatabaseError
+} = require('../utils/errors');
+const { providerAvailabilityValidationSchema, EDITABLE_FIELDS } = require('../models/ProviderAvailability');
+const { generateTimeSlots, timeToMinutes } = require('../utils/timezoneUtils');
+const { parseRRule, formatRRule, parseExDates, patternToRRule, expandRRule } = require('../utils/recurrenceUtils');
+const { geocodeLocation } = require('../utils/geocoder');
+const { distanceKm } = require('../utils/geoUtils');
+const {
+  AVAILABILITY_EXPORT_COLUMNS,
+  toCSVLine,
+  toAvailabilityData,
+  fromAvailability
+} = require('../utils/csvUtils');
+
+const MAX_IMPORT_ROWS = 1000;
+// Most slots a preview lists; the counts cover every slot
+const MAX_PREVIEW_SLOTS = 500;
+const MAX_EXPORT_RANGE_DAYS = 366;
+const EXPORT_FORMATS = ['csv', 'json'];
+
+const DEFAULT_NEXT_AVAILABLE_DAYS = 60;
+// Open slots of a provider checked at a time when looking for its first bookable one
+const NEXT_AVAILABLE_BATCH = 10;
+// A provider whose first this many open slots are all ruled out is left out
+const MAX_NEXT_AVAILABLE_CANDIDATES = 100;
+// Most batches of providers a next available search goes through
+const MAX_NEXT_AVAILABLE_ROUNDS = 5;
+// Local start times, in minutes after midnight, each time of day preference allows
+const TIME_OF_DAY_WINDOWS = {
+  morning: { startMinutes: 5 * 60, endMinutes: 12 * 60 },
+  afternoon: { startMinutes: 12 * 60, endMinutes: 17 * 60 },
+  evening: { startMinutes: 17 * 60, endMinutes: 24 * 60 }
+};
 
 class ProviderAvailabilityService {
   constructor() {
     this.providerAvailabilityRepository = new ProviderAvailabilityRepository();
+    this.appointmentService = new AppointmentService();
+    this.availabilitySeriesService = new AvailabilitySeriesService();
+    this.bookingPolicyService = new BookingPolicyService();
+    this.timeOffRepository = new TimeOffRepository();
+    this.holidayCalendarService = new HolidayCalendarService();
   }
 
   /**
-   * Create new availability
+   * Create new availability. The block from start_time to end_time is split into
+   * bookable slots of slot_duration minutes, break_duration apart, on its date or on
+   * each occurrence of its recurrence.
    * @param {Object} availabilityData - Availability data
-   * @returns {Promise<Object>} Created availability
+   * @returns {Promise<Object>} Created slots
    */
   async createAvailability(availabilityData) {
     try {
@@ -33,9 +81,14 @@ class ProviderAvailabilityService {
         throw new ValidationError('Validation failed', errors);
       }
 
+      this.assertBlockHoldsSlot(value);
+      value.location = await geocodeLocation(value.location);
+
       // Handle recurring availability
-      if (value.is_recurring) {
-        const slots = await this.providerAvailabilityRepository.generateRecurringSlots(value);
+      if (value.is_recurring || value.recurrence_rule) {
+        const recurrence = this.expandRecurrence(value);
+
+        const { series, slots, skipped, conflicts } = await this.availabilitySeriesService.createSeries(value, recurrence);
         
         // Calculate total appointments available
         const totalAppointments = slots.reduce((total, slot) => {
@@ -47,22 +100,34 @@ class ProviderAvailabilityService {
           message: 'Availability slots created successfully',
           data: {
             availability_id: slots[0]?._id || 'generated',
+            series_id: series._id,
             slots_created: slots.length,
+            // Occurrences on holidays, during time off or clashing with existing availability
+            slots_skipped: skipped.length,
+            conflicts: this.providerAvailabilityRepository.formatConflicts(conflicts),
+            recurrence_rule: recurrence.rule,
+            occurrences: recurrence.dates.length,
             date_range: {
-              start: value.date.toISOString().split('T')[0],
-              end: value.recurrence_end_date.toISOString().split('T')[0]
+              start: recurrence.dates[0],
+              end: recurrence.dates[recurrence.dates.length - 1]
             },
             total_appointments_available: totalAppointments
           }
         };
       } else {
-        // Create single availability
-        const availability = await this.providerAvailabilityRepository.create(value);
-        
+        // Split a single block into bookable slots, all or nothing
+        const slots = await this.providerAvailabilityRepository.insertSlots(await this.planBlock(value));
+
         return {
           success: true,
           message: 'Availability created successfully',
-          data: availability
+          data: {
+            availability_id: slots[0]._id,
+            slots_created: slots.length,
+            date: this.toLocalDate(value.date),
+            total_appointments_available: slots.reduce((total, slot) => total + slot.max_appointments_per_slot, 0),
+            slots: slots.map(slot => this.formatPlannedSlot(slot))
+          }
         };
       }
 
@@ -74,6 +139,229 @@ class ProviderAvailabilityService {
     }
   }
 
+  /**
+   * Preview the slots an availability would be split into, in the provider's local
+   * time and in UTC, without saving anything. Slots on holidays, inside time off or
+   * clashing with existing availability are listed as skipped with the reason.
+   * @param {Object} availabilityData - Availability data, as for createAvailability
+   * @returns {Promise<Object>} Planned slots and counts
+   */
+  async previewAvailability(availabilityData) {
+    try {
+      const { isValid, errors, data: value } = await this.validateAvailabilityData(availabilityData);
+
+      if (!isValid) {
+        throw new ValidationError('Validation failed', errors);
+      }
+
+      this.assertBlockHoldsSlot(value);
+
+      const recurring = Boolean(value.is_recurring || value.recurrence_rule);
+      const recurrence = recurring ? this.expandRecurrence(value) : null;
+      const dates = recurring ? recurrence.dates : [this.toLocalDate(value.date)];
+
+      const plan = await this.providerAvailabilityRepository.planSlots(
+        value,
+        dates,
+        await this.availabilitySeriesService.findExclusions(value.provider_id, dates)
+      );
+
+      const slots = [
+        ...plan.slots.map(slot => ({ ...slot, action: 'create' })),
+        ...plan.skipped.map(slot => ({ ...slot, action: 'skip' }))
+      ].sort((a, b) => a.utc_start_time - b.utc_start_time);
+
+      // Recurring availability skips slots it cannot create; a single block is rejected instead
+      const canCreate = recurring || plan.skipped.length === 0;
+
+      return {
+        success: true,
+        message: canCreate
+          ? `${plan.slots.length} slots would be created`
+          : 'This availability would be rejected: some of its slots cannot be created',
+        data: {
+          ...(recurring && {
+            recurrence_rule: recurrence.rule,
+            occurrences: recurrence.dates.length
+          }),
+          timezone: value.timezone,
+          slot_duration: value.slot_duration,
+          break_duration: value.break_duration,
+          can_create: canCreate,
+          total_slots: slots.length,
+          slots_to_create: canCreate ? plan.slots.length : 0,
+          slots_skipped: plan.skipped.length,
+          conflicts: this.providerAvailabilityRepository.formatConflicts(plan.conflicts),
+          slots: slots.slice(0, MAX_PREVIEW_SLOTS).map(slot => this.formatPlannedSlot(slot)),
+          truncated: slots.length > MAX_PREVIEW_SLOTS
+        }
+      };
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to preview availability: ${error.message}`);
+    }
+  }
+
+  /**
+   * Plan the slots of a single (non-recurring) block. The block is created whole or
+   * not at all, so time off, a holiday or any clash rejects it.
+   * @param {Object} availabilityData - Validated availability data
+   * @returns {Promise<Array>} Slots to create
+   * @throws {ConflictError} If a slot cannot be created
+   */
+  async planBlock(availabilityData) {
+    const { utcStartTime, utcEndTime } = this.providerAvailabilityRepository.getUTCInterval(availabilityData);
+    await this.assertNoTimeOff(availabilityData.provider_id, utcStartTime, utcEndTime);
+    await this.assertNotHoliday(availabilityData.provider_id, availabilityData.date);
+
+    const plan = await this.providerAvailabilityRepository.planSlots(
+      availabilityData,
+      [this.toLocalDate(availabilityData.date)]
+    );
+
+    if (plan.conflicts.length > 0) {
+      throw new ConflictError(
+        'Time slot conflicts with existing availability',
+        this.providerAvailabilityRepository.formatConflicts(plan.conflicts)
+      );
+    }
+
+    return plan.slots;
+  }
+
+  /**
+   * Make sure a block is long enough for at least one slot
+   * @param {Object} availabilityData - Validated availability data
+   * @throws {ValidationError} If no slot fits between start_time and end_time
+   */
+  assertBlockHoldsSlot(availabilityData) {
+    const { start_time, end_time, slot_duration, break_duration } = availabilityData;
+
+    if (timeToMinutes(end_time) <= timeToMinutes(start_time)) {
+      const message = 'End time must be after start time';
+      throw new ValidationError(message, { end_time: [message] });
+    }
+
+    if (generateTimeSlots(start_time, end_time, slot_duration, break_duration).length === 0) {
+      const message = `The block from ${start_time} to ${end_time} is shorter than one ${slot_duration}-minute slot`;
+      throw new ValidationError(message, { slot_duration: [message] });
+    }
+  }
+
+  /**
+   * Make sure a provider is not on time off during an interval
+   * @param {string} providerId - Provider ID
+   * @param {Date} utcStartTime - Interval start (UTC)
+   * @param {Date} utcEndTime - Interval end (UTC)
+   * @throws {ConflictError} If the interval overlaps time off
+   */
+  async assertNoTimeOff(providerId, utcStartTime, utcEndTime) {
+    const [timeOff] = await this.timeOffRepository.findOverlapping([providerId], utcStartTime, utcEndTime);
+
+    if (timeOff) {
+      const day = date => date.toISOString().split('T')[0];
+      throw new ConflictError(`Time slot falls inside time off from ${day(timeOff.start_date)} to ${day(timeOff.end_date)}`);
+    }
+  }
+
+  /**
+   * Make sure a date is not a holiday for a provider
+   * @param {string} providerId - Provider ID
+   * @param {Date|string} date - Local date of the slot
+   * @throws {ConflictError} If the date is a holiday
+   */
+  async assertNotHoliday(providerId, date) {
+    const holiday = await this.holidayCalendarService.findHoliday(providerId, date);
+
+    if (holiday) {
+      throw new ConflictError(`Time slot falls on a holiday: ${holiday.name} (${holiday.date})`);
+    }
+  }
+
+  /**
+   * Drop slots on a holiday of their provider
+   * @param {Array} availability - Availability slots with provider_id populated with its clinic address
+   * @returns {Promise<Array>} Slots on working days
+   */
+  async filterByHolidays(availability) {
+    if (availability.length === 0) {
+      return availability;
+    }
+
+    const providers = [...new Map(availability.map(avail => [avail.provider_id._id.toString(), avail.provider_id])).values()];
+    const dates = availability.map(avail => avail.date.getTime());
+    const holidays = await this.holidayCalendarService.getHolidaysByProvider(
+      providers,
+      new Date(Math.min(...dates)),
+      new Date(Math.max(...dates))
+    );
+
+    return availability.filter(avail =>
+      !holidays.get(avail.provider_id._id.toString()).has(avail.date.toISOString().split('T')[0])
+    );
+  }
+
+  /**
+   * Drop slots whose provider is on time off
+   * @param {Array} availability - Availability slots
+   * @returns {Promise<Array>} Slots outside any time off
+   */
+  async filterByTimeOff(availability) {
+    if (availability.length === 0) {
+      return availability;
+    }
+
+    const providerIdOf = avail => (avail.provider_id._id || avail.provider_id).toString();
+    const timeOff = await this.timeOffRepository.findOverlapping(
+      [...new Set(availability.map(providerIdOf))],
+      new Date(Math.min(...availability.map(avail => avail.utc_start_time.getTime()))),
+      new Date(Math.max(...availability.map(avail => avail.utc_end_time.getTime())))
+    );
+
+    return availability.filter(avail => !timeOff.some(period =>
+      period.provider_id.toString() === providerIdOf(avail) &&
+      period.starts_at < avail.utc_end_time &&
+      period.ends_at > avail.utc_start_time
+    ));
+  }
+
+  /**
+   * Resolve the recurrence of an availability into an RRULE and its occurrence dates.
+   * `recurrence_rule` wins over the `recurrence_pattern` shorthand.
+   * @param {Object} availabilityData - Validated availability data
+   * @returns {Object} { rule, exdates, dates }
+   */
+  expandRecurrence(availabilityData) {
+    const { date, recurrence_rule, recurrence_pattern, recurrence_exdate, recurrence_end_date } = availabilityData;
+
+    if (!recurrence_rule && !recurrence_pattern) {
+      throw new ValidationError('Validation failed', {
+        recurrence_rule: ['recurrence_rule or recurrence_pattern is required for recurring availability']
+      });
+    }
+
+    try {
+      const rule = parseRRule(recurrence_rule || patternToRRule(recurrence_pattern));
+      const exdates = parseExDates(recurrence_exdate);
+      const dates = expandRRule(rule, date, {
+        until: recurrence_end_date,
+        exdates
+      });
+
+      if (dates.length === 0) {
+        throw new Error('Recurrence produces no dates');
+      }
+
+      return { rule: formatRRule(rule), exdates, dates };
+    } catch (error) {
+      throw new ValidationError('Validation failed', {
+        recurrence_rule: [error.message]
+      });
+    }
+  }
+
   /**
    * Get availability by ID
    * @param {string} availabilityId - Availability ID
@@ -140,12 +428,39 @@ class ProviderAvailabilityService {
   /**
    * Update availability
    * @param {string} availabilityId - Availability ID
-   * @param {Object} updateData - Update data
+   * @param {string} providerId - Authenticated provider ID
+   * @param {Object} updateData - Update data; fields outside EDITABLE_FIELDS are ignored
    * @returns {Promise<Object>} Updated availability
    */
-  async updateAvailability(availabilityId, updateData) {
+  async updateAvailability(availabilityId, providerId, updateData) {
     try {
-      const updatedAvailability = await this.providerAvailabilityRepository.updateById(availabilityId, updateData);
+      const availability = await this.findOwnedAvailability(availabilityId, providerId);
+
+      const changes = {};
+      for (const field of EDITABLE_FIELDS) {
+        if (updateData[field] !== undefined) {
+          changes[field] = updateData[field];
+        }
+      }
+
+      if (changes.location) {
+        changes.location = await geocodeLocation(changes.location);
+      }
+
+      if (changes.date || changes.start_time || changes.end_time || changes.timezone) {
+        // A slot can only be moved to a time a new slot could be created at
+        const moved = {
+          date: changes.date || availability.date,
+          start_time: changes.start_time || availability.start_time,
+          end_time: changes.end_time || availability.end_time,
+          timezone: changes.timezone || availability.timezone
+        };
+        const { utcStartTime, utcEndTime } = this.providerAvailabilityRepository.getUTCInterval(moved);
+        await this.assertNoTimeOff(providerId, utcStartTime, utcEndTime);
+        await this.assertNotHoliday(providerId, moved.date);
+      }
+
+      const updatedAvailability = await this.providerAvailabilityRepository.updateById(availabilityId, changes);
 
       return {
         success: true,
@@ -153,7 +468,9 @@ class ProviderAvailabilityService {
         data: updatedAvailability
       };
     } catch (error) {
-      if (error instanceof NotFoundError || error instanceof ConflictError) {
+      if (error instanceof NotFoundError ||
+          error instanceof ConflictError ||
+          error instanceof AuthorizationError) {
         throw error;
       }
       throw new DatabaseError(`Failed to update availability: ${error.message}`);
@@ -163,12 +480,26 @@ class ProviderAvailabilityService {
   /**
    * Delete availability
    * @param {string} availabilityId - Availability ID
-   * @param {boolean} deleteRecurring - Whether to delete recurring slots
+   * @param {string} providerId - Authenticated provider ID
+   * @param {boolean} deleteRecurring - Whether to delete the slot's whole series
    * @returns {Promise<Object>} Deletion result
    */
-  async deleteAvailability(availabilityId, deleteRecurring = false) {
+  async deleteAvailability(availabilityId, providerId, deleteRecurring = false) {
     try {
-      const deleted = await this.providerAvailabilityRepository.deleteById(availabilityId, deleteRecurring);
+      const availability = await this.findOwnedAvailability(availabilityId, providerId);
+
+      if (deleteRecurring && availability.series_id) {
+        // Same as deleting the whole series: upcoming unbooked slots go and the series ends
+        const result = await this.availabilitySeriesService.deleteSeries(availability.series_id, providerId, { scope: 'all' });
+
+        return {
+          success: true,
+          message: 'Recurring availability deleted successfully',
+          data: result.data
+        };
+      }
+
+      const deleted = await this.providerAvailabilityRepository.deleteById(availabilityId);
 
       if (!deleted) {
         throw new NotFoundError('Availability not found');
@@ -176,10 +507,13 @@ class ProviderAvailabilityService {
 
       return {
         success: true,
-        message: deleteRecurring ? 'Recurring availability deleted successfully' : 'Availability deleted successfully'
+        message: 'Availability deleted successfully'
       };
     } catch (error) {
-      if (error instanceof NotFoundError || error instanceof ConflictError) {
+      if (error instanceof NotFoundError ||
+          error instanceof ConflictError ||
+          error instanceof AuthorizationError ||
+          error instanceof ValidationError) {
         throw error;
       }
       throw new DatabaseError(`Failed to delete availability: ${error.message}`);
@@ -187,14 +521,45 @@ class ProviderAvailabilityService {
   }
 
   /**
-   * Search availability slots
+   * Load a slot and make sure it belongs to the given provider
+   * @param {string} availabilityId - Availability ID
+   * @param {string} providerId - Provider ID
+   * @returns {Promise<Object>} Availability document
+   */
+  async findOwnedAvailability(availabilityId, providerId) {
+    const availability = await this.providerAvailabilityRepository.findById(availabilityId);
+
+    if (!availability) {
+      throw new NotFoundError('Availability not found');
+    }
+
+    const ownerId = availability.provider_id?._id || availability.provider_id;
+    if (ownerId.toString() !== providerId.toString()) {
+      throw new AuthorizationError('You can only manage your own availability');
+    }
+
+    return availability;
+  }
+
+  /**
+   * Search availability slots. The repository search leaves out holidays, time off and
+   * slots the scheduling rules close before it cuts the page, so the page is full and
+   * total_results matches pagination.total.
    * @param {Object} searchCriteria - Search criteria
    * @param {Object} options - Query options
    * @returns {Promise<Object>} Search results
    */
   async searchAvailability(searchCriteria, options = {}) {
     try {
-      const result = await this.providerAvailabilityRepository.search(searchCriteria, options);
+      // Holidays in the searched dates are left out by the search itself
+      const { date, startDate, endDate } = searchCriteria;
+      const bounded = Boolean(startDate && endDate);
+      const holidays = await this.holidayCalendarService.getHolidayDates(
+        date || (bounded ? startDate : null),
+        date || (bounded ? endDate : null)
+      );
+
+      const result = await this.providerAvailabilityRepository.search({ ...searchCriteria, holidays }, options);
 
       // Format results to match requirements
       const formattedResults = this.formatSearchResults(result.availability);
@@ -205,17 +570,136 @@ class ProviderAvailabilityService {
           search_criteria: {
             date: searchCriteria.startDate,
             specialization: searchCriteria.specialization,
-            location: searchCriteria.location
+            location: searchCriteria.location,
+            ...(searchCriteria.near && { near: searchCriteria.near, radius_km: searchCriteria.radiusKm })
           },
-          total_results: result.availability.length,
-          results: formattedResults
+          total_results: result.pagination.total,
+          results: formattedResults,
+          pagination: result.pagination
         }
       };
     } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
       throw new DatabaseError(`Failed to search availability: ${error.message}`);
     }
   }
 
+  /**
+   * Find the earliest bookable slot of each matching provider, soonest first. Providers
+   * are taken in batches by their earliest open slot; a batch's slots are checked
+   * against scheduling rules, time off and holidays, and a provider whose first open
+   * slots are all ruled out has its later ones checked. Batches stop once no later
+   * provider could start sooner than the results found.
+   * @param {Object} criteria - Search filters, with timeOfDay, withinDays and limit
+   * @returns {Promise<Object>} Ranked results
+   */
+  async findNextAvailable(criteria) {
+    try {
+      const { near, radiusKm, timeOfDay, withinDays = DEFAULT_NEXT_AVAILABLE_DAYS, limit = 10 } = criteria;
+      const from = new Date();
+      const filters = {
+        ...criteria,
+        from,
+        until: new Date(from.getTime() + withinDays * 24 * 60 * 60 * 1000),
+        timeWindow: TIME_OF_DAY_WINDOWS[timeOfDay]
+      };
+
+      const found = [];
+      for (let round = 0; round < MAX_NEXT_AVAILABLE_ROUNDS; round++) {
+        const groups = await this.providerAvailabilityRepository.findEarliestByProvider(filters, {
+          skip: round * limit,
+          limit,
+          perProvider: NEXT_AVAILABLE_BATCH
+        });
+
+        const bookable = new Set(await this.filterBookable(groups.flatMap(group => group.slots)));
+        for (const group of groups) {
+          const slot = group.slots.find(candidate => bookable.has(candidate)) ||
+            await this.findFirstBookableAfter(filters, group);
+          if (slot) {
+            found.push(slot);
+          }
+        }
+
+        found.sort((a, b) => a.utc_start_time - b.utc_start_time);
+
+        // Later providers have no open slot before the last one of this batch
+        const last = groups[groups.length - 1];
+        if (groups.length < limit || (found.length >= limit && found[limit - 1].utc_start_time <= last.firstStart)) {
+          break;
+        }
+      }
+
+      const results = found.slice(0, limit).map((slot, index) => {
+        if (near && slot.location?.geo) {
+          slot.distance_km = distanceKm(near, slot.location.geo);
+        }
+        return { rank: index + 1, ...this.formatNextAvailable(slot) };
+      });
+
+      return {
+        success: true,
+        data: {
+          search_criteria: {
+            specialization: criteria.specialization,
+            appointment_type: criteria.appointmentType,
+            insurance_accepted: criteria.insuranceAccepted,
+            location: criteria.location,
+            location_type: criteria.locationType,
+            time_of_day: timeOfDay,
+            within_days: withinDays,
+            ...(near && { near, radius_km: radiusKm })
+          },
+          total_results: results.length,
+          results
+        }
+      };
+    } catch (error) {
+      throw new DatabaseError(`Failed to find next available slots: ${error.message}`);
+    }
+  }
+
+  /**
+   * Keep the slots scheduling rules, time off and holidays let patients book
+   * @param {Array} availability - Slots with provider_id populated
+   * @returns {Promise<Array>} Bookable slots, in the same order
+   */
+  async filterBookable(availability) {
+    const open = await this.providerAvailabilityRepository.filterBySchedulingRules(availability);
+    return this.filterByHolidays(await this.filterByTimeOff(open));
+  }
+
+  /**
+   * Check a provider's later open slots for a bookable one, once all of its first
+   * candidates were ruled out
+   * @param {Object} filters - Next available filters
+   * @param {Object} group - { providerId, slots } from findEarliestByProvider
+   * @returns {Promise<Object|null>} First bookable slot, or null
+   */
+  async findFirstBookableAfter(filters, group) {
+    let slots = group.slots;
+    let checked = slots.length;
+
+    while (slots.length === NEXT_AVAILABLE_BATCH && checked < MAX_NEXT_AVAILABLE_CANDIDATES) {
+      slots = await this.providerAvailabilityRepository.findOpenSlotsAfter(
+        filters,
+        group.providerId,
+        slots[slots.length - 1].utc_start_time,
+        NEXT_AVAILABLE_BATCH
+      );
+      checked += slots.length;
+
+      const [bookable] = await this.filterBookable(slots);
+      if (bookable) {
+        return bookable;
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Get availability statistics
    * @param {string} providerId - Provider ID
@@ -245,7 +729,10 @@ class ProviderAvailabilityService {
       const availability = await this.getAvailabilityById(availabilityId);
       
       const isAvailable = availability.isAvailable();
-      const canBeBooked = availability.canBeBooked();
+      const schedulingError = isAvailable
+        ? await this.bookingPolicyService.getSchedulingError(availability)
+        : null;
+      const canBeBooked = availability.canBeBooked() && !schedulingError;
 
       return {
         success: true,
@@ -253,8 +740,11 @@ class ProviderAvailabilityService {
           availability_id: availabilityId,
           is_available: isAvailable,
           can_be_booked: canBeBooked,
+          scheduling_error: schedulingError,
           current_appointments: availability.current_appointments,
+          held_appointments: availability.held_appointments || 0,
           max_appointments: availability.max_appointments_per_slot,
+          available_spots: availability.getAvailableSeats(),
           status: availability.status
         }
       };
@@ -267,33 +757,25 @@ class ProviderAvailabilityService {
   }
 
   /**
-   * Book appointment slot
+   * Book appointment slot for a patient
    * @param {string} availabilityId - Availability ID
+   * @param {string} patientId - Authenticated patient ID
+   * @param {Object} bookingData - Optional booking details (notes)
    * @returns {Promise<Object>} Booking result
    */
-  async bookSlot(availabilityId) {
+  async bookSlot(availabilityId, patientId, bookingData = {}) {
     try {
-      const availability = await this.getAvailabilityById(availabilityId);
-      
-      if (!availability.canBeBooked()) {
-        throw new ConflictError('Slot is not available for booking');
-      }
-
-      const booked = availability.incrementAppointments();
-      if (!booked) {
-        throw new ConflictError('Slot is already fully booked');
-      }
-
-      await availability.save();
+      const result = await this.appointmentService.bookAppointment(availabilityId, patientId, bookingData);
 
       return {
         success: true,
-        message: 'Slot booked successfully',
+        message: result.data.appointment.status === 'requested'
+          ? 'Booking request sent to the provider for approval'
+          : 'Slot booked successfully',
         data: {
-          availability_id: availabilityId,
-          current_appointments: availability.current_appointments,
-          max_appointments: availability.max_appointments_per_slot,
-          status: availability.status
+          ...result.data.availability,
+          booking_reference: result.data.booking_reference,
+          appointment: result.data.appointment
         }
       };
     } catch (error) {
@@ -305,37 +787,30 @@ class ProviderAvailabilityService {
   }
 
   /**
-   * Cancel appointment slot
+   * Cancel a booking on an appointment slot
    * @param {string} availabilityId - Availability ID
+   * @param {Object} actor - Who cancels: { patientId } or { providerId }
+   * @param {Object} options - { bookingReference, reason }
    * @returns {Promise<Object>} Cancellation result
    */
-  async cancelSlot(availabilityId) {
+  async cancelSlot(availabilityId, actor, options = {}) {
     try {
-      const availability = await this.getAvailabilityById(availabilityId);
-      
-      if (availability.current_appointments <= 0) {
-        throw new ConflictError('No appointments to cancel');
-      }
-
-      const cancelled = availability.decrementAppointments();
-      if (!cancelled) {
-        throw new ConflictError('Failed to cancel appointment');
-      }
-
-      await availability.save();
+      const result = await this.appointmentService.cancelAvailabilityBooking(availabilityId, actor, options);
 
       return {
         success: true,
         message: 'Appointment cancelled successfully',
         data: {
-          availability_id: availabilityId,
-          current_appointments: availability.current_appointments,
-          max_appointments: availability.max_appointments_per_slot,
-          status: availability.status
+          ...result.data.availability,
+          appointment: result.data.appointment
         }
       };
     } catch (error) {
-      if (error instanceof NotFoundError || error instanceof ConflictError) {
+      if (error instanceof NotFoundError ||
+          error instanceof ConflictError ||
+          error instanceof InvalidTransitionError ||
+          error instanceof AuthorizationError ||
+          error instanceof ValidationError) {
         throw error;
       }
       throw new DatabaseError(`Failed to cancel appointment: ${error.message}`);
@@ -381,6 +856,237 @@ class ProviderAvailabilityService {
     }
   }
 
+  /**
+   * Import availability rows for a provider. Every row is validated and created on its own,
+   * so one bad row does not stop the rest; the result reports the outcome of each row.
+   * In a dry run nothing is saved and conflicts are checked against existing slots and
+   * earlier rows of the same import.
+   * @param {string} providerId - Provider ID
+   * @param {Array<Object>} rows - Flat CSV records or availability objects
+   * @param {Object} options - { dryRun }
+   * @returns {Promise<Object>} Per-row import report
+   */
+  async importAvailability(providerId, rows, options = {}) {
+    const { dryRun = false } = options;
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new ValidationError('At least one row is required', { rows: ['At least one row is required'] });
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      const message = `An import cannot contain more than ${MAX_IMPORT_ROWS} rows`;
+      throw new ValidationError(message, { rows: [message] });
+    }
+
+    try {
+      const results = [];
+      const planned = [];
+
+      for (const [index, row] of rows.entries()) {
+        const rowNumber = index + 1;
+        const availabilityData = { ...toAvailabilityData(row), provider_id: providerId };
+
+        try {
+          const outcome = dryRun
+            ? await this.previewImportRow(availabilityData, rowNumber, planned)
+            : await this.importRow(availabilityData);
+
+          results.push({ row: rowNumber, ...outcome });
+        } catch (error) {
+          results.push({
+            row: rowNumber,
+            status: 'error',
+            message: error.message,
+            ...(error instanceof ValidationError && { errors: error.details }),
+            ...(error instanceof ConflictError && error.conflicts.length > 0 && { conflicts: error.conflicts })
+          });
+        }
+      }
+
+      const succeeded = results.filter(result => result.status !== 'error');
+      const slots = succeeded.reduce((total, result) => total + result.slots, 0);
+
+      return {
+        success: true,
+        message: dryRun ? 'Import checked, nothing was saved' : 'Import completed',
+        data: {
+          dry_run: dryRun,
+          total_rows: rows.length,
+          succeeded: succeeded.length,
+          failed: rows.length - succeeded.length,
+          [dryRun ? 'slots_planned' : 'slots_created']: slots,
+          results
+        }
+      };
+    } catch (error) {
+      throw new DatabaseError(`Failed to import availability: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create one import row
+   * @param {Object} availabilityData - Availability data of the row
+   * @returns {Promise<Object>} Row outcome
+   */
+  async importRow(availabilityData) {
+    const result = await this.createAvailability(availabilityData);
+
+    return {
+      status: 'created',
+      availability_id: result.data.availability_id,
+      ...(result.data.series_id && { series_id: result.data.series_id }),
+      slots: result.data.slots_created
+    };
+  }
+
+  /**
+   * Check one import row without saving it
+   * @param {Object} availabilityData - Availability data of the row
+   * @param {number} rowNumber - Row number in the import
+   * @param {Array} planned - UTC intervals of the slots of earlier valid rows; this row's are added when valid
+   * @returns {Promise<Object>} Row outcome
+   */
+  async previewImportRow(availabilityData, rowNumber, planned) {
+    const { isValid, errors, data: value } = await this.validateAvailabilityData(availabilityData);
+
+    if (!isValid) {
+      throw new ValidationError('Validation failed', errors);
+    }
+
+    this.assertBlockHoldsSlot(value);
+
+    // Recurring rows skip slots that clash instead of failing, as on create
+    if (value.is_recurring || value.recurrence_rule) {
+      const recurrence = this.expandRecurrence(value);
+      const slotsPerDay = generateTimeSlots(value.start_time, value.end_time, value.slot_duration, value.break_duration).length;
+
+      return {
+        status: 'valid',
+        recurrence_rule: recurrence.rule,
+        occurrences: recurrence.dates.length,
+        slots: slotsPerDay * recurrence.dates.length
+      };
+    }
+
+    const slots = await this.planBlock(value);
+
+    const earlierRow = planned.find(interval => slots.some(slot =>
+      interval.utcStartTime < slot.utc_end_time && interval.utcEndTime > slot.utc_start_time
+    ));
+
+    if (earlierRow) {
+      throw new ConflictError(`Time slot conflicts with row ${earlierRow.row} of this import`);
+    }
+
+    slots.forEach(slot => planned.push({ row: rowNumber, utcStartTime: slot.utc_start_time, utcEndTime: slot.utc_end_time }));
+
+    return { status: 'valid', slots: slots.length };
+  }
+
+  /**
+   * Export a provider's availability in a date range. The rows are produced lazily from a
+   * database cursor so the caller can stream them.
+   * @param {string} providerId - Provider ID
+   * @param {Object} options - { startDate, endDate, format: 'csv' | 'json' }
+   * @returns {Object} { contentType, filename, chunks } where chunks is an async iterable of strings
+   */
+  exportAvailability(providerId, options = {}) {
+    const { startDate, endDate, format = 'csv' } = options;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      const message = `Format must be one of: ${EXPORT_FORMATS.join(', ')}`;
+      throw new ValidationError(message, { format: [message] });
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+
+    if (!startDate || !endDate || isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new ValidationError('start_date and end_date are required', {
+        date_range: ['start_date and end_date are required']
+      });
+    }
+
+    if (end < start) {
+      throw new ValidationError('end_date must not be before start_date', {
+        date_range: ['end_date must not be before start_date']
+      });
+    }
+
+    if ((end - start) / (24 * 60 * 60 * 1000) > MAX_EXPORT_RANGE_DAYS) {
+      const message = `The export range cannot exceed ${MAX_EXPORT_RANGE_DAYS} days`;
+      throw new ValidationError(message, { date_range: [message] });
+    }
+
+    const cursor = this.providerAvailabilityRepository.streamByProviderId(providerId, { startDate: start, endDate: end });
+    const range = `${start.toISOString().split('T')[0]}-${end.toISOString().split('T')[0]}`;
+
+    return {
+      contentType: format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+      filename: `availability-${range}.${format}`,
+      chunks: format === 'csv' ? this.exportCSVChunks(cursor) : this.exportJSONChunks(cursor)
+    };
+  }
+
+  /**
+   * Produce CSV lines from an availability cursor
+   * @param {Object} cursor - Availability cursor
+   * @returns {AsyncGenerator<string>} CSV lines, header first
+   */
+  async *exportCSVChunks(cursor) {
+    yield toCSVLine(AVAILABILITY_EXPORT_COLUMNS);
+
+    for await (const availability of cursor) {
+      const record = fromAvailability(availability);
+      yield toCSVLine(AVAILABILITY_EXPORT_COLUMNS.map(column => record[column]));
+    }
+  }
+
+  /**
+   * Produce a JSON array from an availability cursor. The records use the import
+   * columns, so an export can be posted back to the import endpoint as is.
+   * @param {Object} cursor - Availability cursor
+   * @returns {AsyncGenerator<string>} Pieces of the JSON array
+   */
+  async *exportJSONChunks(cursor) {
+    let separator = '[\n';
+
+    for await (const availability of cursor) {
+      yield `${separator}${JSON.stringify(fromAvailability(availability))}`;
+      separator = ',\n';
+    }
+
+    yield separator === '[\n' ? '[]\n' : '\n]\n';
+  }
+
+  /**
+   * Format a local date
+   * @param {Date|string} date - Date of a slot
+   * @returns {string} Date (YYYY-MM-DD)
+   */
+  toLocalDate(date) {
+    return new Date(date).toISOString().split('T')[0];
+  }
+
+  /**
+   * Format a planned or created slot in local time and UTC
+   * @param {Object} slot - Slot from planSlots, or a created availability document
+   * @returns {Object} Formatted slot
+   */
+  formatPlannedSlot(slot) {
+    return {
+      ...(slot._id && { availability_id: slot._id }),
+      date: this.toLocalDate(slot.date),
+      start_time: slot.start_time,
+      end_time: slot.end_time,
+      timezone: slot.timezone,
+      utc_start_time: slot.utc_start_time,
+      utc_end_time: slot.utc_end_time,
+      ...(slot.action && { action: slot.action }),
+      ...(slot.reason && { reason: slot.reason })
+    };
+  }
+
   /**
    * Group availability by date for response formatting
    * @param {Array} availability - Array of availability objects
@@ -407,6 +1113,8 @@ class ProviderAvailabilityService {
         end_time: avail.local_end_time || avail.end_time,
         status: avail.status,
         appointment_type: avail.appointment_type,
+        max_appointments: avail.max_appointments_per_slot,
+        available_spots: avail.getAvailableSeats(),
         location: avail.location,
         pricing: avail.pricing
       };
@@ -431,7 +1139,7 @@ class ProviderAvailabilityService {
     availability.forEach(avail => {
       totalSlots++;
       
-      if (avail.status === 'available' && avail.current_appointments < avail.max_appointments_per_slot) {
+      if (avail.isAvailable()) {
         availableSlots++;
       } else if (avail.status === 'booked') {
         bookedSlots++;
@@ -448,6 +1156,20 @@ class ProviderAvailabilityService {
     };
   }
 
+  /**
+   * Format a next available result: the provider and its earliest bookable slot
+   * @param {Object} avail - Slot with provider_id populated
+   * @returns {Object} Formatted result
+   */
+  formatNextAvailable(avail) {
+    const [{ available_slots: [slot], ...result }] = this.formatSearchResults([avail]);
+
+    return {
+      ...result,
+      next_slot: { ...slot, timezone: avail.timezone, starts_at: avail.utc_start_time }
+    };
+  }
+
   /**
    * Format search results to match requirements
    * @param {Array} availability - Array of availability objects
@@ -469,6 +1191,8 @@ class ProviderAvailabilityService {
             rating: avail.provider_id.rating || 0,
             clinic_address: avail.location?.address || 'Address not specified'
           },
+          // Results near a point come nearest first, so the first slot is the provider's nearest
+          ...(avail.distance_km !== undefined && { distance_km: avail.distance_km }),
           available_slots: []
         });
       }
@@ -481,7 +1205,10 @@ class ProviderAvailabilityService {
         start_time: avail.local_start_time || avail.start_time,
         end_time: avail.local_end_time || avail.end_time,
         appointment_type: avail.appointment_type,
+        max_appointments: avail.max_appointments_per_slot,
+        available_spots: avail.getAvailableSeats(),
         location: avail.location,
+        ...(avail.distance_km !== undefined && { distance_km: avail.distance_km }),
         pricing: avail.pricing,
         special_requirements: avail.special_requirements || []
       };
@@ -1,6 +1,7 @@
 const bcrypt = require('bcryptjs');
 const { Provider } = require('../models/Provider');
 const { DatabaseError, ValidationError, DuplicateError } = require('../utils/errors');
+const { geocodeClinicAddress } = require('../utils/geocoder');
 
 class ProviderService {
   constructor(providerRepository) {
@@ -44,9 +45,10 @@ class ProviderService {
       const saltRounds = 12;
       const passwordHash = await bcrypt.hash(validatedData.password, saltRounds);
 
-      // Create provider object
+      // Create provider object, with the clinic's coordinates for distance search
       const provider = new Provider({
         ...validatedData,
+        clinic_address: await geocodeClinicAddress(validatedData.clinic_address),
         password_hash: passwordHash
       });
 
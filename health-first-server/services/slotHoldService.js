@@ -0,0 +1,148 @@
+const SlotHoldRepository = require('../repositories/slotHoldRepository');
+const ProviderAvailabilityRepository = require('../repositories/providerAvailabilityRepository');
+const AppointmentRepository = require('../repositories/appointmentRepository');
+const BookingPolicyService = require('./bookingPolicyService');
+const { ConflictError } = require('../utils/errors');
+const { buildStatusChange } = require('../utils/appointmentLifecycle');
+
+const MINUTE_MS = 60 * 1000;
+
+class SlotHoldService {
+  constructor() {
+    this.slotHoldRepository = new SlotHoldRepository();
+    this.providerAvailabilityRepository = new ProviderAvailabilityRepository();
+    this.appointmentRepository = new AppointmentRepository();
+    this.bookingPolicyService = new BookingPolicyService();
+  }
+
+  /**
+   * Reserve a free seat on an availability and record a hold on it
+   * @param {string} availabilityId - Availability ID
+   * @param {string} patientId - Patient the seat is held for
+   * @param {Object} options - { source, minutes, waitlistEntryId }
+   * @returns {Promise<Object|null>} { hold, availability }, or null if no seat was free
+   */
+  async placeHold(availabilityId, patientId, options) {
+    const availability = await this.providerAvailabilityRepository.holdCapacity(availabilityId);
+    if (!availability) {
+      return null;
+    }
+
+    try {
+      const hold = await this.recordHold(availability, patientId, options);
+      return { hold, availability };
+    } catch (error) {
+      // Give the seat back if the hold record could not be written
+      await this.providerAvailabilityRepository.releaseHeldCapacity(availabilityId);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a hold on a seat that has already been moved into held_appointments
+   * @param {Object} availability - Availability slot
+   * @param {string} patientId - Patient the seat is held for
+   * @param {Object} options - { source, minutes, waitlistEntryId }
+   * @returns {Promise<Object>} Created hold
+   */
+  async recordHold(availability, patientId, options) {
+    return this.slotHoldRepository.create({
+      availability_id: availability._id,
+      provider_id: availability.provider_id._id || availability.provider_id,
+      patient_id: patientId,
+      source: options.source,
+      waitlist_entry_id: options.waitlistEntryId || null,
+      expires_at: new Date(Date.now() + options.minutes * MINUTE_MS)
+    });
+  }
+
+  /**
+   * Turn an active hold into a booking for its patient. The hold is ended before the
+   * seat moves, so it cannot expire or be released halfway; if the appointment cannot
+   * be written, the seat and the hold are put back.
+   * @param {Object} hold - Hold document
+   * @param {Object} bookingData - Optional booking details (notes)
+   * @returns {Promise<Object>} { appointment, availability }
+   */
+  async confirmHold(hold, bookingData = {}) {
+    // A slot the provider blocked after the hold was placed cannot be booked
+    const slot = await this.providerAvailabilityRepository.findById(hold.availability_id);
+    if (!slot || !['available', 'booked'].includes(slot.status)) {
+      await this.releaseHold(hold._id);
+      throw new ConflictError('Slot is no longer open for booking');
+    }
+
+    // Slots in request mode turn the held seat into a request for the provider
+    const initial = await this.bookingPolicyService.getInitialBookingStatus(slot);
+
+    const confirmed = await this.slotHoldRepository.endIfActive(hold._id, 'confirmed', { unexpiredOnly: true });
+    if (!confirmed) {
+      throw new ConflictError('Hold has expired or is no longer active');
+    }
+
+    const availability = await this.providerAvailabilityRepository.confirmHeldCapacity(hold.availability_id);
+    if (!availability) {
+      await this.slotHoldRepository.restoreActive(hold._id);
+      throw new ConflictError('Held seat is no longer available');
+    }
+
+    try {
+      const { fields, historyEntry } = buildStatusChange(null, initial.status, 'patient');
+      const appointment = await this.appointmentRepository.create({
+        availability_id: availability._id,
+        provider_id: availability.provider_id,
+        patient_id: hold.patient_id,
+        slot_start_time: availability.utc_start_time,
+        slot_end_time: availability.utc_end_time,
+        appointment_type: availability.appointment_type,
+        ...fields,
+        status_history: [historyEntry],
+        request_expires_at: initial.requestExpiresAt,
+        booked_at: new Date(),
+        notes: bookingData.notes
+      });
+
+      return { appointment, availability };
+    } catch (error) {
+      // Give the seat back to the hold if the appointment record could not be written
+      await this.providerAvailabilityRepository.convertBookingToHold(availability._id);
+      await this.slotHoldRepository.restoreActive(hold._id);
+      throw error;
+    }
+  }
+
+  /**
+   * End an active hold without touching its seat; the caller decides where the seat goes
+   * @param {string} holdId - Hold ID
+   * @param {string} status - 'released' or 'expired'
+   * @returns {Promise<Object|null>} Ended hold, or null if it was no longer active
+   */
+  async endHold(holdId, status) {
+    return this.slotHoldRepository.endIfActive(holdId, status);
+  }
+
+  /**
+   * End an active hold and free its seat for anyone to book
+   * @param {string} holdId - Hold ID
+   * @returns {Promise<Object|null>} Availability after the release, or null if the hold was no longer active
+   */
+  async releaseHold(holdId) {
+    const released = await this.slotHoldRepository.endIfActive(holdId, 'released');
+    if (!released) {
+      return null;
+    }
+
+    return this.providerAvailabilityRepository.releaseHeldCapacity(released.availability_id);
+  }
+
+  /**
+   * Find active holds past their expiry time
+   * @param {number} limit - Maximum number of holds
+   * @returns {Promise<Array>} Expired holds
+   */
+  async findExpiredHolds(limit) {
+    return this.slotHoldRepository.findExpired(limit);
+  }
+}
+
+module.exports = SlotHoldService;
@@ -0,0 +1,333 @@
+const TimeOffRepository = require('../repositories/timeOffRepository');
+const AppointmentRepository = require('../repositories/appointmentRepository');
+const AppointmentService = require('./appointmentService');
+const {
+  ValidationError,
+  ConflictError,
+  InvalidTransitionError,
+  NotFoundError,
+  AuthorizationError,
+  DatabaseError
+} = require('../utils/errors');
+
+// Most appointments a single bulk cancel or reschedule may touch
+const MAX_BULK_APPOINTMENTS = 200;
+
+class TimeOffService {
+  constructor() {
+    this.timeOffRepository = new TimeOffRepository();
+    this.appointmentRepository = new AppointmentRepository();
+    this.appointmentService = new AppointmentService();
+  }
+
+  /**
+   * Create a time off period for a provider. Slots inside it are hidden from
+   * search and cannot be booked; appointments already booked inside it are
+   * returned so the provider can move or cancel them.
+   * @param {string} providerId - Provider ID
+   * @param {Object} data - { start_date, end_date, timezone, reason, notes }
+   * @returns {Promise<Object>} Created time off with its booked appointments
+   */
+  async createTimeOff(providerId, data) {
+    try {
+      const timeOff = await this.timeOffRepository.create({
+        provider_id: providerId,
+        start_date: data.start_date,
+        end_date: data.end_date,
+        timezone: data.timezone,
+        reason: data.reason,
+        notes: data.notes
+      });
+
+      const appointments = await this.findAffectedAppointments(timeOff);
+
+      return {
+        success: true,
+        message: appointments.length > 0
+          ? `Time off created; ${appointments.length} booked appointments fall inside it`
+          : 'Time off created successfully',
+        data: {
+          time_off: this.formatTimeOff(timeOff),
+          affected_appointments: appointments.map(appointment => this.formatAffectedAppointment(appointment))
+        }
+      };
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to create time off: ${error.message}`);
+    }
+  }
+
+  /**
+   * List a provider's time off, soonest first
+   * @param {string} providerId - Provider ID
+   * @param {Object} options - { from, to } local dates (YYYY-MM-DD); defaults to current and upcoming time off
+   * @returns {Promise<Object>} Time off periods
+   */
+  async getProviderTimeOff(providerId, options = {}) {
+    try {
+      const timeOff = await this.timeOffRepository.findByProviderId(providerId, {
+        from: options.from ? new Date(options.from) : new Date(),
+        to: options.to ? new Date(options.to) : null
+      });
+
+      return {
+        success: true,
+        data: {
+          time_off: timeOff.map(period => this.formatTimeOff(period)),
+          total: timeOff.length
+        }
+      };
+    } catch (error) {
+      throw new DatabaseError(`Failed to get time off: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a time off period with the appointments still booked inside it
+   * @param {string} timeOffId - Time off ID
+   * @param {string} providerId - Authenticated provider ID
+   * @returns {Promise<Object>} Time off with its booked appointments
+   */
+  async getTimeOff(timeOffId, providerId) {
+    try {
+      const timeOff = await this.findOwnedTimeOff(timeOffId, providerId);
+      const appointments = await this.findAffectedAppointments(timeOff);
+
+      return {
+        success: true,
+        data: {
+          time_off: this.formatTimeOff(timeOff),
+          affected_appointments: appointments.map(appointment => this.formatAffectedAppointment(appointment))
+        }
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof AuthorizationError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to get time off: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a time off period; its slots show up in search again
+   * @param {string} timeOffId - Time off ID
+   * @param {string} providerId - Authenticated provider ID
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteTimeOff(timeOffId, providerId) {
+    try {
+      await this.findOwnedTimeOff(timeOffId, providerId);
+      await this.timeOffRepository.deleteById(timeOffId);
+
+      return {
+        success: true,
+        message: 'Time off deleted successfully'
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof AuthorizationError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to delete time off: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancel appointments booked inside a time off period. Each appointment is
+   * cancelled on its own, so one failure does not stop the rest; the result
+   * reports the outcome of each.
+   * @param {string} timeOffId - Time off ID
+   * @param {string} providerId - Authenticated provider ID
+   * @param {Object} options - { bookingReferences } to cancel only some (default all), { reason }
+   * @returns {Promise<Object>} Per-appointment report
+   */
+  async cancelAppointments(timeOffId, providerId, options = {}) {
+    try {
+      const timeOff = await this.findOwnedTimeOff(timeOffId, providerId);
+      const appointments = await this.findAffectedAppointments(timeOff);
+      const references = options.bookingReferences ||
+        appointments.map(appointment => appointment.booking_reference);
+
+      return await this.runBulk('cancelled', references, async reference => {
+        const appointment = this.findAffected(appointments, reference);
+        await this.appointmentService.cancel(appointment, { providerId }, options.reason);
+        return {};
+      });
+    } catch (error) {
+      if (error instanceof NotFoundError ||
+          error instanceof AuthorizationError ||
+          error instanceof ValidationError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to cancel appointments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move appointments booked inside a time off period to other slots of the
+   * provider. Each move is made on its own; the result reports the outcome of each.
+   * @param {string} timeOffId - Time off ID
+   * @param {string} providerId - Authenticated provider ID
+   * @param {Object} options - { moves: [{ booking_reference, availability_id }], reason }
+   * @returns {Promise<Object>} Per-appointment report
+   */
+  async rescheduleAppointments(timeOffId, providerId, options) {
+    try {
+      const timeOff = await this.findOwnedTimeOff(timeOffId, providerId);
+      const appointments = await this.findAffectedAppointments(timeOff);
+      const targets = new Map(options.moves.map(move => [move.booking_reference, move.availability_id]));
+
+      return await this.runBulk('rescheduled', [...targets.keys()], async reference => {
+        this.findAffected(appointments, reference);
+        const result = await this.appointmentService.rescheduleAppointment(reference, { providerId }, {
+          availabilityId: targets.get(reference),
+          reason: options.reason
+        });
+        return {
+          availability_id: result.data.appointment.availability_id,
+          slot_start_time: result.data.appointment.slot_start_time
+        };
+      });
+    } catch (error) {
+      if (error instanceof NotFoundError ||
+          error instanceof AuthorizationError ||
+          error instanceof ValidationError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to reschedule appointments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run a bulk action over booking references, one at a time, and collect the
+   * outcome of each
+   * @param {string} status - Status reported for references the action succeeded on
+   * @param {Array<string>} references - Booking references
+   * @param {Function} action - async (reference) => extra result fields
+   * @returns {Promise<Object>} Per-appointment report
+   */
+  async runBulk(status, references, action) {
+    if (references.length > MAX_BULK_APPOINTMENTS) {
+      const message = `A bulk change cannot touch more than ${MAX_BULK_APPOINTMENTS} appointments`;
+      throw new ValidationError(message, { booking_references: [message] });
+    }
+
+    const results = [];
+
+    for (const reference of references) {
+      try {
+        const extra = await action(reference);
+        results.push({ booking_reference: reference, status, ...extra });
+      } catch (error) {
+        if (!(error instanceof NotFoundError ||
+              error instanceof AuthorizationError ||
+              error instanceof ConflictError ||
+              error instanceof ValidationError ||
+              error instanceof InvalidTransitionError)) {
+          throw error;
+        }
+        results.push({ booking_reference: reference, status: 'error', message: error.message });
+      }
+    }
+
+    const succeeded = results.filter(result => result.status !== 'error').length;
+
+    return {
+      success: true,
+      message: `${succeeded} of ${results.length} appointments ${status}`,
+      data: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        results
+      }
+    };
+  }
+
+  /**
+   * Find the requested and confirmed appointments inside a time off period
+   * @param {Object} timeOff - Time off document
+   * @returns {Promise<Array>} Appointments with patient populated
+   */
+  async findAffectedAppointments(timeOff) {
+    return this.appointmentRepository.findScheduledOverlapping(
+      timeOff.provider_id,
+      timeOff.starts_at,
+      timeOff.ends_at
+    );
+  }
+
+  /**
+   * Pick an appointment of a time off period by booking reference
+   * @param {Array} appointments - Appointments inside the time off
+   * @param {string} reference - Booking reference
+   * @returns {Object} Appointment document
+   * @throws {NotFoundError} If the appointment is not booked inside the time off
+   */
+  findAffected(appointments, reference) {
+    const appointment = appointments.find(candidate => candidate.booking_reference === reference);
+
+    if (!appointment) {
+      throw new NotFoundError('No requested or confirmed appointment with this reference falls inside the time off');
+    }
+
+    return appointment;
+  }
+
+  /**
+   * Load a time off period and make sure it belongs to the given provider
+   * @param {string} timeOffId - Time off ID
+   * @param {string} providerId - Provider ID
+   * @returns {Promise<Object>} Time off document
+   */
+  async findOwnedTimeOff(timeOffId, providerId) {
+    const timeOff = await this.timeOffRepository.findById(timeOffId);
+
+    if (!timeOff) {
+      throw new NotFoundError('Time off not found');
+    }
+
+    if (!timeOff.isOwnedBy(providerId)) {
+      throw new AuthorizationError('You can only manage your own time off');
+    }
+
+    return timeOff;
+  }
+
+  /**
+   * Format a time off period for API responses
+   * @param {Object} timeOff - Time off document
+   * @returns {Object} Formatted time off
+   */
+  formatTimeOff(timeOff) {
+    return {
+      id: timeOff._id,
+      start_date: timeOff.start_date.toISOString().split('T')[0],
+      end_date: timeOff.end_date.toISOString().split('T')[0],
+      timezone: timeOff.timezone,
+      starts_at: timeOff.starts_at,
+      ends_at: timeOff.ends_at,
+      reason: timeOff.reason,
+      notes: timeOff.notes,
+      created_at: timeOff.created_at
+    };
+  }
+
+  /**
+   * Format an appointment inside a time off period, with the patient's contact details
+   * @param {Object} appointment - Appointment document with patient populated
+   * @returns {Object} Formatted appointment
+   */
+  formatAffectedAppointment(appointment) {
+    return {
+      ...this.appointmentService.formatAttendee(appointment),
+      availability_id: appointment.availability_id,
+      appointment_type: appointment.appointment_type,
+      slot_start_time: appointment.slot_start_time,
+      slot_end_time: appointment.slot_end_time
+    };
+  }
+}
+
+module.exports = TimeOffService;
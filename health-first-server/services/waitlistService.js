@@ -0,0 +1,522 @@
+const WaitlistRepository = require('../repositories/waitlistRepository');
+const SlotHoldRepository = require('../repositories/slotHoldRepository');
+const ProviderAvailabilityRepository = require('../repositories/providerAvailabilityRepository');
+const ProviderRepository = require('../repositories/providerRepository');
+const TimeOffRepository = require('../repositories/timeOffRepository');
+const SlotHoldService = require('./slotHoldService');
+const HolidayCalendarService = require('./holidayCalendarService');
+const {
+  ValidationError,
+  ConflictError,
+  DuplicateError,
+  NotFoundError,
+  AuthorizationError,
+  DatabaseError
+} = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long an offered seat is held for the patient before it moves on
+const WAITLIST_HOLD_MINUTES = parseInt(process.env.WAITLIST_HOLD_MINUTES) || 15;
+
+// Longest date range a provider waitlist entry may cover
+const MAX_WAITLIST_RANGE_DAYS = 90;
+
+// Expired holds handled per sweep
+const SWEEP_BATCH_SIZE = 100;
+
+class WaitlistService {
+  constructor() {
+    this.waitlistRepository = new WaitlistRepository();
+    this.slotHoldRepository = new SlotHoldRepository();
+    this.providerAvailabilityRepository = new ProviderAvailabilityRepository();
+    this.providerRepository = new ProviderRepository();
+    this.timeOffRepository = new TimeOffRepository();
+    this.holidayCalendarService = new HolidayCalendarService();
+    this.slotHoldService = new SlotHoldService();
+  }
+
+  /**
+   * Join the waitlist of a fully booked slot, or of a provider for a date range
+   * @param {string} patientId - Patient ID
+   * @param {Object} data - { availability_id } or { provider_id, start_date, end_date, appointment_type }, plus notes
+   * @returns {Promise<Object>} Created entry
+   */
+  async joinWaitlist(patientId, data) {
+    try {
+      const target = data.availability_id
+        ? await this.buildSlotTarget(data.availability_id)
+        : await this.buildRangeTarget(data);
+
+      const duplicate = await this.waitlistRepository.findActiveDuplicate({ patient_id: patientId, ...target });
+      if (duplicate) {
+        throw new DuplicateError('You are already on this waitlist');
+      }
+
+      const entry = await this.waitlistRepository.create({
+        patient_id: patientId,
+        ...target,
+        notes: data.notes
+      });
+
+      return {
+        success: true,
+        message: 'Joined the waitlist successfully',
+        data: this.formatEntry(entry)
+      };
+    } catch (error) {
+      if (error instanceof ValidationError ||
+          error instanceof NotFoundError ||
+          error instanceof ConflictError ||
+          error instanceof DuplicateError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to join waitlist: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the target of a waitlist entry for one slot. Only slots that are still
+   * ahead and have no free seat can be waited for; free seats are booked directly.
+   * @param {string} availabilityId - Availability ID
+   * @returns {Promise<Object>} { provider_id, availability_id }
+   */
+  async buildSlotTarget(availabilityId) {
+    const availability = await this.providerAvailabilityRepository.findById(availabilityId);
+
+    if (!availability) {
+      throw new NotFoundError('Availability not found');
+    }
+
+    if (!(await this.isOfferable(availability))) {
+      throw new ConflictError('Slot is not open for booking');
+    }
+
+    if (availability.isAvailable()) {
+      throw new ConflictError('Slot has free capacity; book it directly instead');
+    }
+
+    return {
+      provider_id: availability.provider_id._id || availability.provider_id,
+      availability_id: availability._id
+    };
+  }
+
+  /**
+   * Build the target of a waitlist entry for any slot of a provider in a date range
+   * @param {Object} data - { provider_id, start_date, end_date, appointment_type }
+   * @returns {Promise<Object>} { provider_id, availability_id, start_date, end_date, appointment_type }
+   */
+  async buildRangeTarget(data) {
+    const startDate = this.toDate(data.start_date);
+    const endDate = this.toDate(data.end_date);
+    const today = this.toDate(new Date());
+
+    if (endDate < startDate) {
+      throw new ValidationError('End date must be on or after start date');
+    }
+
+    if (endDate < today) {
+      throw new ValidationError('Date range must not be in the past');
+    }
+
+    if ((endDate - startDate) / DAY_MS + 1 > MAX_WAITLIST_RANGE_DAYS) {
+      throw new ValidationError(`Date range cannot exceed ${MAX_WAITLIST_RANGE_DAYS} days`);
+    }
+
+    const provider = await this.providerRepository.findById(data.provider_id);
+    if (!provider) {
+      throw new NotFoundError('Provider not found');
+    }
+
+    return {
+      provider_id: provider._id,
+      availability_id: null,
+      start_date: startDate,
+      end_date: endDate,
+      appointment_type: data.appointment_type || null
+    };
+  }
+
+  /**
+   * Get the waitlist entries of a patient
+   * @param {string} patientId - Patient ID
+   * @param {Object} options - { status }
+   * @returns {Promise<Object>} Entries, newest first
+   */
+  async getPatientEntries(patientId, options = {}) {
+    try {
+      const entries = await this.waitlistRepository.findByPatientId(patientId, options);
+
+      return {
+        success: true,
+        data: entries.map(entry => this.formatEntry(entry))
+      };
+    } catch (error) {
+      throw new DatabaseError(`Failed to get waitlist entries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Leave the waitlist. An open offer is withdrawn and its seat moves on.
+   * @param {string} entryId - Entry ID
+   * @param {string} patientId - Patient ID
+   * @returns {Promise<Object>} Cancelled entry
+   */
+  async leaveWaitlist(entryId, patientId) {
+    try {
+      const entry = await this.findOwnedEntry(entryId, patientId);
+      let cancelled;
+
+      if (entry.status === 'offered') {
+        cancelled = await this.withdrawOffer(entry, { $set: { status: 'cancelled' } });
+      } else if (entry.status === 'waiting') {
+        cancelled = await this.waitlistRepository.updateIfStatus(entry._id, ['waiting'], { $set: { status: 'cancelled' } });
+      }
+
+      if (!cancelled) {
+        throw new ConflictError('Only waiting or offered waitlist entries can be left');
+      }
+
+      return {
+        success: true,
+        message: 'Left the waitlist successfully',
+        data: this.formatEntry(cancelled)
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError ||
+          error instanceof AuthorizationError ||
+          error instanceof ConflictError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to leave waitlist: ${error.message}`);
+    }
+  }
+
+  /**
+   * Accept the offer of a waitlist entry, booking the held seat
+   * @param {string} entryId - Entry ID
+   * @param {string} patientId - Patient ID
+   * @param {Object} bookingData - Optional booking details (notes)
+   * @returns {Promise<Object>} Booking result with booking reference
+   */
+  async acceptOffer(entryId, patientId, bookingData = {}) {
+    try {
+      const entry = await this.findOwnedEntry(entryId, patientId);
+
+      if (entry.status !== 'offered') {
+        throw new ConflictError('There is no open offer on this waitlist entry');
+      }
+
+      const hold = await this.slotHoldRepository.findById(entry.offer.hold_id);
+      if (!hold || !hold.isActive()) {
+        // Do not wait for the sweep to pass the seat on
+        if (hold) {
+          await this.expireHold(hold);
+        }
+        throw new ConflictError('The offer has expired');
+      }
+
+      const { appointment, availability } = await this.slotHoldService.confirmHold(hold, bookingData);
+
+      const booked = await this.waitlistRepository.updateIfStatus(entry._id, ['offered'], {
+        $set: { status: 'booked', booking_reference: appointment.booking_reference }
+      });
+
+      return {
+        success: true,
+        message: appointment.status === 'requested'
+          ? 'Offer accepted and booking request sent to the provider for approval'
+          : 'Offer accepted and appointment booked successfully',
+        data: {
+          booking_reference: appointment.booking_reference,
+          appointment: {
+            booking_reference: appointment.booking_reference,
+            status: appointment.status,
+            availability_id: appointment.availability_id,
+            provider_id: appointment.provider_id,
+            appointment_type: appointment.appointment_type,
+            slot_start_time: appointment.slot_start_time,
+            slot_end_time: appointment.slot_end_time,
+            booked_at: appointment.booked_at
+          },
+          waitlist_entry: this.formatEntry(booked || entry),
+          availability: {
+            availability_id: availability._id,
+            current_appointments: availability.current_appointments,
+            held_appointments: availability.held_appointments,
+            max_appointments: availability.max_appointments_per_slot,
+            status: availability.status
+          }
+        }
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError ||
+          error instanceof AuthorizationError ||
+          error instanceof ConflictError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to accept waitlist offer: ${error.message}`);
+    }
+  }
+
+  /**
+   * Decline the offer of a waitlist entry. The seat moves on to the next patient;
+   * a provider entry keeps its place in the queue but is not offered that slot again.
+   * @param {string} entryId - Entry ID
+   * @param {string} patientId - Patient ID
+   * @returns {Promise<Object>} Updated entry
+   */
+  async declineOffer(entryId, patientId) {
+    try {
+      const entry = await this.findOwnedEntry(entryId, patientId);
+
+      if (entry.status !== 'offered') {
+        throw new ConflictError('There is no open offer on this waitlist entry');
+      }
+
+      const update = entry.availability_id
+        ? { $set: { status: 'cancelled' } }
+        : {
+          $set: { status: 'waiting' },
+          $unset: { offer: 1 },
+          $addToSet: { declined_availability_ids: entry.offer.availability_id }
+        };
+
+      const declined = await this.withdrawOffer(entry, update);
+      if (!declined) {
+        throw new ConflictError('The offer is no longer open');
+      }
+
+      return {
+        success: true,
+        message: 'Offer declined successfully',
+        data: this.formatEntry(declined)
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError ||
+          error instanceof AuthorizationError ||
+          error instanceof ConflictError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to decline waitlist offer: ${error.message}`);
+    }
+  }
+
+  /**
+   * Release the hold of an offered entry, update the entry and pass the seat on
+   * @param {Object} entry - Offered entry
+   * @param {Object} update - MongoDB update for the entry
+   * @returns {Promise<Object|null>} Updated entry, or null if the offer had already ended
+   */
+  async withdrawOffer(entry, update) {
+    const released = await this.slotHoldService.endHold(entry.offer.hold_id, 'released');
+    if (!released) {
+      return null;
+    }
+
+    const updated = await this.waitlistRepository.updateIfStatus(entry._id, ['offered'], update);
+    await this.passHeldSeat(released.availability_id);
+
+    return updated;
+  }
+
+  /**
+   * Hand the seat of a cancelled or moved booking to the waitlist. When someone is waiting the
+   * booked seat becomes a held one in a single update, so nobody else can book it in
+   * between; otherwise the seat is simply freed.
+   * @param {string} availabilityId - Availability ID
+   * @returns {Promise<Object|null>} Availability after the hand-over
+   */
+  async offerFreedSeat(availabilityId) {
+    const availability = await this.providerAvailabilityRepository.findById(availabilityId);
+
+    if (!availability || !(await this.isOfferable(availability)) ||
+        !(await this.waitlistRepository.hasWaiting(availability))) {
+      return this.providerAvailabilityRepository.releaseCapacity(availabilityId);
+    }
+
+    const held = await this.providerAvailabilityRepository.convertBookingToHold(availabilityId);
+    return held ? this.offerHeldSeat(held) : null;
+  }
+
+  /**
+   * Pass a held seat whose hold ended on to the next waitlisted patient, or free it
+   * @param {string} availabilityId - Availability ID
+   * @returns {Promise<Object|null>} Availability after the hand-over
+   */
+  async passHeldSeat(availabilityId) {
+    const availability = await this.providerAvailabilityRepository.findById(availabilityId);
+
+    if (!availability || !(await this.isOfferable(availability))) {
+      return this.providerAvailabilityRepository.releaseHeldCapacity(availabilityId);
+    }
+
+    return this.offerHeldSeat(availability);
+  }
+
+  /**
+   * Offer a held seat to the longest-waiting eligible patient, with a time-limited
+   * hold. The seat is freed when nobody is waiting.
+   * @param {Object} availability - Availability whose held_appointments includes the seat
+   * @returns {Promise<Object|null>} Availability after the hand-over
+   */
+  async offerHeldSeat(availability) {
+    const entry = await this.waitlistRepository.claimNext(availability);
+
+    if (entry) {
+      try {
+        const hold = await this.slotHoldService.recordHold(availability, entry.patient_id, {
+          source: 'waitlist',
+          minutes: WAITLIST_HOLD_MINUTES,
+          waitlistEntryId: entry._id
+        });
+
+        await this.waitlistRepository.updateIfStatus(entry._id, ['offered'], {
+          $set: {
+            offer: {
+              hold_id: hold._id,
+              availability_id: availability._id,
+              expires_at: hold.expires_at
+            }
+          }
+        });
+
+        return availability;
+      } catch (error) {
+        // Put the patient back in the queue rather than leave them with a broken offer
+        await this.waitlistRepository.updateIfStatus(entry._id, ['offered'], {
+          $set: { status: 'waiting' },
+          $unset: { offer: 1 }
+        });
+        console.error('Failed to offer held seat:', error.message);
+      }
+    }
+
+    return this.providerAvailabilityRepository.releaseHeldCapacity(availability._id);
+  }
+
+  /**
+   * Expire a hold that ran past its expiry time and pass its seat on
+   * @param {Object} hold - Hold document
+   * @returns {Promise<boolean>} True if this call expired the hold
+   */
+  async expireHold(hold) {
+    const expired = await this.slotHoldService.endHold(hold._id, 'expired');
+    if (!expired) {
+      return false;
+    }
+
+    if (hold.waitlist_entry_id) {
+      await this.waitlistRepository.updateIfStatus(hold.waitlist_entry_id, ['offered'], {
+        $set: { status: 'expired' }
+      });
+    }
+
+    await this.passHeldSeat(hold.availability_id);
+    return true;
+  }
+
+  /**
+   * Expire all holds that ran past their expiry time. Run periodically.
+   * @returns {Promise<number>} Number of holds expired
+   */
+  async sweepExpiredHolds() {
+    try {
+      const holds = await this.slotHoldService.findExpiredHolds(SWEEP_BATCH_SIZE);
+      let expired = 0;
+
+      for (const hold of holds) {
+        if (await this.expireHold(hold)) {
+          expired += 1;
+        }
+      }
+
+      return expired;
+    } catch (error) {
+      throw new DatabaseError(`Failed to sweep expired holds: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load a waitlist entry and make sure it belongs to the given patient
+   * @param {string} entryId - Entry ID
+   * @param {string} patientId - Patient ID
+   * @returns {Promise<Object>} Entry document
+   */
+  async findOwnedEntry(entryId, patientId) {
+    const entry = await this.waitlistRepository.findById(entryId);
+
+    if (!entry) {
+      throw new NotFoundError('Waitlist entry not found');
+    }
+
+    if (entry.patient_id.toString() !== patientId.toString()) {
+      throw new AuthorizationError('You can only access your own waitlist entries');
+    }
+
+    return entry;
+  }
+
+  /**
+   * Check whether seats of a slot can still be offered: it is open, has not started,
+   * its provider is not on time off and it is not on a holiday
+   * @param {Object} availability - Availability slot
+   * @returns {Promise<boolean>} True if offerable
+   */
+  async isOfferable(availability) {
+    if (!['available', 'booked'].includes(availability.status) ||
+        (availability.utc_start_time || availability.date) <= new Date()) {
+      return false;
+    }
+
+    const providerId = availability.provider_id._id || availability.provider_id;
+    const timeOff = await this.timeOffRepository.findOverlapping(
+      [providerId],
+      availability.utc_start_time,
+      availability.utc_end_time
+    );
+    if (timeOff.length > 0) {
+      return false;
+    }
+
+    return !(await this.holidayCalendarService.findHoliday(providerId, availability.date));
+  }
+
+  /**
+   * Truncate a date to UTC midnight, the way availability dates are stored
+   * @param {string|Date} value - Date
+   * @returns {Date} Date at UTC midnight
+   */
+  toDate(value) {
+    return new Date(new Date(value).toISOString().split('T')[0]);
+  }
+
+  /**
+   * Format a waitlist entry for API responses
+   * @param {Object} entry - Entry document
+   * @returns {Object} Formatted entry
+   */
+  formatEntry(entry) {
+    return {
+      id: entry._id,
+      status: entry.status,
+      provider_id: entry.provider_id,
+      availability_id: entry.availability_id,
+      start_date: entry.start_date,
+      end_date: entry.end_date,
+      appointment_type: entry.appointment_type,
+      offer: entry.status === 'offered' && entry.offer?.hold_id
+        ? {
+          availability_id: entry.offer.availability_id,
+          expires_at: entry.offer.expires_at
+        }
+        : null,
+      booking_reference: entry.booking_reference,
+      notes: entry.notes,
+      created_at: entry.created_at
+    };
+  }
+}
+
+module.exports = WaitlistService;
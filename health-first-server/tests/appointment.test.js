@@ -0,0 +1,593 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { ProviderAvailability } = require('../models/ProviderAvailability');
+const { AppointmentSlot } = require('../models/AppointmentSlot');
+const { Provider } = require('../models/Provider');
+const { Patient } = require('../models/Patient');
+const PatientAuthService = require('../services/patientAuthService');
+const AuthService = require('../services/authService');
+const AppointmentService = require('../services/appointmentService');
+const app = require('../server');
+
+const { futureDate, createProvider, createPatient, createSlot } = global.testUtils;
+
+describe('Appointment API', () => {
+  let patientToken;
+  let otherPatientToken;
+  let providerToken;
+  let providerId;
+  let availabilityId;
+
+  beforeAll(async () => {
+    const provider = await createProvider();
+    providerId = provider._id;
+    providerToken = new AuthService().generateToken(provider);
+
+    const patientAuthService = new PatientAuthService();
+    patientToken = patientAuthService.generateToken(await createPatient());
+    otherPatientToken = patientAuthService.generateToken(await createPatient({ first_name: 'Other' }));
+  });
+
+  afterAll(async () => {
+    await Provider.deleteMany({});
+    await Patient.deleteMany({});
+    await ProviderAvailability.deleteMany({});
+    await AppointmentSlot.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await ProviderAvailability.deleteMany({});
+    await AppointmentSlot.deleteMany({});
+
+    const availability = await createSlot(providerId, 7, {
+      max_appointments_per_slot: 2,
+      pricing: { base_fee: 150.00, insurance_accepted: true, currency: 'USD' }
+    });
+    availabilityId = availability._id;
+  });
+
+  const book = (token = patientToken) => request(app)
+    .post('/api/v1/appointments')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ availability_id: availabilityId.toString(), notes: 'First visit' });
+
+  describe('POST /api/v1/appointments', () => {
+    it('should book an appointment and return a booking reference', async () => {
+      const response = await book().expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.booking_reference).toMatch(/^APPT-/);
+      expect(response.body.data.appointment.status).toBe('confirmed');
+      expect(response.body.data.availability.current_appointments).toBe(1);
+
+      const stored = await AppointmentSlot.findOne({ booking_reference: response.body.data.booking_reference });
+      expect(stored.availability_id.toString()).toBe(availabilityId.toString());
+      expect(stored.notes).toBe('First visit');
+    });
+
+    it('should require patient authentication', async () => {
+      await request(app)
+        .post('/api/v1/appointments')
+        .send({ availability_id: availabilityId.toString() })
+        .expect(401);
+    });
+
+    it('should reject booking a fully booked slot', async () => {
+      await book().expect(201);
+      await book(otherPatientToken).expect(201);
+
+      const response = await book().expect(409);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/v1/appointments', () => {
+    it('should list only my appointments', async () => {
+      await book().expect(201);
+      await book(otherPatientToken).expect(201);
+
+      const response = await request(app)
+        .get('/api/v1/appointments')
+        .set('Authorization', `Bearer ${patientToken}`)
+        .expect(200);
+
+      expect(response.body.data.appointments).toHaveLength(1);
+      expect(response.body.data.pagination.total).toBe(1);
+    });
+  });
+
+  describe('GET /api/v1/appointments/:reference', () => {
+    it('should get my appointment by reference', async () => {
+      const booking = await book().expect(201);
+      const reference = booking.body.data.booking_reference;
+
+      const response = await request(app)
+        .get(`/api/v1/appointments/${reference}`)
+        .set('Authorization', `Bearer ${patientToken}`)
+        .expect(200);
+
+      expect(response.body.data.booking_reference).toBe(reference);
+      expect(response.body.data.provider.name).toBe('John Doe');
+    });
+
+    it('should not expose another patient\'s appointment', async () => {
+      const booking = await book().expect(201);
+
+      await request(app)
+        .get(`/api/v1/appointments/${booking.body.data.booking_reference}`)
+        .set('Authorization', `Bearer ${otherPatientToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/v1/appointments/:reference/cancel', () => {
+    it('should cancel my appointment and free the capacity', async () => {
+      const booking = await book().expect(201);
+      const reference = booking.body.data.booking_reference;
+
+      const response = await request(app)
+        .post(`/api/v1/appointments/${reference}/cancel`)
+        .set('Authorization', `Bearer ${patientToken}`)
+        .send({ reason: 'Feeling better' })
+        .expect(200);
+
+      expect(response.body.data.appointment.status).toBe('cancelled');
+      expect(response.body.data.appointment.cancellation_reason).toBe('Feeling better');
+
+      const availability = await ProviderAvailability.findById(availabilityId);
+      expect(availability.current_appointments).toBe(0);
+    });
+
+    it('should not cancel an appointment twice', async () => {
+      const booking = await book().expect(201);
+      const reference = booking.body.data.booking_reference;
+
+      await request(app)
+        .post(`/api/v1/appointments/${reference}/cancel`)
+        .set('Authorization', `Bearer ${patientToken}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/v1/appointments/${reference}/cancel`)
+        .set('Authorization', `Bearer ${patientToken}`)
+        .expect(409);
+    });
+  });
+
+  describe('POST /api/v1/appointments/:reference/reschedule', () => {
+    let targetId;
+
+    beforeEach(async () => {
+      const target = await createSlot(providerId, 9, {
+        start_time: '14:00',
+        end_time: '14:30'
+      });
+      targetId = target._id;
+    });
+
+    afterEach(async () => {
+      await Provider.updateOne({ _id: providerId }, { $unset: { booking_policy: 1 } });
+    });
+
+    const reschedule = (reference, body = {}) => request(app)
+      .post(`/api/v1/appointments/${reference}/reschedule`)
+      .set('Authorization', `Bearer ${patientToken}`)
+      .send({ availability_id: targetId.toString(), ...body });
+
+    it('should move the booking and keep its reference', async () => {
+      const booking = await book().expect(201);
+      const reference = booking.body.data.booking_reference;
+
+      const response = await reschedule(reference, { reason: 'Work trip' }).expect(200);
+
+      expect(response.body.data.booking_reference).toBe(reference);
+      expect(response.body.data.appointment.availability_id).toBe(targetId.toString());
+      expect(response.body.data.appointment.reschedule_history).toHaveLength(1);
+      expect(response.body.data.appointment.reschedule_history[0].from_availability_id).toBe(availabilityId.toString());
+      expect(response.body.data.appointment.reschedule_history[0].reason).toBe('Work trip');
+
+      expect((await ProviderAvailability.findById(availabilityId)).current_appointments).toBe(0);
+      expect((await ProviderAvailability.findById(targetId)).current_appointments).toBe(1);
+    });
+
+    it('should keep the original slot when the new one is full', async () => {
+      const booking = await book().expect(201);
+      await ProviderAvailability.updateOne({ _id: targetId }, { current_appointments: 1, status: 'booked' });
+
+      await reschedule(booking.body.data.booking_reference).expect(409);
+
+      const stored = await AppointmentSlot.findOne({ booking_reference: booking.body.data.booking_reference });
+      expect(stored.availability_id.toString()).toBe(availabilityId.toString());
+      expect((await ProviderAvailability.findById(availabilityId)).current_appointments).toBe(1);
+    });
+
+    it('should enforce the provider\'s reschedule notice', async () => {
+      const booking = await book().expect(201);
+
+      await request(app)
+        .put('/api/v1/provider/booking-policy')
+        .set('Authorization', `Bearer ${providerToken}`)
+        .send({ reschedule_notice_hours: 24 * 10 })
+        .expect(200);
+
+      const response = await reschedule(booking.body.data.booking_reference).expect(409);
+      expect(response.body.message).toMatch(/240 hours/);
+    });
+
+    it('should enforce the provider\'s reschedule limit', async () => {
+      const booking = await book().expect(201);
+      await Provider.updateOne({ _id: providerId }, { 'booking_policy.max_reschedules': 1 });
+
+      await reschedule(booking.body.data.booking_reference).expect(200);
+      await request(app)
+        .post(`/api/v1/appointments/${booking.body.data.booking_reference}/reschedule`)
+        .set('Authorization', `Bearer ${patientToken}`)
+        .send({ availability_id: availabilityId.toString() })
+        .expect(409);
+    });
+
+    it('should not reschedule another patient\'s appointment', async () => {
+      const booking = await book().expect(201);
+
+      await request(app)
+        .post(`/api/v1/appointments/${booking.body.data.booking_reference}/reschedule`)
+        .set('Authorization', `Bearer ${otherPatientToken}`)
+        .send({ availability_id: targetId.toString() })
+        .expect(403);
+    });
+  });
+
+  describe('Cancellation and no-show fees', () => {
+    afterEach(async () => {
+      await Provider.updateOne({ _id: providerId }, { $unset: { booking_policy: 1 } });
+    });
+
+    const cancel = (reference) => request(app)
+      .post(`/api/v1/appointments/${reference}/cancel`)
+      .set('Authorization', `Bearer ${patientToken}`);
+
+    const markOutcome = (reference, outcome) => request(app)
+      .post(`/api/v1/provider/appointments/${reference}/${outcome}`)
+      .set('Authorization', `Bearer ${providerToken}`);
+
+    // Pretend the appointment started an hour ago
+    const startInPast = (reference) => AppointmentSlot.updateOne(
+      { booking_reference: reference },
+      { slot_start_time: new Date(Date.now() - 60 * 60 * 1000) }
+    );
+
+    it('should charge the late-cancel fee inside the cancellation window', async () => {
+      await Provider.updateOne({ _id: providerId }, {
+        'booking_policy.cancellation_window_hours': 24 * 10,
+        'booking_policy.late_cancel_fee': 40
+      });
+      const booking = await book().expect(201);
+
+      const response = await cancel(booking.body.data.booking_reference).expect(200);
+
+      expect(response.body.data.appointment.applied_fee).toMatchObject({
+        kind: 'late_cancel',
+        amount: 40,
+        currency: 'USD'
+      });
+    });
+
+    it('should not charge a fee outside the cancellation window', async () => {
+      await Provider.updateOne({ _id: providerId }, {
+        'booking_policy.cancellation_window_hours': 24,
+        'booking_policy.late_cancel_fee': 40
+      });
+      const booking = await book().expect(201);
+
+      const response = await cancel(booking.body.data.booking_reference).expect(200);
+
+      expect(response.body.data.appointment.applied_fee).toBeNull();
+    });
+
+    it('should prefer the availability\'s own cancellation policy', async () => {
+      await Provider.updateOne({ _id: providerId }, {
+        'booking_policy.cancellation_window_hours': 24 * 10,
+        'booking_policy.late_cancel_fee': 40
+      });
+      await ProviderAvailability.updateOne({ _id: availabilityId }, { 'cancellation_policy.late_cancel_fee': 25 });
+      const booking = await book().expect(201);
+
+      const response = await cancel(booking.body.data.booking_reference).expect(200);
+
+      expect(response.body.data.appointment.applied_fee.amount).toBe(25);
+    });
+
+    it('should only mark appointments as no-show after they start', async () => {
+      await Provider.updateOne({ _id: providerId }, { 'booking_policy.no_show_fee': 75 });
+      const booking = await book().expect(201);
+      const reference = booking.body.data.booking_reference;
+
+      await markOutcome(reference, 'no-show').expect(409);
+
+      await startInPast(reference);
+      const response = await markOutcome(reference, 'no-show').expect(200);
+
+      expect(response.body.data.status).toBe('no_show');
+      expect(response.body.data.no_show_at).toBeDefined();
+      expect(response.body.data.applied_fee).toMatchObject({ kind: 'no_show', amount: 75 });
+
+      await cancel(reference).expect(409);
+    });
+
+    it('should mark an appointment as completed without a fee', async () => {
+      const booking = await book().expect(201);
+      const reference = booking.body.data.booking_reference;
+      await startInPast(reference);
+
+      const response = await markOutcome(reference, 'complete').expect(200);
+
+      expect(response.body.data.status).toBe('completed');
+      expect(response.body.data.applied_fee).toBeNull();
+
+      await markOutcome(reference, 'no-show').expect(409);
+    });
+  });
+
+  describe('Appointment lifecycle', () => {
+    const changeStatus = (reference, action) => request(app)
+      .post(`/api/v1/provider/appointments/${reference}/${action}`)
+      .set('Authorization', `Bearer ${providerToken}`);
+
+    it('should move a visit from check-in to completion and record each step', async () => {
+      const booking = await book().expect(201);
+      const reference = booking.body.data.booking_reference;
+
+      const checkedIn = await request(app)
+        .post(`/api/v1/appointments/${reference}/check-in`)
+        .set('Authorization', `Bearer ${patientToken}`)
+        .expect(200);
+      expect(checkedIn.body.data.status).toBe('checked_in');
+
+      await changeStatus(reference, 'start').expect(200);
+      await AppointmentSlot.updateOne(
+        { booking_reference: reference },
+        { slot_start_time: new Date(Date.now() - 60 * 60 * 1000) }
+      );
+      const response = await changeStatus(reference, 'complete').expect(200);
+
+      expect(response.body.data.status).toBe('completed');
+      expect(response.body.data.confirmed_at).toBeDefined();
+      expect(response.body.data.checked_in_at).toBeDefined();
+      expect(response.body.data.started_at).toBeDefined();
+      expect(response.body.data.status_history.map(entry => [entry.to, entry.by])).toEqual([
+        ['confirmed', 'patient'],
+        ['checked_in', 'patient'],
+        ['in_progress', 'provider'],
+        ['completed', 'provider']
+      ]);
+    });
+
+    it('should reject transitions the lifecycle does not allow', async () => {
+      const booking = await book().expect(201);
+
+      const response = await changeStatus(booking.body.data.booking_reference, 'start').expect(409);
+
+      expect(response.body.error_code).toBe('INVALID_STATUS_TRANSITION');
+      expect(response.body.transition.from).toBe('confirmed');
+      expect(response.body.transition.to).toBe('in_progress');
+      expect(response.body.transition.allowed).toContain('checked_in');
+    });
+
+    it('should not let patients cancel once they are checked in', async () => {
+      const booking = await book().expect(201);
+      const reference = booking.body.data.booking_reference;
+      await changeStatus(reference, 'check-in').expect(200);
+
+      await request(app)
+        .post(`/api/v1/appointments/${reference}/cancel`)
+        .set('Authorization', `Bearer ${patientToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('Booking requests', () => {
+    beforeEach(async () => {
+      await Provider.updateOne({ _id: providerId }, { 'booking_policy.booking_mode': 'request' });
+    });
+
+    afterEach(async () => {
+      await Provider.updateOne({ _id: providerId }, { $unset: { booking_policy: 1 } });
+    });
+
+    const answer = (reference, action, body = {}) => request(app)
+      .post(`/api/v1/provider/availability/me/requests/${reference}/${action}`)
+      .set('Authorization', `Bearer ${providerToken}`)
+      .send(body);
+
+    it('should hold a seat while the request waits for the provider', async () => {
+      const response = await book().expect(201);
+
+      expect(response.body.message).toBe('Booking request sent to the provider for approval');
+      expect(response.body.data.appointment.status).toBe('requested');
+      expect(response.body.data.appointment.request_expires_at).toBeDefined();
+      expect(response.body.data.availability.current_appointments).toBe(1);
+
+      const list = await request(app)
+        .get('/api/v1/provider/availability/me/requests')
+        .set('Authorization', `Bearer ${providerToken}`)
+        .expect(200);
+
+      expect(list.body.data.requests).toHaveLength(1);
+      expect(list.body.data.requests[0].booking_reference).toBe(response.body.data.booking_reference);
+    });
+
+    it('should let the provider approve a request', async () => {
+      const booking = await book().expect(201);
+
+      const response = await answer(booking.body.data.booking_reference, 'approve').expect(200);
+
+      expect(response.body.data.status).toBe('confirmed');
+      expect(response.body.data.confirmed_at).toBeDefined();
+    });
+
+    it('should free the seat when the provider declines a request', async () => {
+      const booking = await book().expect(201);
+
+      const response = await answer(booking.body.data.booking_reference, 'decline', {
+        reason: 'Not taking new patients'
+      }).expect(200);
+
+      expect(response.body.data.appointment.status).toBe('declined');
+      expect(response.body.data.appointment.decline_reason).toBe('Not taking new patients');
+      expect(response.body.data.availability.current_appointments).toBe(0);
+    });
+
+    it('should follow the availability\'s own booking mode', async () => {
+      await ProviderAvailability.updateOne({ _id: availabilityId }, { booking_mode: 'instant' });
+
+      const response = await book().expect(201);
+
+      expect(response.body.data.appointment.status).toBe('confirmed');
+    });
+
+    it('should expire requests the provider did not answer in time', async () => {
+      const booking = await book().expect(201);
+      const reference = booking.body.data.booking_reference;
+      await AppointmentSlot.updateOne(
+        { booking_reference: reference },
+        { request_expires_at: new Date(Date.now() - 60 * 1000) }
+      );
+
+      const expired = await new AppointmentService().sweepExpiredRequests();
+      expect(expired).toBe(1);
+
+      await answer(reference, 'approve').expect(409);
+
+      const appointment = await AppointmentSlot.findOne({ booking_reference: reference });
+      const availability = await ProviderAvailability.findById(availabilityId);
+      expect(appointment.status).toBe('expired');
+      expect(appointment.status_history.map(entry => entry.by)).toEqual(['patient', 'system']);
+      expect(availability.current_appointments).toBe(0);
+    });
+  });
+
+  describe('Scheduling rules', () => {
+    afterEach(async () => {
+      await Provider.updateOne({ _id: providerId }, { $unset: { booking_policy: 1 } });
+    });
+
+    const search = () => request(app)
+      .get('/api/v1/availability/search')
+      .query({ date: futureDate(7) });
+
+    it('should reject bookings inside the minimum notice and hide the slot from search', async () => {
+      await Provider.updateOne({ _id: providerId }, { 'booking_policy.min_notice_hours': 24 * 10 });
+
+      const response = await book().expect(409);
+
+      expect(response.body.message).toBe('Appointments must be booked at least 240 hours in advance');
+      expect((await search().expect(200)).body.data.results).toHaveLength(0);
+    });
+
+    it('should reject bookings past the booking horizon', async () => {
+      await Provider.updateOne({ _id: providerId }, { 'booking_policy.max_advance_days': 3 });
+
+      const response = await book().expect(409);
+
+      expect(response.body.message).toBe('Appointments cannot be booked more than 3 days in advance');
+    });
+
+    it('should leave slots past the booking horizon out of search results and totals', async () => {
+      await Provider.updateOne({ _id: providerId }, { 'booking_policy.max_advance_days': 3 });
+
+      const response = await search().expect(200);
+
+      expect(response.body.data.results).toHaveLength(0);
+      expect(response.body.data.total_results).toBe(0);
+      expect(response.body.data.pagination.total).toBe(0);
+    });
+
+    it('should prefer the availability\'s own rules', async () => {
+      await Provider.updateOne({ _id: providerId }, { 'booking_policy.max_advance_days': 3 });
+      await ProviderAvailability.updateOne({ _id: availabilityId }, { 'scheduling_rules.max_advance_days': 30 });
+
+      await book().expect(201);
+    });
+
+    it('should keep the buffer after a booked visit free', async () => {
+      await Provider.updateOne({ _id: providerId }, { 'booking_policy.buffer_minutes.consultation': 15 });
+      const next = await createSlot(providerId, 7, {
+        start_time: '09:30',
+        end_time: '10:00'
+      });
+      await book().expect(201);
+
+      const response = await request(app)
+        .post('/api/v1/appointments')
+        .set('Authorization', `Bearer ${otherPatientToken}`)
+        .send({ availability_id: next._id.toString() })
+        .expect(409);
+
+      expect(response.body.message).toBe('Slot is too close to another booked appointment of this provider');
+
+      const slotIds = (await search().expect(200)).body.data.results[0].available_slots.map(slot => slot.slot_id);
+      expect(slotIds).toEqual([availabilityId.toString()]);
+    });
+  });
+
+  describe('Concurrent booking', () => {
+    const createSeats = (maxAppointments) => createSlot(providerId, 8, {
+      start_time: '10:00',
+      end_time: '10:30',
+      max_appointments_per_slot: maxAppointments
+    });
+
+    const bookInParallel = (slotId, count) => Promise.all(
+      Array.from({ length: count }, () => request(app)
+        .post('/api/v1/appointments')
+        .set('Authorization', `Bearer ${patientToken}`)
+        .send({ availability_id: slotId.toString() }))
+    );
+
+    it('should never overbook a single-capacity slot', async () => {
+      const slot = await createSeats(1);
+
+      const responses = await bookInParallel(slot._id, 25);
+      const statuses = responses.map(response => response.status);
+
+      expect(statuses.filter(status => status === 201)).toHaveLength(1);
+      expect(statuses.filter(status => status === 409)).toHaveLength(24);
+
+      const stored = await ProviderAvailability.findById(slot._id);
+      expect(stored.current_appointments).toBe(1);
+      expect(stored.status).toBe('booked');
+      expect(await AppointmentSlot.countDocuments({ availability_id: slot._id, status: 'confirmed' })).toBe(1);
+    });
+
+    it('should fill a multi-capacity slot exactly to its limit', async () => {
+      const slot = await createSeats(3);
+
+      const responses = await bookInParallel(slot._id, 20);
+
+      expect(responses.filter(response => response.status === 201)).toHaveLength(3);
+
+      const stored = await ProviderAvailability.findById(slot._id);
+      expect(stored.current_appointments).toBe(3);
+      expect(await AppointmentSlot.countDocuments({ availability_id: slot._id, status: 'confirmed' })).toBe(3);
+    });
+
+    it('should release capacity only once for concurrent cancellations', async () => {
+      const slot = await createSeats(1);
+      const [booking] = await bookInParallel(slot._id, 1);
+      const reference = booking.body.data.booking_reference;
+
+      const responses = await Promise.all(
+        Array.from({ length: 5 }, () => request(app)
+          .post(`/api/v1/appointments/${reference}/cancel`)
+          .set('Authorization', `Bearer ${patientToken}`))
+      );
+
+      expect(responses.filter(response => response.status === 200)).toHaveLength(1);
+
+      const stored = await ProviderAvailability.findById(slot._id);
+      expect(stored.current_appointments).toBe(0);
+      expect(stored.status).toBe('available');
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const {
+  APPOINTMENT_STATUSES,
+  STATUS_TIMESTAMP_FIELDS,
+  getAllowedTransitions,
+  assertTransition,
+  buildStatusChange
+} = require('../utils/appointmentLifecycle');
+const { InvalidTransitionError, AuthorizationError } = require('../utils/errors');
+
+describe('Appointment Lifecycle', () => {
+  describe('getAllowedTransitions', () => {
+    it('should list the next statuses of a visit', () => {
+      expect(getAllowedTransitions('requested')).toEqual(['confirmed', 'declined', 'expired', 'cancelled']);
+      expect(getAllowedTransitions('checked_in')).toEqual(['in_progress', 'completed', 'cancelled']);
+    });
+
+    it('should only list what a role may trigger', () => {
+      expect(getAllowedTransitions('confirmed', 'patient')).toEqual(['checked_in', 'cancelled']);
+      expect(getAllowedTransitions('checked_in', 'patient')).toEqual([]);
+    });
+
+    it('should end the lifecycle at completed, cancelled, no_show, declined and expired', () => {
+      ['completed', 'cancelled', 'no_show', 'declined', 'expired'].forEach(status => {
+        expect(getAllowedTransitions(status)).toEqual([]);
+      });
+    });
+  });
+
+  describe('assertTransition', () => {
+    it('should accept allowed transitions', () => {
+      expect(() => assertTransition('requested', 'confirmed', 'provider')).not.toThrow();
+      expect(() => assertTransition('confirmed', 'checked_in', 'patient')).not.toThrow();
+    });
+
+    it('should reject transitions outside the lifecycle', () => {
+      let error;
+      try {
+        assertTransition('completed', 'cancelled', 'provider');
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).toBeInstanceOf(InvalidTransitionError);
+      expect(error.statusCode).toBe(409);
+      expect(error.transition).toEqual({ from: 'completed', to: 'cancelled', allowed: [] });
+    });
+
+    it('should reject transitions the role may not trigger', () => {
+      expect(() => assertTransition('requested', 'confirmed', 'patient')).toThrow(AuthorizationError);
+      expect(() => assertTransition('confirmed', 'no_show', 'patient')).toThrow(AuthorizationError);
+      expect(() => assertTransition('requested', 'expired', 'provider')).toThrow(AuthorizationError);
+    });
+  });
+
+  describe('buildStatusChange', () => {
+    it('should set the status, its timestamp and a history entry', () => {
+      const { fields, historyEntry } = buildStatusChange('confirmed', 'in_progress', 'provider');
+
+      expect(fields.status).toBe('in_progress');
+      expect(fields.started_at).toBeInstanceOf(Date);
+      expect(historyEntry).toEqual({ from: 'confirmed', to: 'in_progress', by: 'provider', at: fields.started_at });
+    });
+
+    it('should have a timestamp field for every status', () => {
+      APPOINTMENT_STATUSES.forEach(status => {
+        expect(STATUS_TIMESTAMP_FIELDS[status]).toMatch(/_at$/);
+      });
+    });
+  });
+});
@@ -0,0 +1,194 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { ProviderAvailability } = require('../models/ProviderAvailability');
+const { AvailabilitySeries } = require('../models/AvailabilitySeries');
+const { Provider } = require('../models/Provider');
+const AuthService = require('../services/authService');
+const app = require('../server');
+
+const { createProvider } = global.testUtils;
+
+describe('Availability Series API', () => {
+  let providerToken;
+  let otherProviderToken;
+  let seriesId;
+  let mondays;
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const slotsOn = (date) => ProviderAvailability.find({ series_id: seriesId, date: new Date(date) }).sort({ start_time: 1 });
+
+  beforeAll(async () => {
+    const authService = new AuthService();
+    providerToken = authService.generateToken(await createProvider());
+    otherProviderToken = authService.generateToken(await createProvider());
+
+    // Four Mondays, starting two to three weeks out
+    const start = new Date(Date.now() + 14 * DAY_MS);
+    start.setUTCHours(0, 0, 0, 0);
+    start.setUTCDate(start.getUTCDate() + ((8 - start.getUTCDay()) % 7));
+    mondays = [0, 1, 2, 3].map(week => new Date(start.getTime() + week * 7 * DAY_MS).toISOString().split('T')[0]);
+  });
+
+  afterAll(async () => {
+    await Provider.deleteMany({});
+    await ProviderAvailability.deleteMany({});
+    await AvailabilitySeries.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await ProviderAvailability.deleteMany({});
+    await AvailabilitySeries.deleteMany({});
+
+    const response = await request(app)
+      .post('/api/v1/provider/availability')
+      .set('Authorization', `Bearer ${providerToken}`)
+      .send({
+        date: mondays[0],
+        start_time: '09:00',
+        end_time: '10:00',
+        timezone: 'America/New_York',
+        slot_duration: 30,
+        recurrence_rule: 'FREQ=WEEKLY;BYDAY=MO;COUNT=4',
+        location: {
+          type: 'clinic',
+          address: '123 Medical Center Dr'
+        },
+        pricing: {
+          base_fee: 150.00
+        }
+      })
+      .expect(201);
+
+    seriesId = response.body.data.series_id;
+  });
+
+  it('should link generated slots to the series', async () => {
+    const response = await request(app)
+      .get(`/api/v1/provider/availability/series/${seriesId}`)
+      .set('Authorization', `Bearer ${providerToken}`)
+      .expect(200);
+
+    expect(response.body.data.occurrence_dates).toEqual(mondays);
+    expect(response.body.data.slots_total).toBe(8);
+  });
+
+  it('should not let another provider manage the series', async () => {
+    await request(app)
+      .put(`/api/v1/provider/availability/series/${seriesId}`)
+      .set('Authorization', `Bearer ${otherProviderToken}`)
+      .send({ scope: 'all', notes: 'Hijacked' })
+      .expect(403);
+  });
+
+  it('should update a single occurrence', async () => {
+    await request(app)
+      .put(`/api/v1/provider/availability/series/${seriesId}`)
+      .set('Authorization', `Bearer ${providerToken}`)
+      .send({ scope: 'this', occurrence_date: mondays[1], notes: 'Room change' })
+      .expect(200);
+
+    expect((await slotsOn(mondays[1])).every(slot => slot.notes === 'Room change')).toBe(true);
+    expect((await slotsOn(mondays[2])).some(slot => slot.notes === 'Room change')).toBe(false);
+  });
+
+  it('should split the series for this and following occurrences', async () => {
+    const response = await request(app)
+      .put(`/api/v1/provider/availability/series/${seriesId}`)
+      .set('Authorization', `Bearer ${providerToken}`)
+      .send({ scope: 'following', occurrence_date: mondays[2], start_time: '14:00', end_time: '15:00' })
+      .expect(200);
+
+    const newSeriesId = response.body.data.series._id;
+    expect(newSeriesId).not.toBe(seriesId);
+    expect(response.body.data.slots_created).toBe(4);
+
+    expect((await slotsOn(mondays[1])).map(slot => slot.start_time)).toEqual(['09:00', '09:30']);
+
+    const moved = await ProviderAvailability.find({ series_id: newSeriesId }).sort({ date: 1, start_time: 1 });
+    expect(moved.map(slot => slot.start_time)).toEqual(['14:00', '14:30', '14:00', '14:30']);
+
+    const original = await AvailabilitySeries.findById(seriesId);
+    expect(original.recurrence_rule).toMatch(/UNTIL=/);
+  });
+
+  it('should keep booked occurrences when editing all', async () => {
+    const [booked] = await slotsOn(mondays[1]);
+    await ProviderAvailability.updateOne({ _id: booked._id }, { current_appointments: 1, status: 'booked' });
+
+    const response = await request(app)
+      .put(`/api/v1/provider/availability/series/${seriesId}`)
+      .set('Authorization', `Bearer ${providerToken}`)
+      .send({ scope: 'all', start_time: '09:15', end_time: '10:15' })
+      .expect(200);
+
+    expect(response.body.data.booked_slots_kept).toBe(1);
+    expect(response.body.data.slots_skipped).toBe(1);
+    expect(response.body.data.conflicts.map(conflict => conflict.availability_id)).toEqual([booked._id.toString()]);
+
+    const kept = await ProviderAvailability.findById(booked._id);
+    expect(kept.start_time).toBe('09:00');
+    expect(kept.current_appointments).toBe(1);
+
+    // The new 09:15 slot overlaps the booked one, so only 09:45 is added on that day
+    expect((await slotsOn(mondays[1])).map(slot => slot.start_time)).toEqual(['09:00', '09:45']);
+  });
+
+  it('should delete one occurrence and exclude its date', async () => {
+    const response = await request(app)
+      .delete(`/api/v1/provider/availability/series/${seriesId}?scope=this&occurrence_date=${mondays[3]}`)
+      .set('Authorization', `Bearer ${providerToken}`)
+      .expect(200);
+
+    expect(response.body.data.slots_deleted).toBe(2);
+    expect(await slotsOn(mondays[3])).toHaveLength(0);
+
+    const series = await AvailabilitySeries.findById(seriesId);
+    expect(series.recurrence_exdate).toEqual([mondays[3]]);
+  });
+
+  it('should cancel the series but keep booked slots when deleting all', async () => {
+    const [booked] = await slotsOn(mondays[0]);
+    await ProviderAvailability.updateOne({ _id: booked._id }, { current_appointments: 1, status: 'booked' });
+
+    const response = await request(app)
+      .delete(`/api/v1/provider/availability/series/${seriesId}?scope=all`)
+      .set('Authorization', `Bearer ${providerToken}`)
+      .expect(200);
+
+    expect(response.body.data.slots_deleted).toBe(7);
+    expect(response.body.data.booked_slots_kept).toBe(1);
+    expect(await ProviderAvailability.findById(booked._id)).not.toBeNull();
+    expect((await AvailabilitySeries.findById(seriesId)).status).toBe('cancelled');
+  });
+
+  it('should end the series but keep past slots when deleting a slot with delete_recurring', async () => {
+    const [past, slot] = await slotsOn(mondays[0]);
+    const yesterday = new Date(Date.now() - DAY_MS).toISOString().split('T')[0];
+    await ProviderAvailability.updateOne({ _id: past._id }, { date: new Date(yesterday) });
+
+    const response = await request(app)
+      .delete(`/api/v1/provider/availability/${slot._id}?delete_recurring=true`)
+      .set('Authorization', `Bearer ${providerToken}`)
+      .expect(200);
+
+    expect(response.body.message).toBe('Recurring availability deleted successfully');
+    expect(response.body.data.slots_deleted).toBe(7);
+    expect(await ProviderAvailability.findById(past._id)).not.toBeNull();
+    expect((await AvailabilitySeries.findById(seriesId)).status).toBe('cancelled');
+  });
+
+  it('should reject an occurrence date that is not a calendar date', async () => {
+    await request(app)
+      .delete(`/api/v1/provider/availability/series/${seriesId}?scope=this&occurrence_date=2026-13-45`)
+      .set('Authorization', `Bearer ${providerToken}`)
+      .expect(400);
+
+    await request(app)
+      .put(`/api/v1/provider/availability/series/${seriesId}`)
+      .set('Authorization', `Bearer ${providerToken}`)
+      .send({ scope: 'this', occurrence_date: '2026-02-30', notes: 'Room change' })
+      .expect(400);
+  });
+});
@@ -0,0 +1,160 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { ProviderAvailability } = require('../models/ProviderAvailability');
+const { AppointmentSlot } = require('../models/AppointmentSlot');
+const { CalendarFeed } = require('../models/CalendarFeed');
+const { Provider } = require('../models/Provider');
+const { Patient } = require('../models/Patient');
+const AuthService = require('../services/authService');
+const PatientAuthService = require('../services/patientAuthService');
+const app = require('../server');
+
+const { createProvider, createPatient, createSlot } = global.testUtils;
+
+describe('Calendar API', () => {
+  let providerToken;
+  let patientToken;
+  let otherPatientToken;
+  let availabilityId;
+
+  const feedPath = (feedUrl) => new URL(feedUrl).pathname;
+
+  const book = () => request(app)
+    .post('/api/v1/appointments')
+    .set('Authorization', `Bearer ${patientToken}`)
+    .send({ availability_id: availabilityId.toString() })
+    .expect(201);
+
+  beforeAll(async () => {
+    const provider = await createProvider();
+
+    const availability = await createSlot(provider._id, 7, { max_appointments_per_slot: 2 });
+    availabilityId = availability._id;
+
+    providerToken = new AuthService().generateToken(provider);
+
+    const patientAuthService = new PatientAuthService();
+    patientToken = patientAuthService.generateToken(await createPatient());
+    otherPatientToken = patientAuthService.generateToken(await createPatient({ first_name: 'Other' }));
+  });
+
+  afterAll(async () => {
+    await Provider.deleteMany({});
+    await Patient.deleteMany({});
+    await ProviderAvailability.deleteMany({});
+    await AppointmentSlot.deleteMany({});
+    await CalendarFeed.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await AppointmentSlot.deleteMany({});
+    await CalendarFeed.deleteMany({});
+    await ProviderAvailability.updateOne({ _id: availabilityId }, { current_appointments: 0, status: 'available' });
+  });
+
+  describe('provider feed', () => {
+    it('should serve open slots and appointments with a VTIMEZONE block', async () => {
+      const { body } = await request(app)
+        .post('/api/v1/calendar/provider/feed')
+        .set('Authorization', `Bearer ${providerToken}`)
+        .expect(201);
+
+      expect(body.data.webcal_url).toMatch(/^webcal:/);
+      const booking = await book();
+
+      const response = await request(app)
+        .get(feedPath(body.data.feed_url))
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('text/calendar');
+      expect(response.text).toContain('BEGIN:VTIMEZONE\r\nTZID:America/New_York');
+      expect(response.text).toContain(`UID:availability-${availabilityId}@health-first`);
+      expect(response.text).toContain(`UID:appointment-${booking.body.data.booking_reference}@health-first`);
+      expect(response.text).toMatch(/DTSTART;TZID=America\/New_York:\d{8}T090000/);
+      // Provider feeds leave patient details out
+      expect(response.text).not.toContain('Jane');
+    });
+
+    it('should stop serving a revoked or replaced feed', async () => {
+      const first = await request(app)
+        .post('/api/v1/calendar/provider/feed')
+        .set('Authorization', `Bearer ${providerToken}`)
+        .expect(201);
+
+      const second = await request(app)
+        .post('/api/v1/calendar/provider/feed')
+        .set('Authorization', `Bearer ${providerToken}`)
+        .expect(201);
+
+      await request(app).get(feedPath(first.body.data.feed_url)).expect(404);
+      await request(app).get(feedPath(second.body.data.feed_url)).expect(200);
+
+      await request(app)
+        .delete('/api/v1/calendar/provider/feed')
+        .set('Authorization', `Bearer ${providerToken}`)
+        .expect(200);
+
+      await request(app).get(feedPath(second.body.data.feed_url)).expect(404);
+    });
+
+    it('should require provider authentication to create a feed', async () => {
+      await request(app)
+        .post('/api/v1/calendar/provider/feed')
+        .expect(401);
+    });
+  });
+
+  describe('patient feed', () => {
+    it('should list the patient\'s appointments, including cancellations', async () => {
+      const booking = await book();
+      const reference = booking.body.data.booking_reference;
+
+      await request(app)
+        .post(`/api/v1/appointments/${reference}/cancel`)
+        .set('Authorization', `Bearer ${patientToken}`)
+        .send({ reason: 'Travel' })
+        .expect(200);
+
+      const { body } = await request(app)
+        .post('/api/v1/calendar/patient/feed')
+        .set('Authorization', `Bearer ${patientToken}`)
+        .expect(201);
+
+      const response = await request(app)
+        .get(feedPath(body.data.feed_url))
+        .expect(200);
+
+      expect(response.text).toContain(`UID:appointment-${reference}@health-first`);
+      expect(response.text).toContain('SUMMARY:Consultation with Dr. John Doe');
+      expect(response.text).toContain('STATUS:CANCELLED');
+      expect(response.text).not.toContain('UID:availability-');
+    });
+  });
+
+  describe('GET /api/v1/appointments/:reference/ics', () => {
+    it('should download a single appointment', async () => {
+      const booking = await book();
+      const reference = booking.body.data.booking_reference;
+
+      const response = await request(app)
+        .get(`/api/v1/appointments/${reference}/ics`)
+        .set('Authorization', `Bearer ${patientToken}`)
+        .expect(200);
+
+      expect(response.headers['content-disposition']).toContain(`${reference}.ics`);
+      expect(response.text).toContain('BEGIN:VTIMEZONE');
+      expect(response.text).toContain('LOCATION:123 Medical Center Dr');
+      expect(response.text.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+    });
+
+    it('should not let another patient download it', async () => {
+      const booking = await book();
+
+      await request(app)
+        .get(`/api/v1/appointments/${booking.body.data.booking_reference}/ics`)
+        .set('Authorization', `Bearer ${otherPatientToken}`)
+        .expect(403);
+    });
+  });
+});
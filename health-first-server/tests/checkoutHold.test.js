@@ -0,0 +1,140 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { ProviderAvailability } = require('../models/ProviderAvailability');
+const { AppointmentSlot } = require('../models/AppointmentSlot');
+const { SlotHold } = require('../models/SlotHold');
+const { Provider } = require('../models/Provider');
+const { Patient } = require('../models/Patient');
+const PatientAuthService = require('../services/patientAuthService');
+const app = require('../server');
+
+const { futureDate, createProvider, createPatient, createSlot } = global.testUtils;
+
+describe('Checkout Hold API', () => {
+  let firstToken;
+  let secondToken;
+  let providerId;
+  let availabilityId;
+
+  beforeAll(async () => {
+    const provider = await createProvider();
+    providerId = provider._id;
+
+    const patientAuthService = new PatientAuthService();
+    firstToken = patientAuthService.generateToken(await createPatient({ first_name: 'First' }));
+    secondToken = patientAuthService.generateToken(await createPatient({ first_name: 'Second' }));
+  });
+
+  afterAll(async () => {
+    await Provider.deleteMany({});
+    await Patient.deleteMany({});
+    await ProviderAvailability.deleteMany({});
+    await AppointmentSlot.deleteMany({});
+    await SlotHold.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await ProviderAvailability.deleteMany({});
+    await AppointmentSlot.deleteMany({});
+    await SlotHold.deleteMany({});
+
+    const availability = await createSlot(providerId, 7);
+    availabilityId = availability._id;
+  });
+
+  const hold = (token = firstToken, body = {}) => request(app)
+    .post('/api/v1/holds')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ availability_id: availabilityId.toString(), ...body });
+
+  describe('POST /api/v1/holds', () => {
+    it('should hold a seat for the requested number of minutes', async () => {
+      const before = Date.now();
+      const response = await hold(firstToken, { minutes: 5 }).expect(201);
+
+      expect(response.body.data.hold.status).toBe('active');
+      expect(new Date(response.body.data.hold.expires_at).getTime()).toBeGreaterThanOrEqual(before + 5 * 60 * 1000);
+      expect(response.body.data.availability.held_appointments).toBe(1);
+    });
+
+    it('should count held seats against the slot capacity', async () => {
+      await hold().expect(201);
+
+      await hold(secondToken).expect(409);
+      await request(app)
+        .post('/api/v1/appointments')
+        .set('Authorization', `Bearer ${secondToken}`)
+        .send({ availability_id: availabilityId.toString() })
+        .expect(409);
+    });
+
+    it('should leave held slots out of search results', async () => {
+      await hold().expect(201);
+
+      const response = await request(app)
+        .get('/api/v1/availability/search')
+        .query({ date: futureDate(7) })
+        .expect(200);
+
+      expect(response.body.data.total_results).toBe(0);
+    });
+
+    it('should reject more than 30 minutes', async () => {
+      await hold(firstToken, { minutes: 45 }).expect(400);
+    });
+  });
+
+  describe('POST /api/v1/holds/:id/confirm', () => {
+    it('should confirm a hold into a booking', async () => {
+      const placed = await hold().expect(201);
+
+      const response = await request(app)
+        .post(`/api/v1/holds/${placed.body.data.hold.id}/confirm`)
+        .set('Authorization', `Bearer ${firstToken}`)
+        .send({ notes: 'Chest pain, Aetna PPO' })
+        .expect(201);
+
+      expect(response.body.data.booking_reference).toMatch(/^APPT-/);
+      expect(response.body.data.availability.current_appointments).toBe(1);
+      expect(response.body.data.availability.held_appointments).toBe(0);
+    });
+
+    it('should not confirm an expired hold and free its seat', async () => {
+      const placed = await hold().expect(201);
+      await SlotHold.updateMany({}, { expires_at: new Date(Date.now() - 1000) });
+
+      await request(app)
+        .post(`/api/v1/holds/${placed.body.data.hold.id}/confirm`)
+        .set('Authorization', `Bearer ${firstToken}`)
+        .expect(409);
+
+      const availability = await ProviderAvailability.findById(availabilityId);
+      expect(availability.held_appointments).toBe(0);
+      expect(availability.status).toBe('available');
+    });
+
+    it('should not confirm another patient\'s hold', async () => {
+      const placed = await hold().expect(201);
+
+      await request(app)
+        .post(`/api/v1/holds/${placed.body.data.hold.id}/confirm`)
+        .set('Authorization', `Bearer ${secondToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('DELETE /api/v1/holds/:id', () => {
+    it('should release a hold', async () => {
+      const placed = await hold().expect(201);
+
+      const response = await request(app)
+        .delete(`/api/v1/holds/${placed.body.data.hold.id}`)
+        .set('Authorization', `Bearer ${firstToken}`)
+        .expect(200);
+
+      expect(response.body.data.hold.status).toBe('released');
+      await hold(secondToken).expect(201);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const {
+  AVAILABILITY_EXPORT_COLUMNS,
+  parseCSV,
+  toCSVLine,
+  toAvailabilityData,
+  fromAvailability
+} = require('../utils/csvUtils');
+
+describe('CSV Utils', () => {
+  describe('parseCSV', () => {
+    it('should parse quoted fields, escaped quotes and line breaks', () => {
+      const csv = '\uFEFFDate,Notes\r\n2026-12-01,"Room 2, ""east"" wing"\r\n\r\n2026-12-02,"line1\nline2"\n';
+
+      expect(parseCSV(csv)).toEqual([
+        { date: '2026-12-01', notes: 'Room 2, "east" wing' },
+        { date: '2026-12-02', notes: 'line1\nline2' }
+      ]);
+    });
+
+    it('should reject unterminated quotes', () => {
+      expect(() => parseCSV('date,notes\n2026-12-01,"open')).toThrow('Unterminated');
+    });
+  });
+
+  describe('toAvailabilityData', () => {
+    it('should nest flat columns and drop empty values', () => {
+      expect(toAvailabilityData({
+        date: '2026-12-01',
+        location_type: 'clinic',
+        location_address: '',
+        base_fee: '150',
+        special_requirements: 'fasting | referral',
+        recurrence_exdate: '2026-12-08|2026-12-15',
+        status: 'booked'
+      })).toEqual({
+        date: '2026-12-01',
+        location: { type: 'clinic' },
+        pricing: { base_fee: '150' },
+        special_requirements: ['fasting', 'referral'],
+        recurrence_exdate: ['2026-12-08', '2026-12-15']
+      });
+    });
+  });
+
+  it('should round-trip an exported slot', () => {
+    const record = fromAvailability({
+      _id: 'a1',
+      date: new Date('2026-12-01T00:00:00Z'),
+      start_time: '09:00',
+      end_time: '09:30',
+      timezone: 'America/New_York',
+      location: { type: 'clinic', address: '1 Main St, Suite "B"' },
+      pricing: { base_fee: 100, insurance_accepted: true, currency: 'USD' },
+      special_requirements: ['fasting'],
+      status: 'available',
+      current_appointments: 0
+    });
+
+    const csv = toCSVLine(AVAILABILITY_EXPORT_COLUMNS) +
+      toCSVLine(AVAILABILITY_EXPORT_COLUMNS.map(column => record[column]));
+    const [parsed] = parseCSV(csv);
+
+    expect(toAvailabilityData(parsed)).toEqual({
+      date: '2026-12-01',
+      start_time: '09:00',
+      end_time: '09:30',
+      timezone: 'America/New_York',
+      location: { type: 'clinic', address: '1 Main St, Suite "B"' },
+      pricing: { base_fee: '100', insurance_accepted: 'true', currency: 'USD' },
+      special_requirements: ['fasting']
+    });
+  });
+});
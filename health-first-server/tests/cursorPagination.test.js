@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const {
+  encodeCursor,
+  decodeCursor,
+  afterCondition,
+  cursorQuery,
+  cursorPage,
+  paginationDetails
+} = require('../utils/cursorPagination');
+const { ValidationError } = require('../utils/errors');
+
+describe('Cursor Pagination', () => {
+  const sort = { rank: 1, _id: 1 };
+
+  // Items 0..11 with two items per rank, in list order
+  const items = Array.from({ length: 12 }, (_, index) => ({
+    _id: new mongoose.Types.ObjectId(`00000000000000000000000${index.toString(16)}`),
+    rank: Math.floor(index / 2)
+  }));
+
+  const matches = (item, condition) => condition.$or.some(branch => Object.entries(branch).every(([field, value]) => {
+    const actual = field === '_id' ? item._id.toString() : item[field];
+    const expected = value.$gt !== undefined ? value.$gt : value.$lt !== undefined ? value.$lt : value;
+    const target = field === '_id' ? expected.toString() : expected;
+    if (value.$gt !== undefined) return actual > target;
+    if (value.$lt !== undefined) return actual < target;
+    return actual === target;
+  }));
+
+  const compare = order => (a, b) => {
+    for (const [field, direction] of Object.entries(order)) {
+      const x = field === '_id' ? a._id.toString() : a[field];
+      const y = field === '_id' ? b._id.toString() : b[field];
+      if (x !== y) return x < y ? -direction : direction;
+    }
+    return 0;
+  };
+
+  // Fetch a page the way the repositories do, against the in-memory list
+  const fetchPage = (cursor, limit) => {
+    const plan = cursorQuery(sort, cursor);
+    const fetched = items
+      .filter(item => !plan.condition || matches(item, plan.condition))
+      .sort(compare(plan.sort))
+      .slice(0, limit + 1);
+    return cursorPage(fetched, sort, { limit, backwards: plan.backwards, hasPrevious: Boolean(cursor) });
+  };
+
+  describe('encodeCursor and decodeCursor', () => {
+    it('should round trip the sort key values and direction', () => {
+      const item = { _id: new mongoose.Types.ObjectId(), date: new Date('2026-03-01T00:00:00Z') };
+      const order = { date: -1, _id: -1 };
+
+      const cursor = encodeCursor(order, item, 'next');
+      expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+
+      const { direction, values } = decodeCursor(cursor, order);
+      expect(direction).toBe('next');
+      expect(values[0]).toEqual(item.date);
+      expect(values[1].toString()).toBe(item._id.toString());
+    });
+
+    it('should reject malformed cursors and cursors of another sort order', () => {
+      const cursor = encodeCursor(sort, items[0], 'next');
+
+      expect(() => decodeCursor('not-a-cursor', sort)).toThrow(ValidationError);
+      expect(() => decodeCursor(cursor, { date: 1, _id: 1 })).toThrow('Invalid cursor');
+    });
+  });
+
+  describe('afterCondition', () => {
+    it('should continue after every sort key in turn', () => {
+      expect(afterCondition({ date: -1, _id: 1 }, ['d', 'i'], 'next')).toEqual({
+        $or: [
+          { date: { $lt: 'd' } },
+          { date: 'd', _id: { $gt: 'i' } }
+        ]
+      });
+    });
+
+    it('should flip the comparisons moving back', () => {
+      expect(afterCondition({ date: -1, _id: 1 }, ['d', 'i'], 'prev')).toEqual({
+        $or: [
+          { date: { $gt: 'd' } },
+          { date: 'd', _id: { $lt: 'i' } }
+        ]
+      });
+    });
+  });
+
+  describe('cursorPage', () => {
+    it('should walk the whole list forward and back without repeats or gaps', () => {
+      const pages = [fetchPage(null, 5)];
+      while (pages[pages.length - 1].next_cursor) {
+        pages.push(fetchPage(pages[pages.length - 1].next_cursor, 5));
+      }
+
+      expect(pages.map(page => page.items.length)).toEqual([5, 5, 2]);
+      expect(pages.flatMap(page => page.items)).toEqual(items);
+      expect(pages[0].prev_cursor).toBeNull();
+
+      let page = pages[2];
+      const seen = [...page.items];
+      while (page.prev_cursor) {
+        page = fetchPage(page.prev_cursor, 5);
+        seen.unshift(...page.items);
+      }
+
+      expect(seen).toEqual(items);
+      expect(page.items).toEqual(items.slice(0, 5));
+    });
+
+    it('should give no cursors for an empty page', () => {
+      expect(cursorPage([], sort, { limit: 5, hasPrevious: true }))
+        .toEqual({ items: [], next_cursor: null, prev_cursor: null });
+    });
+  });
+
+  describe('paginationDetails', () => {
+    const cursors = { next_cursor: 'n', prev_cursor: null };
+
+    it('should keep page numbers without a cursor', () => {
+      expect(paginationDetails({ page: 2, limit: 10, total: 25 }, cursors))
+        .toEqual({ page: 2, limit: 10, total: 25, pages: 3, next_cursor: 'n', prev_cursor: null });
+    });
+
+    it('should leave page numbers out with a cursor', () => {
+      expect(paginationDetails({ cursor: 'c', page: 1, limit: 10, total: 25 }, cursors))
+        .toEqual({ limit: 10, total: 25, next_cursor: 'n', prev_cursor: null });
+    });
+  });
+});
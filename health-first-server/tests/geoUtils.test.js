@@ -0,0 +1,56 @@
+const {
+  parseNear,
+  toGeoPoint,
+  withinRadius,
+  distanceKm,
+  metersToKm
+} = require('../utils/geoUtils');
+
+describe('Geo Utils', () => {
+  describe('parseNear', () => {
+    it('should read a latitude and longitude pair', () => {
+      expect(parseNear('40.7128,-74.0060')).toEqual({ latitude: 40.7128, longitude: -74.006 });
+      expect(parseNear(' -33.86 , 151.21 ')).toEqual({ latitude: -33.86, longitude: 151.21 });
+    });
+
+    it('should reject malformed or out of range values', () => {
+      expect(() => parseNear('40.7128')).toThrow('near must be "latitude,longitude"');
+      expect(() => parseNear('40.7,-74.0,1')).toThrow('near must be "latitude,longitude"');
+      expect(() => parseNear('north,west')).toThrow('near must be "latitude,longitude"');
+      expect(() => parseNear('91,0')).toThrow('near must be "latitude,longitude"');
+      expect(() => parseNear('0,-181')).toThrow('near must be "latitude,longitude"');
+    });
+  });
+
+  describe('toGeoPoint', () => {
+    it('should put the longitude first', () => {
+      expect(toGeoPoint({ latitude: 42.36, longitude: -71.06 }))
+        .toEqual({ type: 'Point', coordinates: [-71.06, 42.36] });
+    });
+  });
+
+  describe('withinRadius', () => {
+    it('should express the radius in radians around the point', () => {
+      const { $geoWithin: { $centerSphere: [center, radians] } } = withinRadius({ latitude: 42.36, longitude: -71.06 }, 63.781);
+
+      expect(center).toEqual([-71.06, 42.36]);
+      expect(radians).toBeCloseTo(0.01);
+    });
+  });
+
+  describe('distanceKm', () => {
+    it('should measure the great-circle distance to a point', () => {
+      const midtown = { latitude: 40.758, longitude: -73.9855 };
+
+      expect(distanceKm(midtown, { type: 'Point', coordinates: [-71.0589, 42.3601] })).toBeCloseTo(302, -1);
+      expect(distanceKm(midtown, { type: 'Point', coordinates: [-73.9855, 40.758] })).toBe(0);
+    });
+  });
+
+  describe('metersToKm', () => {
+    it('should round to 0.1 km', () => {
+      expect(metersToKm(306249)).toBe(306.2);
+      expect(metersToKm(40)).toBe(0);
+    });
+  });
+});
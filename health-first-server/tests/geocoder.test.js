@@ -0,0 +1,72 @@
+const {
+  parseCityState,
+  setGeocoder,
+  geocodeAddress,
+  geocodeClinicAddress,
+  geocodeLocation
+} = require('../utils/geocoder');
+
+describe('Geocoder', () => {
+  afterEach(() => {
+    setGeocoder(null);
+  });
+
+  describe('parseCityState', () => {
+    it('should find the city and state in one-line addresses', () => {
+      expect(parseCityState('123 Medical Center Dr, New York, NY 10001')).toEqual({ city: 'New York', state: 'NY' });
+      expect(parseCityState('9 Main St, Boston MA 02101')).toEqual({ city: 'Boston', state: 'MA' });
+      expect(parseCityState('1 Market St, St. Louis, Missouri')).toEqual({ city: 'St. Louis', state: 'MO' });
+    });
+
+    it('should give up on addresses without a US state', () => {
+      expect(parseCityState('10 Rue de Rivoli, Paris, France')).toBeNull();
+      expect(parseCityState('Room 205')).toBeNull();
+    });
+  });
+
+  describe('geocodeAddress', () => {
+    it('should place known cities at their centre', async () => {
+      expect(await geocodeAddress('123 Medical Center Dr, New York, NY 10001'))
+        .toEqual({ type: 'Point', coordinates: [-74.006, 40.7128] });
+      expect(await geocodeAddress('1 Market St, Saint Louis, MO'))
+        .toEqual({ type: 'Point', coordinates: [-90.1994, 38.627] });
+    });
+
+    it('should return null for unknown cities and empty addresses', async () => {
+      expect(await geocodeAddress('5 Elm St, Springfield, IL')).toBeNull();
+      expect(await geocodeAddress('  ')).toBeNull();
+    });
+
+    it('should use a plugged-in geocoder and survive its failures', async () => {
+      setGeocoder(async () => ({ latitude: 51.5072, longitude: -0.1276 }));
+      expect(await geocodeAddress('10 Downing St, London')).toEqual({ type: 'Point', coordinates: [-0.1276, 51.5072] });
+
+      setGeocoder(async () => ({ latitude: 123, longitude: 0 }));
+      expect(await geocodeAddress('Nowhere')).toBeNull();
+
+      setGeocoder(async () => {
+        throw new Error('Service unavailable');
+      });
+      expect(await geocodeAddress('10 Downing St, London')).toBeNull();
+    });
+  });
+
+  describe('geocodeClinicAddress and geocodeLocation', () => {
+    it('should add coordinates to clinic addresses with a state name', async () => {
+      const address = await geocodeClinicAddress({ street: '1 Pike St', city: 'Seattle', state: 'Washington', zip: '98101' });
+
+      expect(address.geo).toEqual({ type: 'Point', coordinates: [-122.3321, 47.6062] });
+    });
+
+    it('should replace stale coordinates and skip telemedicine', async () => {
+      const stale = { type: 'Point', coordinates: [0, 0] };
+
+      expect((await geocodeLocation({ type: 'clinic', address: 'Boston, MA', geo: stale })).geo)
+        .toEqual({ type: 'Point', coordinates: [-71.0589, 42.3601] });
+      expect(await geocodeLocation({ type: 'clinic', address: 'Room 205', geo: stale }))
+        .toEqual({ type: 'clinic', address: 'Room 205' });
+      expect(await geocodeLocation({ type: 'telemedicine', address: 'Boston, MA' }))
+        .toEqual({ type: 'telemedicine', address: 'Boston, MA' });
+    });
+  });
+});
@@ -0,0 +1,231 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { ProviderAvailability } = require('../models/ProviderAvailability');
+const { HolidayCalendar } = require('../models/HolidayCalendar');
+const { Provider } = require('../models/Provider');
+const { Patient } = require('../models/Patient');
+const AuthService = require('../services/authService');
+const PatientAuthService = require('../services/patientAuthService');
+const HolidayCalendarService = require('../services/holidayCalendarService');
+const { ValidationError } = require('../utils/errors');
+const app = require('../server');
+
+const { futureDate, createProvider, createPatient, createSlot, slotData } = global.testUtils;
+
+describe('Holiday Calendar API', () => {
+  let providerToken;
+  let otherProviderToken;
+  let patientToken;
+  let providerId;
+  let otherProviderId;
+
+  const icsDate = (days) => futureDate(days).replace(/-/g, '');
+
+  beforeAll(async () => {
+    const provider = await createProvider();
+    const otherProvider = await createProvider({
+      clinic_address: { street: '9 Harbor St', city: 'Boston', state: 'MA', zip: '02101' }
+    });
+    providerId = provider._id;
+    otherProviderId = otherProvider._id;
+
+    const authService = new AuthService();
+    providerToken = authService.generateToken(provider);
+    otherProviderToken = authService.generateToken(otherProvider);
+
+    const patient = await createPatient();
+    patientToken = new PatientAuthService().generateToken(patient);
+  });
+
+  afterAll(async () => {
+    await Provider.deleteMany({});
+    await Patient.deleteMany({});
+    await ProviderAvailability.deleteMany({});
+    await HolidayCalendar.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await ProviderAvailability.deleteMany({});
+    await HolidayCalendar.deleteMany({});
+  });
+
+  const createCalendar = (body, token = providerToken) => request(app)
+    .post('/api/v1/holiday-calendars')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  const importICS = (calendarId, ics, token = providerToken) => request(app)
+    .post(`/api/v1/holiday-calendars/${calendarId}/import`)
+    .set('Authorization', `Bearer ${token}`)
+    .set('Content-Type', 'text/calendar')
+    .send(ics);
+
+  const newYork = {
+    name: 'New York clinics',
+    owner_type: 'location',
+    location: { state: 'NY' }
+  };
+
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'BEGIN:VEVENT',
+    'UID:closure@clinic',
+    `DTSTART;VALUE=DATE:${icsDate(11)}`,
+    `DTEND;VALUE=DATE:${icsDate(13)}`,
+    'SUMMARY:Clinic closure',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:thanksgiving@clinic',
+    'DTSTART;VALUE=DATE:20251127',
+    'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=4TH',
+    'SUMMARY:Thanksgiving',
+    'END:VEVENT',
+    'END:VCALENDAR',
+    ''
+  ].join('\r\n');
+
+  describe('POST /api/v1/holiday-calendars', () => {
+    it('should create a location calendar with its holidays', async () => {
+      const response = await createCalendar({
+        ...newYork,
+        holidays: [{ date: futureDate(20), name: 'Founders Day' }]
+      }).expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.location).toEqual({ city: null, state: 'NY' });
+      expect(response.body.data.holidays).toEqual([{ date: futureDate(20), name: 'Founders Day' }]);
+    });
+
+    it('should only let admins create organization calendars', async () => {
+      const organization = { name: 'Company holidays', owner_type: 'organization' };
+
+      const response = await createCalendar(organization).expect(403);
+      expect(response.body.message).toBe('Only admins can create organization holiday calendars');
+
+      const admin = await createProvider({ is_admin: true });
+      await createCalendar(organization, new AuthService().generateToken(admin)).expect(201);
+    });
+
+    it('should require a state for location calendars', async () => {
+      const response = await createCalendar({ name: 'Nowhere', owner_type: 'location' }).expect(400);
+
+      expect(response.body.message).toContain('A location calendar needs a state');
+    });
+
+    it('should report model validation failures as validation errors', async () => {
+      const service = new HolidayCalendarService();
+
+      await expect(service.createCalendar(providerId, { name: 'Nowhere', owner_type: 'location' }))
+        .rejects.toThrow(ValidationError);
+      await expect(service.createCalendar(providerId, { ...newYork, holidays: [{ date: '2031-1-1' }] }))
+        .rejects.toThrow('Holiday dates must be in YYYY-MM-DD format');
+    });
+
+    it('should require provider authentication', async () => {
+      await request(app)
+        .post('/api/v1/holiday-calendars')
+        .send(newYork)
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/v1/holiday-calendars/:id/import', () => {
+    let calendarId;
+
+    beforeEach(async () => {
+      calendarId = (await createCalendar(newYork).expect(201)).body.data.id;
+    });
+
+    it('should import each day of an event and report unsupported events', async () => {
+      const response = await importICS(calendarId, ics).expect(200);
+
+      expect(response.body.data.events).toBe(2);
+      expect(response.body.data.holidays_added).toBe(2);
+      expect(response.body.data.calendar.holidays.map(holiday => holiday.date)).toEqual([futureDate(11), futureDate(12)]);
+      expect(response.body.data.skipped).toHaveLength(1);
+      expect(response.body.data.skipped[0].uid).toBe('thanksgiving@clinic');
+    });
+
+    it('should reject files that are not iCalendar files', async () => {
+      const response = await importICS(calendarId, 'date,name').expect(400);
+
+      expect(response.body.message).toContain('Invalid iCalendar file');
+    });
+
+    it('should only let the creator import into a calendar', async () => {
+      await importICS(calendarId, ics, otherProviderToken).expect(403);
+    });
+  });
+
+  describe('availability on holidays', () => {
+    beforeEach(async () => {
+      const calendarId = (await createCalendar(newYork).expect(201)).body.data.id;
+      await importICS(calendarId, ics).expect(200);
+    });
+
+    it('should block creating availability on a holiday', async () => {
+      const response = await request(app)
+        .post('/api/v1/provider/availability')
+        .set('Authorization', `Bearer ${providerToken}`)
+        .send(slotData(11))
+        .expect(409);
+
+      expect(response.body.message).toBe(`Time slot falls on a holiday: Clinic closure (${futureDate(11)})`);
+    });
+
+    it('should block moving availability onto a holiday', async () => {
+      const slot = await createSlot(providerId, 14);
+
+      const response = await request(app)
+        .put(`/api/v1/provider/availability/${slot._id}`)
+        .set('Authorization', `Bearer ${providerToken}`)
+        .send({ date: futureDate(12) })
+        .expect(409);
+
+      expect(response.body.message).toBe(`Time slot falls on a holiday: Clinic closure (${futureDate(12)})`);
+    });
+
+    it('should skip holidays when expanding recurring availability', async () => {
+      const response = await request(app)
+        .post('/api/v1/provider/availability')
+        .set('Authorization', `Bearer ${providerToken}`)
+        .send({
+          ...slotData(9),
+          slot_duration: 30,
+          recurrence_rule: 'FREQ=DAILY;COUNT=5'
+        })
+        .expect(201);
+
+      // Days 11 and 12 are holidays
+      expect(response.body.data.slots_created).toBe(3);
+      expect(response.body.data.slots_skipped).toBe(2);
+      expect(response.body.data.conflicts).toEqual([]);
+    });
+
+    it('should hide holiday slots from search and refuse bookings', async () => {
+      const holiday = await createSlot(providerId, 11);
+      const elsewhere = await createSlot(otherProviderId, 11);
+      await createSlot(providerId, 13);
+
+      const search = await request(app)
+        .get('/api/v1/availability/search')
+        .query({ start_date: futureDate(10), end_date: futureDate(14) })
+        .expect(200);
+
+      const slotIds = search.body.data.results.flatMap(result => result.available_slots.map(slot => slot.slot_id));
+      expect(slotIds).toHaveLength(2);
+      expect(slotIds).not.toContain(holiday._id.toString());
+      expect(slotIds).toContain(elsewhere._id.toString());
+      expect(search.body.data.pagination.total).toBe(2);
+
+      const response = await request(app)
+        .post('/api/v1/appointments')
+        .set('Authorization', `Bearer ${patientToken}`)
+        .send({ availability_id: holiday._id.toString() })
+        .expect(409);
+      expect(response.body.message).toBe(`Clinic is closed on ${futureDate(11)} for Clinic closure`);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const {
+  parseYearlyRule,
+  expandHolidayEvent,
+  mergeHolidays
+} = require('../utils/holidayUtils');
+
+describe('Holiday Utils', () => {
+  const window = { from: '2026-01-01', to: '2028-12-31' };
+
+  describe('parseYearlyRule', () => {
+    it('should read plain yearly rules', () => {
+      expect(parseYearlyRule('FREQ=YEARLY')).toEqual({ interval: 1, count: null, until: null });
+      expect(parseYearlyRule('RRULE:FREQ=YEARLY;INTERVAL=2;UNTIL=20300101T000000Z'))
+        .toEqual({ interval: 2, count: null, until: '2030-01-01' });
+    });
+
+    it('should reject rules that move the date', () => {
+      expect(() => parseYearlyRule('FREQ=MONTHLY')).toThrow('Only FREQ=YEARLY is supported');
+      expect(() => parseYearlyRule('FREQ=YEARLY;BYMONTH=11;BYDAY=4TH')).toThrow('BYMONTH, BYDAY cannot be used');
+    });
+  });
+
+  describe('expandHolidayEvent', () => {
+    it('should cover each day of an event up to its exclusive end', () => {
+      const holidays = expandHolidayEvent(
+        { summary: 'Winter closure', start: '2026-12-24', end: '2026-12-27' },
+        window
+      );
+
+      expect(holidays).toEqual([
+        { date: '2026-12-24', name: 'Winter closure' },
+        { date: '2026-12-25', name: 'Winter closure' },
+        { date: '2026-12-26', name: 'Winter closure' }
+      ]);
+    });
+
+    it('should repeat yearly events inside the window only', () => {
+      const holidays = expandHolidayEvent(
+        { summary: null, start: '2020-07-04', end: null, rrule: 'FREQ=YEARLY;COUNT=8' },
+        window
+      );
+
+      expect(holidays).toEqual([
+        { date: '2026-07-04', name: 'Holiday' },
+        { date: '2027-07-04', name: 'Holiday' }
+      ]);
+    });
+
+    it('should skip years without 29 February', () => {
+      const holidays = expandHolidayEvent(
+        { summary: 'Leap day', start: '2024-02-29', rrule: 'FREQ=YEARLY' },
+        window
+      );
+
+      expect(holidays.map(holiday => holiday.date)).toEqual(['2028-02-29']);
+    });
+
+    it('should reject events longer than a month', () => {
+      expect(() => expandHolidayEvent({ start: '2026-06-01', end: '2026-08-01' }, window))
+        .toThrow('Holidays must last between 1 and 31 days');
+    });
+  });
+
+  describe('mergeHolidays', () => {
+    it('should keep one holiday per date, sorted by date', () => {
+      const merged = mergeHolidays(
+        [{ date: '2026-12-25', name: 'Christmas Day' }],
+        [{ date: '2026-12-26', name: 'Boxing Day' }, { date: '2026-12-25', name: 'Xmas' }, { date: '2026-01-01', name: 'New Year' }]
+      );
+
+      expect(merged).toEqual([
+        { date: '2026-01-01', name: 'New Year' },
+        { date: '2026-12-25', name: 'Christmas Day' },
+        { date: '2026-12-26', name: 'Boxing Day' }
+      ]);
+    });
+  });
+});
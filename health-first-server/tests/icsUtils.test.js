@@ -0,0 +1,111 @@
+const {
+  escapeText,
+  foldLine,
+  formatUTCDateTime,
+  findOffsetTransitions,
+  buildVTimezone,
+  buildCalendar,
+  parseEvents
+} = require('../utils/icsUtils');
+
+describe('ICS Utils', () => {
+  it('should escape text values', () => {
+    expect(escapeText('Room 2, east; wing\\A\nline 2')).toBe('Room 2\\, east\\; wing\\\\A\\nline 2');
+  });
+
+  it('should fold long lines at 75 octets without splitting characters', () => {
+    const folded = foldLine(`DESCRIPTION:${'é'.repeat(60)}`);
+    const lines = folded.split('\r\n');
+
+    expect(lines.length).toBeGreaterThan(1);
+    lines.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+    expect(lines.map((line, index) => (index === 0 ? line : line.slice(1))).join('')).toBe(`DESCRIPTION:${'é'.repeat(60)}`);
+  });
+
+  it('should find DST transitions to the minute', () => {
+    const transitions = findOffsetTransitions('America/New_York', new Date('2026-01-01T00:00:00Z'), new Date('2026-12-31T00:00:00Z'));
+
+    expect(transitions).toEqual([
+      { at: new Date('2026-03-08T07:00:00Z'), offsetFrom: -300, offsetTo: -240 },
+      { at: new Date('2026-11-01T06:00:00Z'), offsetFrom: -240, offsetTo: -300 }
+    ]);
+  });
+
+  it('should describe the observances of a DST zone', () => {
+    const lines = buildVTimezone('America/New_York', new Date('2026-06-01T00:00:00Z'), new Date('2026-12-01T00:00:00Z'));
+
+    expect(lines).toContain('BEGIN:DAYLIGHT');
+    expect(lines).toContain('DTSTART:20260308T020000');
+    expect(lines).toContain('DTSTART:20261101T020000');
+    expect(lines).toContain('TZOFFSETTO:-0400');
+  });
+
+  it('should use a single observance for zones without DST', () => {
+    const lines = buildVTimezone('Asia/Kolkata', new Date('2026-06-01T00:00:00Z'), new Date('2026-12-01T00:00:00Z'));
+
+    expect(lines.filter(line => line.startsWith('BEGIN:'))).toEqual(['BEGIN:VTIMEZONE', 'BEGIN:STANDARD']);
+    expect(lines).toContain('TZOFFSETTO:+0530');
+  });
+
+  it('should write events in their timezone and UTC otherwise', () => {
+    const calendar = buildCalendar({
+      events: [
+        {
+          uid: 'local',
+          start: new Date('2026-11-02T14:00:00Z'),
+          end: new Date('2026-11-02T14:30:00Z'),
+          timezone: 'America/New_York',
+          summary: 'Visit'
+        },
+        {
+          uid: 'utc',
+          start: new Date('2026-11-02T14:00:00Z'),
+          end: new Date('2026-11-02T14:30:00Z'),
+          summary: 'Visit'
+        }
+      ]
+    });
+
+    expect(calendar).toContain('DTSTART;TZID=America/New_York:20261102T090000');
+    expect(calendar).toContain(`DTSTART:${formatUTCDateTime(new Date('2026-11-02T14:00:00Z'))}`);
+    expect(calendar.match(/BEGIN:VTIMEZONE/g)).toHaveLength(1);
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+  });
+
+  it('should parse all-day events from an iCalendar file', () => {
+    const events = parseEvents([
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'BEGIN:VEVENT',
+      'UID:new-year',
+      'DTSTART;VALUE=DATE:20270101',
+      'SUMMARY:New Year\\, Day',
+      'RRULE:FREQ=YEARLY',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:closure',
+      'DTSTART:20261224T000000Z',
+      'DTEND:20261227T000000Z',
+      'SUMMARY:Winter closure with a long name that is folded over',
+      '  two lines',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n'));
+
+    expect(events).toEqual([
+      { uid: 'new-year', summary: 'New Year, Day', start: '2027-01-01', end: null, allDay: true, rrule: 'FREQ=YEARLY' },
+      {
+        uid: 'closure',
+        summary: 'Winter closure with a long name that is folded over two lines',
+        start: '2026-12-24',
+        end: '2026-12-27',
+        allDay: false,
+        rrule: null
+      }
+    ]);
+  });
+
+  it('should reject text that is not an iCalendar file', () => {
+    expect(() => parseEvents('date,name\n2026-12-25,Christmas')).toThrow('BEGIN:VCALENDAR is missing');
+  });
+});
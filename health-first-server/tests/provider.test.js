@@ -2,6 +2,7 @@ const request = require('supertest');
 const app = require('../server');
 const bcrypt = require('bcryptjs');
 const { Provider } = require('../models/Provider');
+const { ProviderAvailability } = require('../models/ProviderAvailability');
 
 describe('Provider Registration API', () => {
   const validProviderData = {
@@ -219,6 +220,229 @@ describe('Provider Registration API', () => {
     });
   });
 
+  describe('GET /api/v1/provider/search', () => {
+    const register = (suffix, clinicAddress) => request(app)
+      .post('/api/v1/provider/register')
+      .send({
+        ...validProviderData,
+        email: `geo.${suffix}@clinic.com`,
+        phone_number: `+1555010${suffix === 'boston' ? '1001' : '2002'}`,
+        license_number: `GEO${suffix.toUpperCase()}1`,
+        specialization: 'Sports Medicine',
+        clinic_address: clinicAddress
+      })
+      .expect(201);
+
+    beforeAll(async () => {
+      await register('boston', { street: '1 Longwood Ave', city: 'Boston', state: 'MA', zip: '02115' });
+      await register('manhattan', { street: '123 Medical Center Dr', city: 'New York', state: 'New York', zip: '10001' });
+    });
+
+    afterAll(async () => {
+      await Provider.deleteMany({ specialization: 'Sports Medicine' });
+    });
+
+    test('should store the clinic coordinates at registration', async () => {
+      const provider = await Provider.findOne({ email: 'geo.boston@clinic.com' });
+
+      expect(provider.clinic_address.geo.coordinates).toEqual([-71.0589, 42.3601]);
+    });
+
+    test('should list clinics within the radius, nearest first', async () => {
+      const response = await request(app)
+        .get('/api/v1/provider/search')
+        .query({ specialization: 'sports', near: '40.7580,-73.9855', radius_km: 400 })
+        .expect(200);
+
+      expect(response.body.data.map(provider => provider.email)).toEqual(['geo.manhattan@clinic.com', 'geo.boston@clinic.com']);
+      expect(response.body.data[0].distance_km).toBeLessThan(10);
+      expect(response.body.data[0]).not.toHaveProperty('password_hash');
+      expect(response.body.pagination.total).toBe(2);
+    });
+
+    test('should leave out clinics beyond the radius', async () => {
+      const response = await request(app)
+        .get('/api/v1/provider/search')
+        .query({ specialization: 'sports', near: '42.3398,-71.1056', radius_km: 25 })
+        .expect(200);
+
+      expect(response.body.data.map(provider => provider.email)).toEqual(['geo.boston@clinic.com']);
+    });
+
+    test('should page through results with cursors', async () => {
+      const search = { specialization: 'sports', near: '40.7580,-73.9855', radius_km: 400, limit: 1 };
+
+      const first = await request(app).get('/api/v1/provider/search').query(search).expect(200);
+      expect(first.body.data.map(provider => provider.email)).toEqual(['geo.manhattan@clinic.com']);
+      expect(first.body.pagination.prev_cursor).toBeNull();
+
+      const second = await request(app)
+        .get('/api/v1/provider/search')
+        .query({ ...search, cursor: first.body.pagination.next_cursor })
+        .expect(200);
+      expect(second.body.data.map(provider => provider.email)).toEqual(['geo.boston@clinic.com']);
+      expect(second.body.pagination.next_cursor).toBeNull();
+      expect(second.body.pagination).not.toHaveProperty('page');
+
+      const back = await request(app)
+        .get('/api/v1/provider/search')
+        .query({ ...search, cursor: second.body.pagination.prev_cursor })
+        .expect(200);
+      expect(back.body.data.map(provider => provider.email)).toEqual(['geo.manhattan@clinic.com']);
+    });
+
+    test('should reject a cursor from another list', async () => {
+      const response = await request(app)
+        .get('/api/v1/provider/search')
+        .query({ cursor: 'bm90LWEtY3Vyc29y' })
+        .expect(400);
+
+      expect(response.body.message).toContain('Invalid cursor');
+    });
+
+    test('should reject an invalid point', async () => {
+      const response = await request(app)
+        .get('/api/v1/provider/search')
+        .query({ near: '200,10' })
+        .expect(400);
+
+      expect(response.body.message).toContain('near must be "latitude,longitude"');
+    });
+  });
+
+  describe('GET /api/v1/provider/search with text and facets', () => {
+    const providers = {};
+
+    const register = async (key, details) => {
+      await request(app)
+        .post('/api/v1/provider/register')
+        .send({
+          ...validProviderData,
+          email: `text.${key}@clinic.com`,
+          phone_number: `+1555020${details.phone}`,
+          license_number: `TXT${key.toUpperCase()}1`,
+          first_name: details.first_name,
+          last_name: details.last_name,
+          specialization: details.specialization,
+          bio: details.bio,
+          clinic_address: details.clinic_address
+        })
+        .expect(201);
+
+      providers[key] = await Provider.findOne({ email: `text.${key}@clinic.com` });
+    };
+
+    const openSlot = (provider, appointmentType, baseFee, insuranceAccepted) => ({
+      provider_id: provider._id,
+      date: global.testUtils.futureDate(7),
+      start_time: '10:00',
+      end_time: '10:30',
+      timezone: 'America/New_York',
+      appointment_type: appointmentType,
+      location: { type: 'clinic', address: '1 Longwood Ave, Boston, MA 02115' },
+      pricing: { base_fee: baseFee, insurance_accepted: insuranceAccepted }
+    });
+
+    beforeAll(async () => {
+      await Provider.createIndexes();
+
+      await register('ruiz', {
+        phone: '1001',
+        first_name: 'Elena',
+        last_name: 'Ruiz',
+        specialization: 'Cardiology',
+        bio: 'Heart rhythm care for adults.',
+        clinic_address: { street: '1 Longwood Ave', city: 'Boston', state: 'MA', zip: '02115' }
+      });
+      await register('khan', {
+        phone: '2002',
+        first_name: 'Omar',
+        last_name: 'Khan',
+        specialization: 'Dermatology',
+        bio: 'Skin conditions, including rashes in cardiology patients.',
+        clinic_address: { street: '9 Beacon St', city: 'Boston', state: 'MA', zip: '02108' }
+      });
+      await register('chen', {
+        phone: '3003',
+        first_name: 'Lucy',
+        last_name: 'Chen',
+        specialization: 'Pediatrics',
+        clinic_address: { street: '5 Lake Shore Dr', city: 'Chicago', state: 'IL', zip: '60611' }
+      });
+
+      await ProviderAvailability.create([
+        openSlot(providers.ruiz, 'consultation', 150, true),
+        openSlot(providers.khan, 'telemedicine', 80, false)
+      ]);
+    });
+
+    afterAll(async () => {
+      await ProviderAvailability.deleteMany({ provider_id: { $in: Object.values(providers).map(provider => provider._id) } });
+      await Provider.deleteMany({ email: /^text\./ });
+    });
+
+    test('should rank by relevance and tolerate typos', async () => {
+      const response = await request(app)
+        .get('/api/v1/provider/search')
+        .query({ q: 'cardiolgy' })
+        .expect(200);
+
+      expect(response.body.data.map(provider => provider.email)).toEqual(['text.ruiz@clinic.com', 'text.khan@clinic.com']);
+      expect(response.body.data[0].relevance).toBeGreaterThan(response.body.data[1].relevance);
+      expect(response.body.data[0]).not.toHaveProperty('password_hash');
+    });
+
+    test('should count each facet without its own filter', async () => {
+      const response = await request(app)
+        .get('/api/v1/provider/search')
+        .query({ q: 'boston chicago', city: 'boston' })
+        .expect(200);
+
+      const { facets } = response.body;
+      expect(response.body.pagination.total).toBe(2);
+      expect(facets.city).toEqual([
+        { value: 'Boston', state: 'MA', count: 2 },
+        { value: 'Chicago', state: 'IL', count: 1 }
+      ]);
+      expect(facets.specialization.map(facet => facet.value).sort()).toEqual(['Cardiology', 'Dermatology']);
+    });
+
+    test('should match specializations by prefix and treat the filter as text', async () => {
+      const response = await request(app)
+        .get('/api/v1/provider/search')
+        .query({ q: 'boston', specialization: 'derm' })
+        .expect(200);
+
+      expect(response.body.data.map(provider => provider.email)).toEqual(['text.khan@clinic.com']);
+
+      const pattern = await request(app)
+        .get('/api/v1/provider/search')
+        .query({ q: 'boston', specialization: '(a+)+[' })
+        .expect(200);
+
+      expect(pattern.body.data).toEqual([]);
+    });
+
+    test('should filter and count by what providers offer in open slots', async () => {
+      const response = await request(app)
+        .get('/api/v1/provider/search')
+        .query({ q: 'boston', insurance_accepted: 'true' })
+        .expect(200);
+
+      const { facets } = response.body;
+      expect(response.body.data.map(provider => provider.email)).toEqual(['text.ruiz@clinic.com']);
+      expect(response.body.data[0].offerings).toEqual({ appointment_types: ['consultation'], insurance_accepted: [true], min_fee: 150 });
+      expect(facets.insurance_accepted).toEqual([{ value: false, count: 1 }, { value: true, count: 1 }]);
+      expect(facets.appointment_type).toEqual([{ value: 'consultation', count: 1 }]);
+      expect(facets.price).toEqual([
+        { min: 0, max: 100, count: 0 },
+        { min: 100, max: 200, count: 1 },
+        { min: 200, max: 300, count: 0 },
+        { min: 300, max: null, count: 0 }
+      ]);
+    });
+  });
+
   describe('Provider Model Tests', () => {
     test('should validate provider data correctly', () => {
       const validation = Provider.validate(validProviderData);
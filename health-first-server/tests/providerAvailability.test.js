@@ -5,7 +5,11 @@ const { AppointmentSlot } = require('../models/AppointmentSlot');
 const { Provider } = require('../models/Provider');
 const { Patient } = require('../models/Patient');
 const app = require('../server');
-const { generateToken } = require('../utils/jwt');
+const AuthService = require('../services/authService');
+const PatientAuthService = require('../services/patientAuthService');
+const { localToUTC } = require('../utils/timezoneUtils');
+
+const { futureDate, createProvider, createPatient } = global.testUtils;
 
 describe('Provider Availability API', () => {
   let providerToken;
@@ -17,13 +21,21 @@ describe('Provider Availability API', () => {
   beforeAll(async () => {
     // Create test provider
     const provider = new Provider({
-      first_name: 'Dr. John',
+      first_name: 'John',
       last_name: 'Doe',
       email: 'john.doe@test.com',
-      password: 'password123',
+      phone_number: '+15551234567',
+      password_hash: 'hashed-password',
       specialization: 'Cardiology',
+      license_number: 'CARD12345',
       years_of_experience: 15,
-      rating: 4.8
+      clinic_address: {
+        street: '123 Medical Center Dr',
+        city: 'New York',
+        state: 'NY',
+        zip: '10001'
+      },
+      verification_status: 'verified'
     });
     await provider.save();
     providerId = provider._id;
@@ -33,14 +45,23 @@ describe('Provider Availability API', () => {
       first_name: 'Jane',
       last_name: 'Smith',
       email: 'jane.smith@test.com',
-      password: 'password123'
+      phone_number: '+15557654321',
+      password_hash: 'hashed-password',
+      date_of_birth: new Date('1990-05-15'),
+      gender: 'female',
+      address: {
+        street: '456 Main Street',
+        city: 'Boston',
+        state: 'MA',
+        zip: '02101'
+      }
     });
     await patient.save();
     patientId = patient._id;
 
     // Generate tokens
-    providerToken = generateToken({ id: providerId, role: 'provider' });
-    patientToken = generateToken({ id: patientId, role: 'patient' });
+    providerToken = new AuthService().generateToken(provider);
+    patientToken = new PatientAuthService().generateToken(patient);
   });
 
   afterAll(async () => {
@@ -88,12 +109,14 @@ describe('Provider Availability API', () => {
 
       expect(response.body.success).toBe(true);
       expect(response.body.message).toBe('Availability created successfully');
-      expect(response.body.data).toHaveProperty('_id');
-      expect(response.body.data.provider_id).toBe(providerId.toString());
-      expect(response.body.data.utc_start_time).toBeDefined();
-      expect(response.body.data.utc_end_time).toBeDefined();
-
-      availabilityId = response.body.data._id;
+      // 09:00-17:00 in 30-minute slots with 15-minute breaks
+      expect(response.body.data.slots_created).toBe(11);
+      expect(response.body.data.slots[0]).toMatchObject({ start_time: '09:00', end_time: '09:30' });
+      expect(response.body.data.slots[1]).toMatchObject({ start_time: '09:45', end_time: '10:15' });
+      expect(response.body.data.slots[0].utc_start_time).toBeDefined();
+      expect(response.body.data.slots[0].utc_end_time).toBeDefined();
+
+      availabilityId = response.body.data.availability_id;
     });
 
     it('should create recurring availability slots', async () => {
@@ -135,6 +158,66 @@ describe('Provider Availability API', () => {
       expect(response.body.data.total_appointments_available).toBeGreaterThan(0);
     });
 
+    it('should expand an RRULE with excluded dates', async () => {
+      // Start on a Monday a few weeks out so the rule matches DTSTART
+      const start = new Date(`${futureDate(21)}T00:00:00Z`);
+      start.setUTCDate(start.getUTCDate() + ((8 - start.getUTCDay()) % 7));
+      const startDate = start.toISOString().split('T')[0];
+      const excluded = new Date(start.getTime() + 2 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+      const response = await request(app)
+        .post('/api/v1/provider/availability')
+        .set('Authorization', `Bearer ${providerToken}`)
+        .send({
+          date: startDate,
+          start_time: '14:00',
+          end_time: '15:00',
+          timezone: 'America/Sao_Paulo',
+          slot_duration: 30,
+          recurrence_rule: 'RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR;COUNT=6',
+          recurrence_exdate: [excluded],
+          location: {
+            type: 'clinic',
+            address: '123 Medical Center Dr'
+          },
+          pricing: {
+            base_fee: 150.00
+          }
+        })
+        .expect(201);
+
+      expect(response.body.data.recurrence_rule).toBe('FREQ=WEEKLY;COUNT=6;BYDAY=MO,WE,FR');
+      expect(response.body.data.occurrences).toBe(5);
+      expect(response.body.data.slots_created).toBe(10);
+      expect(response.body.data.date_range.start).toBe(startDate);
+
+      const stored = await ProviderAvailability.find({ recurrence_rule: 'FREQ=WEEKLY;COUNT=6;BYDAY=MO,WE,FR' });
+      expect(stored.map(slot => slot.date.toISOString().split('T')[0])).not.toContain(excluded);
+      expect(stored.every(slot => slot.utc_start_time instanceof Date)).toBe(true);
+    });
+
+    it('should reject an invalid RRULE', async () => {
+      const response = await request(app)
+        .post('/api/v1/provider/availability')
+        .set('Authorization', `Bearer ${providerToken}`)
+        .send({
+          date: futureDate(21),
+          start_time: '14:00',
+          end_time: '15:00',
+          timezone: 'America/New_York',
+          recurrence_rule: 'FREQ=HOURLY;COUNT=3',
+          location: {
+            type: 'clinic'
+          },
+          pricing: {
+            base_fee: 150.00
+          }
+        })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
     it('should validate timezone', async () => {
       const availabilityData = {
         date: '2024-12-15',
@@ -210,6 +293,69 @@ describe('Provider Availability API', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.message).toContain('conflict');
     });
+
+    describe('conflicts across timezones', () => {
+      let existingId;
+      const date = futureDate(10);
+
+      const availabilityIn = (timezone, startTime, endTime, localDate = date) => ({
+        date: localDate,
+        start_time: startTime,
+        end_time: endTime,
+        timezone,
+        location: {
+          type: 'telemedicine'
+        },
+        pricing: {
+          base_fee: 100.00
+        }
+      });
+
+      beforeEach(async () => {
+        const existing = await new ProviderAvailability({
+          provider_id: providerId,
+          ...availabilityIn('America/New_York', '09:00', '17:00')
+        }).save();
+        existingId = existing._id.toString();
+      });
+
+      it('should report the conflicting slot when another timezone overlaps', async () => {
+        // 15:30-16:30 in Chicago is 16:30-17:30 in New York
+        const response = await request(app)
+          .post('/api/v1/provider/availability')
+          .set('Authorization', `Bearer ${providerToken}`)
+          .send(availabilityIn('America/Chicago', '15:30', '16:30'))
+          .expect(409);
+
+        expect(response.body.error_code).toBe('CONFLICT_ERROR');
+        expect(response.body.conflicts).toHaveLength(1);
+        expect(response.body.conflicts[0].availability_id).toBe(existingId);
+        expect(response.body.conflicts[0].timezone).toBe('America/New_York');
+      });
+
+      it('should catch overlaps on a different local date', async () => {
+        // 05:00-07:00 in Tokyo on the next local day falls inside the New York block in winter and summer
+        const nextDay = new Date(`${date}T00:00:00Z`);
+        nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+
+        const response = await request(app)
+          .post('/api/v1/provider/availability')
+          .set('Authorization', `Bearer ${providerToken}`)
+          .send(availabilityIn('Asia/Tokyo', '05:00', '07:00', nextDay.toISOString().split('T')[0]))
+          .expect(409);
+
+        expect(response.body.conflicts.map(conflict => conflict.availability_id)).toContain(existingId);
+      });
+
+      it('should allow back-to-back slots in different timezones', async () => {
+        // 16:00 in Chicago is 17:00 in New York, right when the existing block ends
+        await request(app)
+          .post('/api/v1/provider/availability')
+          .set('Authorization', `Bearer ${providerToken}`)
+          .send(availabilityIn('America/Chicago', '16:00', '17:00'))
+          .expect(201);
+      });
+    });
   });
 
   describe('GET /api/v1/provider/:provider_id/availability', () => {
@@ -356,6 +502,177 @@ describe('Provider Availability API', () => {
 
       expect(response.body.data.results).toHaveLength(1);
     });
+
+    it('should filter by specialization before paginating', async () => {
+      const dermatologist = await createProvider({
+        first_name: 'Anna',
+        last_name: 'Lee',
+        specialization: 'Dermatology',
+        clinic_address: { street: '9 Skin Care Way', city: 'Boston', state: 'MA', zip: '02101' }
+      });
+
+      const slot = (provider, days, startTime, endTime) => ({
+        provider_id: provider,
+        date: futureDate(days),
+        start_time: startTime,
+        end_time: endTime,
+        timezone: 'America/New_York',
+        location: { type: 'clinic', address: '123 Medical Center Dr, New York, NY 10001' },
+        pricing: { base_fee: 150.00 }
+      });
+
+      // The dermatologist's slots come first in date order and would fill the page
+      await ProviderAvailability.create([
+        slot(dermatologist._id, 5, '09:00', '09:30'),
+        slot(dermatologist._id, 5, '09:30', '10:00'),
+        slot(dermatologist._id, 5, '10:00', '10:30'),
+        slot(providerId, 6, '09:00', '09:30'),
+        slot(providerId, 6, '09:30', '10:00'),
+        slot(providerId, 7, '09:00', '09:30')
+      ]);
+
+      const response = await request(app)
+        .get('/api/v1/availability/search')
+        .query({
+          start_date: futureDate(1),
+          end_date: futureDate(10),
+          specialization: 'cardio',
+          page: 1,
+          limit: 2
+        })
+        .expect(200);
+
+      expect(response.body.data.total_results).toBe(3);
+      expect(response.body.data.pagination).toMatchObject({ page: 1, limit: 2, total: 3, pages: 2 });
+      expect(response.body.data.results[0].available_slots).toHaveLength(2);
+      expect(response.body.data.results[0].provider.specialization).toBe('Cardiology');
+
+      await Provider.deleteOne({ _id: dermatologist._id });
+    });
+
+    it('should find geocoded slots near a point, nearest first', async () => {
+      const createAt = (address, startTime, endTime) => request(app)
+        .post('/api/v1/provider/availability')
+        .set('Authorization', `Bearer ${providerToken}`)
+        .send({
+          date: futureDate(5),
+          start_time: startTime,
+          end_time: endTime,
+          timezone: 'America/New_York',
+          location: { type: 'clinic', address },
+          pricing: { base_fee: 150.00 }
+        })
+        .expect(201);
+
+      await createAt('1 Longwood Ave, Boston, MA 02115', '09:00', '09:30');
+      await createAt('123 Medical Center Dr, New York, NY 10001', '10:00', '10:30');
+
+      const search = (query) => request(app)
+        .get('/api/v1/availability/search')
+        .query({ start_date: futureDate(1), end_date: futureDate(10), near: '40.7580,-73.9855', ...query })
+        .expect(200);
+
+      // Boston is about 300 km from Midtown Manhattan
+      const nearby = await search({ radius_km: 50 });
+      expect(nearby.body.data.pagination.total).toBe(1);
+      expect(nearby.body.data.results[0].available_slots[0].location.address).toContain('New York');
+
+      const wider = await search({ radius_km: 400 });
+      const distances = wider.body.data.results.map(result => result.distance_km);
+      expect(distances).toHaveLength(2);
+      expect(distances[0]).toBeLessThan(10);
+      expect(distances[1]).toBeGreaterThan(250);
+    });
+
+    it('should reject a radius without a point to search around', async () => {
+      const response = await request(app)
+        .get('/api/v1/availability/search')
+        .query({ radius_km: 10 })
+        .expect(400);
+
+      expect(response.body.message).toContain('radius_km needs near');
+    });
+  });
+
+  describe('GET /api/v1/availability/next-available', () => {
+    let cardiologist;
+
+    const slot = (provider, days, startTime, endTime, extra = {}) => ({
+      provider_id: provider,
+      date: futureDate(days),
+      start_time: startTime,
+      end_time: endTime,
+      timezone: 'America/New_York',
+      location: { type: 'clinic', address: '123 Medical Center Dr, New York, NY 10001' },
+      pricing: { base_fee: 150.00, insurance_accepted: true },
+      ...extra
+    });
+
+    beforeAll(async () => {
+      cardiologist = await createProvider({
+        first_name: 'Maria',
+        last_name: 'Garcia',
+        specialization: 'Interventional Cardiology',
+        years_of_experience: 12,
+        clinic_address: { street: '1 Longwood Ave', city: 'Boston', state: 'MA', zip: '02115' }
+      });
+    });
+
+    afterAll(async () => {
+      await Provider.deleteOne({ _id: cardiologist._id });
+    });
+
+    beforeEach(async () => {
+      await ProviderAvailability.create([
+        slot(providerId, 4, '14:00', '14:30'),
+        slot(providerId, 6, '09:00', '09:30'),
+        slot(cardiologist._id, 3, '15:00', '15:30'),
+        slot(cardiologist._id, 5, '08:00', '08:30'),
+        slot(cardiologist._id, 2, '10:00', '10:30', { status: 'cancelled' })
+      ]);
+    });
+
+    it('should return the earliest open slot of each provider, soonest first', async () => {
+      const response = await request(app)
+        .get('/api/v1/availability/next-available')
+        .query({ specialization: 'cardio', insurance_accepted: 'true' })
+        .expect(200);
+
+      const { results } = response.body.data;
+      expect(results).toHaveLength(2);
+      expect(results.map(result => result.rank)).toEqual([1, 2]);
+      expect(results[0].provider.name).toContain('Maria Garcia');
+      expect(results[0].next_slot).toMatchObject({ date: futureDate(3), start_time: '15:00', timezone: 'America/New_York' });
+      expect(results[1].next_slot).toMatchObject({ date: futureDate(4), start_time: '14:00' });
+    });
+
+    it('should only consider slots in the preferred time of day', async () => {
+      const response = await request(app)
+        .get('/api/v1/availability/next-available')
+        .query({ specialization: 'cardio', time_of_day: 'morning' })
+        .expect(200);
+
+      const starts = response.body.data.results.map(result => [result.next_slot.date, result.next_slot.start_time]);
+      expect(starts).toEqual([[futureDate(5), '08:00'], [futureDate(6), '09:00']]);
+    });
+
+    it('should leave out slots beyond the search window', async () => {
+      const response = await request(app)
+        .get('/api/v1/availability/next-available')
+        .query({ within_days: 1 })
+        .expect(200);
+
+      expect(response.body.data.results).toHaveLength(0);
+    });
+
+    it('should reject an unknown time of day', async () => {
+      const response = await request(app)
+        .get('/api/v1/availability/next-available')
+        .query({ time_of_day: 'night' })
+        .expect(400);
+
+      expect(response.body.message).toContain('Time of day must be morning, afternoon or evening');
+    });
   });
 
   describe('PUT /api/v1/provider/availability/:id', () => {
@@ -400,6 +717,65 @@ describe('Provider Availability API', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.message).toBe('Availability updated successfully');
     });
+
+    it('should ignore fields the provider cannot edit', async () => {
+      const otherProvider = await createProvider();
+
+      await request(app)
+        .put(`/api/v1/provider/availability/${availabilityId}`)
+        .set('Authorization', `Bearer ${providerToken}`)
+        .send({
+          notes: 'Front desk moved',
+          current_appointments: 5,
+          held_appointments: 2,
+          provider_id: otherProvider._id
+        })
+        .expect(200);
+
+      const stored = await ProviderAvailability.findById(availabilityId);
+      expect(stored.notes).toBe('Front desk moved');
+      expect(stored.current_appointments).toBe(0);
+      expect(stored.held_appointments).toBe(0);
+      expect(stored.provider_id.toString()).toBe(providerId.toString());
+    });
+
+    it('should not update another provider\'s availability', async () => {
+      const otherProvider = await createProvider();
+      const otherToken = new AuthService().generateToken(otherProvider);
+
+      const response = await request(app)
+        .put(`/api/v1/provider/availability/${availabilityId}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ notes: 'Not mine' })
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should not change the time of a slot with booked or held seats', async () => {
+      await ProviderAvailability.findByIdAndUpdate(availabilityId, { current_appointments: 1 });
+
+      const response = await request(app)
+        .put(`/api/v1/provider/availability/${availabilityId}`)
+        .set('Authorization', `Bearer ${providerToken}`)
+        .send({ start_time: '10:00', end_time: '18:00' })
+        .expect(409);
+
+      expect(response.body.message).toBe('Cannot change the time of availability with existing appointments');
+
+      await ProviderAvailability.findByIdAndUpdate(availabilityId, { current_appointments: 0, held_appointments: 1 });
+
+      const heldResponse = await request(app)
+        .put(`/api/v1/provider/availability/${availabilityId}`)
+        .set('Authorization', `Bearer ${providerToken}`)
+        .send({ start_time: '10:00', end_time: '18:00' })
+        .expect(409);
+
+      expect(heldResponse.body.message).toBe('Cannot change the time of availability while a seat is held');
+
+      const stored = await ProviderAvailability.findById(availabilityId);
+      expect(stored.start_time).toBe('09:00');
+    });
   });
 
   describe('DELETE /api/v1/provider/availability/:id', () => {
@@ -448,13 +824,25 @@ describe('Provider Availability API', () => {
 
       expect(response.body.success).toBe(false);
     });
+
+    it('should not delete another provider\'s availability', async () => {
+      const otherProvider = await createProvider();
+      const otherToken = new AuthService().generateToken(otherProvider);
+
+      await request(app)
+        .delete(`/api/v1/provider/availability/${availabilityId}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(403);
+
+      expect(await ProviderAvailability.exists({ _id: availabilityId })).toBeTruthy();
+    });
   });
 
   describe('POST /api/v1/provider/availability/:id/book', () => {
     beforeEach(async () => {
       const availability = new ProviderAvailability({
         provider_id: providerId,
-        date: '2024-12-15',
+        date: futureDate(7),
         start_time: '09:00',
         end_time: '17:00',
         timezone: 'America/New_York',
@@ -476,33 +864,48 @@ describe('Provider Availability API', () => {
     it('should book appointment slot', async () => {
       const response = await request(app)
         .post(`/api/v1/provider/availability/${availabilityId}/book`)
+        .set('Authorization', `Bearer ${patientToken}`)
         .expect(200);
 
       expect(response.body.success).toBe(true);
       expect(response.body.message).toBe('Slot booked successfully');
       expect(response.body.data.current_appointments).toBe(1);
+      expect(response.body.data.booking_reference).toBeDefined();
+
+      const appointment = await AppointmentSlot.findOne({ availability_id: availabilityId });
+      expect(appointment.patient_id.toString()).toBe(patientId.toString());
+    });
+
+    it('should require patient authentication to book', async () => {
+      await request(app)
+        .post(`/api/v1/availability/${availabilityId}/book`)
+        .expect(401);
     });
 
     it('should not book already booked slot', async () => {
       // Book the slot first
       await request(app)
         .post(`/api/v1/provider/availability/${availabilityId}/book`)
+        .set('Authorization', `Bearer ${patientToken}`)
         .expect(200);
 
       // Try to book again
       const response = await request(app)
         .post(`/api/v1/provider/availability/${availabilityId}/book`)
+        .set('Authorization', `Bearer ${patientToken}`)
         .expect(409);
 
       expect(response.body.success).toBe(false);
     });
   });
 
-  describe('POST /api/v1/provider/availability/:id/cancel', () => {
+  describe('POST /api/v1/availability/:id/cancel', () => {
+    let bookingReference;
+
     beforeEach(async () => {
       const availability = new ProviderAvailability({
         provider_id: providerId,
-        date: '2024-12-15',
+        date: futureDate(7),
         start_time: '09:00',
         end_time: '17:00',
         timezone: 'America/New_York',
@@ -515,38 +918,401 @@ describe('Provider Availability API', () => {
           base_fee: 150.00,
           insurance_accepted: true,
           currency: 'USD'
-        },
-        current_appointments: 1
+        }
       });
       await availability.save();
       availabilityId = availability._id;
+
+      const booking = await request(app)
+        .post(`/api/v1/availability/${availabilityId}/book`)
+        .set('Authorization', `Bearer ${patientToken}`)
+        .expect(200);
+      bookingReference = booking.body.data.booking_reference;
     });
 
-    it('should cancel appointment slot', async () => {
+    it('should cancel my booking on the slot', async () => {
       const response = await request(app)
-        .post(`/api/v1/provider/availability/${availabilityId}/cancel`)
+        .post(`/api/v1/availability/${availabilityId}/cancel`)
+        .set('Authorization', `Bearer ${patientToken}`)
         .expect(200);
 
       expect(response.body.success).toBe(true);
       expect(response.body.message).toBe('Appointment cancelled successfully');
       expect(response.body.data.current_appointments).toBe(0);
+      expect(response.body.data.appointment.status).toBe('cancelled');
+    });
+
+    it('should require patient authentication to cancel', async () => {
+      await request(app)
+        .post(`/api/v1/availability/${availabilityId}/cancel`)
+        .expect(401);
+    });
+
+    it('should not let another patient cancel the booking', async () => {
+      const otherPatient = await createPatient({ first_name: 'Other' });
+      const otherToken = new PatientAuthService().generateToken(otherPatient);
+
+      await request(app)
+        .post(`/api/v1/availability/${availabilityId}/cancel`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ booking_reference: bookingReference })
+        .expect(403);
+
+      await Patient.findByIdAndDelete(otherPatient._id);
+    });
+
+    it('should let the owning provider cancel by booking reference', async () => {
+      const response = await request(app)
+        .post(`/api/v1/provider/availability/${availabilityId}/cancel`)
+        .set('Authorization', `Bearer ${providerToken}`)
+        .send({ booking_reference: bookingReference, reason: 'Provider unavailable' })
+        .expect(200);
+
+      expect(response.body.data.appointment.cancellation_reason).toBe('Provider unavailable');
     });
 
     it('should not cancel slot with no appointments', async () => {
       // Cancel the appointment first
       await request(app)
-        .post(`/api/v1/provider/availability/${availabilityId}/cancel`)
+        .post(`/api/v1/availability/${availabilityId}/cancel`)
+        .set('Authorization', `Bearer ${patientToken}`)
         .expect(200);
 
-      // Try to cancel again
+      // Nothing left to cancel for this patient
       const response = await request(app)
-        .post(`/api/v1/provider/availability/${availabilityId}/cancel`)
-        .expect(409);
+        .post(`/api/v1/availability/${availabilityId}/cancel`)
+        .set('Authorization', `Bearer ${patientToken}`)
+        .expect(404);
 
       expect(response.body.success).toBe(false);
     });
   });
 
+  describe('Group sessions', () => {
+    let attendeeTokens;
+
+    const createAttendee = async (index) => {
+      const attendee = await createPatient({ first_name: `Attendee${index}`, last_name: 'Group' });
+      return new PatientAuthService().generateToken(attendee);
+    };
+
+    const bookAs = (token) => request(app)
+      .post(`/api/v1/availability/${availabilityId}/book`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const getRoster = (query = {}) => request(app)
+      .get(`/api/v1/provider/availability/${availabilityId}/roster`)
+      .set('Authorization', `Bearer ${providerToken}`)
+      .query(query);
+
+    beforeAll(async () => {
+      attendeeTokens = [patientToken, await createAttendee(1), await createAttendee(2)];
+    });
+
+    afterAll(async () => {
+      await Patient.deleteMany({ last_name: 'Group' });
+    });
+
+    beforeEach(async () => {
+      const availability = await new ProviderAvailability({
+        provider_id: providerId,
+        date: futureDate(7),
+        start_time: '18:00',
+        end_time: '19:30',
+        timezone: 'America/New_York',
+        appointment_type: 'consultation',
+        max_appointments_per_slot: 3,
+        location: {
+          type: 'clinic',
+          address: '123 Medical Center Dr, New York, NY 10001'
+        },
+        pricing: {
+          base_fee: 40.00,
+          insurance_accepted: false,
+          currency: 'USD'
+        }
+      }).save();
+      availabilityId = availability._id;
+    });
+
+    it('should list the attendees with the seats left', async () => {
+      await bookAs(attendeeTokens[0]);
+      await bookAs(attendeeTokens[1]);
+
+      const response = await getRoster().expect(200);
+
+      expect(response.body.data.availability.current_appointments).toBe(2);
+      expect(response.body.data.availability.max_appointments).toBe(3);
+      expect(response.body.data.availability.available_spots).toBe(1);
+      expect(response.body.data.attendees).toHaveLength(2);
+      expect(response.body.data.attendees[0].patient.name).toBe('Jane Smith');
+      expect(response.body.data.attendees[0].patient.email).toBe('jane.smith@test.com');
+    });
+
+    it('should only mark the slot as booked when the last seat is taken', async () => {
+      const second = await bookAs(attendeeTokens[0]);
+      expect(second.body.data.status).toBe('available');
+      await bookAs(attendeeTokens[1]);
+
+      const last = await bookAs(attendeeTokens[2]);
+
+      expect(last.body.data.status).toBe('booked');
+    });
+
+    it('should show the seats left in search results', async () => {
+      await bookAs(attendeeTokens[0]);
+
+      const response = await request(app)
+        .get('/api/v1/availability/search')
+        .query({ date: futureDate(7) })
+        .expect(200);
+
+      const slot = response.body.data.results[0].available_slots
+        .find(result => result.slot_id === availabilityId.toString());
+      expect(slot.max_appointments).toBe(3);
+      expect(slot.available_spots).toBe(2);
+    });
+
+    it('should cancel a single attendee and keep the others', async () => {
+      const first = await bookAs(attendeeTokens[0]);
+      await bookAs(attendeeTokens[1]);
+
+      const response = await request(app)
+        .post(`/api/v1/provider/availability/${availabilityId}/roster/${first.body.data.booking_reference}/cancel`)
+        .set('Authorization', `Bearer ${providerToken}`)
+        .send({ reason: 'Session moved' })
+        .expect(200);
+
+      expect(response.body.data.appointment.status).toBe('cancelled');
+      expect(response.body.data.current_appointments).toBe(1);
+
+      const roster = await getRoster().expect(200);
+      expect(roster.body.data.attendees).toHaveLength(1);
+
+      const fullRoster = await getRoster({ include_cancelled: 'true' }).expect(200);
+      expect(fullRoster.body.data.attendees.map(attendee => attendee.status).sort()).toEqual(['cancelled', 'confirmed']);
+    });
+
+    it('should not show the roster to other providers', async () => {
+      const otherProvider = await createProvider({ specialization: 'Dermatology' });
+
+      await request(app)
+        .get(`/api/v1/provider/availability/${availabilityId}/roster`)
+        .set('Authorization', `Bearer ${new AuthService().generateToken(otherProvider)}`)
+        .expect(403);
+
+      await Provider.findByIdAndDelete(otherProvider._id);
+    });
+
+    it('should not lower the capacity below the seats taken', async () => {
+      await bookAs(attendeeTokens[0]);
+      await bookAs(attendeeTokens[1]);
+
+      await request(app)
+        .put(`/api/v1/provider/availability/${availabilityId}`)
+        .set('Authorization', `Bearer ${providerToken}`)
+        .send({ max_appointments_per_slot: 1 })
+        .expect(409);
+
+      const response = await request(app)
+        .put(`/api/v1/provider/availability/${availabilityId}`)
+        .set('Authorization', `Bearer ${providerToken}`)
+        .send({ max_appointments_per_slot: 2 })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('booked');
+    });
+  });
+
+  describe('POST /api/v1/provider/availability/import', () => {
+    const csvHeader = 'date,start_time,end_time,timezone,location_type,base_fee,notes';
+
+    it('should report each row of a CSV dry run without saving', async () => {
+      const csv = [
+        csvHeader,
+        `${futureDate(20)},09:00,10:00,America/New_York,clinic,150,"Room 2, east wing"`,
+        `${futureDate(20)},09:30,10:30,America/New_York,clinic,150,`,
+        `${futureDate(21)},09:00,10:00,Mars/Olympus_Mons,clinic,150,`
+      ].join('\n');
+
+      const response = await request(app)
+        .post('/api/v1/provider/availability/import?dry_run=true')
+        .set('Authorization', `Bearer ${providerToken}`)
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(200);
+
+      expect(response.body.data.dry_run).toBe(true);
+      expect(response.body.data.succeeded).toBe(1);
+      expect(response.body.data.failed).toBe(2);
+      expect(response.body.data.results.map(result => result.status)).toEqual(['valid', 'error', 'error']);
+      expect(response.body.data.results[1].message).toContain('row 1');
+      expect(response.body.data.results[2].errors).toHaveProperty('timezone');
+      expect(await ProviderAvailability.countDocuments({})).toBe(0);
+    });
+
+    it('should import valid JSON rows and report the failed ones', async () => {
+      const response = await request(app)
+        .post('/api/v1/provider/availability/import')
+        .set('Authorization', `Bearer ${providerToken}`)
+        .send({
+          rows: [
+            {
+              date: futureDate(20),
+              start_time: '09:00',
+              end_time: '10:00',
+              timezone: 'America/New_York',
+              location: { type: 'clinic' },
+              pricing: { base_fee: 150 }
+            },
+            {
+              date: futureDate(20),
+              start_time: '13:00',
+              end_time: '12:00',
+              timezone: 'America/New_York',
+              location: { type: 'clinic' }
+            }
+          ]
+        })
+        .expect(201);
+
+      expect(response.body.data.succeeded).toBe(1);
+      expect(response.body.data.results[0].status).toBe('created');
+      expect(response.body.data.results[0].slots).toBe(2);
+      expect(response.body.data.results[1].errors).toHaveProperty(['pricing']);
+      expect(await ProviderAvailability.countDocuments({})).toBe(2);
+    });
+
+    it('should reject an empty import', async () => {
+      await request(app)
+        .post('/api/v1/provider/availability/import')
+        .set('Authorization', `Bearer ${providerToken}`)
+        .send({ rows: [] })
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/v1/provider/availability/preview', () => {
+    const block = {
+      date: futureDate(15),
+      start_time: '09:00',
+      end_time: '11:00',
+      timezone: 'America/New_York',
+      slot_duration: 30,
+      break_duration: 10,
+      location: { type: 'clinic' },
+      pricing: { base_fee: 150 }
+    };
+
+    const preview = (body) => request(app)
+      .post('/api/v1/provider/availability/preview')
+      .set('Authorization', `Bearer ${providerToken}`)
+      .send(body);
+
+    it('should list the slots in local time and UTC without saving them', async () => {
+      const response = await preview(block).expect(200);
+
+      expect(response.body.data.can_create).toBe(true);
+      expect(response.body.data.slots_to_create).toBe(3);
+      expect(response.body.data.slots.map(slot => `${slot.start_time}-${slot.end_time}`))
+        .toEqual(['09:00-09:30', '09:40-10:10', '10:20-10:50']);
+      expect(new Date(response.body.data.slots[0].utc_start_time).getTime())
+        .toBe(localToUTC('09:00', futureDate(15), 'America/New_York').getTime());
+      expect(await ProviderAvailability.countDocuments({})).toBe(0);
+    });
+
+    it('should show which slots clash and that the block would be rejected', async () => {
+      await new ProviderAvailability({
+        provider_id: providerId,
+        ...block,
+        start_time: '09:45',
+        end_time: '10:00'
+      }).save();
+
+      const response = await preview(block).expect(200);
+
+      expect(response.body.data.can_create).toBe(false);
+      expect(response.body.data.slots.map(slot => slot.action)).toEqual(['create', 'skip', 'create']);
+      expect(response.body.data.slots[1].reason).toBe('conflict');
+      expect(response.body.data.conflicts).toHaveLength(1);
+
+      await request(app)
+        .post('/api/v1/provider/availability')
+        .set('Authorization', `Bearer ${providerToken}`)
+        .send(block)
+        .expect(409);
+    });
+
+    it('should preview every occurrence of recurring availability', async () => {
+      const response = await preview({ ...block, recurrence_rule: 'FREQ=DAILY;COUNT=3' }).expect(200);
+
+      expect(response.body.data.occurrences).toBe(3);
+      expect(response.body.data.total_slots).toBe(9);
+      expect(response.body.data.slots_to_create).toBe(9);
+    });
+
+    it('should reject a block shorter than one slot', async () => {
+      const response = await preview({ ...block, end_time: '09:20' }).expect(400);
+
+      expect(response.body.message).toBe('The block from 09:00 to 09:20 is shorter than one 30-minute slot');
+    });
+  });
+
+  describe('GET /api/v1/provider/availability/export', () => {
+    beforeEach(async () => {
+      await new ProviderAvailability({
+        provider_id: providerId,
+        date: futureDate(20),
+        start_time: '09:00',
+        end_time: '10:00',
+        timezone: 'America/New_York',
+        location: { type: 'clinic', address: '123 Medical Center Dr, Suite 4' },
+        pricing: { base_fee: 150 }
+      }).save();
+    });
+
+    it('should stream availability in the range as CSV', async () => {
+      const response = await request(app)
+        .get(`/api/v1/provider/availability/export?start_date=${futureDate(19)}&end_date=${futureDate(21)}`)
+        .set('Authorization', `Bearer ${providerToken}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.headers['content-disposition']).toContain('attachment');
+
+      const lines = response.text.trim().split('\r\n');
+      expect(lines).toHaveLength(2);
+      expect(lines[1]).toContain('"123 Medical Center Dr, Suite 4"');
+    });
+
+    it('should export JSON that can be imported again', async () => {
+      const exported = await request(app)
+        .get(`/api/v1/provider/availability/export?start_date=${futureDate(19)}&end_date=${futureDate(21)}&format=json`)
+        .set('Authorization', `Bearer ${providerToken}`)
+        .expect(200);
+
+      const rows = JSON.parse(exported.text);
+      expect(rows).toHaveLength(1);
+
+      // The exported slot is already there, so importing it again is reported as a conflict
+      const response = await request(app)
+        .post('/api/v1/provider/availability/import?dry_run=true')
+        .set('Authorization', `Bearer ${providerToken}`)
+        .send(rows)
+        .expect(200);
+
+      expect(response.body.data.results[0].conflicts[0].availability_id).toBe(rows[0].availability_id);
+    });
+
+    it('should require a date range', async () => {
+      await request(app)
+        .get('/api/v1/provider/availability/export')
+        .set('Authorization', `Bearer ${providerToken}`)
+        .expect(400);
+    });
+  });
+
   describe('GET /api/v1/provider/availability/:id/check', () => {
     beforeEach(async () => {
       const availability = new ProviderAvailability({
@@ -606,10 +1372,10 @@ describe('Provider Availability API', () => {
         .send(availabilityData)
         .expect(201);
 
-      expect(response.body.data.utc_start_time).toBeDefined();
-      expect(response.body.data.utc_end_time).toBeDefined();
-      expect(response.body.data.local_start_time).toBe('09:00');
-      expect(response.body.data.local_end_time).toBe('17:00');
+      const { slots } = response.body.data;
+      expect(slots[0].utc_start_time).toBeDefined();
+      expect(slots[0].start_time).toBe('09:00');
+      expect(slots[slots.length - 1].end_time).toBe('17:00');
     });
   });
 }); 
\ No newline at end of file
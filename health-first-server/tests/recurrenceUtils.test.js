@@ -0,0 +1,115 @@
+const {
+  parseRRule,
+  formatRRule,
+  parseExDates,
+  patternToRRule,
+  expandRRule,
+  splitRRule
+} = require('../utils/recurrenceUtils');
+
+describe('Recurrence Utils', () => {
+  describe('parseRRule', () => {
+    it('should parse and normalize a rule', () => {
+      const rule = parseRRule('RRULE:freq=monthly;byday=-1fr;interval=2');
+
+      expect(rule.freq).toBe('MONTHLY');
+      expect(rule.interval).toBe(2);
+      expect(rule.byDay).toEqual([{ weekday: 5, ordinal: -1 }]);
+      expect(formatRRule(rule)).toBe('FREQ=MONTHLY;INTERVAL=2;BYDAY=-1FR');
+    });
+
+    it('should reject invalid rules', () => {
+      expect(() => parseRRule('INTERVAL=2')).toThrow('FREQ is required');
+      expect(() => parseRRule('FREQ=HOURLY')).toThrow('Unsupported FREQ');
+      expect(() => parseRRule('FREQ=WEEKLY;BYDAY=XX')).toThrow('Invalid BYDAY');
+      expect(() => parseRRule('FREQ=WEEKLY;BYDAY=1MO')).toThrow('only supported with FREQ=MONTHLY');
+      expect(() => parseRRule('FREQ=DAILY;COUNT=3;UNTIL=20270101')).toThrow('cannot be used together');
+    });
+  });
+
+  describe('parseExDates', () => {
+    it('should accept EXDATE strings and arrays', () => {
+      expect(parseExDates('EXDATE;VALUE=DATE:20261225,20260101')).toEqual(['2026-01-01', '2026-12-25']);
+      expect(parseExDates(['2026-12-25', '20261225T090000Z'])).toEqual(['2026-12-25']);
+      expect(parseExDates(undefined)).toEqual([]);
+    });
+
+    it('should reject impossible dates', () => {
+      expect(() => parseExDates('20260231')).toThrow('Invalid date value');
+    });
+  });
+
+  describe('expandRRule', () => {
+    it('should expand weekday lists', () => {
+      expect(expandRRule('FREQ=WEEKLY;BYDAY=MO,WE,FR;COUNT=5', '2026-11-02')).toEqual([
+        '2026-11-02', '2026-11-04', '2026-11-06', '2026-11-09', '2026-11-11'
+      ]);
+    });
+
+    it('should expand every other Tuesday', () => {
+      expect(expandRRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU', '2026-11-03', { until: '2026-12-31' })).toEqual([
+        '2026-11-03', '2026-11-17', '2026-12-01', '2026-12-15', '2026-12-29'
+      ]);
+    });
+
+    it('should expand the first Monday of the month', () => {
+      expect(expandRRule('FREQ=MONTHLY;BYDAY=1MO;COUNT=3', '2026-11-01')).toEqual([
+        '2026-11-02', '2026-12-07', '2027-01-04'
+      ]);
+    });
+
+    it('should apply BYSETPOS within each month', () => {
+      expect(expandRRule('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;COUNT=3', '2026-11-01')).toEqual([
+        '2026-11-30', '2026-12-31', '2027-01-29'
+      ]);
+    });
+
+    it('should skip months without the start day instead of shifting', () => {
+      expect(expandRRule(patternToRRule('monthly'), '2027-01-31', { until: '2027-05-31' })).toEqual([
+        '2027-01-31', '2027-03-31', '2027-05-31'
+      ]);
+    });
+
+    it('should support counting from the end of the month', () => {
+      expect(expandRRule('FREQ=MONTHLY;BYMONTHDAY=-1;COUNT=3', '2027-01-15')).toEqual([
+        '2027-01-31', '2027-02-28', '2027-03-31'
+      ]);
+    });
+
+    it('should remove excluded dates after applying COUNT', () => {
+      expect(expandRRule('FREQ=DAILY;COUNT=4', '2026-12-23', { exdates: ['2026-12-25'] })).toEqual([
+        '2026-12-23', '2026-12-24', '2026-12-26'
+      ]);
+    });
+
+    it('should stop at the earlier of UNTIL and the end date', () => {
+      expect(expandRRule('FREQ=DAILY;UNTIL=20261205', '2026-12-01', { until: '2026-12-03' })).toEqual([
+        '2026-12-01', '2026-12-02', '2026-12-03'
+      ]);
+    });
+
+    it('should require an end', () => {
+      expect(() => expandRRule('FREQ=DAILY', '2026-12-01')).toThrow('needs an end');
+    });
+
+    it('should terminate for rules that never match', () => {
+      expect(expandRRule('FREQ=MONTHLY;BYMONTHDAY=30;BYMONTH=2', '2026-01-01', { until: '2099-12-31' })).toEqual([]);
+    });
+  });
+
+  describe('splitRRule', () => {
+    it('should carry the remaining COUNT and keep the INTERVAL phase', () => {
+      const { before, after } = splitRRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU;COUNT=5', '2026-11-03', '2026-11-10');
+
+      expect(before).toEqual({ rule: 'FREQ=WEEKLY;INTERVAL=2;UNTIL=20261109;BYDAY=TU', startDate: '2026-11-03' });
+      expect(after).toEqual({ rule: 'FREQ=WEEKLY;INTERVAL=2;COUNT=4;BYDAY=TU', startDate: '2026-11-17' });
+      expect(expandRRule(after.rule, after.startDate)).toEqual([
+        '2026-11-17', '2026-12-01', '2026-12-15', '2026-12-29'
+      ]);
+    });
+
+    it('should return no second part past the end of the series', () => {
+      expect(splitRRule('FREQ=DAILY;COUNT=3', '2026-11-03', '2026-12-10').after).toBeNull();
+    });
+  });
+});
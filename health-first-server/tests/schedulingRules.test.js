@@ -0,0 +1,88 @@
+const {
+  resolveSchedulingRules,
+  getBookingWindowError,
+  getBufferedEnd,
+  isWithinBuffer
+} = require('../utils/schedulingRules');
+
+describe('Scheduling Rules', () => {
+  const now = new Date('2025-03-10T12:00:00Z');
+
+  const slot = (start, end, overrides = {}) => ({
+    utc_start_time: new Date(start),
+    utc_end_time: new Date(end),
+    appointment_type: 'telemedicine',
+    ...overrides
+  });
+
+  describe('resolveSchedulingRules', () => {
+    const policy = {
+      min_notice_hours: 12,
+      max_advance_days: 60,
+      buffer_minutes: { consultation: 0, telemedicine: 15 }
+    };
+
+    it('should use the provider policy and the buffer of the appointment type', () => {
+      expect(resolveSchedulingRules(slot(now, now), policy)).toEqual({
+        minNoticeHours: 12,
+        maxAdvanceDays: 60,
+        bufferMinutes: 15
+      });
+    });
+
+    it('should prefer the slot\'s own rules and fall back on null', () => {
+      const rules = resolveSchedulingRules(slot(now, now, {
+        scheduling_rules: { min_notice_hours: 2, max_advance_days: null, buffer_after_minutes: 0 }
+      }), policy);
+
+      expect(rules).toEqual({ minNoticeHours: 2, maxAdvanceDays: 60, bufferMinutes: 0 });
+    });
+
+    it('should default to no rules without a policy', () => {
+      expect(resolveSchedulingRules(slot(now, now), null)).toEqual({
+        minNoticeHours: 0,
+        maxAdvanceDays: null,
+        bufferMinutes: 0
+      });
+    });
+  });
+
+  describe('getBookingWindowError', () => {
+    const rules = { minNoticeHours: 12, maxAdvanceDays: 60, bufferMinutes: 0 };
+
+    it('should reject slots inside the minimum notice', () => {
+      expect(getBookingWindowError(new Date('2025-03-10T23:00:00Z'), rules, now))
+        .toBe('Appointments must be booked at least 12 hours in advance');
+    });
+
+    it('should reject slots past the booking horizon', () => {
+      expect(getBookingWindowError(new Date('2025-05-10T12:00:00Z'), rules, now))
+        .toBe('Appointments cannot be booked more than 60 days in advance');
+    });
+
+    it('should accept slots between the notice and the horizon', () => {
+      expect(getBookingWindowError(new Date('2025-03-11T00:00:00Z'), rules, now)).toBeNull();
+      expect(getBookingWindowError(new Date('2025-05-09T12:00:00Z'), rules, now)).toBeNull();
+    });
+  });
+
+  describe('buffers', () => {
+    const visit = slot('2025-03-11T09:00:00Z', '2025-03-11T09:30:00Z');
+    const next = slot('2025-03-11T09:30:00Z', '2025-03-11T10:00:00Z');
+    const later = slot('2025-03-11T09:45:00Z', '2025-03-11T10:15:00Z');
+
+    it('should add the buffer to the end of a slot', () => {
+      expect(getBufferedEnd(visit, 15)).toEqual(new Date('2025-03-11T09:45:00Z'));
+    });
+
+    it('should keep back-to-back slots apart when either has a buffer', () => {
+      expect(isWithinBuffer(next, 0, visit, 15)).toBe(true);
+      expect(isWithinBuffer(visit, 15, next, 0)).toBe(true);
+      expect(isWithinBuffer(visit, 0, next, 0)).toBe(false);
+    });
+
+    it('should allow a slot starting when the buffer ends', () => {
+      expect(isWithinBuffer(later, 0, visit, 15)).toBe(false);
+    });
+  });
+});
@@ -24,6 +24,14 @@ afterEach(() => {
   jest.clearAllMocks();
 });
 
+// The suites fire bursts of requests (e.g. concurrent bookings), so let them past the
+// API rate limiter
+jest.mock('express-rate-limit', () => () => (req, res, next) => next());
+
+// Unique enough for the unique email and phone number fields of one test run
+const uniqueSuffix = () => `${Date.now()}.${Math.random().toString(36).slice(2, 7)}`;
+const randomPhoneNumber = () => `+1${Math.floor(Math.random() * 9000000000) + 1000000000}`;
+
 // Global test utilities
 global.testUtils = {
   // Generate test provider data
@@ -56,5 +64,83 @@ global.testUtils = {
   },
 
   // Wait for async operations
-  wait: (ms) => new Promise(resolve => setTimeout(resolve, ms))
+  wait: (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+
+  // Date (YYYY-MM-DD) a number of days from today, in UTC
+  futureDate: (days) => {
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+  },
+
+  // Save a verified provider with a New York clinic
+  createProvider: (overrides = {}) => {
+    const { Provider } = require('../models/Provider');
+    return new Provider({
+      first_name: 'John',
+      last_name: 'Doe',
+      email: `provider.${uniqueSuffix()}@test.com`,
+      phone_number: randomPhoneNumber(),
+      password_hash: 'hashed-password',
+      specialization: 'Cardiology',
+      license_number: `LIC${Math.floor(Math.random() * 900000000) + 100000000}`,
+      years_of_experience: 15,
+      clinic_address: {
+        street: '123 Medical Center Dr',
+        city: 'New York',
+        state: 'NY',
+        zip: '10001'
+      },
+      verification_status: 'verified',
+      ...overrides
+    }).save();
+  },
+
+  // Save a patient living in Boston
+  createPatient: (overrides = {}) => {
+    const { Patient } = require('../models/Patient');
+    return new Patient({
+      first_name: 'Jane',
+      last_name: 'Smith',
+      email: `${(overrides.first_name || 'Jane').toLowerCase()}.${uniqueSuffix()}@test.com`,
+      phone_number: randomPhoneNumber(),
+      password_hash: 'hashed-password',
+      date_of_birth: new Date('1990-05-15'),
+      gender: 'female',
+      address: {
+        street: '456 Main Street',
+        city: 'Boston',
+        state: 'MA',
+        zip: '02101'
+      },
+      ...overrides
+    }).save();
+  },
+
+  // Save a single-seat clinic slot from 09:00 to 09:30, New York time, some days from today
+  createSlot: (providerId, days, overrides = {}) => {
+    const { ProviderAvailability } = require('../models/ProviderAvailability');
+    return new ProviderAvailability({
+      provider_id: providerId,
+      ...global.testUtils.slotData(days),
+      max_appointments_per_slot: 1,
+      ...overrides
+    }).save();
+  },
+
+  // Request body for availability from 09:00 to 09:30, New York time, some days from today
+  slotData: (days) => ({
+    date: global.testUtils.futureDate(days),
+    start_time: '09:00',
+    end_time: '09:30',
+    timezone: 'America/New_York',
+    appointment_type: 'consultation',
+    location: {
+      type: 'clinic',
+      address: '123 Medical Center Dr'
+    },
+    pricing: {
+      base_fee: 150.00
+    }
+  })
 }; 
\ No newline at end of file
@@ -0,0 +1,75 @@
+const {
+  MAX_QUERY_TERMS,
+  escapeRegex,
+  tokenize,
+  maxTypos,
+  editDistance,
+  expandQuery
+} = require('../utils/textSearch');
+
+describe('Text Search', () => {
+  const vocabulary = new Set(tokenize('Cardiology Dermatology Sports Medicine Boston New York MA NY John Doe'));
+
+  describe('tokenize', () => {
+    it('should split text into distinct lowercase words', () => {
+      expect(tokenize('Sports-Medicine, sports  NEW York!')).toEqual(['sports', 'medicine', 'new', 'york']);
+      expect(tokenize(undefined)).toEqual([]);
+    });
+  });
+
+  describe('escapeRegex', () => {
+    it('should escape characters with a meaning in regular expressions', () => {
+      expect(new RegExp(escapeRegex('a.b(c)*')).test('a.b(c)*')).toBe(true);
+      expect(new RegExp(escapeRegex('a.b')).test('axb')).toBe(false);
+    });
+  });
+
+  describe('editDistance', () => {
+    it('should count insertions, deletions, substitutions and swaps', () => {
+      expect(editDistance('boston', 'boston', 2)).toBe(0);
+      expect(editDistance('bostn', 'boston', 2)).toBe(1);
+      expect(editDistance('bostom', 'boston', 2)).toBe(1);
+      expect(editDistance('botson', 'boston', 2)).toBe(1);
+      expect(editDistance('kitten', 'sitting', 5)).toBe(3);
+    });
+
+    it('should stop at the limit', () => {
+      expect(editDistance('cardiology', 'dermatology', 2)).toBe(3);
+      expect(editDistance('ab', 'abcdef', 1)).toBe(2);
+    });
+  });
+
+  describe('maxTypos', () => {
+    it('should allow more typos in longer words', () => {
+      expect(maxTypos('knee')).toBe(0);
+      expect(maxTypos('boston')).toBe(1);
+      expect(maxTypos('cardiology')).toBe(2);
+    });
+  });
+
+  describe('expandQuery', () => {
+    it('should keep known words as they are', () => {
+      expect(expandQuery('Cardiology Boston', vocabulary)).toEqual(['cardiology', 'boston']);
+    });
+
+    it('should add the terms a misspelled word is close to', () => {
+      expect(expandQuery('cardiolgy bostn', vocabulary)).toEqual(['cardiolgy', 'cardiology', 'bostn', 'boston']);
+      expect(expandQuery('dermatolgoy', vocabulary)).toEqual(['dermatolgoy', 'dermatology']);
+    });
+
+    it('should complete the start of a word', () => {
+      expect(expandQuery('cardio', vocabulary)).toEqual(['cardio', 'cardiology']);
+    });
+
+    it('should leave short unknown words alone', () => {
+      expect(expandQuery('doo knee', vocabulary)).toEqual(['doo', 'knee']);
+    });
+
+    it('should drop search operators and limit the number of words', () => {
+      expect(expandQuery('"boston" -york', vocabulary)).toEqual(['boston', 'york']);
+
+      const words = Array.from({ length: 15 }, (_, index) => `w${index}`).join(' ');
+      expect(expandQuery(words, vocabulary)).toHaveLength(MAX_QUERY_TERMS);
+    });
+  });
+});
@@ -0,0 +1,327 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { ProviderAvailability } = require('../models/ProviderAvailability');
+const { AppointmentSlot } = require('../models/AppointmentSlot');
+const { TimeOff } = require('../models/TimeOff');
+const { Provider } = require('../models/Provider');
+const { Patient } = require('../models/Patient');
+const AuthService = require('../services/authService');
+const PatientAuthService = require('../services/patientAuthService');
+const TimeOffService = require('../services/timeOffService');
+const { ValidationError } = require('../utils/errors');
+const app = require('../server');
+
+const { futureDate, createProvider, createPatient, createSlot, slotData } = global.testUtils;
+
+describe('Time Off API', () => {
+  let providerToken;
+  let otherProviderToken;
+  let patientToken;
+  let providerId;
+
+  beforeAll(async () => {
+    const provider = await createProvider();
+    providerId = provider._id;
+
+    const authService = new AuthService();
+    providerToken = authService.generateToken(provider);
+    otherProviderToken = authService.generateToken(await createProvider());
+
+    const patient = await createPatient({ email: 'timeoff.patient@test.com' });
+    patientToken = new PatientAuthService().generateToken(patient);
+  });
+
+  afterAll(async () => {
+    await Provider.deleteMany({});
+    await Patient.deleteMany({});
+    await ProviderAvailability.deleteMany({});
+    await AppointmentSlot.deleteMany({});
+    await TimeOff.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await ProviderAvailability.deleteMany({});
+    await AppointmentSlot.deleteMany({});
+    await TimeOff.deleteMany({});
+  });
+
+  const createTimeOff = (body, token = providerToken) => request(app)
+    .post('/api/v1/provider/time-off')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  const vacation = {
+    start_date: futureDate(10),
+    end_date: futureDate(12),
+    timezone: 'America/New_York',
+    reason: 'vacation',
+    notes: 'Family trip'
+  };
+
+  const book = (availabilityId) => request(app)
+    .post('/api/v1/appointments')
+    .set('Authorization', `Bearer ${patientToken}`)
+    .send({ availability_id: availabilityId.toString() });
+
+  describe('POST /api/v1/provider/time-off', () => {
+    it('should create time off covering whole local days', async () => {
+      const response = await createTimeOff(vacation).expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.time_off.start_date).toBe(vacation.start_date);
+      expect(response.body.data.time_off.end_date).toBe(vacation.end_date);
+      expect(response.body.data.time_off.reason).toBe('vacation');
+      expect(response.body.data.affected_appointments).toEqual([]);
+
+      // Three local days, give or take a clock change
+      const timeOff = await TimeOff.findById(response.body.data.time_off.id);
+      const hours = (timeOff.ends_at - timeOff.starts_at) / (60 * 60 * 1000);
+      expect([71, 72, 73]).toContain(hours);
+    });
+
+    it('should list appointments already booked inside the range', async () => {
+      const slot = await createSlot(providerId, 11);
+      await book(slot._id).expect(201);
+
+      const response = await createTimeOff(vacation).expect(201);
+
+      expect(response.body.message).toBe('Time off created; 1 booked appointments fall inside it');
+      expect(response.body.data.affected_appointments).toHaveLength(1);
+      expect(response.body.data.affected_appointments[0].patient.email).toBe('timeoff.patient@test.com');
+    });
+
+    it('should reject an end date before the start date', async () => {
+      const response = await createTimeOff({ ...vacation, end_date: futureDate(9) }).expect(400);
+
+      expect(response.body.message).toContain('End date must be on or after start date');
+    });
+
+    it('should reject a date that is not on the calendar', async () => {
+      const response = await createTimeOff({ ...vacation, start_date: '2031-02-30', end_date: '2031-03-02' }).expect(400);
+
+      expect(response.body.message).toContain('Start date must be a real calendar date');
+    });
+
+    it('should report model validation failures as validation errors', async () => {
+      await expect(new TimeOffService().createTimeOff(providerId, { ...vacation, end_date: futureDate(9) }))
+        .rejects.toThrow(ValidationError);
+    });
+
+    it('should require provider authentication', async () => {
+      await request(app)
+        .post('/api/v1/provider/time-off')
+        .send(vacation)
+        .expect(401);
+    });
+  });
+
+  describe('availability during time off', () => {
+    beforeEach(async () => {
+      await createTimeOff(vacation).expect(201);
+    });
+
+    it('should block creating availability inside time off', async () => {
+      const response = await request(app)
+        .post('/api/v1/provider/availability')
+        .set('Authorization', `Bearer ${providerToken}`)
+        .send(slotData(11))
+        .expect(409);
+
+      expect(response.body.message).toContain('falls inside time off');
+    });
+
+    it('should block moving availability into time off', async () => {
+      const slot = await createSlot(providerId, 14);
+
+      const response = await request(app)
+        .put(`/api/v1/provider/availability/${slot._id}`)
+        .set('Authorization', `Bearer ${providerToken}`)
+        .send({ date: futureDate(11) })
+        .expect(409);
+
+      expect(response.body.message).toContain('falls inside time off');
+      expect((await ProviderAvailability.findById(slot._id)).date.toISOString()).toContain(futureDate(14));
+    });
+
+    it('should skip recurring occurrences inside time off', async () => {
+      const response = await request(app)
+        .post('/api/v1/provider/availability')
+        .set('Authorization', `Bearer ${providerToken}`)
+        .send({
+          ...slotData(8),
+          slot_duration: 30,
+          recurrence_rule: 'FREQ=DAILY;COUNT=7'
+        })
+        .expect(201);
+
+      // Days 10, 11 and 12 are off
+      expect(response.body.data.slots_created).toBe(4);
+      expect(response.body.data.slots_skipped).toBe(3);
+    });
+
+    it('should hide existing availability from search and refuse bookings', async () => {
+      const inside = await createSlot(providerId, 11);
+      await createSlot(providerId, 13);
+
+      const search = await request(app)
+        .get('/api/v1/availability/search')
+        .query({ start_date: futureDate(9), end_date: futureDate(14) })
+        .expect(200);
+
+      const slotIds = search.body.data.results.flatMap(result => result.available_slots.map(slot => slot.slot_id));
+      expect(slotIds).toHaveLength(1);
+      expect(slotIds).not.toContain(inside._id.toString());
+      expect(search.body.data.pagination.total).toBe(1);
+
+      const response = await book(inside._id).expect(409);
+      expect(response.body.message).toBe('Provider is on time off during this slot');
+    });
+
+    it('should fill the page with slots outside time off', async () => {
+      // The slots during time off come first in date order and would fill the page
+      await createSlot(providerId, 10);
+      await createSlot(providerId, 11);
+      const visible = [
+        await createSlot(providerId, 13),
+        await createSlot(providerId, 14),
+        await createSlot(providerId, 15)
+      ];
+
+      const search = await request(app)
+        .get('/api/v1/availability/search')
+        .query({ start_date: futureDate(9), end_date: futureDate(16), page: 1, limit: 2 })
+        .expect(200);
+
+      const slotIds = search.body.data.results.flatMap(result => result.available_slots.map(slot => slot.slot_id));
+      expect(slotIds).toEqual(visible.slice(0, 2).map(slot => slot._id.toString()));
+      expect(search.body.data.total_results).toBe(3);
+      expect(search.body.data.pagination).toMatchObject({ page: 1, limit: 2, total: 3, pages: 2 });
+    });
+
+    it('should walk the pages by cursor without empty pages', async () => {
+      const slots = [];
+      for (const days of [9, 10, 11, 12, 13, 14, 15]) {
+        slots.push(await createSlot(providerId, days));
+      }
+      // Days 10, 11 and 12 are off
+      const visible = [slots[0], slots[4], slots[5], slots[6]].map(slot => slot._id.toString());
+
+      const search = cursor => request(app)
+        .get('/api/v1/availability/search')
+        .query({ start_date: futureDate(9), end_date: futureDate(16), limit: 2, ...(cursor && { cursor }) })
+        .expect(200);
+      const slotIds = response => response.body.data.results.flatMap(result => result.available_slots.map(slot => slot.slot_id));
+
+      const pages = [await search()];
+      while (pages[pages.length - 1].body.data.pagination.next_cursor) {
+        pages.push(await search(pages[pages.length - 1].body.data.pagination.next_cursor));
+      }
+
+      expect(pages.map(page => slotIds(page).length)).toEqual([2, 2]);
+      expect(pages.flatMap(slotIds)).toEqual(visible);
+      expect(pages.every(page => page.body.data.pagination.total === 4)).toBe(true);
+
+      const back = await search(pages[1].body.data.pagination.prev_cursor);
+      expect(slotIds(back)).toEqual(visible.slice(0, 2));
+    });
+
+    it('should show the slots again once the time off is deleted', async () => {
+      await createSlot(providerId, 13);
+      const list = await request(app)
+        .get('/api/v1/provider/time-off')
+        .set('Authorization', `Bearer ${providerToken}`)
+        .expect(200);
+
+      expect(list.body.data.total).toBe(1);
+      const timeOffId = list.body.data.time_off[0].id;
+
+      await request(app)
+        .delete(`/api/v1/provider/time-off/${timeOffId}`)
+        .set('Authorization', `Bearer ${otherProviderToken}`)
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/v1/provider/time-off/${timeOffId}`)
+        .set('Authorization', `Bearer ${providerToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/v1/provider/availability')
+        .set('Authorization', `Bearer ${providerToken}`)
+        .send(slotData(11))
+        .expect(201);
+    });
+  });
+
+  describe('bulk changes to booked appointments', () => {
+    let timeOffId;
+    let references;
+
+    beforeEach(async () => {
+      const first = await createSlot(providerId, 11);
+      const second = await createSlot(providerId, 11, { start_time: '10:00', end_time: '10:30' });
+      references = [
+        (await book(first._id).expect(201)).body.data.booking_reference,
+        (await book(second._id).expect(201)).body.data.booking_reference
+      ];
+
+      timeOffId = (await createTimeOff(vacation).expect(201)).body.data.time_off.id;
+    });
+
+    it('should cancel every appointment inside the time off', async () => {
+      const response = await request(app)
+        .post(`/api/v1/provider/time-off/${timeOffId}/appointments/cancel`)
+        .set('Authorization', `Bearer ${providerToken}`)
+        .send({ reason: 'Provider on vacation' })
+        .expect(200);
+
+      expect(response.body.data.succeeded).toBe(2);
+      expect(response.body.data.failed).toBe(0);
+
+      const cancelled = await AppointmentSlot.find({ booking_reference: { $in: references } });
+      cancelled.forEach(appointment => {
+        expect(appointment.status).toBe('cancelled');
+        expect(appointment.cancellation_reason).toBe('Provider on vacation');
+        expect(appointment.applied_fee?.kind).toBeUndefined();
+      });
+
+      const detail = await request(app)
+        .get(`/api/v1/provider/time-off/${timeOffId}`)
+        .set('Authorization', `Bearer ${providerToken}`)
+        .expect(200);
+      expect(detail.body.data.affected_appointments).toHaveLength(0);
+    });
+
+    it('should move appointments to slots outside the time off', async () => {
+      const target = await createSlot(providerId, 14);
+
+      const response = await request(app)
+        .post(`/api/v1/provider/time-off/${timeOffId}/appointments/reschedule`)
+        .set('Authorization', `Bearer ${providerToken}`)
+        .send({
+          moves: [
+            { booking_reference: references[0], availability_id: target._id.toString() },
+            { booking_reference: 'APPT-UNKNOWN', availability_id: target._id.toString() }
+          ],
+          reason: 'Provider on vacation'
+        })
+        .expect(200);
+
+      expect(response.body.data.succeeded).toBe(1);
+      expect(response.body.data.results[1].status).toBe('error');
+
+      const moved = await AppointmentSlot.findOne({ booking_reference: references[0] });
+      expect(moved.availability_id.toString()).toBe(target._id.toString());
+      expect(moved.reschedule_history[0].rescheduled_by).toBe('provider');
+    });
+
+    it('should not let another provider touch the appointments', async () => {
+      await request(app)
+        .post(`/api/v1/provider/time-off/${timeOffId}/appointments/cancel`)
+        .set('Authorization', `Bearer ${otherProviderToken}`)
+        .send({})
+        .expect(403);
+    });
+  });
+});
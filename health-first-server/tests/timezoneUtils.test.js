@@ -0,0 +1,96 @@
+const {
+  localToUTC,
+  utcToLocal,
+  getTimezoneOffset,
+  isDST,
+  isValidTimezone
+} = require('../utils/timezoneUtils');
+
+describe('Timezone Utils', () => {
+  describe('isValidTimezone', () => {
+    it('should accept IANA zones beyond the major ones', () => {
+      expect(isValidTimezone('America/Phoenix')).toBe(true);
+      expect(isValidTimezone('America/Sao_Paulo')).toBe(true);
+      expect(isValidTimezone('Asia/Dubai')).toBe(true);
+      expect(isValidTimezone('UTC')).toBe(true);
+    });
+
+    it('should reject unknown or malformed zones', () => {
+      expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+      expect(isValidTimezone('')).toBe(false);
+      expect(isValidTimezone(undefined)).toBe(false);
+    });
+  });
+
+  describe('localToUTC', () => {
+    it('should apply standard and daylight offsets by date', () => {
+      expect(localToUTC('09:00', '2026-01-15', 'America/New_York').toISOString())
+        .toBe('2026-01-15T14:00:00.000Z');
+      expect(localToUTC('09:00', '2026-07-15', 'America/New_York').toISOString())
+        .toBe('2026-07-15T13:00:00.000Z');
+    });
+
+    it('should handle zones without DST', () => {
+      expect(localToUTC('09:00', '2026-07-15', 'America/Phoenix').toISOString())
+        .toBe('2026-07-15T16:00:00.000Z');
+      expect(localToUTC('09:00', '2026-07-15', 'Asia/Dubai').toISOString())
+        .toBe('2026-07-15T05:00:00.000Z');
+    });
+
+    it('should move nonexistent spring-forward times past the gap', () => {
+      expect(localToUTC('02:30', '2026-03-08', 'America/New_York').toISOString())
+        .toBe('2026-03-08T07:30:00.000Z');
+      expect(localToUTC('02:30', '2026-03-08', 'America/New_York', { disambiguation: 'earlier' }).toISOString())
+        .toBe('2026-03-08T06:30:00.000Z');
+    });
+
+    it('should resolve ambiguous fall-back times to the first occurrence by default', () => {
+      expect(localToUTC('01:30', '2026-11-01', 'America/New_York').toISOString())
+        .toBe('2026-11-01T05:30:00.000Z');
+      expect(localToUTC('01:30', '2026-11-01', 'America/New_York', { disambiguation: 'later' }).toISOString())
+        .toBe('2026-11-01T06:30:00.000Z');
+    });
+
+    it('should handle southern hemisphere transitions', () => {
+      // Sydney springs forward on the first Sunday of October
+      expect(localToUTC('02:30', '2026-10-04', 'Australia/Sydney').toISOString())
+        .toBe('2026-10-03T16:30:00.000Z');
+    });
+
+    it('should reject nonexistent and ambiguous times when asked to', () => {
+      expect(() => localToUTC('02:30', '2026-03-08', 'America/New_York', { disambiguation: 'reject' }))
+        .toThrow('does not exist');
+      expect(() => localToUTC('01:30', '2026-11-01', 'America/New_York', { disambiguation: 'reject' }))
+        .toThrow('is ambiguous');
+    });
+
+    it('should reject invalid timezones', () => {
+      expect(() => localToUTC('09:00', '2026-01-15', 'Invalid/Zone')).toThrow('Invalid timezone');
+    });
+  });
+
+  describe('utcToLocal', () => {
+    it('should convert both sides of a fall-back transition', () => {
+      const first = utcToLocal(new Date('2026-11-01T05:30:00Z'), 'America/New_York');
+      const second = utcToLocal(new Date('2026-11-01T06:30:00Z'), 'America/New_York');
+
+      expect(first).toMatchObject({ date: '2026-11-01', time: '01:30', offset_minutes: -240 });
+      expect(second).toMatchObject({ date: '2026-11-01', time: '01:30', offset_minutes: -300 });
+    });
+
+    it('should roll over to the local date', () => {
+      expect(utcToLocal(new Date('2026-07-15T22:00:00Z'), 'Asia/Kolkata'))
+        .toMatchObject({ date: '2026-07-16', time: '03:30' });
+    });
+  });
+
+  describe('getTimezoneOffset and isDST', () => {
+    it('should follow DST rules', () => {
+      expect(getTimezoneOffset('Europe/London', new Date('2026-01-15T12:00:00Z'))).toBe(0);
+      expect(getTimezoneOffset('Europe/London', new Date('2026-07-15T12:00:00Z'))).toBe(60);
+      expect(isDST(new Date('2026-07-15T12:00:00Z'), 'America/New_York')).toBe(true);
+      expect(isDST(new Date('2026-01-15T12:00:00Z'), 'Australia/Sydney')).toBe(true);
+      expect(isDST(new Date('2026-07-15T12:00:00Z'), 'America/Phoenix')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,205 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { ProviderAvailability } = require('../models/ProviderAvailability');
+const { AppointmentSlot } = require('../models/AppointmentSlot');
+const { WaitlistEntry } = require('../models/WaitlistEntry');
+const { SlotHold } = require('../models/SlotHold');
+const { Provider } = require('../models/Provider');
+const { Patient } = require('../models/Patient');
+const PatientAuthService = require('../services/patientAuthService');
+const WaitlistService = require('../services/waitlistService');
+const app = require('../server');
+
+const { futureDate, createProvider, createPatient, createSlot } = global.testUtils;
+
+describe('Waitlist API', () => {
+  let bookerToken;
+  let firstToken;
+  let secondToken;
+  let providerId;
+  let availabilityId;
+
+  beforeAll(async () => {
+    const provider = await createProvider();
+    providerId = provider._id;
+
+    const patientAuthService = new PatientAuthService();
+    bookerToken = patientAuthService.generateToken(await createPatient({ first_name: 'Booker' }));
+    firstToken = patientAuthService.generateToken(await createPatient({ first_name: 'First' }));
+    secondToken = patientAuthService.generateToken(await createPatient({ first_name: 'Second' }));
+  });
+
+  afterAll(async () => {
+    await Provider.deleteMany({});
+    await Patient.deleteMany({});
+    await ProviderAvailability.deleteMany({});
+    await AppointmentSlot.deleteMany({});
+    await WaitlistEntry.deleteMany({});
+    await SlotHold.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await ProviderAvailability.deleteMany({});
+    await AppointmentSlot.deleteMany({});
+    await WaitlistEntry.deleteMany({});
+    await SlotHold.deleteMany({});
+
+    const availability = await createSlot(providerId, 7);
+    availabilityId = availability._id;
+  });
+
+  const book = (token = bookerToken) => request(app)
+    .post('/api/v1/appointments')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ availability_id: availabilityId.toString() });
+
+  const join = (token, body = { availability_id: availabilityId.toString() }) => request(app)
+    .post('/api/v1/waitlist')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  const cancel = (reference) => request(app)
+    .post(`/api/v1/appointments/${reference}/cancel`)
+    .set('Authorization', `Bearer ${bookerToken}`)
+    .expect(200);
+
+  describe('POST /api/v1/waitlist', () => {
+    it('should join the waitlist of a fully booked slot', async () => {
+      await book().expect(201);
+
+      const response = await join(firstToken).expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.status).toBe('waiting');
+      expect(response.body.data.availability_id).toBe(availabilityId.toString());
+    });
+
+    it('should reject a slot with free capacity', async () => {
+      await join(firstToken).expect(409);
+    });
+
+    it('should reject joining the same waitlist twice', async () => {
+      await book().expect(201);
+      await join(firstToken).expect(201);
+
+      await join(firstToken).expect(409);
+    });
+
+    it('should join a provider waitlist for a date range', async () => {
+      const response = await join(firstToken, {
+        provider_id: providerId.toString(),
+        start_date: futureDate(1),
+        end_date: futureDate(14)
+      }).expect(201);
+
+      expect(response.body.data.availability_id).toBeNull();
+      expect(response.body.data.start_date).toBe(`${futureDate(1)}T00:00:00.000Z`);
+    });
+
+    it('should require a slot or a provider with a date range', async () => {
+      const response = await join(firstToken, { provider_id: providerId.toString() }).expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('offers', () => {
+    it('should hold a cancelled seat for the first waitlisted patient', async () => {
+      const booking = await book().expect(201);
+      const first = await join(firstToken).expect(201);
+      await join(secondToken).expect(201);
+
+      const cancelled = await cancel(booking.body.data.booking_reference);
+      expect(cancelled.body.data.availability.held_appointments).toBe(1);
+
+      const entries = await request(app)
+        .get('/api/v1/waitlist')
+        .set('Authorization', `Bearer ${firstToken}`)
+        .expect(200);
+      expect(entries.body.data[0].id).toBe(first.body.data.id);
+      expect(entries.body.data[0].status).toBe('offered');
+      expect(entries.body.data[0].offer.availability_id).toBe(availabilityId.toString());
+
+      // The held seat is not open to anyone else
+      await book(secondToken).expect(409);
+    });
+
+    it('should book the held seat when the offer is accepted', async () => {
+      const booking = await book().expect(201);
+      const first = await join(firstToken).expect(201);
+      await cancel(booking.body.data.booking_reference);
+
+      const response = await request(app)
+        .post(`/api/v1/waitlist/${first.body.data.id}/accept`)
+        .set('Authorization', `Bearer ${firstToken}`)
+        .expect(201);
+
+      expect(response.body.data.booking_reference).toMatch(/^APPT-/);
+      expect(response.body.data.waitlist_entry.status).toBe('booked');
+
+      const availability = await ProviderAvailability.findById(availabilityId);
+      expect(availability.current_appointments).toBe(1);
+      expect(availability.held_appointments).toBe(0);
+    });
+
+    it('should pass the seat on when an offer is declined', async () => {
+      const booking = await book().expect(201);
+      const first = await join(firstToken).expect(201);
+      const second = await join(secondToken).expect(201);
+      await cancel(booking.body.data.booking_reference);
+
+      await request(app)
+        .post(`/api/v1/waitlist/${first.body.data.id}/decline`)
+        .set('Authorization', `Bearer ${firstToken}`)
+        .expect(200);
+
+      const entry = await WaitlistEntry.findById(second.body.data.id);
+      expect(entry.status).toBe('offered');
+    });
+
+    it('should pass the seat on when an offer expires', async () => {
+      const booking = await book().expect(201);
+      const first = await join(firstToken).expect(201);
+      const second = await join(secondToken).expect(201);
+      await cancel(booking.body.data.booking_reference);
+
+      await SlotHold.updateMany({}, { expires_at: new Date(Date.now() - 1000) });
+      await new WaitlistService().sweepExpiredHolds();
+
+      expect((await WaitlistEntry.findById(first.body.data.id)).status).toBe('expired');
+      expect((await WaitlistEntry.findById(second.body.data.id)).status).toBe('offered');
+
+      await request(app)
+        .post(`/api/v1/waitlist/${first.body.data.id}/accept`)
+        .set('Authorization', `Bearer ${firstToken}`)
+        .expect(409);
+    });
+
+    it('should free the seat when nobody is waiting any more', async () => {
+      const booking = await book().expect(201);
+      const first = await join(firstToken).expect(201);
+      await cancel(booking.body.data.booking_reference);
+
+      await request(app)
+        .delete(`/api/v1/waitlist/${first.body.data.id}`)
+        .set('Authorization', `Bearer ${firstToken}`)
+        .expect(200);
+
+      const availability = await ProviderAvailability.findById(availabilityId);
+      expect(availability.held_appointments).toBe(0);
+      expect(availability.status).toBe('available');
+    });
+
+    it('should not let another patient accept an offer', async () => {
+      const booking = await book().expect(201);
+      const first = await join(firstToken).expect(201);
+      await cancel(booking.body.data.booking_reference);
+
+      await request(app)
+        .post(`/api/v1/waitlist/${first.body.data.id}/accept`)
+        .set('Authorization', `Bearer ${secondToken}`)
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Appointment lifecycle: the statuses an appointment goes through, which status
+ * changes are allowed and who may make each of them.
+ *
+ *   requested → confirmed → checked_in → in_progress → completed
+ *
+ * with cancelled and no_show as the other ways a visit ends. Requests the
+ * provider turns down are declined; requests left unanswered expire.
+ */
+const { InvalidTransitionError, AuthorizationError } = require('./errors');
+
+const APPOINTMENT_STATUSES = [
+  'requested',
+  'confirmed',
+  'checked_in',
+  'in_progress',
+  'completed',
+  'cancelled',
+  'no_show',
+  'declined',
+  'expired'
+];
+
+// Who can change an appointment; the system expires requests nobody answered
+const ACTOR_ROLES = ['patient', 'provider', 'system'];
+
+// Appointments that are still going to happen
+const ACTIVE_APPOINTMENT_STATUSES = ['requested', 'confirmed', 'checked_in', 'in_progress'];
+
+// Appointments that keep their seat on the slot; cancelling, declining and expiring give it back
+const SEAT_HOLDING_STATUSES = [...ACTIVE_APPOINTMENT_STATUSES, 'completed', 'no_show'];
+
+// Appointments that can still be moved to another slot
+const RESCHEDULABLE_STATUSES = ['requested', 'confirmed'];
+
+// Allowed transitions and the roles that may trigger them. Providers who do not
+// use check-in can complete a confirmed visit directly.
+const TRANSITIONS = {
+  requested: {
+    confirmed: ['provider'],
+    declined: ['provider'],
+    expired: ['system'],
+    cancelled: ['patient', 'provider']
+  },
+  confirmed: {
+    checked_in: ['patient', 'provider'],
+    completed: ['provider'],
+    cancelled: ['patient', 'provider'],
+    no_show: ['provider']
+  },
+  checked_in: {
+    in_progress: ['provider'],
+    completed: ['provider'],
+    cancelled: ['provider']
+  },
+  in_progress: {
+    completed: ['provider']
+  },
+  completed: {},
+  cancelled: {},
+  no_show: {},
+  declined: {},
+  expired: {}
+};
+
+// Field recording when an appointment entered each status
+const STATUS_TIMESTAMP_FIELDS = {
+  requested: 'requested_at',
+  confirmed: 'confirmed_at',
+  checked_in: 'checked_in_at',
+  in_progress: 'started_at',
+  completed: 'completed_at',
+  cancelled: 'cancelled_at',
+  no_show: 'no_show_at',
+  declined: 'declined_at',
+  expired: 'expired_at'
+};
+
+/**
+ * List the statuses an appointment can move to from its current status
+ * @param {string} from - Current status
+ * @param {string} role - Optional role to only list the transitions it may trigger
+ * @returns {Array<string>} Reachable statuses
+ */
+const getAllowedTransitions = (from, role) => {
+  const targets = TRANSITIONS[from] || {};
+  return Object.keys(targets).filter(to => !role || targets[to].includes(role));
+};
+
+/**
+ * Make sure a status change is part of the lifecycle and the role may make it
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {string} role - 'patient', 'provider' or 'system'
+ * @throws {InvalidTransitionError} If the lifecycle does not allow the change
+ * @throws {AuthorizationError} If the change is allowed, but not for this role
+ */
+const assertTransition = (from, to, role) => {
+  const roles = (TRANSITIONS[from] || {})[to];
+
+  if (!roles) {
+    throw new InvalidTransitionError(`Cannot change an appointment from ${from} to ${to}`, {
+      from,
+      to,
+      allowed: getAllowedTransitions(from, role)
+    });
+  }
+
+  if (!roles.includes(role)) {
+    throw new AuthorizationError(`Only the ${roles.join(' or ')} can change an appointment from ${from} to ${to}`);
+  }
+};
+
+/**
+ * Build the fields recording a status change: the new status, the timestamp of
+ * entering it and a status history entry
+ * @param {string|null} from - Current status, null for a new appointment
+ * @param {string} to - New status
+ * @param {string} by - 'patient', 'provider' or 'system'
+ * @returns {Object} { fields, historyEntry }
+ */
+const buildStatusChange = (from, to, by) => {
+  const at = new Date();
+
+  return {
+    fields: { status: to, [STATUS_TIMESTAMP_FIELDS[to]]: at },
+    historyEntry: { from, to, by, at }
+  };
+};
+
+module.exports = {
+  APPOINTMENT_STATUSES,
+  ACTOR_ROLES,
+  ACTIVE_APPOINTMENT_STATUSES,
+  SEAT_HOLDING_STATUSES,
+  RESCHEDULABLE_STATUSES,
+  STATUS_TIMESTAMP_FIELDS,
+  getAllowedTransitions,
+  assertTransition,
+  buildStatusChange
+};
@@ -0,0 +1,245 @@
+/**
+ * CSV helpers for availability import and export (RFC 4180: comma separated,
+ * fields optionally wrapped in double quotes, "" escapes a quote inside a quoted field)
+ */
+
+// Columns accepted by the import
+const AVAILABILITY_IMPORT_COLUMNS = [
+  'date',
+  'start_time',
+  'end_time',
+  'timezone',
+  'slot_duration',
+  'break_duration',
+  'max_appointments_per_slot',
+  'appointment_type',
+  'location_type',
+  'location_address',
+  'location_room_number',
+  'base_fee',
+  'insurance_accepted',
+  'currency',
+  'cancellation_window_hours',
+  'late_cancel_fee',
+  'no_show_fee',
+  'booking_mode',
+  'min_notice_hours',
+  'max_advance_days',
+  'buffer_after_minutes',
+  'recurrence_rule',
+  'recurrence_exdate',
+  'recurrence_end_date',
+  'special_requirements',
+  'notes'
+];
+
+// Columns written by the export, one row per concrete slot. Recurrence columns are left
+// out so an export can be imported again without expanding each slot into a new series.
+const AVAILABILITY_EXPORT_COLUMNS = [
+  'availability_id',
+  ...AVAILABILITY_IMPORT_COLUMNS.filter(column => !column.startsWith('recurrence_')),
+  'series_id',
+  'status',
+  'current_appointments'
+];
+
+// Flat CSV columns that map onto nested availability fields
+const NESTED_COLUMNS = {
+  location_type: ['location', 'type'],
+  location_address: ['location', 'address'],
+  location_room_number: ['location', 'room_number'],
+  base_fee: ['pricing', 'base_fee'],
+  insurance_accepted: ['pricing', 'insurance_accepted'],
+  currency: ['pricing', 'currency'],
+  cancellation_window_hours: ['cancellation_policy', 'window_hours'],
+  late_cancel_fee: ['cancellation_policy', 'late_cancel_fee'],
+  no_show_fee: ['cancellation_policy', 'no_show_fee'],
+  min_notice_hours: ['scheduling_rules', 'min_notice_hours'],
+  max_advance_days: ['scheduling_rules', 'max_advance_days'],
+  buffer_after_minutes: ['scheduling_rules', 'buffer_after_minutes']
+};
+
+// Separator for list values inside a single CSV field
+const LIST_SEPARATOR = '|';
+
+/**
+ * Parse CSV text into one object per data row, keyed by the header row
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Records
+ */
+const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  // Ignore a UTF-8 byte order mark written by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  const records = rows.filter(values => values.some(value => value.trim() !== ''));
+  if (records.length === 0) {
+    return [];
+  }
+
+  const header = records[0].map(name => name.trim().toLowerCase());
+  if (header.some(name => name === '')) {
+    throw new Error('Header row contains an empty column name');
+  }
+
+  return records.slice(1).map(values => {
+    const record = {};
+    header.forEach((name, index) => {
+      record[name] = values[index] !== undefined ? values[index] : '';
+    });
+    return record;
+  });
+};
+
+/**
+ * Escape one value for a CSV field
+ * @param {*} value - Field value
+ * @returns {string} Escaped field
+ */
+const escapeCSVField = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Build one CSV line
+ * @param {Array} values - Field values
+ * @returns {string} CSV line including the trailing newline
+ */
+const toCSVLine = (values) => `${values.map(escapeCSVField).join(',')}\r\n`;
+
+/**
+ * Turn an import row (flat CSV record or JSON object) into availability data.
+ * Empty values are dropped so schema defaults apply; flat location, pricing and
+ * cancellation policy columns are nested, and list columns are split on "|".
+ * @param {Object} row - Import row
+ * @returns {Object} Availability data
+ */
+const toAvailabilityData = (row) => {
+  const data = {};
+
+  for (const [key, value] of Object.entries(row || {})) {
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+
+    if (NESTED_COLUMNS[key]) {
+      const [parent, child] = NESTED_COLUMNS[key];
+      data[parent] = { ...data[parent], [child]: value };
+    } else if (key === 'special_requirements' && typeof value === 'string') {
+      data.special_requirements = value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+    } else if (key === 'recurrence_exdate' && typeof value === 'string' && value.includes(LIST_SEPARATOR)) {
+      data.recurrence_exdate = value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+    } else if (['location', 'pricing', 'cancellation_policy', 'scheduling_rules'].includes(key)) {
+      data[key] = { ...data[key], ...value };
+    } else if (AVAILABILITY_IMPORT_COLUMNS.includes(key)) {
+      data[key] = value;
+    }
+  }
+
+  return data;
+};
+
+/**
+ * Flatten an availability slot into export column values
+ * @param {Object} availability - Availability slot
+ * @returns {Object} Values keyed by column
+ */
+const fromAvailability = (availability) => ({
+  availability_id: availability._id,
+  date: availability.date ? availability.date.toISOString().split('T')[0] : '',
+  start_time: availability.start_time,
+  end_time: availability.end_time,
+  timezone: availability.timezone,
+  slot_duration: availability.slot_duration,
+  break_duration: availability.break_duration,
+  max_appointments_per_slot: availability.max_appointments_per_slot,
+  appointment_type: availability.appointment_type,
+  location_type: availability.location?.type,
+  location_address: availability.location?.address,
+  location_room_number: availability.location?.room_number,
+  base_fee: availability.pricing?.base_fee,
+  insurance_accepted: availability.pricing?.insurance_accepted,
+  currency: availability.pricing?.currency,
+  cancellation_window_hours: availability.cancellation_policy?.window_hours,
+  late_cancel_fee: availability.cancellation_policy?.late_cancel_fee,
+  no_show_fee: availability.cancellation_policy?.no_show_fee,
+  booking_mode: availability.booking_mode,
+  min_notice_hours: availability.scheduling_rules?.min_notice_hours,
+  max_advance_days: availability.scheduling_rules?.max_advance_days,
+  buffer_after_minutes: availability.scheduling_rules?.buffer_after_minutes,
+  special_requirements: (availability.special_requirements || []).join(LIST_SEPARATOR),
+  notes: availability.notes,
+  series_id: availability.series_id,
+  status: availability.status,
+  current_appointments: availability.current_appointments
+});
+
+module.exports = {
+  AVAILABILITY_IMPORT_COLUMNS,
+  AVAILABILITY_EXPORT_COLUMNS,
+  parseCSV,
+  escapeCSVField,
+  toCSVLine,
+  toAvailabilityData,
+  fromAvailability
+};
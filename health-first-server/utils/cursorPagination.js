@@ -0,0 +1,156 @@
+/**
+ * Cursor (keyset) pagination. A cursor is an opaque token holding the sort key values
+ * of the first or last item of a page. The page next to it starts right after those
+ * values instead of skipping a number of documents, so it stays fast on large
+ * collections and does not repeat or miss items when documents change in between.
+ * Sort orders must end with _id so that every item has a distinct position.
+ */
+const mongoose = require('mongoose');
+const { ValidationError } = require('./errors');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const DIRECTIONS = ['next', 'prev'];
+
+/**
+ * Read a possibly nested field of a document or plain object
+ * @param {Object} item - Document or object
+ * @param {string} field - Field path (e.g. "clinic_address.city")
+ * @returns {*} Value
+ */
+const getField = (item, field) => field.split('.').reduce((value, key) => (value == null ? value : value[key]), item);
+
+/**
+ * Encode the position of an item in a sort order
+ * @param {Object} sort - Sort order, e.g. { date: 1, _id: 1 }
+ * @param {Object} item - Item to continue from
+ * @param {string} direction - 'next' for the items after it, 'prev' for those before it
+ * @returns {string} Cursor
+ */
+const encodeCursor = (sort, item, direction) => {
+  const fields = Object.keys(sort);
+  const token = EJSON.stringify({ k: fields.join(','), d: direction, v: fields.map(field => getField(item, field)) });
+
+  return Buffer.from(token, 'utf8').toString('base64url');
+};
+
+/**
+ * Decode a cursor made for a sort order
+ * @param {string} cursor - Cursor
+ * @param {Object} sort - Sort order of the list
+ * @returns {Object} { direction, values }
+ * @throws {ValidationError} If the cursor is malformed or was made for another sort order
+ */
+const decodeCursor = (cursor, sort) => {
+  let parsed;
+  try {
+    parsed = EJSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    parsed = null;
+  }
+
+  const fields = Object.keys(sort);
+  if (!parsed || parsed.k !== fields.join(',') || !DIRECTIONS.includes(parsed.d) ||
+      !Array.isArray(parsed.v) || parsed.v.length !== fields.length) {
+    throw new ValidationError('Invalid cursor; use a next_cursor or prev_cursor from the same list');
+  }
+
+  return { direction: parsed.d, values: parsed.v };
+};
+
+/**
+ * Query condition for the items after (or, moving back, before) a position
+ * @param {Object} sort - Sort order of the list
+ * @param {Array} values - Sort key values of the position
+ * @param {string} direction - 'next' or 'prev'
+ * @returns {Object} Condition
+ */
+const afterCondition = (sort, values, direction) => {
+  const fields = Object.keys(sort);
+
+  return {
+    $or: fields.map((field, index) => {
+      const forward = (sort[field] === 1) === (direction === 'next');
+      return {
+        ...Object.fromEntries(fields.slice(0, index).map((previous, i) => [previous, values[i]])),
+        [field]: { [forward ? '$gt' : '$lt']: values[index] }
+      };
+    })
+  };
+};
+
+/**
+ * Plan a page of a cursor-paginated list. Without a cursor the list starts at the
+ * beginning (or where skip puts it).
+ * @param {Object} sort - Sort order of the list
+ * @param {string} [cursor] - Cursor from a previous page
+ * @returns {Object} { sort, condition, backwards }: fetch limit + 1 items matching
+ *   condition (null for none) in this sort order, then pass them to cursorPage
+ */
+const cursorQuery = (sort, cursor) => {
+  if (!cursor) {
+    return { sort, condition: null, backwards: false };
+  }
+
+  const { direction, values } = decodeCursor(cursor, sort);
+  const backwards = direction === 'prev';
+
+  return {
+    sort: backwards ? Object.fromEntries(Object.entries(sort).map(([field, order]) => [field, -order])) : sort,
+    condition: afterCondition(sort, values, direction),
+    backwards
+  };
+};
+
+/**
+ * Cut a page fetched with one extra item, and make the cursors next to it. Every filter
+ * must run before the fetch: dropping items from the page afterwards leaves cursors
+ * that can lead to short or empty pages.
+ * @param {Array} items - Up to limit + 1 items, in the order cursorQuery gave
+ * @param {Object} sort - Sort order of the list
+ * @param {Object} options - limit, backwards (from cursorQuery), and hasPrevious:
+ *   whether items come before the first one fetched going forward
+ * @returns {Object} { items, next_cursor, prev_cursor }, items in list order
+ */
+const cursorPage = (items, sort, { limit, backwards = false, hasPrevious = false }) => {
+  const hasMore = items.length > limit;
+  const page = items.slice(0, limit);
+  if (backwards) {
+    page.reverse();
+  }
+
+  // Moving back, the extra item lies before the page, and the cursor came from after it
+  const hasNext = backwards || hasMore;
+  const hasPrev = backwards ? hasMore : hasPrevious;
+
+  return {
+    items: page,
+    next_cursor: hasNext && page.length > 0 ? encodeCursor(sort, page[page.length - 1], 'next') : null,
+    prev_cursor: hasPrev && page.length > 0 ? encodeCursor(sort, page[0], 'prev') : null
+  };
+};
+
+/**
+ * Pagination details of a page. Page numbers are kept for requests without a cursor;
+ * the cursors next to the page are given either way.
+ * @param {Object} request - { cursor, page, limit, total }
+ * @param {Object} cursors - { next_cursor, prev_cursor } from cursorPage
+ * @returns {Object} Pagination details
+ */
+const paginationDetails = ({ cursor, page, limit, total }, cursors) => ({
+  ...(!cursor && { page }),
+  limit,
+  total,
+  ...(!cursor && { pages: Math.ceil(total / limit) }),
+  next_cursor: cursors.next_cursor,
+  prev_cursor: cursors.prev_cursor
+});
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  afterCondition,
+  cursorQuery,
+  cursorPage,
+  paginationDetails
+};
@@ -19,6 +19,24 @@ class DuplicateError extends Error {
   }
 }
 
+class ConflictError extends Error {
+  constructor(message, conflicts = []) {
+    super(message);
+    this.name = 'ConflictError';
+    this.conflicts = conflicts;
+    this.statusCode = 409;
+  }
+}
+
+class InvalidTransitionError extends Error {
+  constructor(message, transition = {}) {
+    super(message);
+    this.name = 'InvalidTransitionError';
+    this.transition = transition;
+    this.statusCode = 409;
+  }
+}
+
 class DatabaseError extends Error {
   constructor(message) {
     super(message);
@@ -59,12 +77,29 @@ class RateLimitError extends Error {
   }
 }
 
+/**
+ * Turn a Mongoose validation error into a ValidationError listing each invalid field
+ * @param {Error} error - Mongoose ValidationError
+ * @returns {ValidationError} Validation error, with messages by field as details
+ */
+const toValidationError = (error) => {
+  const fields = Object.entries(error.errors || {});
+
+  return new ValidationError(
+    fields.map(([, fieldError]) => fieldError.message).join(', ') || error.message,
+    Object.fromEntries(fields.map(([path, fieldError]) => [path, [fieldError.message]]))
+  );
+};
+
 module.exports = {
   ValidationError,
   DuplicateError,
+  ConflictError,
+  InvalidTransitionError,
   DatabaseError,
   AuthenticationError,
   AuthorizationError,
   NotFoundError,
-  RateLimitError
+  RateLimitError,
+  toValidationError
 }; 
\ No newline at end of file
@@ -0,0 +1,94 @@
+/**
+ * Coordinates and distances. Places are stored as GeoJSON points, which list the
+ * longitude before the latitude, so they can be searched with 2dsphere indexes.
+ */
+
+// Search radius when `near` is given without `radius_km`, and the largest allowed
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+
+// Mean radius MongoDB uses for spherical geometry
+const EARTH_RADIUS_KM = 6378.1;
+
+/**
+ * Check a latitude and longitude
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @returns {boolean} Whether both are finite and in range
+ */
+const isValidCoordinates = (latitude, longitude) =>
+  Number.isFinite(latitude) && Number.isFinite(longitude) &&
+  Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+
+/**
+ * Parse a `near` query value
+ * @param {string} value - "latitude,longitude", e.g. "40.7128,-74.0060"
+ * @returns {Object} { latitude, longitude }
+ * @throws {Error} If the value is not a valid latitude and longitude pair
+ */
+const parseNear = (value) => {
+  const parts = String(value).split(',').map(part => part.trim());
+  const [latitude, longitude] = parts.map(part => (/^-?\d+(\.\d+)?$/.test(part) ? Number(part) : NaN));
+
+  if (parts.length !== 2 || !isValidCoordinates(latitude, longitude)) {
+    throw new Error('near must be "latitude,longitude" with latitude between -90 and 90 and longitude between -180 and 180');
+  }
+
+  return { latitude, longitude };
+};
+
+/**
+ * Build a GeoJSON point
+ * @param {Object} coordinates - { latitude, longitude }
+ * @returns {Object} { type: 'Point', coordinates: [longitude, latitude] }
+ */
+const toGeoPoint = ({ latitude, longitude }) => ({
+  type: 'Point',
+  coordinates: [longitude, latitude]
+});
+
+/**
+ * Query condition for points within a radius, for queries that cannot start with $geoNear
+ * @param {Object} near - { latitude, longitude }
+ * @param {number} radiusKm - Radius in kilometres
+ * @returns {Object} $geoWithin condition
+ */
+const withinRadius = (near, radiusKm) => ({
+  $geoWithin: {
+    $centerSphere: [[near.longitude, near.latitude], radiusKm / EARTH_RADIUS_KM]
+  }
+});
+
+/**
+ * Great-circle distance between a place and a GeoJSON point
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} point - GeoJSON point
+ * @returns {number} Distance in kilometres, to 0.1 km
+ */
+const distanceKm = (from, point) => {
+  const [longitude, latitude] = point.coordinates;
+  const radians = degrees => degrees * Math.PI / 180;
+  const a = Math.sin(radians(latitude - from.latitude) / 2) ** 2 +
+    Math.cos(radians(from.latitude)) * Math.cos(radians(latitude)) *
+    Math.sin(radians(longitude - from.longitude) / 2) ** 2;
+
+  return Math.round(2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a))) * 10) / 10;
+};
+
+/**
+ * Round a distance in metres to kilometres for responses
+ * @param {number} meters - Distance in metres
+ * @returns {number} Distance in kilometres, to 0.1 km
+ */
+const metersToKm = (meters) => Math.round(meters / 100) / 10;
+
+module.exports = {
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+  isValidCoordinates,
+  parseNear,
+  toGeoPoint,
+  withinRadius,
+  distanceKm,
+  metersToKm
+};
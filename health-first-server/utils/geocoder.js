@@ -0,0 +1,235 @@
+/**
+ * Address geocoding. The built-in geocoder works offline from a small table of US
+ * cities: it finds the city and state in an address and returns the city centre, so
+ * distances are good to a few kilometres. Addresses outside the table get no
+ * coordinates. A real geocoding service can be plugged in with setGeocoder.
+ */
+const { isValidCoordinates, toGeoPoint } = require('./geoUtils');
+
+const STATE_CODES = {
+  alabama: 'AL', alaska: 'AK', arizona: 'AZ', arkansas: 'AR', california: 'CA',
+  colorado: 'CO', connecticut: 'CT', delaware: 'DE', 'district of columbia': 'DC', florida: 'FL',
+  georgia: 'GA', hawaii: 'HI', idaho: 'ID', illinois: 'IL', indiana: 'IN',
+  iowa: 'IA', kansas: 'KS', kentucky: 'KY', louisiana: 'LA', maine: 'ME',
+  maryland: 'MD', massachusetts: 'MA', michigan: 'MI', minnesota: 'MN', mississippi: 'MS',
+  missouri: 'MO', montana: 'MT', nebraska: 'NE', nevada: 'NV', 'new hampshire': 'NH',
+  'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY', 'north carolina': 'NC', 'north dakota': 'ND',
+  ohio: 'OH', oklahoma: 'OK', oregon: 'OR', pennsylvania: 'PA', 'rhode island': 'RI',
+  'south carolina': 'SC', 'south dakota': 'SD', tennessee: 'TN', texas: 'TX', utah: 'UT',
+  vermont: 'VT', virginia: 'VA', washington: 'WA', 'west virginia': 'WV', wisconsin: 'WI',
+  wyoming: 'WY'
+};
+
+// City centres as [latitude, longitude], by "city|state code"
+const CITIES = {
+  'albany|NY': [42.6526, -73.7562],
+  'albuquerque|NM': [35.0844, -106.6504],
+  'anchorage|AK': [61.2181, -149.9003],
+  'atlanta|GA': [33.7490, -84.3880],
+  'austin|TX': [30.2672, -97.7431],
+  'baltimore|MD': [39.2904, -76.6122],
+  'boston|MA': [42.3601, -71.0589],
+  'brooklyn|NY': [40.6782, -73.9442],
+  'buffalo|NY': [42.8864, -78.8784],
+  'cambridge|MA': [42.3736, -71.1097],
+  'charlotte|NC': [35.2271, -80.8431],
+  'chicago|IL': [41.8781, -87.6298],
+  'cincinnati|OH': [39.1031, -84.5120],
+  'cleveland|OH': [41.4993, -81.6944],
+  'columbus|OH': [39.9612, -82.9988],
+  'dallas|TX': [32.7767, -96.7970],
+  'denver|CO': [39.7392, -104.9903],
+  'detroit|MI': [42.3314, -83.0458],
+  'el paso|TX': [31.7619, -106.4850],
+  'fort worth|TX': [32.7555, -97.3308],
+  'fresno|CA': [36.7378, -119.7871],
+  'hartford|CT': [41.7658, -72.6734],
+  'honolulu|HI': [21.3069, -157.8583],
+  'houston|TX': [29.7604, -95.3698],
+  'indianapolis|IN': [39.7684, -86.1581],
+  'jacksonville|FL': [30.3322, -81.6557],
+  'jersey city|NJ': [40.7178, -74.0431],
+  'kansas city|MO': [39.0997, -94.5786],
+  'las vegas|NV': [36.1699, -115.1398],
+  'los angeles|CA': [34.0522, -118.2437],
+  'louisville|KY': [38.2527, -85.7585],
+  'memphis|TN': [35.1495, -90.0490],
+  'miami|FL': [25.7617, -80.1918],
+  'milwaukee|WI': [43.0389, -87.9065],
+  'minneapolis|MN': [44.9778, -93.2650],
+  'nashville|TN': [36.1627, -86.7816],
+  'new orleans|LA': [29.9511, -90.0715],
+  'new york|NY': [40.7128, -74.0060],
+  'newark|NJ': [40.7357, -74.1724],
+  'oakland|CA': [37.8044, -122.2712],
+  'oklahoma city|OK': [35.4676, -97.5164],
+  'omaha|NE': [41.2565, -95.9345],
+  'orlando|FL': [28.5383, -81.3792],
+  'philadelphia|PA': [39.9526, -75.1652],
+  'phoenix|AZ': [33.4484, -112.0740],
+  'pittsburgh|PA': [40.4406, -79.9959],
+  'portland|OR': [45.5152, -122.6784],
+  'providence|RI': [41.8240, -71.4128],
+  'raleigh|NC': [35.7796, -78.6382],
+  'richmond|VA': [37.5407, -77.4360],
+  'sacramento|CA': [38.5816, -121.4944],
+  'saint louis|MO': [38.6270, -90.1994],
+  'saint paul|MN': [44.9537, -93.0900],
+  'salt lake city|UT': [40.7608, -111.8910],
+  'san antonio|TX': [29.4241, -98.4936],
+  'san diego|CA': [32.7157, -117.1611],
+  'san francisco|CA': [37.7749, -122.4194],
+  'san jose|CA': [37.3382, -121.8863],
+  'seattle|WA': [47.6062, -122.3321],
+  'spokane|WA': [47.6588, -117.4260],
+  'tampa|FL': [27.9506, -82.4572],
+  'tucson|AZ': [32.2226, -110.9747],
+  'washington|DC': [38.9072, -77.0369],
+  'worcester|MA': [42.2626, -71.8023]
+};
+
+/**
+ * Normalize a city name for lookup ("St. Louis" and "Saint Louis" match)
+ * @param {string} city - City name
+ * @returns {string} Lowercase city name
+ */
+const normalizeCity = (city) => String(city)
+  .toLowerCase()
+  .replace(/\./g, '')
+  .replace(/^(st|ste)\s+/, 'saint ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Read a state name or two-letter code
+ * @param {string} state - State
+ * @returns {string|null} Two-letter code, or null if it is not a US state
+ */
+const toStateCode = (state) => {
+  const value = String(state || '').replace(/\./g, '').replace(/\s+/g, ' ').trim();
+  if (/^[A-Za-z]{2}$/.test(value) && Object.values(STATE_CODES).includes(value.toUpperCase())) {
+    return value.toUpperCase();
+  }
+  return STATE_CODES[value.toLowerCase()] || null;
+};
+
+/**
+ * Find the city and state in a one-line address such as
+ * "123 Medical Center Dr, New York, NY 10001". The state is the last comma-separated
+ * part that names one (a ZIP code after it is ignored), and the city is the part before it.
+ * @param {string} address - Address
+ * @returns {Object|null} { city, state } with the state as a two-letter code
+ */
+const parseCityState = (address) => {
+  const parts = String(address || '').split(',').map(part => part.trim()).filter(Boolean);
+
+  for (let index = parts.length - 1; index > 0; index--) {
+    const state = toStateCode(parts[index].replace(/\s*\d{5}(-\d{4})?$/, ''));
+    if (state) {
+      return { city: parts[index - 1], state };
+    }
+  }
+
+  // "Boston MA 02101", without a comma before the state
+  const match = String(address || '').match(/(?:^|,)\s*([A-Za-z .]+?)\s+([A-Za-z]{2})(?:\s+\d{5}(?:-\d{4})?)?\s*$/);
+  if (match && toStateCode(match[2])) {
+    return { city: match[1], state: toStateCode(match[2]) };
+  }
+
+  return null;
+};
+
+/**
+ * Built-in geocoder: the centre of the address's city, from the table above
+ * @param {string} address - One-line address
+ * @returns {Promise<Object|null>} { latitude, longitude }, or null if the city is not known
+ */
+const offlineGeocoder = async (address) => {
+  const place = parseCityState(address);
+  const centre = place && CITIES[`${normalizeCity(place.city)}|${place.state}`];
+
+  return centre ? { latitude: centre[0], longitude: centre[1] } : null;
+};
+
+let activeGeocoder = offlineGeocoder;
+
+/**
+ * Use another geocoder, e.g. one backed by a geocoding service
+ * @param {Function|null} geocoder - async (address) => { latitude, longitude } or null; null restores the built-in one
+ */
+const setGeocoder = (geocoder) => {
+  activeGeocoder = geocoder || offlineGeocoder;
+};
+
+/**
+ * Geocode an address to a GeoJSON point. Geocoding never fails a save: errors and
+ * unknown addresses give null, and the place is then left out of distance searches.
+ * @param {string} address - One-line address
+ * @returns {Promise<Object|null>} GeoJSON point, or null
+ */
+const geocodeAddress = async (address) => {
+  if (!address || !String(address).trim()) {
+    return null;
+  }
+
+  try {
+    const coordinates = await activeGeocoder(String(address).trim());
+    return coordinates && isValidCoordinates(coordinates.latitude, coordinates.longitude)
+      ? toGeoPoint(coordinates)
+      : null;
+  } catch (error) {
+    console.error(`Failed to geocode "${address}":`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Format a provider clinic address on one line
+ * @param {Object} clinicAddress - { street, city, state, zip }
+ * @returns {string} Address
+ */
+const formatClinicAddress = (clinicAddress = {}) => [
+  clinicAddress.street,
+  clinicAddress.city,
+  [clinicAddress.state, clinicAddress.zip].filter(Boolean).join(' ')
+].filter(Boolean).join(', ');
+
+/**
+ * Add coordinates to a provider clinic address
+ * @param {Object} clinicAddress - { street, city, state, zip }
+ * @returns {Promise<Object>} The address with `geo` when it could be geocoded
+ */
+const geocodeClinicAddress = async (clinicAddress) => {
+  const address = { ...clinicAddress };
+  delete address.geo;
+
+  const geo = await geocodeAddress(formatClinicAddress(address));
+  return geo ? { ...address, geo } : address;
+};
+
+/**
+ * Add coordinates to an availability location. Telemedicine has no place to be near.
+ * @param {Object} location - { type, address, room_number }
+ * @returns {Promise<Object>} The location with `geo` when it could be geocoded
+ */
+const geocodeLocation = async (location) => {
+  if (!location) {
+    return location;
+  }
+
+  const place = { ...location };
+  delete place.geo;
+
+  const geo = place.type === 'telemedicine' ? null : await geocodeAddress(place.address);
+  return geo ? { ...place, geo } : place;
+};
+
+module.exports = {
+  parseCityState,
+  offlineGeocoder,
+  setGeocoder,
+  geocodeAddress,
+  formatClinicAddress,
+  geocodeClinicAddress,
+  geocodeLocation
+};
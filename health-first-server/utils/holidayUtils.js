@@ -0,0 +1,133 @@
+/**
+ * Holiday dates from calendar events: an event covers each day from its start up
+ * to its (exclusive) end, and a yearly event repeats on the same date every year.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest single holiday event, in days
+const MAX_EVENT_DAYS = 31;
+
+/**
+ * Add days to a date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+const addDays = (date, days) => new Date(Date.parse(date) + days * DAY_MS).toISOString().split('T')[0];
+
+/**
+ * Parse the yearly recurrence of a holiday. Only plain yearly rules are supported,
+ * since a holiday that moves (e.g. the fourth Thursday of November) is listed per
+ * year in published calendars.
+ * @param {string} rule - RRULE value
+ * @returns {Object} { interval, count, until }
+ * @throws {Error} If the rule is not a plain yearly rule
+ */
+const parseYearlyRule = (rule) => {
+  const parts = Object.fromEntries(String(rule).replace(/^RRULE:/i, '').split(';').map(part => {
+    const [name, value = ''] = part.split('=');
+    return [name.trim().toUpperCase(), value.trim().toUpperCase()];
+  }));
+
+  if (parts.FREQ !== 'YEARLY') {
+    throw new Error(`Unsupported recurrence: ${rule}. Only FREQ=YEARLY is supported for holidays`);
+  }
+
+  const unsupported = Object.keys(parts).filter(name => !['FREQ', 'INTERVAL', 'COUNT', 'UNTIL'].includes(name));
+  if (unsupported.length > 0) {
+    throw new Error(`Unsupported recurrence: ${rule}. ${unsupported.join(', ')} cannot be used for holidays`);
+  }
+
+  const until = parts.UNTIL ? /^(\d{4})(\d{2})(\d{2})/.exec(parts.UNTIL) : null;
+
+  return {
+    interval: parseInt(parts.INTERVAL, 10) || 1,
+    count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+    until: until ? `${until[1]}-${until[2]}-${until[3]}` : null
+  };
+};
+
+/**
+ * List the start dates of a yearly event up to a date. Years without the date
+ * (29 February) are skipped and do not count towards COUNT.
+ * @param {string} start - First start (YYYY-MM-DD)
+ * @param {Object} rule - { interval, count, until }
+ * @param {string} to - Last date wanted (YYYY-MM-DD)
+ * @returns {Array<string>} Start dates (YYYY-MM-DD)
+ */
+const yearlyStarts = (start, rule, to) => {
+  const [year, month, day] = start.split('-').map(Number);
+  const last = rule.until && rule.until < to ? rule.until : to;
+  const starts = [];
+
+  for (let current = year; ; current += rule.interval) {
+    const date = new Date(Date.UTC(current, month - 1, day));
+    const formatted = date.toISOString().split('T')[0];
+
+    if (formatted > last || (rule.count !== null && starts.length >= rule.count)) {
+      break;
+    }
+    if (date.getUTCMonth() === month - 1) {
+      starts.push(formatted);
+    }
+  }
+
+  return starts;
+};
+
+/**
+ * Expand a calendar event into the holiday dates it covers within a window
+ * @param {Object} event - Parsed event: { summary, start, end, rrule }
+ * @param {Object} window - { from, to } as dates (YYYY-MM-DD), both inclusive
+ * @returns {Array<Object>} Holidays: { date, name }
+ * @throws {Error} If the event is too long or repeats in an unsupported way
+ */
+const expandHolidayEvent = (event, window) => {
+  const days = event.end ? Math.round((Date.parse(event.end) - Date.parse(event.start)) / DAY_MS) : 1;
+
+  if (days < 1 || days > MAX_EVENT_DAYS) {
+    throw new Error(`Holidays must last between 1 and ${MAX_EVENT_DAYS} days`);
+  }
+
+  const starts = event.rrule
+    ? yearlyStarts(event.start, parseYearlyRule(event.rrule), window.to)
+    : [event.start];
+  const holidays = [];
+
+  for (const start of starts) {
+    for (let offset = 0; offset < days; offset++) {
+      const date = addDays(start, offset);
+      if (date >= window.from && date <= window.to) {
+        holidays.push({ date, name: event.summary || 'Holiday' });
+      }
+    }
+  }
+
+  return holidays;
+};
+
+/**
+ * Merge holidays into a list, one per date; a date already listed keeps its name
+ * @param {Array<Object>} existing - Holidays: { date, name }
+ * @param {Array<Object>} added - Holidays to add
+ * @returns {Array<Object>} Holidays sorted by date
+ */
+const mergeHolidays = (existing, added) => {
+  const byDate = new Map();
+
+  for (const holiday of [...existing, ...added]) {
+    if (!byDate.has(holiday.date)) {
+      byDate.set(holiday.date, holiday);
+    }
+  }
+
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+};
+
+module.exports = {
+  MAX_EVENT_DAYS,
+  parseYearlyRule,
+  expandHolidayEvent,
+  mergeHolidays
+};
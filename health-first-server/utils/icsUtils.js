@@ -0,0 +1,407 @@
+/**
+ * iCalendar (RFC 5545) helpers for calendar feeds, .ics downloads and holiday imports
+ */
+
+const { getTimezoneOffset, utcToLocal } = require('./timezoneUtils');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const PRODUCT_ID = '-//Health First//Provider Availability//EN';
+const UID_DOMAIN = 'health-first';
+
+// Content lines longer than this many octets are folded (RFC 5545 section 3.1)
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT property value
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line into chunks of at most 75 octets, without splitting characters
+ * @param {string} line - Content line
+ * @returns {string} Folded line (CRLF + space between chunks)
+ */
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) {
+    return line;
+  }
+
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their length
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (octets + size > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      octets = 0;
+    }
+
+    chunk += char;
+    octets += size;
+  }
+  chunks.push(chunk);
+
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Format an instant as a UTC DATE-TIME (e.g. 20250115T140000Z)
+ * @param {Date} date - Instant
+ * @returns {string} UTC DATE-TIME
+ */
+const formatUTCDateTime = (date) => new Date(date).toISOString()
+  .replace(/\.\d{3}/, '')
+  .replace(/[-:]/g, '');
+
+/**
+ * Format a UTC offset in minutes as ±HHMM
+ * @param {number} offsetMinutes - Offset in minutes
+ * @returns {string} UTC offset
+ */
+const formatOffset = (offsetMinutes) => {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absolute = Math.abs(offsetMinutes);
+  const hours = Math.floor(absolute / 60).toString().padStart(2, '0');
+  const minutes = (absolute % 60).toString().padStart(2, '0');
+  return `${sign}${hours}${minutes}`;
+};
+
+/**
+ * Format the wall-clock time of an instant in a timezone as a local DATE-TIME (e.g. 20250115T090000)
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {string} Local DATE-TIME
+ */
+const formatLocalDateTime = (date, timezone) => {
+  const local = utcToLocal(date, timezone);
+  return `${local.date.replace(/-/g, '')}T${local.time.replace(':', '')}00`;
+};
+
+/**
+ * Find the instants in [from, to] at which a timezone's UTC offset changes
+ * @param {string} timezone - IANA timezone
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Array<Object>} [{ at, offsetFrom, offsetTo }] in minutes, sorted
+ */
+const findOffsetTransitions = (timezone, from, to) => {
+  const transitions = [];
+  let previousTime = from.getTime();
+  let previousOffset = getTimezoneOffset(timezone, from);
+
+  // Offsets change at most a few times a year, so step a day at a time and
+  // narrow each change down to the minute
+  for (let time = previousTime + DAY_MS; previousTime < to.getTime(); time += DAY_MS) {
+    const offset = getTimezoneOffset(timezone, new Date(time));
+
+    if (offset !== previousOffset) {
+      let low = previousTime;
+      let high = time;
+      while (high - low > MINUTE_MS) {
+        const middle = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+        if (getTimezoneOffset(timezone, new Date(middle)) === previousOffset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      transitions.push({ at: new Date(high), offsetFrom: previousOffset, offsetTo: offset });
+    }
+
+    previousTime = time;
+    previousOffset = offset;
+  }
+
+  return transitions;
+};
+
+/**
+ * Get the abbreviation of a timezone at an instant, if the runtime knows one
+ * @param {string} timezone - IANA timezone
+ * @param {Date} date - Instant
+ * @returns {string|null} Abbreviation such as EST, or null for generic GMT±N names
+ */
+const getTimezoneName = (timezone, date) => {
+  const part = new Intl.DateTimeFormat('en-US', { timeZone: timezone, timeZoneName: 'short' })
+    .formatToParts(date)
+    .find(({ type }) => type === 'timeZoneName');
+
+  return part && !/^(GMT|UTC)[+-]/.test(part.value) ? part.value : null;
+};
+
+/**
+ * Build a VTIMEZONE component covering a range. Every offset change in the range
+ * (and the one before it) gets its own observance, so the block is exact for the
+ * events of the feed without having to express the zone's rules as RRULEs.
+ * @param {string} timezone - IANA timezone
+ * @param {Date} from - Earliest instant used by the calendar
+ * @param {Date} to - Latest instant used by the calendar
+ * @returns {Array<string>} Content lines
+ */
+const buildVTimezone = (timezone, from, to) => {
+  // Look a year back so the observance in force at `from` is included
+  const transitions = findOffsetTransitions(timezone, new Date(from.getTime() - 366 * DAY_MS), to);
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+
+  if (transitions.length === 0) {
+    const offset = formatOffset(getTimezoneOffset(timezone, from));
+    const name = getTimezoneName(timezone, from);
+
+    lines.push(
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      `TZOFFSETFROM:${offset}`,
+      `TZOFFSETTO:${offset}`,
+      ...(name ? [`TZNAME:${name}`] : []),
+      'END:STANDARD'
+    );
+  }
+
+  for (const { at, offsetFrom, offsetTo } of transitions) {
+    const type = offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD';
+    // DTSTART of an observance is the wall-clock time just before the change
+    const onset = formatUTCDateTime(new Date(at.getTime() + offsetFrom * MINUTE_MS)).replace('Z', '');
+    const name = getTimezoneName(timezone, at);
+
+    lines.push(
+      `BEGIN:${type}`,
+      `DTSTART:${onset}`,
+      `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(offsetTo)}`,
+      ...(name ? [`TZNAME:${name}`] : []),
+      `END:${type}`
+    );
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+};
+
+/**
+ * Build a VEVENT component
+ * @param {Object} event - { uid, start, end, timezone, summary, description, location, status, transparent, lastModified }
+ *   `start` and `end` are instants; with a `timezone` they are written as local times in that zone
+ * @param {Date} stamp - DTSTAMP of the calendar
+ * @returns {Array<string>} Content lines
+ */
+const buildVEvent = (event, stamp) => {
+  const formatTime = (property, date) => (event.timezone
+    ? `${property};TZID=${event.timezone}:${formatLocalDateTime(date, event.timezone)}`
+    : `${property}:${formatUTCDateTime(date)}`);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUTCDateTime(stamp)}`,
+    formatTime('DTSTART', event.start),
+    formatTime('DTEND', event.end),
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  if (event.status) {
+    lines.push(`STATUS:${event.status}`);
+  }
+  if (event.lastModified) {
+    lines.push(`LAST-MODIFIED:${formatUTCDateTime(event.lastModified)}`);
+  }
+
+  lines.push(`TRANSP:${event.transparent ? 'TRANSPARENT' : 'OPAQUE'}`, 'END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build a VCALENDAR with one VTIMEZONE per timezone used by its events
+ * @param {Object} calendar - { name, events, method }
+ * @returns {string} iCalendar text
+ */
+const buildCalendar = ({ name, events = [], method = 'PUBLISH' }) => {
+  const stamp = new Date();
+  const ranges = new Map();
+
+  for (const event of events) {
+    if (!event.timezone) {
+      continue;
+    }
+    const range = ranges.get(event.timezone) || { from: event.start, to: event.end };
+    ranges.set(event.timezone, {
+      from: event.start < range.from ? event.start : range.from,
+      to: event.end > range.to ? event.end : range.to
+    });
+  }
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : [])
+  ];
+
+  for (const [timezone, { from, to }] of ranges) {
+    lines.push(...buildVTimezone(timezone, new Date(from), new Date(to)));
+  }
+
+  for (const event of events) {
+    lines.push(...buildVEvent(event, stamp));
+  }
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * Undo the escaping of a TEXT property value
+ * @param {string} value - Escaped text
+ * @returns {string} Plain text
+ */
+const unescapeText = (value) => String(value)
+  .replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+/**
+ * Split iCalendar text into unfolded content lines
+ * @param {string} text - iCalendar text
+ * @returns {Array<string>} Content lines
+ */
+const unfoldLines = (text) => String(text)
+  .replace(/\r?\n[ \t]/g, '')
+  .split(/\r?\n/)
+  .filter(line => line.trim().length > 0);
+
+/**
+ * Parse a content line into its name, parameters and value
+ * @param {string} line - Unfolded content line
+ * @returns {Object|null} { name, params, value }, or null if the line has no value
+ */
+const parseContentLine = (line) => {
+  // The value starts at the first colon outside a quoted parameter value
+  let quoted = false;
+  let separator = -1;
+  for (let index = 0; index < line.length; index++) {
+    if (line[index] === '"') {
+      quoted = !quoted;
+    } else if (line[index] === ':' && !quoted) {
+      separator = index;
+      break;
+    }
+  }
+
+  if (separator === -1) {
+    return null;
+  }
+
+  const [name, ...params] = line.slice(0, separator).split(';');
+
+  return {
+    name: name.toUpperCase(),
+    params: Object.fromEntries(params.map(param => {
+      const [key, ...rest] = param.split('=');
+      return [key.toUpperCase(), rest.join('=').replace(/^"|"$/g, '')];
+    })),
+    value: line.slice(separator + 1)
+  };
+};
+
+/**
+ * Read the calendar date of a DATE or DATE-TIME value. Times are dropped: a
+ * floating or TZID time keeps its local date, a UTC time its UTC date.
+ * @param {string} value - Value such as 20251225 or 20251225T090000Z
+ * @returns {string|null} Date (YYYY-MM-DD), or null if the value is not a date
+ */
+const parseDateValue = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value.trim());
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+/**
+ * Parse the VEVENTs of an iCalendar file
+ * @param {string} text - iCalendar text
+ * @returns {Array<Object>} Events: { uid, summary, start, end, allDay, rrule };
+ *   start and end are dates (YYYY-MM-DD), end is exclusive and null when missing
+ * @throws {Error} If the text is not an iCalendar file
+ */
+const parseEvents = (text) => {
+  const lines = unfoldLines(text);
+
+  if (lines.length === 0 || lines[0].trim().toUpperCase() !== 'BEGIN:VCALENDAR') {
+    throw new Error('Not an iCalendar file: BEGIN:VCALENDAR is missing');
+  }
+
+  const events = [];
+  let event = null;
+
+  for (const line of lines) {
+    const property = parseContentLine(line.trim());
+    if (!property) {
+      continue;
+    }
+
+    const value = property.value.toUpperCase();
+    if (property.name === 'BEGIN' && value === 'VEVENT') {
+      event = { uid: null, summary: null, start: null, end: null, allDay: false, rrule: null };
+    } else if (property.name === 'END' && value === 'VEVENT' && event) {
+      if (event.start) {
+        events.push(event);
+      }
+      event = null;
+    } else if (event) {
+      switch (property.name) {
+        case 'UID':
+          event.uid = property.value;
+          break;
+        case 'SUMMARY':
+          event.summary = unescapeText(property.value);
+          break;
+        case 'DTSTART':
+          event.start = parseDateValue(property.value);
+          event.allDay = property.params.VALUE === 'DATE' || /^\d{8}$/.test(property.value.trim());
+          break;
+        case 'DTEND':
+          event.end = parseDateValue(property.value);
+          break;
+        case 'RRULE':
+          event.rrule = property.value;
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  return events;
+};
+
+module.exports = {
+  escapeText,
+  unescapeText,
+  unfoldLines,
+  parseContentLine,
+  parseEvents,
+  foldLine,
+  formatUTCDateTime,
+  formatOffset,
+  formatLocalDateTime,
+  findOffsetTransitions,
+  buildVTimezone,
+  buildVEvent,
+  buildCalendar
+};
@@ -0,0 +1,484 @@
+/**
+ * Recurrence utility functions implementing the date-level subset of RFC 5545
+ * RRULE/EXDATE needed for availability: FREQ (DAILY, WEEKLY, MONTHLY),
+ * INTERVAL, COUNT, UNTIL, BYDAY (with ordinals for MONTHLY), BYMONTHDAY,
+ * BYMONTH, BYSETPOS and WKST.
+ *
+ * Occurrences are calendar dates (YYYY-MM-DD) in the provider's timezone; the
+ * time of day comes from the availability itself.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const SUPPORTED_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+// Hard stops for rules whose end lies far in the future
+const MAX_OCCURRENCES = 730;
+const MAX_HORIZON_YEARS = 5;
+
+// Shorthand patterns accepted by the API; RFC 5545 derives the missing
+// BYDAY/BYMONTHDAY from DTSTART, so months without that day are skipped
+const PATTERN_RULES = {
+  daily: 'FREQ=DAILY',
+  weekly: 'FREQ=WEEKLY',
+  monthly: 'FREQ=MONTHLY'
+};
+
+/**
+ * Parse a YYYY-MM-DD, YYYYMMDD or YYYYMMDDTHHmmss(Z) value into a UTC-midnight date
+ * @param {string|Date} value - Date value
+ * @returns {Date} Date at UTC midnight
+ */
+function parseDateValue(value) {
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) {
+      throw new Error('Invalid date');
+    }
+    return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  }
+
+  const match = /^(\d{4})-?(\d{2})-?(\d{2})(T\d{2}:?\d{2}:?\d{2}Z?)?$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid date value: ${value}`);
+  }
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    throw new Error(`Invalid date value: ${value}`);
+  }
+
+  return date;
+}
+
+/**
+ * Format a UTC-midnight date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} Date string
+ */
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Parse a comma separated list of integers within a range
+ * @param {string} name - Rule part name, for error messages
+ * @param {string} value - Rule part value
+ * @param {number} min - Smallest absolute value allowed
+ * @param {number} max - Largest absolute value allowed
+ * @param {boolean} allowNegative - Whether negative values are allowed
+ * @returns {Array<number>} Parsed integers
+ */
+function parseIntegerList(name, value, min, max, allowNegative = true) {
+  return value.split(',').map(item => {
+    const number = Number(item);
+    const absolute = Math.abs(number);
+
+    if (!Number.isInteger(number) || absolute < min || absolute > max || (!allowNegative && number < 0)) {
+      throw new Error(`Invalid ${name} value: ${item}`);
+    }
+
+    return number;
+  });
+}
+
+/**
+ * Parse an RRULE string such as "FREQ=WEEKLY;BYDAY=MO,WE,FR"
+ * @param {string} ruleString - RRULE value, with or without the "RRULE:" prefix
+ * @returns {Object} Parsed rule
+ */
+function parseRRule(ruleString) {
+  if (typeof ruleString !== 'string' || ruleString.trim() === '') {
+    throw new Error('Recurrence rule must be a non-empty string');
+  }
+
+  const rule = {
+    freq: null,
+    interval: 1,
+    count: null,
+    until: null,
+    byDay: [],
+    byMonthDay: [],
+    byMonth: [],
+    bySetPos: [],
+    wkst: 'MO'
+  };
+  const seen = new Set();
+
+  ruleString.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    const [rawName, value] = part.split('=');
+    const name = rawName.trim().toUpperCase();
+
+    if (!value) {
+      throw new Error(`Invalid rule part: ${part}`);
+    }
+    if (seen.has(name)) {
+      throw new Error(`Duplicate rule part: ${name}`);
+    }
+    seen.add(name);
+
+    const upperValue = value.trim().toUpperCase();
+
+    switch (name) {
+      case 'FREQ':
+        if (!SUPPORTED_FREQUENCIES.includes(upperValue)) {
+          throw new Error(`Unsupported FREQ: ${value}. Supported: ${SUPPORTED_FREQUENCIES.join(', ')}`);
+        }
+        rule.freq = upperValue;
+        break;
+      case 'INTERVAL':
+        [rule.interval] = parseIntegerList('INTERVAL', upperValue, 1, 366, false);
+        break;
+      case 'COUNT':
+        [rule.count] = parseIntegerList('COUNT', upperValue, 1, MAX_OCCURRENCES, false);
+        break;
+      case 'UNTIL':
+        rule.until = parseDateValue(upperValue);
+        break;
+      case 'BYDAY':
+        rule.byDay = upperValue.split(',').map(item => {
+          const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item);
+          if (!match) {
+            throw new Error(`Invalid BYDAY value: ${item}`);
+          }
+          const ordinal = match[1] ? Number(match[1]) : null;
+          if (ordinal !== null && (ordinal === 0 || Math.abs(ordinal) > 5)) {
+            throw new Error(`Invalid BYDAY ordinal: ${item}`);
+          }
+          return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseIntegerList('BYMONTHDAY', upperValue, 1, 31);
+        break;
+      case 'BYMONTH':
+        rule.byMonth = parseIntegerList('BYMONTH', upperValue, 1, 12, false);
+        break;
+      case 'BYSETPOS':
+        rule.bySetPos = parseIntegerList('BYSETPOS', upperValue, 1, 366);
+        break;
+      case 'WKST':
+        if (!WEEKDAYS.includes(upperValue)) {
+          throw new Error(`Invalid WKST value: ${value}`);
+        }
+        rule.wkst = upperValue;
+        break;
+      default:
+        throw new Error(`Unsupported rule part: ${name}`);
+    }
+  });
+
+  if (!rule.freq) {
+    throw new Error('FREQ is required');
+  }
+  if (rule.count && rule.until) {
+    throw new Error('COUNT and UNTIL cannot be used together');
+  }
+  if (rule.freq !== 'MONTHLY' && rule.byDay.some(day => day.ordinal !== null)) {
+    throw new Error('BYDAY ordinals are only supported with FREQ=MONTHLY');
+  }
+  if (rule.freq === 'WEEKLY' && rule.byMonthDay.length > 0) {
+    throw new Error('BYMONTHDAY cannot be used with FREQ=WEEKLY');
+  }
+
+  return rule;
+}
+
+/**
+ * Serialize a parsed rule back into its canonical RRULE string
+ * @param {Object} rule - Parsed rule
+ * @returns {string} RRULE value without the "RRULE:" prefix
+ */
+function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${formatDate(rule.until).replace(/-/g, '')}`);
+  if (rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.map(day => `${day.ordinal || ''}${WEEKDAYS[day.weekday]}`).join(',')}`);
+  }
+  if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.byMonth.length > 0) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  if (rule.bySetPos.length > 0) parts.push(`BYSETPOS=${rule.bySetPos.join(',')}`);
+  if (rule.wkst !== 'MO') parts.push(`WKST=${rule.wkst}`);
+
+  return parts.join(';');
+}
+
+/**
+ * Parse EXDATE values into YYYY-MM-DD strings
+ * @param {string|Array} exdate - "EXDATE;VALUE=DATE:20261225,20270101" style string or array of dates
+ * @returns {Array<string>} Sorted, de-duplicated dates
+ */
+function parseExDates(exdate) {
+  if (!exdate) {
+    return [];
+  }
+
+  const values = Array.isArray(exdate)
+    ? exdate
+    : String(exdate).trim().replace(/^EXDATE[^:]*:/i, '').split(',');
+
+  return [...new Set(values
+    .filter(value => value instanceof Date || String(value).trim() !== '')
+    .map(value => formatDate(parseDateValue(value))))]
+    .sort();
+}
+
+/**
+ * Convert a shorthand recurrence pattern into an RRULE string
+ * @param {string} pattern - daily, weekly or monthly
+ * @returns {string} RRULE value
+ */
+function patternToRRule(pattern) {
+  const rule = PATTERN_RULES[pattern];
+  if (!rule) {
+    throw new Error(`Unknown recurrence pattern: ${pattern}`);
+  }
+  return rule;
+}
+
+/**
+ * Days matching a weekday in a month, optionally narrowed to an ordinal (1st, -1st...)
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @param {Object} byDay - { weekday, ordinal }
+ * @returns {Array<Date>} Matching dates
+ */
+function monthWeekdays(year, month, byDay) {
+  const matches = [];
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  for (let day = 1; day <= daysInMonth; day++) {
+    const date = new Date(Date.UTC(year, month, day));
+    if (date.getUTCDay() === byDay.weekday) {
+      matches.push(date);
+    }
+  }
+
+  if (byDay.ordinal === null) {
+    return matches;
+  }
+
+  const index = byDay.ordinal > 0 ? byDay.ordinal - 1 : matches.length + byDay.ordinal;
+  return matches[index] ? [matches[index]] : [];
+}
+
+/**
+ * Candidate dates for one period of the rule, before BYSETPOS and range limits
+ * @param {Object} rule - Parsed rule
+ * @param {Date} periodStart - First day of the period
+ * @param {Date} dtstart - Series start date
+ * @returns {Array<Date>} Sorted candidate dates
+ */
+function periodCandidates(rule, periodStart, dtstart) {
+  const year = periodStart.getUTCFullYear();
+  const month = periodStart.getUTCMonth();
+  let candidates;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      candidates = [periodStart];
+      break;
+    case 'WEEKLY': {
+      const weekdays = rule.byDay.length > 0
+        ? rule.byDay.map(day => day.weekday)
+        : [dtstart.getUTCDay()];
+      candidates = [];
+      for (let offset = 0; offset < 7; offset++) {
+        const date = new Date(periodStart.getTime() + offset * DAY_MS);
+        if (weekdays.includes(date.getUTCDay())) {
+          candidates.push(date);
+        }
+      }
+      break;
+    }
+    case 'MONTHLY': {
+      const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+      const monthDays = rule.byMonthDay.length > 0 || rule.byDay.length > 0
+        ? rule.byMonthDay
+        : [dtstart.getUTCDate()];
+
+      // Days that do not exist in this month (e.g. the 31st in April) are skipped
+      const byMonthDayDates = monthDays
+        .map(day => (day > 0 ? day : daysInMonth + day + 1))
+        .filter(day => day >= 1 && day <= daysInMonth)
+        .map(day => new Date(Date.UTC(year, month, day)));
+
+      const byDayDates = rule.byDay.flatMap(day => monthWeekdays(year, month, day));
+
+      if (monthDays.length > 0 && rule.byDay.length > 0) {
+        const weekdayTimes = new Set(byDayDates.map(date => date.getTime()));
+        candidates = byMonthDayDates.filter(date => weekdayTimes.has(date.getTime()));
+      } else {
+        candidates = monthDays.length > 0 ? byMonthDayDates : byDayDates;
+      }
+      break;
+    }
+  }
+
+  return [...new Map(candidates
+    .filter(date => rule.byMonth.length === 0 || rule.byMonth.includes(date.getUTCMonth() + 1))
+    .filter(date => rule.freq !== 'DAILY' || rule.byDay.length === 0 ||
+      rule.byDay.some(day => day.weekday === date.getUTCDay()))
+    .filter(date => rule.freq !== 'DAILY' || rule.byMonthDay.length === 0 ||
+      rule.byMonthDay.some(day => {
+        const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+        return (day > 0 ? day : daysInMonth + day + 1) === date.getUTCDate();
+      }))
+    .map(date => [date.getTime(), date])).values()]
+    .sort((a, b) => a - b);
+}
+
+/**
+ * First day of the n-th period after the one containing DTSTART
+ * @param {Object} rule - Parsed rule
+ * @param {Date} dtstart - Series start date
+ * @param {number} index - Period index
+ * @returns {Date} Period start
+ */
+function periodStartAt(rule, dtstart, index) {
+  const step = index * rule.interval;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return new Date(dtstart.getTime() + step * DAY_MS);
+    case 'WEEKLY': {
+      const weekStartOffset = (dtstart.getUTCDay() - WEEKDAYS.indexOf(rule.wkst) + 7) % 7;
+      return new Date(dtstart.getTime() + (step * 7 - weekStartOffset) * DAY_MS);
+    }
+    case 'MONTHLY':
+    default:
+      return new Date(Date.UTC(dtstart.getUTCFullYear(), dtstart.getUTCMonth() + step, 1));
+  }
+}
+
+/**
+ * Expand a recurrence rule into occurrence dates. Only dates matching the rule
+ * are returned, so a start date that does not match is not an occurrence.
+ * COUNT is applied before EXDATE removal, as in RFC 5545. Expansion never
+ * goes more than MAX_HORIZON_YEARS past the start date.
+ * @param {string|Object} rule - RRULE string or parsed rule
+ * @param {string|Date} startDate - Series start date (DTSTART)
+ * @param {Object} options - { until, exdates, maxOccurrences }
+ * @returns {Array<string>} Occurrence dates as YYYY-MM-DD
+ */
+function expandRRule(rule, startDate, options = {}) {
+  const parsedRule = typeof rule === 'string' ? parseRRule(rule) : rule;
+  const dtstart = parseDateValue(startDate);
+  const { maxOccurrences = MAX_OCCURRENCES } = options;
+
+  const limits = [parsedRule.until, options.until ? parseDateValue(options.until) : null].filter(Boolean);
+  const until = limits.length > 0 ? new Date(Math.min(...limits.map(date => date.getTime()))) : null;
+
+  if (!until && !parsedRule.count) {
+    throw new Error('Recurrence needs an end: COUNT, UNTIL or an end date');
+  }
+
+  // Also ends rules that can never match, such as BYMONTHDAY=30;BYMONTH=2
+  const horizon = new Date(Date.UTC(dtstart.getUTCFullYear() + MAX_HORIZON_YEARS, dtstart.getUTCMonth(), dtstart.getUTCDate()));
+
+  const excluded = new Set(parseExDates(options.exdates));
+  const occurrences = [];
+
+  for (let index = 0; ; index++) {
+    const periodStart = periodStartAt(parsedRule, dtstart, index);
+    if ((until && periodStart > until) || periodStart > horizon) {
+      break;
+    }
+
+    let candidates = periodCandidates(parsedRule, periodStart, dtstart);
+
+    if (parsedRule.bySetPos.length > 0) {
+      candidates = parsedRule.bySetPos
+        .map(position => candidates[position > 0 ? position - 1 : candidates.length + position])
+        .filter(Boolean)
+        .sort((a, b) => a - b);
+    }
+
+    for (const date of candidates) {
+      if (date < dtstart || (until && date > until) || date > horizon) {
+        continue;
+      }
+
+      occurrences.push(date);
+
+      if (parsedRule.count && occurrences.length >= parsedRule.count) {
+        break;
+      }
+      if (occurrences.length > maxOccurrences) {
+        throw new Error(`Recurrence expands to more than ${maxOccurrences} occurrences`);
+      }
+    }
+
+    if (parsedRule.count && occurrences.length >= parsedRule.count) {
+      break;
+    }
+  }
+
+  return occurrences
+    .map(formatDate)
+    .filter(date => !excluded.has(date));
+}
+
+/**
+ * Split a recurrence at a date, as done for "this and following" edits.
+ * The first part ends the day before the split; the second part keeps the
+ * remaining COUNT and starts on the first occurrence on or after the split,
+ * so INTERVAL phase is preserved.
+ * @param {string|Object} rule - RRULE string or parsed rule
+ * @param {string|Date} startDate - Series start date (DTSTART)
+ * @param {string|Date} splitDate - First date of the second part
+ * @param {Object} options - { until }
+ * @returns {Object} { before, after } each { rule, startDate } or null when empty
+ */
+function splitRRule(rule, startDate, splitDate, options = {}) {
+  const parsedRule = typeof rule === 'string' ? parseRRule(rule) : rule;
+  const split = parseDateValue(splitDate);
+  const splitDay = formatDate(split);
+
+  // COUNT counts every generated date, so expand without exclusions
+  const dates = expandRRule(parsedRule, startDate, { until: options.until });
+  const beforeDates = dates.filter(date => date < splitDay);
+  const afterDates = dates.filter(date => date >= splitDay);
+
+  const before = beforeDates.length > 0
+    ? {
+      rule: formatRRule({
+        ...parsedRule,
+        count: null,
+        until: new Date(Math.min(
+          split.getTime() - DAY_MS,
+          parsedRule.until ? parsedRule.until.getTime() : Infinity
+        ))
+      }),
+      startDate: formatDate(parseDateValue(startDate))
+    }
+    : null;
+
+  const after = afterDates.length > 0
+    ? {
+      rule: formatRRule({
+        ...parsedRule,
+        count: parsedRule.count ? parsedRule.count - beforeDates.length : null
+      }),
+      startDate: afterDates[0]
+    }
+    : null;
+
+  return { before, after };
+}
+
+module.exports = {
+  MAX_OCCURRENCES,
+  MAX_HORIZON_YEARS,
+  parseRRule,
+  formatRRule,
+  parseExDates,
+  patternToRRule,
+  expandRRule,
+  splitRRule
+};
@@ -0,0 +1,83 @@
+/**
+ * Scheduling rules: how short notice and how far ahead a slot may be booked, and
+ * how much free time a booked visit keeps after it. A slot's own rules win over
+ * the provider's booking policy.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Upper bound of a buffer, so neighbouring slots can be looked up in a fixed window
+const MAX_BUFFER_MINUTES = 120;
+
+/**
+ * Resolve the scheduling rules of a slot
+ * @param {Object} availability - Availability document
+ * @param {Object} policy - Booking policy of the slot's provider
+ * @returns {Object} { minNoticeHours, maxAdvanceDays, bufferMinutes }
+ */
+const resolveSchedulingRules = (availability, policy) => {
+  const slotRules = availability.scheduling_rules || {};
+  const providerRules = policy || {};
+
+  return {
+    minNoticeHours: slotRules.min_notice_hours ?? providerRules.min_notice_hours ?? 0,
+    // null means no horizon
+    maxAdvanceDays: slotRules.max_advance_days ?? providerRules.max_advance_days ?? null,
+    bufferMinutes: slotRules.buffer_after_minutes ??
+      providerRules.buffer_minutes?.[availability.appointment_type] ??
+      0
+  };
+};
+
+/**
+ * Check a slot's start against the minimum notice and the booking horizon
+ * @param {Date} startTime - Start of the slot (UTC)
+ * @param {Object} rules - Resolved scheduling rules
+ * @param {Date} now - Current time
+ * @returns {string|null} Why the slot cannot be booked now, or null if it can
+ */
+const getBookingWindowError = (startTime, rules, now = new Date()) => {
+  const start = new Date(startTime).getTime();
+
+  if (rules.minNoticeHours > 0 && start < now.getTime() + rules.minNoticeHours * HOUR_MS) {
+    return `Appointments must be booked at least ${rules.minNoticeHours} hours in advance`;
+  }
+
+  if (rules.maxAdvanceDays && start > now.getTime() + rules.maxAdvanceDays * DAY_MS) {
+    return `Appointments cannot be booked more than ${rules.maxAdvanceDays} days in advance`;
+  }
+
+  return null;
+};
+
+/**
+ * End of the time a slot keeps busy: its end plus the buffer after it
+ * @param {Object} availability - Availability with utc_end_time
+ * @param {number} bufferMinutes - Buffer after the slot
+ * @returns {Date} Buffered end (UTC)
+ */
+const getBufferedEnd = (availability, bufferMinutes) =>
+  new Date(new Date(availability.utc_end_time).getTime() + bufferMinutes * MINUTE_MS);
+
+/**
+ * Whether two slots of a provider are too close together: one of them, with the
+ * buffer after it, runs into the other
+ * @param {Object} slot - Availability with utc_start_time and utc_end_time
+ * @param {number} slotBufferMinutes - Buffer after slot
+ * @param {Object} other - Availability with utc_start_time and utc_end_time
+ * @param {number} otherBufferMinutes - Buffer after other
+ * @returns {boolean} True if the buffers overlap the other slot
+ */
+const isWithinBuffer = (slot, slotBufferMinutes, other, otherBufferMinutes) =>
+  new Date(slot.utc_start_time) < getBufferedEnd(other, otherBufferMinutes) &&
+  new Date(other.utc_start_time) < getBufferedEnd(slot, slotBufferMinutes);
+
+module.exports = {
+  MAX_BUFFER_MINUTES,
+  resolveSchedulingRules,
+  getBookingWindowError,
+  getBufferedEnd,
+  isWithinBuffer
+};
@@ -0,0 +1,129 @@
+/**
+ * Search terms for full-text search. Queries are split into plain words, and words
+ * that are not in the vocabulary of known terms are matched to the terms they could
+ * be a typo or the start of, so "cardiolgy" also finds "cardiology".
+ */
+
+// Most words of a query that are searched for
+const MAX_QUERY_TERMS = 10;
+
+// Most vocabulary terms a single word is expanded to
+const MAX_EXPANSIONS = 5;
+
+// Shortest word matched as the start of longer terms
+const MIN_PREFIX_LENGTH = 4;
+
+/**
+ * Escape text for use as a literal inside a regular expression
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split text into lowercase words of letters and digits
+ * @param {string} text - Text
+ * @returns {Array<string>} Distinct words, in order
+ */
+const tokenize = (text) => [...new Set(String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean))];
+
+/**
+ * Typos tolerated in a word: none up to 4 letters, one up to 8, two beyond
+ * @param {string} word - Word
+ * @returns {number} Edits allowed
+ */
+const maxTypos = (word) => {
+  if (word.length <= 4) {
+    return 0;
+  }
+  return word.length <= 8 ? 1 : 2;
+};
+
+/**
+ * Edit distance between two words, counting insertions, deletions, substitutions and
+ * swaps of neighbouring letters. Stops early once it is certain to exceed a limit.
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} limit - Largest distance of interest
+ * @returns {number} Distance, or limit + 1 if it is larger than limit
+ */
+const editDistance = (a, b, limit) => {
+  if (Math.abs(a.length - b.length) > limit) {
+    return limit + 1;
+  }
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      nextRow[j] = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        nextRow[j] = Math.min(nextRow[j], previousRow[j - 2] + 1);
+      }
+    }
+
+    if (Math.min(...nextRow) > limit) {
+      return limit + 1;
+    }
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return Math.min(row[b.length], limit + 1);
+};
+
+/**
+ * Turn a query into search terms. Each word is kept; a word missing from the
+ * vocabulary also brings in the terms it starts, or else the closest terms within
+ * its typo allowance.
+ * @param {string} query - Search text
+ * @param {Set<string>} vocabulary - Known terms, lowercase
+ * @returns {Array<string>} Search terms
+ */
+const expandQuery = (query, vocabulary) => {
+  const terms = new Set();
+
+  for (const word of tokenize(query).slice(0, MAX_QUERY_TERMS)) {
+    terms.add(word);
+
+    if (vocabulary.has(word)) {
+      continue;
+    }
+
+    const completions = word.length >= MIN_PREFIX_LENGTH
+      ? [...vocabulary].filter(term => term.startsWith(word))
+      : [];
+
+    if (completions.length > 0) {
+      completions.slice(0, MAX_EXPANSIONS).forEach(term => terms.add(term));
+      continue;
+    }
+
+    const allowed = maxTypos(word);
+    if (allowed === 0) {
+      continue;
+    }
+
+    [...vocabulary]
+      .map(term => ({ term, distance: editDistance(word, term, allowed) }))
+      .filter(({ distance }) => distance <= allowed)
+      .sort((a, b) => a.distance - b.distance || a.term.localeCompare(b.term))
+      .slice(0, MAX_EXPANSIONS)
+      .forEach(({ term }) => terms.add(term));
+  }
+
+  return [...terms];
+};
+
+module.exports = {
+  MAX_QUERY_TERMS,
+  escapeRegex,
+  tokenize,
+  maxTypos,
+  editDistance,
+  expandQuery
+};
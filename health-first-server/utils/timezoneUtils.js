@@ -2,28 +2,113 @@
  * Timezone utility functions for handling UTC conversions and timezone operations
  */
 
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Intl.DateTimeFormat instances are expensive to build, so keep one per timezone
+const formatterCache = new Map();
+
+/**
+ * Get a cached formatter that renders wall-clock parts in the given timezone
+ * @param {string} timezone - IANA timezone string
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function getFormatter(timezone) {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timezone);
+}
+
+/**
+ * Get the wall-clock parts of an instant in a timezone
+ * @param {Date|number} date - Instant to format
+ * @param {string} timezone - IANA timezone string
+ * @returns {Object} { year, month, day, hour, minute, second } as numbers
+ */
+function getLocalParts(date, timezone) {
+  const parts = {};
+  getFormatter(timezone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    if (type !== 'literal') {
+      parts[type] = parseInt(value, 10);
+    }
+  });
+  return parts;
+}
+
 /**
- * Convert local time to UTC
+ * Convert local time to UTC.
+ *
+ * Wall-clock times that do not exist (skipped by a DST jump) or that happen
+ * twice (repeated when clocks fall back) are resolved with `disambiguation`:
+ * - `compatible` (default, as RFC 5545): skipped times move forward by the
+ *   length of the gap, repeated times use the first occurrence
+ * - `earlier` / `later`: pick the earlier or later candidate instant
+ * - `reject`: throw for skipped or repeated times
+ *
  * @param {string} localTime - Time in HH:mm format
  * @param {string} localDate - Date in YYYY-MM-DD format
  * @param {string} timezone - Timezone string (e.g., "America/New_York")
+ * @param {Object} options - { disambiguation }
  * @returns {Date} UTC date object
  */
-function localToUTC(localTime, localDate, timezone) {
+function localToUTC(localTime, localDate, timezone, options = {}) {
   try {
-    // Create a date string in the local timezone
-    const dateTimeString = `${localDate}T${localTime}:00`;
-    
-    // Create a date object (this will be interpreted as local time)
-    const localDateTime = new Date(dateTimeString);
-    
-    // Get the timezone offset in minutes
-    const timezoneOffset = getTimezoneOffset(timezone, localDateTime);
-    
-    // Convert to UTC by subtracting the offset
-    const utcDateTime = new Date(localDateTime.getTime() - (timezoneOffset * 60 * 1000));
-    
-    return utcDateTime;
+    const { disambiguation = 'compatible' } = options;
+
+    if (!isValidTimezone(timezone)) {
+      throw new Error(`Invalid timezone: ${timezone}`);
+    }
+
+    const [year, month, day] = localDate.split('-').map(Number);
+    const [hours, minutes] = localTime.split(':').map(Number);
+
+    // The wall-clock reading expressed as if it were UTC
+    const wallClockMs = Date.UTC(year, month - 1, day, hours, minutes);
+    if (Number.isNaN(wallClockMs)) {
+      throw new Error(`Invalid local date/time: ${localDate} ${localTime}`);
+    }
+
+    // Offsets in force shortly before and after this wall-clock time; any DST
+    // transition on this day lies between them
+    const offsetBefore = getTimezoneOffset(timezone, new Date(wallClockMs - DAY_MS));
+    const offsetAfter = getTimezoneOffset(timezone, new Date(wallClockMs + DAY_MS));
+
+    const candidates = [...new Set([offsetBefore, offsetAfter])]
+      .map(offset => wallClockMs - offset * MINUTE_MS)
+      .filter(instant => {
+        const local = getLocalParts(instant, timezone);
+        return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute) === wallClockMs;
+      })
+      .sort((a, b) => a - b);
+
+    if (candidates.length === 1) {
+      return new Date(candidates[0]);
+    }
+
+    if (candidates.length > 1) {
+      // Ambiguous: the wall-clock time happens twice when clocks fall back
+      if (disambiguation === 'reject') {
+        throw new Error(`${localDate} ${localTime} is ambiguous in ${timezone}`);
+      }
+      return new Date(disambiguation === 'later' ? candidates[candidates.length - 1] : candidates[0]);
+    }
+
+    // Nonexistent: the wall-clock time falls in a gap when clocks spring forward
+    if (disambiguation === 'reject') {
+      throw new Error(`${localDate} ${localTime} does not exist in ${timezone}`);
+    }
+    const offset = disambiguation === 'earlier' ? offsetAfter : offsetBefore;
+    return new Date(wallClockMs - offset * MINUTE_MS);
   } catch (error) {
     throw new Error(`Failed to convert local time to UTC: ${error.message}`);
   }
@@ -33,24 +118,22 @@ function localToUTC(localTime, localDate, timezone) {
  * Convert UTC time to local time
  * @param {Date} utcDateTime - UTC date object
  * @param {string} timezone - Target timezone string
- * @returns {Object} Object with local date and time
+ * @returns {Object} Object with local date, time and UTC offset in minutes
  */
 function utcToLocal(utcDateTime, timezone) {
   try {
-    // Get the timezone offset in minutes
-    const timezoneOffset = getTimezoneOffset(timezone, utcDateTime);
-    
-    // Convert to local time by adding the offset
-    const localDateTime = new Date(utcDateTime.getTime() + (timezoneOffset * 60 * 1000));
-    
-    // Format the date and time
-    const localDate = localDateTime.toISOString().split('T')[0];
-    const localTime = localDateTime.toTimeString().slice(0, 5);
-    
+    const instant = new Date(utcDateTime);
+    const local = getLocalParts(instant, timezone);
+    const pad = (value) => value.toString().padStart(2, '0');
+
+    const offset = getTimezoneOffset(timezone, instant);
+
     return {
-      date: localDate,
-      time: localTime,
-      datetime: localDateTime
+      date: `${local.year}-${pad(local.month)}-${pad(local.day)}`,
+      time: `${pad(local.hour)}:${pad(local.minute)}`,
+      // Wall-clock reading shifted onto the UTC timeline, kept for callers doing date math
+      datetime: new Date(instant.getTime() + offset * MINUTE_MS),
+      offset_minutes: offset
     };
   } catch (error) {
     throw new Error(`Failed to convert UTC to local time: ${error.message}`);
@@ -58,48 +141,20 @@ function utcToLocal(utcDateTime, timezone) {
 }
 
 /**
- * Get timezone offset in minutes
+ * Get timezone offset in minutes (local time minus UTC) at a given instant
  * @param {string} timezone - Timezone string
  * @param {Date} date - Date to get offset for
  * @returns {number} Offset in minutes
  */
 function getTimezoneOffset(timezone, date) {
-  try {
-    // Create a date string in the target timezone
-    const timeString = date.toLocaleString('en-US', { timeZone: timezone });
-    const targetDate = new Date(timeString);
-    
-    // Get the offset between UTC and the target timezone
-    const offset = targetDate.getTime() - date.getTime();
-    
-    return offset / (60 * 1000); // Convert to minutes
-  } catch (error) {
-    // Fallback: use a simple mapping for common timezones
-    return getSimpleTimezoneOffset(timezone);
-  }
-}
+  const instant = new Date(date);
+  const local = getLocalParts(instant, timezone);
+  const localAsUTC = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
 
-/**
- * Simple timezone offset mapping for common timezones
- * @param {string} timezone - Timezone string
- * @returns {number} Offset in minutes
- */
-function getSimpleTimezoneOffset(timezone) {
-  const timezoneOffsets = {
-    'America/New_York': -300, // EST/EDT
-    'America/Chicago': -360,  // CST/CDT
-    'America/Denver': -420,   // MST/MDT
-    'America/Los_Angeles': -480, // PST/PDT
-    'Europe/London': 0,       // GMT/BST
-    'Europe/Paris': 60,       // CET/CEST
-    'Asia/Tokyo': 540,        // JST
-    'Asia/Shanghai': 480,     // CST
-    'Asia/Kolkata': 330,      // IST
-    'Australia/Sydney': 600,  // AEST/AEDT
-    'UTC': 0
-  };
-  
-  return timezoneOffsets[timezone] || 0;
+  // Drop milliseconds, which the formatted parts do not carry
+  const utcSeconds = Math.floor(instant.getTime() / 1000) * 1000;
+
+  return Math.round((localAsUTC - utcSeconds) / MINUTE_MS);
 }
 
 /**
@@ -174,32 +229,28 @@ function minutesToTime(minutes) {
 }
 
 /**
- * Validate timezone string
+ * Validate timezone string against the IANA database shipped with the runtime
  * @param {string} timezone - Timezone string to validate
  * @returns {boolean} True if valid timezone
  */
 function isValidTimezone(timezone) {
-  const validTimezones = [
-    'UTC',
-    'America/New_York',
-    'America/Chicago',
-    'America/Denver',
-    'America/Los_Angeles',
-    'Europe/London',
-    'Europe/Paris',
-    'Asia/Tokyo',
-    'Asia/Shanghai',
-    'Asia/Kolkata',
-    'Australia/Sydney'
-  ];
-  
-  return validTimezones.includes(timezone);
+  if (typeof timezone !== 'string' || timezone.trim() === '') {
+    return false;
+  }
+
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
 }
 
 module.exports = {
   localToUTC,
   utcToLocal,
   getTimezoneOffset,
+  getLocalParts,
   isDST,
   generateTimeSlots,
   timeToMinutes,